@@ -23,13 +23,22 @@ import ParticipantConnectionStatusHandler
 import * as DetectionEvents from './modules/detection/DetectionEvents';
 import NoAudioSignalDetection from './modules/detection/NoAudioSignalDetection';
 import P2PDominantSpeakerDetection from './modules/detection/P2PDominantSpeakerDetection';
+import RnnoiseVADProcessor from './modules/detection/RnnoiseVADProcessor';
 import VADAudioAnalyser from './modules/detection/VADAudioAnalyser';
 import VADNoiseDetection from './modules/detection/VADNoiseDetection';
 import VADTalkMutedDetection from './modules/detection/VADTalkMutedDetection';
+import DurationLimit from './modules/duration/DurationLimit';
 import { E2EEncryption } from './modules/e2ee/E2EEncryption';
 import E2ePing from './modules/e2eping/e2eping';
 import Jvb121EventGenerator from './modules/event/Jvb121EventGenerator';
+import FeatureFlags from './modules/flags/FeatureFlags';
+import Polls from './modules/polls/Polls';
+import PresenceStatus from './modules/presence/PresenceStatus';
+import ParticipantProfile from './modules/profile/ParticipantProfile';
+import { CodecSelection } from './modules/qualitycontrol/CodecSelection';
 import { QualityController } from './modules/qualitycontrol/QualityController';
+import RaisedHandQueue from './modules/raisehand/RaisedHandQueue';
+import Reactions from './modules/reactions/Reactions';
 import RecordingManager from './modules/recording/RecordingManager';
 import Settings from './modules/settings/Settings';
 import AudioOutputProblemDetector from './modules/statistics/AudioOutputProblemDetector';
@@ -42,6 +51,10 @@ import RandomUtil from './modules/util/RandomUtil';
 import ComponentsVersions from './modules/version/ComponentsVersions';
 import VideoSIPGW from './modules/videosipgw/VideoSIPGW';
 import * as VideoSIPGWConstants from './modules/videosipgw/VideoSIPGWConstants';
+import { CHAT_BLOCKED_REASONS } from './modules/xmpp/ChatPolicy';
+import { CHAT_MARKERS } from './modules/xmpp/ChatRoom';
+import SignalingLayerImpl from './modules/xmpp/SignalingLayerImpl';
+import { ATTENDEE_ROLE } from './modules/xmpp/Webinar';
 import { JITSI_MEET_MUC_TYPE } from './modules/xmpp/xmpp';
 import * as MediaType from './service/RTC/MediaType';
 import VideoType from './service/RTC/VideoType';
@@ -60,8 +73,6 @@ import {
     createP2PEvent
 } from './service/statistics/AnalyticsEvents';
 import * as XMPPEvents from './service/xmpp/XMPPEvents';
-import FeatureFlags from './modules/flags/FeatureFlags';
-import SignalingLayerImpl from './modules/xmpp/SignalingLayerImpl';
 import { SS_DEFAULT_FRAME_RATE } from './modules/RTC/ScreenObtainer'
 
 const logger = getLogger(__filename);
@@ -129,10 +140,19 @@ export default function JitsiConference(options) {
     this.eventManager = new JitsiConferenceEventManager(this);
     this.participants = {};
 
+    /**
+     * The attendees of the webinar, by id. They are not participants of the
+     * conference until they are promoted to speakers.
+     *
+     * @type {Object<string, JitsiParticipant>}
+     */
+    this._attendees = {};
+
     this._signalingLayer = new SignalingLayerImpl();
 
     this._init(options);
     this.componentsVersions = new ComponentsVersions(this);
+    this._participantProfile = new ParticipantProfile(this);
 
     /**
      * Jingle session instance for the JVB connection.
@@ -150,9 +170,13 @@ export default function JitsiConference(options) {
         video: false
     };
     this.isMutedByFocus = false;
+    this.isVideoMutedByFocus = false;
+    this.isDesktopMutedByFocus = false;
 
     // when muted by focus we receive the jid of the initiator of the mute
     this.mutedByFocusActor = null;
+    this.mutedVideoByFocusActor = null;
+    this.mutedDesktopByFocusActor = null;
 
     // Flag indicates if the 'onCallEnded' method was ever called on this
     // instance. Used to log extra analytics event for debugging purpose.
@@ -239,6 +263,11 @@ export default function JitsiConference(options) {
 
     this.videoSIPGWHandler = new VideoSIPGW(this.room);
     this.recordingManager = new RecordingManager(this.room);
+    this._raisedHandQueue = new RaisedHandQueue(this);
+    this._polls = new Polls(this);
+    this._reactions = new Reactions(this, this.options.config);
+    this._durationLimit = new DurationLimit(this, this.options.config);
+    this._presenceStatus = new PresenceStatus(this, this.options.config);
 
     /**
      * If the conference.joined event has been sent this will store the timestamp when it happened.
@@ -381,6 +410,7 @@ JitsiConference.prototype._init = function(options = {}) {
     }
 
     this.qualityController = new QualityController(this);
+    this._codecSelection = new CodecSelection(this, this.options.config.videoQuality);
 
     this.participantConnectionStatus
         = new ParticipantConnectionStatusHandler(
@@ -434,17 +464,22 @@ JitsiConference.prototype._init = function(options = {}) {
     // listeners are removed from statistics module.
     this.eventManager.setupStatisticsListeners();
 
+    // The VAD processor of the library, which calculates the VAD scores with RNNoise on the audio thread, is only used
+    // when the config opts in and no VAD processor factory method is provided.
+    const createVADProcessor = config.createVADProcessor
+        || (config.rnnoiseVAD && (() => RnnoiseVADProcessor.create(config.rnnoiseVAD)));
+
     // Disable VAD processing on Safari since it causes audio input to
     // fail on some of the mobile devices.
     if (config.enableTalkWhileMuted && !browser.isSafari()) {
 
         // If VAD processor factory method is provided uses VAD based detection, otherwise fallback to audio level
         // based detection.
-        if (config.createVADProcessor) {
+        if (createVADProcessor) {
             logger.info('Using VAD detection for generating talk while muted events');
 
             if (!this._audioAnalyser) {
-                this._audioAnalyser = new VADAudioAnalyser(this, config.createVADProcessor);
+                this._audioAnalyser = new VADAudioAnalyser(this, createVADProcessor);
             }
 
             const vadTalkMutedDetection = new VADTalkMutedDetection();
@@ -461,9 +496,9 @@ JitsiConference.prototype._init = function(options = {}) {
     // Disable noisy mic detection on safari since it causes the audio input to
     // fail on Safari on iPadOS.
     if (config.enableNoisyMicDetection && !browser.isSafari()) {
-        if (config.createVADProcessor) {
+        if (createVADProcessor) {
             if (!this._audioAnalyser) {
-                this._audioAnalyser = new VADAudioAnalyser(this, config.createVADProcessor);
+                this._audioAnalyser = new VADAudioAnalyser(this, createVADProcessor);
             }
 
             const vadNoiseDetection = new VADNoiseDetection();
@@ -585,6 +620,12 @@ JitsiConference.prototype.leave = async function() {
         this.e2eping = null;
     }
 
+    this._raisedHandQueue.dispose();
+    this._polls.dispose();
+    this._reactions.dispose();
+    this._durationLimit.dispose();
+    this._presenceStatus.dispose();
+
     this.getLocalTracks().forEach(track => this.onLocalTrackRemoved(track));
 
     this.rtc.closeBridgeChannel();
@@ -853,14 +894,17 @@ JitsiConference.prototype.removeCommandListener = function(command, handler) {
  * Sends text message to the other participants in the conference
  * @param message the text message.
  * @param elementName the element name to encapsulate the message.
+ * @param {Object} [options] - The extensions of the message, see
+ * {@link ChatRoom#sendMessage}.
+ * @returns {string|undefined} The id of the sent message.
  * @deprecated Use 'sendMessage' instead. TODO: this should be private.
  */
 JitsiConference.prototype.sendTextMessage = function(
-        message, elementName = 'body') {
-    if (this.room) {
+        message, elementName = 'body', options) {
+    if (this.room && this._checkChatPolicy(elementName, options, false)) {
         const displayName = (this.room.getFromPresence('nick') || {}).value;
 
-        this.room.sendMessage(message, elementName, displayName);
+        return this.room.sendMessage(message, elementName, displayName, options);
     }
 };
 
@@ -869,13 +913,114 @@ JitsiConference.prototype.sendTextMessage = function(
  * @param id the id of the participant to send a private message.
  * @param message the text message.
  * @param elementName the element name to encapsulate the message.
+ * @param {Object} [options] - The extensions of the message, see
+ * {@link ChatRoom#sendMessage}.
+ * @returns {string|undefined} The id of the sent message.
  * @deprecated Use 'sendMessage' instead. TODO: this should be private.
  */
 JitsiConference.prototype.sendPrivateTextMessage = function(
-        id, message, elementName = 'body') {
-    if (this.room) {
-        this.room.sendPrivateMessage(id, message, elementName);
+        id, message, elementName = 'body', options) {
+    if (this.room && this._checkChatPolicy(elementName, options, true)) {
+        return this.room.sendPrivateMessage(id, message, elementName, undefined, options);
+    }
+};
+
+/**
+ * Checks whether the chat policy of the conference allows the local
+ * participant to send a message, emits {@link JitsiConferenceErrors.CHAT_MESSAGE_BLOCKED} if it does not. Only the
+ * text messages are subject to the policy. The attendees of a webinar cannot send group messages, the room rejects
+ * them.
+ *
+ * @param {string} elementName - The element encapsulating the message.
+ * @param {Object} [options] - The extensions of the message.
+ * @param {boolean} isPrivate - Whether the message is sent to a single participant.
+ * @returns {boolean} Whether the message can be sent.
+ * @private
+ */
+JitsiConference.prototype._checkChatPolicy = function(elementName, options = {}, isPrivate) {
+    if (elementName !== 'body') {
+        return true;
+    }
+
+    const chatPolicy = this.room.getChatPolicy();
+    const blocked = !isPrivate && this.isAttendee()
+        ? { reason: CHAT_BLOCKED_REASONS.ATTENDEE }
+        : chatPolicy.checkMessage(
+            [ this.myUserId(), this._statsCurrentId ], this.isModerator(), Boolean(options.replace));
+
+    if (blocked) {
+        logger.warn(`Chat message blocked: ${blocked.reason}`);
+        this.eventEmitter.emit(
+            JitsiConferenceEvents.CONFERENCE_ERROR,
+            JitsiConferenceErrors.CHAT_MESSAGE_BLOCKED,
+            blocked.reason,
+            blocked.retryAfter);
+
+        return false;
+    }
+
+    if (!options.replace) {
+        chatPolicy.onMessageSent();
+    }
+
+    return true;
+};
+
+/**
+ * Returns the chat policy of the conference.
+ *
+ * @returns {{disabledParticipants: Array<string>, moderatorsOnly: boolean, slowModeInterval: number}|undefined} The
+ * stats ids of the participants which are not allowed to chat, or their ids for the participants without stats id,
+ * whether only the moderators can chat and the minimum time between two messages of a participant, in seconds. The
+ * moderators are not subject to the policy.
+ */
+JitsiConference.prototype.getChatPolicy = function() {
+    return this.room ? this.room.getChatPolicy().getPolicy() : undefined;
+};
+
+/**
+ * Changes the chat policy of the conference, stored in the room configuration.
+ * Only the moderators can change it.
+ *
+ * @param {Object} policy - The properties of the policy to change, see {@link JitsiConference#getChatPolicy}.
+ * @returns {Promise} Resolved when the policy has been changed.
+ */
+JitsiConference.prototype.setChatPolicy = function(policy) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
     }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    return this.room.getChatPolicy().setPolicy(policy);
+};
+
+/**
+ * Allows or disallows a participant to chat, see {@link JitsiConference#setChatPolicy}. The participant is listed by
+ * its stats id, so that it stays disallowed when it joins again with another id.
+ *
+ * @param {string} id - The id of the participant.
+ * @param {boolean} enabled - Whether the participant can chat.
+ * @returns {Promise} Resolved when the policy has been changed.
+ */
+JitsiConference.prototype.setParticipantChatEnabled = function(id, enabled) {
+    const policy = this.getChatPolicy();
+
+    if (!policy) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    const participant = this.getParticipantById(id);
+    const key = (participant && participant.getStatsID()) || id;
+    const disabledParticipants = policy.disabledParticipants.filter(p => p !== id && p !== key);
+
+    if (!enabled) {
+        disabledParticipants.push(key);
+    }
+
+    return this.setChatPolicy({ disabledParticipants });
 };
 
 /**
@@ -981,6 +1126,10 @@ JitsiConference.prototype.getTranscriptionStatus = function() {
  * [Bizwell] SDP PlanB Deprecated 조치, by LeeJx2, 2022.04.12
  */
 JitsiConference.prototype.addTrack = function(track) {
+    if (this.isAttendee()) {
+        return Promise.reject(new Error('The attendees of a webinar cannot send media.'));
+    }
+
     const mediaType = track.getType();
     const localTracks = this.rtc.getLocalTracks(mediaType);
 
@@ -1003,7 +1152,7 @@ JitsiConference.prototype.addTrack = function(track) {
                     this._sendBridgeVideoTypeMessage(track);
                     this._updateRoomPresence(this._getActiveMediaSession());
 
-                    if (this.isMutedByFocus || this.isVideoMutedByFocus) {
+                    if (this.isMutedByFocus || this.isVideoMutedByFocus || this.isDesktopMutedByFocus) {
                         this._fireMuteChangeEvent(track);
                     }
                 });
@@ -1060,18 +1209,35 @@ JitsiConference.prototype._fireAudioLevelChangeEvent = function(
  * @param track the JitsiTrack object related to the event.
  */
 JitsiConference.prototype._fireMuteChangeEvent = function(track) {
+    const isDesktop = track.isVideoTrack() && track.videoType === VideoType.DESKTOP;
+    let mutedByFocusActor = this.mutedByFocusActor;
+
     // check if track was muted by focus and now is unmuted by user
-    if (this.isMutedByFocus && track.isAudioTrack() && !track.isMuted()) {
-        this.isMutedByFocus = false;
+    if (track.isAudioTrack()) {
+        if (this.isMutedByFocus && !track.isMuted()) {
+            this.isMutedByFocus = false;
 
-        // unmute local user on server
-        this.room.muteParticipant(this.room.myroomjid, false);
+            // unmute local user on server
+            this.room.muteParticipant(this.room.myroomjid, false, MediaType.AUDIO);
+        }
+    } else if (isDesktop) {
+        mutedByFocusActor = this.mutedDesktopByFocusActor;
+        if (this.isDesktopMutedByFocus && !track.isMuted()) {
+            this.isDesktopMutedByFocus = false;
+            this.room.muteParticipant(this.room.myroomjid, false, VideoType.DESKTOP);
+        }
+    } else if (track.isVideoTrack()) {
+        mutedByFocusActor = this.mutedVideoByFocusActor;
+        if (this.isVideoMutedByFocus && !track.isMuted()) {
+            this.isVideoMutedByFocus = false;
+            this.room.muteParticipant(this.room.myroomjid, false, MediaType.VIDEO);
+        }
     }
 
     let actorParticipant;
 
-    if (this.mutedByFocusActor) {
-        const actorId = Strophe.getResourceFromJid(this.mutedByFocusActor);
+    if (mutedByFocusActor) {
+        const actorId = Strophe.getResourceFromJid(mutedByFocusActor);
 
         actorParticipant = this.participants[actorId];
     }
@@ -1121,6 +1287,10 @@ JitsiConference.prototype.removeTrack = function(track) {
  * @returns {Promise} resolves when the replacement is finished
  */
 JitsiConference.prototype.replaceTrack = function(oldTrack, newTrack) {
+    if (newTrack && this.isAttendee()) {
+        return Promise.reject(new Error('The attendees of a webinar cannot send media.'));
+    }
+
     const oldVideoType = oldTrack?.getVideoType();
     const newVideoType = newTrack?.getVideoType();
 
@@ -1164,7 +1334,8 @@ JitsiConference.prototype.replaceTrack = function(oldTrack, newTrack) {
                 this._updateRoomPresence(this._getActiveMediaSession());
             }
 
-            if (newTrack !== null && (this.isMutedByFocus || this.isVideoMutedByFocus)) {
+            if (newTrack !== null
+                && (this.isMutedByFocus || this.isVideoMutedByFocus || this.isDesktopMutedByFocus)) {
                 this._fireMuteChangeEvent(newTrack);
             }
 
@@ -1209,6 +1380,30 @@ JitsiConference.prototype._doReplaceTrack = function(oldTrack, newTrack) {
     return Promise.all(replaceTrackPromises);
 };
 
+/**
+ * Replaces the MediaStreamTrack sent for a local track on the Jingle sessions, after the track has switched to
+ * another MediaStreamTrack because its effects have changed. No offer/answer cycle is performed.
+ * @param {JitsiLocalTrack} track the local track
+ * @param {MediaStreamTrack} previousTrack the MediaStreamTrack the track was using until now
+ * @return {Promise} resolved when the process is done.
+ * @private
+ */
+JitsiConference.prototype._replaceTrackSource = function(track, previousTrack) {
+    const replaceTrackPromises = [];
+
+    if (this.jvbJingleSession) {
+        replaceTrackPromises.push(
+            this.jvbJingleSession.replaceTrackSource(track, previousTrack));
+    }
+
+    if (this.p2pJingleSession) {
+        replaceTrackPromises.push(
+            this.p2pJingleSession.replaceTrackSource(track, previousTrack));
+    }
+
+    return Promise.all(replaceTrackPromises);
+};
+
 /**
  * Handler for when a source-add for a local source is rejected by Jicofo.
  *
@@ -1596,27 +1791,355 @@ JitsiConference.prototype.getParticipantById = function(id) {
 /**
  * Grant owner rights to the participant.
  * @param {string} id id of the participant to grant owner rights to.
+ * @returns {Promise} Resolved when the owner rights have been granted.
  */
 JitsiConference.prototype.grantOwner = function(id) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
     const participant = this.getParticipantById(id);
 
     if (!participant) {
-        return;
+        return Promise.reject(new Error(`Participant ${id} not found`));
+    }
+
+    return this.room.setAffiliation(participant.getJid(), 'owner')
+        .catch(error => {
+            logger.error(`Failed to grant owner rights to ${id}`, error);
+
+            throw error;
+        });
+};
+
+/**
+ * Revokes the owner rights of a participant, or of the local participant. In a members only conference the
+ * participant stays a member, so that they are not removed from it.
+ *
+ * @param {string} id - The id of the participant.
+ * @returns {Promise} Resolved when the owner rights have been revoked.
+ */
+JitsiConference.prototype.revokeOwner = function(id) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    const participant = this.getParticipantById(id);
+    const isMyself = id === this.myUserId();
+
+    if (!participant && !isMyself) {
+        return Promise.reject(new Error(`Participant ${id} not found`));
+    }
+
+    return this.room.setAffiliation(
+        isMyself ? this.room.myroomjid : participant.getJid(),
+        this.room.membersOnlyEnabled ? 'member' : 'none');
+};
+
+/**
+ * Queries the users with an affiliation with the room. Only moderators can query them.
+ *
+ * @param {string} affiliation - The affiliation: 'owner', 'admin', 'member' or 'outcast'.
+ * @returns {Promise<Array<{jid: string, reason: string}>>} The jids of the users and the reasons given when the
+ * affiliation was set.
+ */
+JitsiConference.prototype.getAffiliationList = function(affiliation) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    if (![ 'owner', 'admin', 'member', 'outcast' ].includes(affiliation)) {
+        return Promise.reject(new Error(`Invalid affiliation: ${affiliation}`));
     }
-    this.room.setAffiliation(participant.getJid(), 'owner');
+
+    return this.room.getAffiliationList(affiliation);
+};
+
+/**
+ * Changes the affiliation of a user with the room, whether the user is in the conference or not. Only moderators can
+ * change affiliations.
+ *
+ * @param {string} jid - The jid of the user, as returned by {@link JitsiConference#getAffiliationList}.
+ * @param {string} affiliation - The affiliation: 'owner', 'admin', 'member', 'outcast' or 'none'.
+ * @returns {Promise} Resolved when the affiliation has been changed.
+ */
+JitsiConference.prototype.setAffiliation = function(jid, affiliation) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    if (![ 'owner', 'admin', 'member', 'outcast', 'none' ].includes(affiliation)) {
+        return Promise.reject(new Error(`Invalid affiliation: ${affiliation}`));
+    }
+
+    return this.room.setAffiliation(jid, affiliation);
 };
 
 /**
  * Kick participant from this conference.
  * @param {string} id id of the participant to kick
+ * @param {string} [reason] the reason given to the kicked participant.
  */
-JitsiConference.prototype.kickParticipant = function(id) {
+JitsiConference.prototype.kickParticipant = function(id, reason) {
     const participant = this.getParticipantById(id);
 
     if (!participant) {
         return;
     }
-    this.room.kick(participant.getJid());
+    this.room.kick(participant.getJid(), reason);
+};
+
+/**
+ * Bans a participant from this conference, the participant is removed and cannot join again. Only moderators can ban
+ * participants.
+ *
+ * @param {string} id - The id of the participant to ban.
+ * @param {string} [reason] - The reason given to the banned participant.
+ * @returns {Promise} Resolved when the participant has been banned.
+ */
+JitsiConference.prototype.banParticipant = function(id, reason) {
+    const participant = this.getParticipantById(id);
+
+    if (!participant) {
+        return Promise.reject(new Error(`Participant ${id} not found`));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    return this.room.ban(participant.getJid(), reason);
+};
+
+/**
+ * Lifts the ban of a user. Only moderators can lift bans.
+ *
+ * @param {string} jid - The jid of the banned user, as returned by {@link JitsiConference#getBanList}.
+ * @returns {Promise} Resolved when the ban has been lifted.
+ */
+JitsiConference.prototype.unbanParticipant = function(jid) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    return this.room.unban(jid);
+};
+
+/**
+ * Queries the users banned from this conference. Only moderators can query them.
+ *
+ * @returns {Promise<Array<{jid: string, reason: string}>>} The jids of the banned users and the reasons of the bans.
+ */
+JitsiConference.prototype.getBanList = function() {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    return this.room.getBanList();
+};
+
+/**
+ * Returns whether the webinar mode is enabled: the participants joining the conference are listen-only attendees,
+ * which are not participants of the conference until a moderator promotes them to speakers.
+ *
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isWebinarModeEnabled = function() {
+    return this.room ? this.room.getWebinar().isEnabled() : false;
+};
+
+/**
+ * Enables or disables the webinar mode. The participants already in the conference stay speakers. Only moderators
+ * can change the webinar mode.
+ *
+ * @param {boolean} enabled - Whether to enable the webinar mode.
+ * @returns {Promise} Resolved when the webinar mode has been changed.
+ */
+JitsiConference.prototype.setWebinarMode = function(enabled) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    return this.room.getWebinar().setEnabled(enabled);
+};
+
+/**
+ * Returns whether the local participant is a listen-only attendee of the webinar.
+ *
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isAttendee = function() {
+    return this.room ? this.room.isAttendee : false;
+};
+
+/**
+ * Returns the attendees of the webinar, which are not returned by {@link JitsiConference#getParticipants}.
+ *
+ * @returns {Array<JitsiParticipant>}
+ */
+JitsiConference.prototype.getAttendees = function() {
+    return Object.values(this._attendees);
+};
+
+/**
+ * Promotes an attendee of the webinar to speaker. Only moderators can promote attendees.
+ *
+ * @param {string} id - The id of the attendee.
+ * @returns {Promise} Resolved when the attendee has been promoted.
+ */
+JitsiConference.prototype.promoteAttendee = function(id) {
+    if (!this._attendees[id]) {
+        return Promise.reject(new Error(`Attendee ${id} not found`));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    return this.room.getWebinar().promote(id);
+};
+
+/**
+ * Demotes a speaker of the webinar to attendee. Only moderators can demote speakers.
+ *
+ * @param {string} id - The id of the speaker.
+ * @returns {Promise} Resolved when the speaker has been demoted.
+ */
+JitsiConference.prototype.demoteSpeaker = function(id) {
+    if (!this.getParticipantById(id)) {
+        return Promise.reject(new Error(`Participant ${id} not found`));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    return this.room.getWebinar().demote(id);
+};
+
+/**
+ * Returns the maximum duration of the conference, counted from its creation.
+ *
+ * @returns {number|undefined} The maximum duration in seconds, undefined if the conference is not limited.
+ */
+JitsiConference.prototype.getMaxDuration = function() {
+    return this._durationLimit.getMaxDuration();
+};
+
+/**
+ * Returns the time remaining before the conference ends because of its maximum duration.
+ *
+ * @returns {number|undefined} The remaining time in seconds, undefined if the conference is not limited.
+ */
+JitsiConference.prototype.getTimeRemaining = function() {
+    return this._durationLimit.getTimeRemaining();
+};
+
+/**
+ * Sets the maximum duration of the conference in the room configuration. The participants are warned with
+ * {@link JitsiConferenceEvents.CONFERENCE_TIME_REMAINING} before the conference ends. Only moderators can set the
+ * maximum duration.
+ *
+ * @param {number} maxDuration - The maximum duration in seconds counted from the creation of the conference, 0 to
+ * remove the limit.
+ * @returns {Promise} Resolved when the room configuration has been changed.
+ */
+JitsiConference.prototype.setMaxDuration = function(maxDuration) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    if (!Number.isInteger(maxDuration) || maxDuration < 0) {
+        return Promise.reject(new Error(`Invalid maximum duration: ${maxDuration}`));
+    }
+
+    return this.room.setMaxDuration(maxDuration);
+};
+
+/**
+ * Reads the persistent settings of the room: max occupants, persistent, moderated, description, whois, history
+ * length, maximum duration and chat policy. Only moderators can read the room configuration.
+ *
+ * @returns {Promise<{fields: Object, unsupported: Array<string>}>} The settings by name, each with its type, label,
+ * value and, when restricted, the values it can take, and the names of the settings the server does not support.
+ */
+JitsiConference.prototype.getRoomConfig = function() {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    return this.room.getRoomConfig().get();
+};
+
+/**
+ * Changes persistent settings of the room, the settings which are not given are left unchanged. Only moderators can
+ * change the room configuration.
+ *
+ * @param {Object} config - The new values by name, for example <tt>{ maxOccupants: 50, persistent: true }</tt>.
+ * @returns {Promise} Resolved when the room configuration has been changed, rejected without changing anything when
+ * a setting is unknown, not supported by the server or given an invalid value.
+ */
+JitsiConference.prototype.setRoomConfig = function(config) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    if (!config || typeof config !== 'object') {
+        return Promise.reject(new Error(`Invalid room configuration: ${config}`));
+    }
+
+    return this.room.getRoomConfig().set(config);
+};
+
+/**
+ * Ends the conference for everyone by destroying the room. Only moderators can end the conference.
+ *
+ * @param {string} [reason] - The reason given to the participants.
+ * @param {string} [alternateVenue] - The jid of a room the participants can join instead.
+ * @returns {Promise} Resolved when the conference has been ended.
+ */
+JitsiConference.prototype.end = function(reason, alternateVenue) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    if (!this.isModerator()) {
+        return Promise.reject(new Error('You are not moderator.'));
+    }
+
+    return this.room.destroy(reason, alternateVenue);
 };
 
 /**
@@ -1657,14 +2180,23 @@ JitsiConference.prototype._maybeSetSITimeout = function() {
 /**
  * Mutes a participant.
  * @param {string} id The id of the participant to mute.
+ * @param {MediaType|VideoType.DESKTOP} [mediaType] - What to mute: audio (the default), video (the camera) or
+ * desktop (the screen share).
  */
-JitsiConference.prototype.muteParticipant = function(id) {
+JitsiConference.prototype.muteParticipant = function(id, mediaType = MediaType.AUDIO) {
     const participant = this.getParticipantById(id);
 
     if (!participant) {
         return;
     }
-    this.room.muteParticipant(participant.getJid(), true);
+
+    if (![ MediaType.AUDIO, MediaType.VIDEO, VideoType.DESKTOP ].includes(mediaType)) {
+        logger.error(`Unsupported media type for muteParticipant: ${mediaType}`);
+
+        return;
+    }
+
+    this.room.muteParticipant(participant.getJid(), true, mediaType);
 };
 
 /* eslint-disable max-params */
@@ -1699,6 +2231,16 @@ JitsiConference.prototype.onMemberJoined = function(
     participant.setRole(role);
     participant.setBotType(botType);
     participant.setFeatures(features);
+
+    // the attendees of a webinar are hidden until they are promoted to speakers
+    if (role === ATTENDEE_ROLE && !isHidden) {
+        participant.setHidden(true);
+        this._attendees[id] = participant;
+        this.eventEmitter.emit(JitsiConferenceEvents.ATTENDEE_JOINED, id, participant);
+
+        return;
+    }
+
     this.participants[id] = participant;
     this.eventEmitter.emit(
         JitsiConferenceEvents.USER_JOINED,
@@ -1777,6 +2319,15 @@ JitsiConference.prototype.onMemberLeft = function(jid) {
         return;
     }
 
+    const attendee = this._attendees[id];
+
+    if (attendee) {
+        delete this._attendees[id];
+        this.eventEmitter.emit(JitsiConferenceEvents.ATTENDEE_LEFT, id, attendee);
+
+        return;
+    }
+
     const participant = this.participants[id];
     const mediaSessions = this.getMediaSessions();
     let tracksToBeRemoved = [];
@@ -1821,6 +2372,8 @@ JitsiConference.prototype.onMemberLeft = function(jid) {
     return sessions;
 };
 
+/* eslint-disable max-params */
+
 /**
  * Designates an event indicating that we were kicked from the XMPP MUC.
  * @param {boolean} isSelfPresence - whether it is for local participant
@@ -1829,8 +2382,11 @@ JitsiConference.prototype.onMemberLeft = function(jid) {
  * of the kick.
  * @param {string?} kickedParticipantId - when it is not a kick for local participant,
  * this is the id of the participant which was kicked.
+ * @param {string?} reason - the reason of the kick.
+ * @param {boolean} isBan - whether the participant has been banned.
  */
-JitsiConference.prototype.onMemberKicked = function(isSelfPresence, actorId, kickedParticipantId) {
+JitsiConference.prototype.onMemberKicked = function(
+        isSelfPresence, actorId, kickedParticipantId, reason, isBan) {
     // This check which be true when we kick someone else. With the introduction of lobby
     // the ChatRoom KICKED event is now also emitted for ourselves (the kicker) so we want to
     // avoid emitting an event where `undefined` kicked someone.
@@ -1842,7 +2398,7 @@ JitsiConference.prototype.onMemberKicked = function(isSelfPresence, actorId, kic
 
     if (isSelfPresence) {
         this.eventEmitter.emit(
-            JitsiConferenceEvents.KICKED, actorParticipant);
+            JitsiConferenceEvents.KICKED, actorParticipant, reason, isBan);
 
         this.leave();
 
@@ -1852,9 +2408,11 @@ JitsiConference.prototype.onMemberKicked = function(isSelfPresence, actorId, kic
     const kickedParticipant = this.participants[kickedParticipantId];
 
     this.eventEmitter.emit(
-        JitsiConferenceEvents.PARTICIPANT_KICKED, actorParticipant, kickedParticipant);
+        JitsiConferenceEvents.PARTICIPANT_KICKED, actorParticipant, kickedParticipant, reason, isBan);
 };
 
+/* eslint-enable max-params */
+
 /**
  * Method called on local MUC role change.
  * @param {string} role the name of new user's role as defined by XMPP MUC.
@@ -1867,15 +2425,66 @@ JitsiConference.prototype.onLocalRoleChanged = function(role) {
 
 JitsiConference.prototype.onUserRoleChanged = function(jid, role) {
     const id = Strophe.getResourceFromJid(jid);
+    const attendee = this._attendees[id];
+
+    // an attendee promoted to speaker joins the conference
+    if (attendee) {
+        if (role !== ATTENDEE_ROLE) {
+            delete this._attendees[id];
+            attendee.setHidden(false);
+            attendee.setRole(role);
+            this.participants[id] = attendee;
+            this.eventEmitter.emit(JitsiConferenceEvents.ATTENDEE_LEFT, id, attendee);
+            this.eventEmitter.emit(JitsiConferenceEvents.USER_JOINED, id, attendee);
+            this._updateFeatures(attendee);
+            this.isJoined() && this._maybeStartOrStopP2P();
+        }
+
+        return;
+    }
+
     const participant = this.getParticipantById(id);
 
     if (!participant) {
         return;
     }
+
+    // a speaker demoted to attendee leaves the conference
+    if (role === ATTENDEE_ROLE && !participant.isHidden()) {
+        delete this.participants[id];
+        participant.setHidden(true);
+        participant.setRole(role);
+        this._attendees[id] = participant;
+        this.eventEmitter.emit(JitsiConferenceEvents.USER_LEFT, id, participant);
+        this.eventEmitter.emit(JitsiConferenceEvents.ATTENDEE_JOINED, id, participant);
+        this._maybeStartOrStopP2P(true /* triggered by user left event */);
+
+        return;
+    }
+
     participant.setRole(role);
     this.eventEmitter.emit(JitsiConferenceEvents.USER_ROLE_CHANGED, id, role);
 };
 
+/**
+ * Handles the local participant becoming an attendee of the webinar or being promoted to speaker. The attendees are
+ * listen-only, so their local tracks are removed from the conference.
+ *
+ * @param {boolean} isAttendee - Whether the local participant is an attendee.
+ * @returns {void}
+ * @private
+ */
+JitsiConference.prototype._onLocalAttendeeChanged = function(isAttendee) {
+    if (isAttendee) {
+        this.getLocalTracks().forEach(track => {
+            this.removeTrack(track)
+                .catch(error => logger.error(`Failed to remove ${track} of an attendee`, error));
+        });
+    }
+
+    this.eventEmitter.emit(JitsiConferenceEvents.LOCAL_ATTENDEE_CHANGED, isAttendee);
+};
+
 JitsiConference.prototype.onDisplayNameChanged = function(jid, displayName) {
     const id = Strophe.getResourceFromJid(jid);
     const participant = this.getParticipantById(id);
@@ -2744,6 +3353,9 @@ JitsiConference.prototype.broadcastEndpointMessage = function(payload) {
  * @param {boolean} sendThroughVideobridge Whether to send the message through
  * jitsi-videobridge (via the COLIBRI data channel or web socket), or through
  * the XMPP MUC. Currently only objects can be sent through jitsi-videobridge.
+ * @returns {string|undefined} The id of the message when it is sent through
+ * the XMPP MUC, undefined for the objects broadcast by an attendee of a
+ * webinar, which are sent privately to every participant.
  */
 JitsiConference.prototype.sendMessage = function(
         message,
@@ -2788,13 +3400,130 @@ JitsiConference.prototype.sendMessage = function(
         }
 
         if (to) {
-            this.sendPrivateTextMessage(to, messageToSend, elementName);
-        } else {
-            // Broadcast
-            this.sendTextMessage(messageToSend, elementName);
+            return this.sendPrivateTextMessage(to, messageToSend, elementName);
+        }
+
+        // The attendees of a webinar cannot send group messages, the JSON
+        // messages (poll answers, reactions) reach the speakers privately.
+        if (elementName === 'json-message' && this.isAttendee()) {
+            this.getParticipants()
+                .forEach(participant => this.sendPrivateTextMessage(participant.getId(), messageToSend, elementName));
+
+            return;
         }
+
+        // Broadcast
+        return this.sendTextMessage(messageToSend, elementName);
+    }
+
+};
+
+/**
+ * Sets whether the local participant is typing a chat message. The other
+ * participants are notified at most every few seconds and the typing is
+ * considered paused when it is not set again for a few seconds.
+ *
+ * @param {boolean} typing - Whether the local participant is typing.
+ * @param {string} [to] - The id of the participant the message is privately
+ * typed for, if not set it is typed for everyone.
+ * @returns {void}
+ */
+JitsiConference.prototype.setTyping = function(typing, to) {
+    if (this.room) {
+        this.room.getChatStates().setTyping(typing, to);
+    }
+};
+
+/**
+ * Sends a text message replying to another chat message.
+ *
+ * @param {string} messageId - The id of the message replied to.
+ * @param {string} message - The text of the reply.
+ * @param {string} [to] - The id of the participant to reply privately to, if
+ * not set the reply is sent to everyone.
+ * @returns {string|undefined} The id of the reply.
+ */
+JitsiConference.prototype.replyToMessage = function(messageId, message, to) {
+    const options = { replyTo: messageId };
+
+    return to
+        ? this.sendPrivateTextMessage(to, message, 'body', options)
+        : this.sendTextMessage(message, 'body', options);
+};
+
+/**
+ * Edits a chat message sent by the local participant.
+ *
+ * @param {string} messageId - The id of the edited message.
+ * @param {string} message - The new text of the message.
+ * @param {string} [to] - The id of the participant the message has been
+ * privately sent to.
+ * @returns {void}
+ */
+JitsiConference.prototype.editMessage = function(messageId, message, to) {
+    const options = { replace: messageId };
+
+    if (to) {
+        this.sendPrivateTextMessage(to, message, 'body', options);
+    } else {
+        this.sendTextMessage(message, 'body', options);
+    }
+};
+
+/**
+ * Deletes a chat message sent by the local participant.
+ *
+ * @param {string} messageId - The id of the message.
+ * @param {string} [to] - The id of the participant the message has been
+ * privately sent to.
+ * @returns {void}
+ */
+JitsiConference.prototype.retractMessage = function(messageId, to) {
+    if (this.room) {
+        this.room.retractMessage(messageId, to);
+    }
+};
+
+/**
+ * Loads the chat messages sent before the ones loaded so far from the archive
+ * of the room, the most recent ones on the first call. The messages already
+ * received live are left out.
+ *
+ * @param {number} [max] - The maximum number of messages to load.
+ * @returns {Promise<{messages: Array<ChatHistoryMessage>, complete: boolean}>} The messages, from the oldest to the
+ * most recent, and whether there are no older messages left.
+ */
+JitsiConference.prototype.loadChatHistory = function(max) {
+    if (this.room) {
+        return this.room.getChatHistory().loadOlder(max);
     }
 
+    return Promise.reject(new Error('The conference is not created yet!'));
+};
+
+/**
+ * Checks whether all the chat messages of the archive of the room have been
+ * loaded.
+ *
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isChatHistoryComplete = function() {
+    return Boolean(this.room && this.room.getChatHistory().isComplete());
+};
+
+/**
+ * Lets the sender of a chat message know that it has been displayed to the
+ * local participant.
+ *
+ * @param {string} messageId - The id of the message.
+ * @param {string} [from] - The id of the participant which has privately sent
+ * the message.
+ * @returns {void}
+ */
+JitsiConference.prototype.markMessageDisplayed = function(messageId, from) {
+    if (this.room) {
+        this.room.sendChatMarker(CHAT_MARKERS.DISPLAYED, messageId, from);
+    }
 };
 
 JitsiConference.prototype.isConnectionInterrupted = function() {
@@ -3781,22 +4510,309 @@ JitsiConference.prototype.joinLobby = function(displayName, email) {
 };
 
 /**
- * Denies an occupant in the lobby room access to the conference.
- * @param {string} id The participant id.
+ * Denies occupants in the lobby room access to the conference.
+ * @param {string|Array<string>} ids The participant id or the ids of several participants.
+ */
+JitsiConference.prototype.lobbyDenyAccess = function(ids) {
+    if (this.room) {
+        this.room.getLobby().denyAccess(ids);
+    }
+};
+
+/**
+ * Approves the request to join the conference to participants waiting in the lobby.
+ *
+ * @param {string|Array<string>} ids The participant id or the ids of several participants.
+ */
+JitsiConference.prototype.lobbyApproveAccess = function(ids) {
+    if (this.room) {
+        this.room.getLobby().approveAccess(ids);
+    }
+};
+
+/**
+ * Returns the rules according to which the moderators admit the participants waiting in the lobby without asking.
+ *
+ * @returns {Object|null} The rules, see {@link JitsiConference#setLobbyAutoAdmitRules}.
+ */
+JitsiConference.prototype.getLobbyAutoAdmitRules = function() {
+    return this.room ? this.room.getLobby().getAutoAdmitRules() : null;
+};
+
+/**
+ * Sets the rules according to which the moderators admit the participants waiting in the lobby without asking. The
+ * rules are stored in the room configuration and applied by the client of the moderator with the lowest id. They only
+ * match the identity stamped by the server from the token of the participants. Should be possible only for
+ * moderators.
+ *
+ * @param {Object|null} rules - The rules, null to remove them.
+ * @param {Array<string>} [rules.emailDomains] - The domains of the e-mail addresses of the users authenticated with a
+ * token.
+ * @param {Array<string>} [rules.identities] - The ids of the users authenticated with a token, '*' for any
+ * authenticated user.
+ * @param {Array<string>} [rules.allowList] - The e-mail addresses or the ids of authenticated users which are admitted.
+ * @returns {Promise}
+ */
+JitsiConference.prototype.setLobbyAutoAdmitRules = function(rules) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference is not created yet!'));
+    }
+
+    return this.room.getLobby().setAutoAdmitRules(rules);
+};
+
+/**
+ * Sends a text message in the lobby room. Moderators can send it to a participant waiting in the lobby or to all of
+ * them, participants waiting in the lobby can send it to a moderator or to all the moderators.
+ *
+ * @param {string} message - The text of the message.
+ * @param {string} [id] - The id of the receiver in the lobby room.
+ * @returns {void}
+ */
+JitsiConference.prototype.sendLobbyMessage = function(message, id) {
+    if (this.room) {
+        this.room.getLobby().sendMessage(message, id);
+    }
+};
+
+/**
+ * Gets the breakout rooms helper of the conference, through which moderators
+ * can create, rename and close breakout rooms and move participants between them.
+ *
+ * @returns {BreakoutRooms|undefined} The breakout rooms helper, if the conference
+ * room has not been left.
+ */
+JitsiConference.prototype.getBreakoutRooms = function() {
+    return this.room?.getBreakoutRooms();
+};
+
+/**
+ * Returns whether audio/video moderation is supported by the backend.
+ *
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isAVModerationSupported = function() {
+    return Boolean(this.room?.getAVModeration().isSupported());
+};
+
+/**
+ * Returns whether audio/video moderation is enabled for the given media type.
+ *
+ * @param {MediaType} mediaType - The media type.
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isAVModerationEnabled = function(mediaType) {
+    return Boolean(this.room?.getAVModeration().isEnabled(mediaType));
+};
+
+/**
+ * Returns whether the local participant is allowed to unmute the given media type, i.e. moderation is disabled for
+ * it, the local participant is a moderator or has been approved by one.
+ *
+ * @param {MediaType} mediaType - The media type.
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isUnmuteAllowed = function(mediaType) {
+    return !this.room || this.room.getAVModeration().isUnmuteAllowed(mediaType);
+};
+
+/**
+ * Enables audio/video moderation for the given media type. Once enabled, participants need the approval of a
+ * moderator in order to unmute. Only moderators can do that.
+ *
+ * @param {MediaType} mediaType - The media type to moderate.
+ */
+JitsiConference.prototype.enableAVModeration = function(mediaType) {
+    if (this.room) {
+        this.room.getAVModeration().enable(true, mediaType);
+    }
+};
+
+/**
+ * Disables audio/video moderation for the given media type.
+ *
+ * @param {MediaType} mediaType - The media type.
  */
-JitsiConference.prototype.lobbyDenyAccess = function(id) {
+JitsiConference.prototype.disableAVModeration = function(mediaType) {
     if (this.room) {
-        this.room.getLobby().denyAccess(id);
+        this.room.getAVModeration().enable(false, mediaType);
     }
 };
 
 /**
- * Approves the request to join the conference to a participant waiting in the lobby.
+ * Asks the moderators to allow the local participant to unmute the given media type.
  *
- * @param {string} id The participant id.
+ * @param {MediaType} mediaType - The media type.
  */
-JitsiConference.prototype.lobbyApproveAccess = function(id) {
+JitsiConference.prototype.requestAVModerationUnmute = function(mediaType) {
     if (this.room) {
-        this.room.getLobby().approveAccess(id);
+        this.room.getAVModeration().requestUnmute(mediaType);
+    }
+};
+
+/**
+ * Approves a participant to unmute the given media type.
+ *
+ * @param {MediaType} mediaType - The media type.
+ * @param {string} id - The participant id.
+ */
+JitsiConference.prototype.avModerationApprove = function(mediaType, id) {
+    const participant = this.getParticipantById(id);
+
+    if (!participant || !this.room) {
+        return;
+    }
+
+    this.room.getAVModeration().approve(mediaType, participant.getJid());
+};
+
+/**
+ * Rejects the unmute request of a participant or revokes its previous approval for the given media type.
+ *
+ * @param {MediaType} mediaType - The media type.
+ * @param {string} id - The participant id.
+ */
+JitsiConference.prototype.avModerationReject = function(mediaType, id) {
+    const participant = this.getParticipantById(id);
+
+    if (!participant || !this.room) {
+        return;
     }
+
+    this.room.getAVModeration().reject(mediaType, participant.getJid());
+};
+
+/**
+ * Raises or lowers the hand of the local participant. The participants which raised their hand are kept in a queue,
+ * ordered by the time at which they raised it, which is the same for all the participants.
+ *
+ * @param {boolean} raised - Whether the hand should be raised.
+ */
+JitsiConference.prototype.setRaisedHand = function(raised) {
+    this._raisedHandQueue.setLocalRaisedHand(Boolean(raised));
+};
+
+/**
+ * Lowers the hand of a participant. Only moderators can lower the hand of other participants.
+ *
+ * @param {string} id - The participant id.
+ */
+JitsiConference.prototype.lowerHand = function(id) {
+    this._raisedHandQueue.lowerHand(id);
+};
+
+/**
+ * Lowers the hands of all the participants. Only moderators can do that.
+ */
+JitsiConference.prototype.lowerAllHands = function() {
+    this._raisedHandQueue.lowerAllHands();
+};
+
+/**
+ * Returns the queue of raised hands.
+ *
+ * @returns {Array<{participantId: string, timestamp: number}>} The participants which have raised their hand,
+ * ordered by the time at which they raised it.
+ */
+JitsiConference.prototype.getRaisedHandQueue = function() {
+    return this._raisedHandQueue.getQueue();
+};
+
+/**
+ * Checks whether a participant has raised their hand.
+ *
+ * @param {string} [id] - The participant id, the local participant if omitted.
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isHandRaised = function(id = this.myUserId()) {
+    return this._raisedHandQueue.isHandRaised(id);
+};
+
+/**
+ * Returns the polls of the conference, through which polls can be created, answered and closed.
+ *
+ * @returns {Polls}
+ */
+JitsiConference.prototype.getPolls = function() {
+    return this._polls;
+};
+
+/**
+ * Sends a reaction to all the participants. Reactions are batched and sent through the bridge channel when it is
+ * open, through the MUC otherwise.
+ *
+ * @param {string} reaction - The reaction, e.g. an emoji.
+ * @returns {void}
+ */
+JitsiConference.prototype.sendReaction = function(reaction) {
+    this._reactions.sendReaction(reaction);
+};
+
+/**
+ * Publishes the availability state of the local participant. The participants are notified with
+ * {@link JitsiConferenceEvents.USER_STATUS_CHANGED}.
+ *
+ * @param {string|undefined} show - One of <tt>JitsiMeetJS.constants.presenceShow</tt>: 'away', 'chat', 'dnd' or 'xa',
+ * undefined to be available.
+ * @param {string|undefined} text - The status text, at most 140 characters, undefined to clear it.
+ * @returns {void}
+ */
+JitsiConference.prototype.setPresenceStatus = function(show, text) {
+    this._presenceStatus.setStatus(show, text);
+};
+
+/**
+ * Returns the availability state of the local participant.
+ *
+ * @returns {{show: (string|undefined), text: (string|undefined), auto: boolean}} The published <show/> value,
+ * undefined when available, the status text and whether the participant has been made away automatically after a
+ * period of inactivity.
+ */
+JitsiConference.prototype.getPresenceStatus = function() {
+    return this._presenceStatus.getStatus();
+};
+
+/**
+ * Returns the profile of the local participant.
+ *
+ * @returns {Object} The fields of the profile: <tt>avatarUrl</tt>, <tt>pronouns</tt>, <tt>jobTitle</tt> and
+ * <tt>region</tt>, the fields which are not set are missing.
+ */
+JitsiConference.prototype.getLocalProfile = function() {
+    return this._participantProfile.getLocalProfile();
+};
+
+/**
+ * Replaces the profile of the local participant, which is sent in the presence. The other participants are notified
+ * with {@link JitsiConferenceEvents.PARTICIPANT_PROFILE_CHANGED}.
+ *
+ * @param {Object} profile - The fields of the profile: <tt>avatarUrl</tt> (an http or https URL, at most 512
+ * characters), <tt>pronouns</tt> (at most 32 characters), <tt>jobTitle</tt> and <tt>region</tt> (at most 64
+ * characters each).
+ * @returns {boolean} Whether the profile was valid and has been set, nothing is changed otherwise.
+ */
+JitsiConference.prototype.setLocalProfile = function(profile) {
+    return this._participantProfile.setLocalProfile(profile);
+};
+
+/**
+ * Sets a field of the profile of the local participant, see {@link JitsiConference.setLocalProfile}.
+ *
+ * @param {string} name - The name of the field.
+ * @param {string|undefined} value - The value, undefined to remove the field.
+ * @returns {boolean} Whether the value was valid and has been set, nothing is changed otherwise.
+ */
+JitsiConference.prototype.setLocalProfileField = function(name, value) {
+    return this._participantProfile.setLocalProfileField(name, value);
+};
+
+/**
+ * Returns the video codec selected for the conference: the first codec of the local order of preference which is
+ * supported by all the participants. The participants are notified when it changes with
+ * {@link JitsiConferenceEvents.VIDEO_CODEC_CHANGED}.
+ *
+ * @returns {string} The codec mime type, see {@link CodecMimeType}.
+ */
+JitsiConference.prototype.getVideoCodec = function() {
+    return this._codecSelection.getCodec();
 };
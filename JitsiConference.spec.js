@@ -0,0 +1,278 @@
+import EventEmitter from 'events';
+
+import JitsiConference from './JitsiConference';
+import * as JitsiConferenceErrors from './JitsiConferenceErrors';
+import JitsiConferenceEventManager from './JitsiConferenceEventManager';
+import * as JitsiConferenceEvents from './JitsiConferenceEvents';
+import ChatPolicy, { CHAT_BLOCKED_REASONS } from './modules/xmpp/ChatPolicy';
+import { JITSI_MEET_MUC_TYPE } from './modules/xmpp/xmpp';
+import XMPPEvents from './service/xmpp/XMPPEvents';
+
+/**
+ * Mock object to be used in place of a real conference.
+ *
+ * @constructor
+ */
+function MockConference() {
+    this.eventEmitter = new EventEmitter();
+    this.participants = {};
+    this._attendees = {};
+    this.room = {
+        isAttendee: false,
+        getChatPolicy: () => {
+            return {
+                checkMessage: () => undefined,
+                onMessageSent: () => undefined
+            };
+        },
+        getFromPresence: () => undefined,
+        isModerator: () => false,
+        sendMessage: jasmine.createSpy('sendMessage'),
+        sendPrivateMessage: jasmine.createSpy('sendPrivateMessage')
+    };
+}
+MockConference.prototype = Object.create(JitsiConference.prototype);
+MockConference.prototype.constructor = JitsiConference;
+
+describe('JitsiConference', () => {
+    let conference;
+    let events;
+
+    beforeEach(() => {
+        conference = new MockConference();
+        spyOn(conference, 'myUserId').and.returnValue('local');
+        spyOn(conference, 'isJoined').and.returnValue(true);
+        spyOn(conference, 'getMediaSessions').and.returnValue([]);
+        spyOn(conference, '_maybeStartOrStopP2P');
+        spyOn(conference, '_maybeSetSITimeout');
+        spyOn(conference, '_updateFeatures');
+
+        events = [];
+        [
+            JitsiConferenceEvents.ATTENDEE_JOINED,
+            JitsiConferenceEvents.ATTENDEE_LEFT,
+            JitsiConferenceEvents.USER_JOINED,
+            JitsiConferenceEvents.USER_LEFT
+        ].forEach(event => conference.eventEmitter.on(event, id => events.push([ event, id ])));
+    });
+
+    describe('owner rights', () => {
+        it('are granted through the affiliation and the failures are reported', done => {
+            const error = new Error('forbidden');
+
+            conference.room.setAffiliation = jasmine.createSpy('setAffiliation').and.returnValue(Promise.reject(error));
+            conference.onMemberJoined('room@conference.example.com/bob', 'Bob', 'participant');
+
+            conference.grantOwner('bob')
+                .then(() => done.fail('The owner rights were granted'), e => {
+                    expect(e).toBe(error);
+                    expect(conference.room.setAffiliation.calls.argsFor(0)[1]).toBe('owner');
+
+                    return conference.grantOwner('carol');
+                })
+                .then(() => done.fail('The owner rights were granted'), e => {
+                    expect(e.message).toBe('Participant carol not found');
+                    done();
+                });
+        });
+
+        it('are not changed once the conference has been left', done => {
+            conference.room = null;
+
+            Promise.all([
+                conference.grantOwner('bob').catch(e => e.message),
+                conference.revokeOwner('local').catch(e => e.message)
+            ]).then(messages => {
+                expect(messages).toEqual([
+                    'The conference is not created yet!',
+                    'The conference is not created yet!'
+                ]);
+                done();
+            });
+        });
+    });
+
+    describe('chat policy', () => {
+        let chatPolicy;
+
+        beforeEach(() => {
+            chatPolicy = new ChatPolicy(conference.room);
+            spyOn(chatPolicy, 'setPolicy').and.callFake(policy => {
+                chatPolicy._policy = {
+                    ...chatPolicy._policy,
+                    ...policy
+                };
+
+                return Promise.resolve();
+            });
+            conference.room.eventEmitter = new EventEmitter();
+            conference.room.getChatPolicy = () => chatPolicy;
+            conference.room.isModerator = () => true;
+        });
+
+        it('keeps the participants which cannot chat disallowed when they join again', done => {
+            conference.onMemberJoined('room@conference.example.com/bob', 'Bob', 'participant', false, 'bob-stats');
+
+            conference.setParticipantChatEnabled('bob', false)
+                .then(() => {
+                    expect(conference.getChatPolicy().disabledParticipants).toEqual([ 'bob-stats' ]);
+
+                    // bob joins again with another id, the stats id is kept
+                    conference.room.isModerator = () => false;
+                    conference.myUserId.and.returnValue('bob2');
+                    conference._statsCurrentId = 'bob-stats';
+
+                    const errors = [];
+
+                    conference.eventEmitter.on(JitsiConferenceEvents.CONFERENCE_ERROR, (...args) => errors.push(args));
+                    conference.sendMessage('hello');
+
+                    expect(conference.room.sendMessage).not.toHaveBeenCalled();
+                    expect(errors).toEqual([
+                        [ JitsiConferenceErrors.CHAT_MESSAGE_BLOCKED, CHAT_BLOCKED_REASONS.DISABLED, undefined ]
+                    ]);
+
+                    conference.room.isModerator = () => true;
+
+                    return conference.setParticipantChatEnabled('bob', true);
+                })
+                .then(() => {
+                    expect(conference.getChatPolicy().disabledParticipants).toEqual([]);
+                    done();
+                })
+                .catch(done.fail);
+        });
+    });
+
+    describe('webinar', () => {
+        /**
+         * Returns the ids of the participants and of the attendees of the conference.
+         *
+         * @returns {{attendees: Array<string>, participants: Array<string>}}
+         */
+        function getIds() {
+            return {
+                attendees: conference.getAttendees().map(attendee => attendee.getId()),
+                participants: conference.getParticipants().map(participant => participant.getId())
+            };
+        }
+
+        it('keeps the attendees out of the participants', () => {
+            conference.onMemberJoined('room@conference.example.com/alice', 'Alice', 'visitor');
+            conference.onMemberJoined('room@conference.example.com/bob', 'Bob', 'participant');
+
+            expect(getIds()).toEqual({
+                attendees: [ 'alice' ],
+                participants: [ 'bob' ]
+            });
+            expect(conference.getAttendees()[0].isHidden()).toBe(true);
+            expect(events).toEqual([
+                [ JitsiConferenceEvents.ATTENDEE_JOINED, 'alice' ],
+                [ JitsiConferenceEvents.USER_JOINED, 'bob' ]
+            ]);
+        });
+
+        it('moves the promoted attendees to the participants', () => {
+            conference.onMemberJoined('room@conference.example.com/alice', 'Alice', 'visitor');
+            conference.onUserRoleChanged('room@conference.example.com/alice', 'participant');
+
+            expect(getIds()).toEqual({
+                attendees: [],
+                participants: [ 'alice' ]
+            });
+
+            const alice = conference.getParticipantById('alice');
+
+            expect(alice.isHidden()).toBe(false);
+            expect(alice.getRole()).toBe('participant');
+            expect(events.slice(1)).toEqual([
+                [ JitsiConferenceEvents.ATTENDEE_LEFT, 'alice' ],
+                [ JitsiConferenceEvents.USER_JOINED, 'alice' ]
+            ]);
+        });
+
+        it('moves the demoted speakers to the attendees', () => {
+            conference.onMemberJoined('room@conference.example.com/bob', 'Bob', 'participant');
+            conference.onUserRoleChanged('room@conference.example.com/bob', 'visitor');
+
+            expect(getIds()).toEqual({
+                attendees: [ 'bob' ],
+                participants: []
+            });
+            expect(conference.getAttendees()[0].isHidden()).toBe(true);
+            expect(events.slice(1)).toEqual([
+                [ JitsiConferenceEvents.USER_LEFT, 'bob' ],
+                [ JitsiConferenceEvents.ATTENDEE_JOINED, 'bob' ]
+            ]);
+        });
+
+        it('does not report the attendees which leave as participants', () => {
+            conference.onMemberJoined('room@conference.example.com/alice', 'Alice', 'visitor');
+            conference.onMemberLeft('room@conference.example.com/alice');
+
+            expect(getIds()).toEqual({
+                attendees: [],
+                participants: []
+            });
+            expect(events).toEqual([
+                [ JitsiConferenceEvents.ATTENDEE_JOINED, 'alice' ],
+                [ JitsiConferenceEvents.ATTENDEE_LEFT, 'alice' ]
+            ]);
+        });
+
+        describe('local attendee', () => {
+            beforeEach(() => {
+                conference.room.isAttendee = true;
+                conference.onMemberJoined('room@conference.example.com/alice', 'Alice', 'visitor');
+                conference.onMemberJoined('room@conference.example.com/bob', 'Bob', 'participant');
+            });
+
+            it('cannot send group chat messages', () => {
+                const errors = [];
+
+                conference.eventEmitter.on(JitsiConferenceEvents.CONFERENCE_ERROR, (...args) => errors.push(args));
+                conference.sendMessage('hello');
+                conference.sendMessage('hello', 'bob');
+
+                expect(conference.room.sendMessage).not.toHaveBeenCalled();
+                expect(conference.room.sendPrivateMessage.calls.argsFor(0).slice(0, 2)).toEqual([ 'bob', 'hello' ]);
+                expect(errors).toEqual([
+                    [ JitsiConferenceErrors.CHAT_MESSAGE_BLOCKED, CHAT_BLOCKED_REASONS.ATTENDEE, undefined ]
+                ]);
+            });
+
+            it('sends the JSON messages privately to the speakers', () => {
+                conference.sendMessage({ type: 'reactions' });
+
+                expect(conference.room.sendMessage).not.toHaveBeenCalled();
+                expect(conference.room.sendPrivateMessage.calls.allArgs()
+                    .map(([ id, , elementName ]) => [ id, elementName ])).toEqual([
+                    [ 'bob', 'json-message' ]
+                ]);
+            });
+        });
+
+        it('receives the reactions and the poll answers of the attendees', () => {
+            const messages = [];
+
+            conference.room = Object.assign(new EventEmitter(), conference.room, {
+                addPresenceListener: () => undefined,
+                setParticipantPropertyListener: () => undefined
+            });
+            new JitsiConferenceEventManager(conference).setupChatRoomListeners();
+            conference.eventEmitter.on(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED,
+                (participant, payload) => messages.push([ participant.getId(), payload[JITSI_MEET_MUC_TYPE] ]));
+            conference.onMemberJoined('room@conference.example.com/alice', 'Alice', 'visitor');
+
+            [ 'reactions', 'polls', 'custom' ].forEach(type =>
+                conference.room.emit(XMPPEvents.JSON_MESSAGE_RECEIVED, 'room@conference.example.com/alice', {
+                    [JITSI_MEET_MUC_TYPE]: type
+                }));
+
+            expect(messages).toEqual([
+                [ 'alice', 'reactions' ],
+                [ 'alice', 'polls' ]
+            ]);
+        });
+    });
+});
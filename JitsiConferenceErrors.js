@@ -12,6 +12,15 @@ export const AUTHENTICATION_REQUIRED = 'conference.authenticationRequired';
  */
 export const CHAT_ERROR = 'conference.chatError';
 
+/**
+ * Indicates that a chat message has not been sent because of the chat policy
+ * of the conference or because the local participant is an attendee of the
+ * webinar. The reason, one of 'attendee', 'disabled', 'moderators-only' or
+ * 'slow-mode', and for the slow mode the time after which a message can be
+ * sent, in ms, come along.
+ */
+export const CHAT_MESSAGE_BLOCKED = 'conference.chatMessageBlocked';
+
 /**
  * Indicates that conference has been destroyed.
  */
@@ -5,8 +5,12 @@ import { Strophe } from 'strophe.js';
 
 import * as JitsiConferenceErrors from './JitsiConferenceErrors';
 import * as JitsiConferenceEvents from './JitsiConferenceEvents';
+import { POLLS_MESSAGE_TYPE } from './modules/polls/PollsConstants';
+import { REACTIONS_MESSAGE_TYPE } from './modules/reactions/Reactions';
 import Statistics from './modules/statistics/statistics';
 import EventEmitterForwarder from './modules/util/EventEmitterForwarder';
+import { CHAT_MARKERS } from './modules/xmpp/ChatRoom';
+import { JITSI_MEET_MUC_TYPE } from './modules/xmpp/xmpp';
 import * as MediaType from './service/RTC/MediaType';
 import RTCEvents from './service/RTC/RTCEvents';
 import VideoType from './service/RTC/VideoType';
@@ -24,6 +28,13 @@ import XMPPEvents from './service/xmpp/XMPPEvents';
 
 const logger = getLogger(__filename);
 
+/**
+ * The types of the JSON messages which the attendees of a webinar can send.
+ *
+ * @type {Array<string>}
+ */
+const ATTENDEE_MESSAGE_TYPES = [ POLLS_MESSAGE_TYPE, REACTIONS_MESSAGE_TYPE ];
+
 /**
  * Setups all event listeners related to conference
  * @param conference {JitsiConference} the conference
@@ -53,6 +64,44 @@ export default function JitsiConferenceEventManager(conference) {
         });
 }
 
+/**
+ * Mutes the local video tracks of the given type because the focus asked us
+ * to, and notifies the application about it.
+ *
+ * @param {VideoType} videoType - The type of the tracks to mute, camera or desktop.
+ * @param {string} actor - The jid of the participant which requested the mute.
+ * @returns {void}
+ */
+JitsiConferenceEventManager.prototype._muteLocalVideoByFocus = function(videoType, actor) {
+    const conference = this.conference;
+    const isDesktop = videoType === VideoType.DESKTOP;
+    const actorProperty = isDesktop ? 'mutedDesktopByFocusActor' : 'mutedVideoByFocusActor';
+    const tracks = conference.getLocalTracks(MediaType.VIDEO).filter(track => track.videoType === videoType);
+
+    Statistics.sendAnalytics(createRemotelyMutedEvent(isDesktop ? VideoType.DESKTOP : MediaType.VIDEO));
+
+    // The actor is used for the TRACK_MUTE_CHANGED events fired while muting.
+    conference[actorProperty] = actor;
+
+    Promise.all(tracks.map(track => track.mute()))
+        .then(() => {
+            conference[isDesktop ? 'isDesktopMutedByFocus' : 'isVideoMutedByFocus'] = true;
+            conference[actorProperty] = null;
+
+            const actorParticipant = actor && conference.getParticipantById(Strophe.getResourceFromJid(actor));
+
+            conference.eventEmitter.emit(
+                isDesktop
+                    ? JitsiConferenceEvents.DESKTOP_MUTED_BY_FOCUS
+                    : JitsiConferenceEvents.VIDEO_MUTED_BY_FOCUS,
+                actorParticipant);
+        })
+        .catch(error => {
+            conference[actorProperty] = null;
+            logger.warn(`Error while ${videoType} muting due to focus request`, error);
+        });
+};
+
 /**
  * Setups event listeners related to conference.chatRoom
  */
@@ -85,6 +134,11 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
         }
     });
 
+    chatRoom.addListener(XMPPEvents.PARTICIPANT_TYPING_CHANGED, (from, typing, isPrivate) => {
+        conference.eventEmitter.emit(
+            JitsiConferenceEvents.PARTICIPANT_TYPING_CHANGED, Strophe.getResourceFromJid(from), typing, isPrivate);
+    });
+
     chatRoom.addListener(
         XMPPEvents.ICE_RESTART_SUCCESS,
         (jingleSession, offerIq) => {
@@ -101,7 +155,7 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
             // TODO: Add a way to differentiate between commands which caused
             // us to mute and those that did not change our state (i.e. we were
             // already muted).
-            Statistics.sendAnalytics(createRemotelyMutedEvent());
+            Statistics.sendAnalytics(createRemotelyMutedEvent(MediaType.AUDIO));
 
             conference.mutedByFocusActor = actor;
 
@@ -120,6 +174,12 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
         }
     );
 
+    chatRoom.addListener(XMPPEvents.VIDEO_MUTED_BY_FOCUS,
+        actor => this._muteLocalVideoByFocus(VideoType.CAMERA, actor));
+
+    chatRoom.addListener(XMPPEvents.DESKTOP_MUTED_BY_FOCUS,
+        actor => this._muteLocalVideoByFocus(VideoType.DESKTOP, actor));
+
     this.chatRoomForwarder.forward(XMPPEvents.SUBJECT_CHANGED,
         JitsiConferenceEvents.SUBJECT_CHANGED);
 
@@ -205,6 +265,8 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
             conference._onIceConnectionFailed(jingleSession);
         });
 
+    this.chatRoomForwarder.forward(XMPPEvents.MUC_DESTROYED,
+        JitsiConferenceEvents.CONFERENCE_ENDED);
     this.chatRoomForwarder.forward(XMPPEvents.MUC_DESTROYED,
         JitsiConferenceEvents.CONFERENCE_FAILED,
         JitsiConferenceErrors.CONFERENCE_DESTROYED);
@@ -213,6 +275,15 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
         JitsiConferenceEvents.CONFERENCE_ERROR,
         JitsiConferenceErrors.CHAT_ERROR);
 
+    this.chatRoomForwarder.forward(XMPPEvents.CHAT_POLICY_CHANGED,
+        JitsiConferenceEvents.CHAT_POLICY_CHANGED);
+    this.chatRoomForwarder.forward(XMPPEvents.MAX_DURATION_CHANGED,
+        JitsiConferenceEvents.MAX_DURATION_CHANGED);
+    this.chatRoomForwarder.forward(XMPPEvents.WEBINAR_MODE_CHANGED,
+        JitsiConferenceEvents.WEBINAR_MODE_CHANGED);
+    chatRoom.addListener(XMPPEvents.LOCAL_ATTENDEE_CHANGED,
+        conference._onLocalAttendeeChanged.bind(conference));
+
     this.chatRoomForwarder.forward(XMPPEvents.FOCUS_DISCONNECTED,
         JitsiConferenceEvents.CONFERENCE_FAILED,
         JitsiConferenceErrors.FOCUS_DISCONNECTED);
@@ -265,6 +336,51 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
     this.chatRoomForwarder.forward(XMPPEvents.PHONE_NUMBER_CHANGED,
         JitsiConferenceEvents.PHONE_NUMBER_CHANGED);
 
+    this.chatRoomForwarder.forward(XMPPEvents.BREAKOUT_ROOMS_MOVE_TO_ROOM,
+        JitsiConferenceEvents.BREAKOUT_ROOMS_MOVE_TO_ROOM);
+    this.chatRoomForwarder.forward(XMPPEvents.BREAKOUT_ROOMS_PARTICIPANT_MOVED,
+        JitsiConferenceEvents.BREAKOUT_ROOMS_PARTICIPANT_MOVED);
+    this.chatRoomForwarder.forward(XMPPEvents.BREAKOUT_ROOMS_UPDATED,
+        JitsiConferenceEvents.BREAKOUT_ROOMS_UPDATED);
+
+    chatRoom.addListener(XMPPEvents.AV_MODERATION_CHANGED, (enabled, mediaType, actorJid) => {
+        const actor = actorJid ? conference.getParticipantById(Strophe.getResourceFromJid(actorJid)) : undefined;
+
+        conference.eventEmitter.emit(JitsiConferenceEvents.AV_MODERATION_CHANGED, {
+            enabled,
+            mediaType,
+            actor
+        });
+    });
+    this.chatRoomForwarder.forward(XMPPEvents.AV_MODERATION_APPROVED,
+        JitsiConferenceEvents.AV_MODERATION_APPROVED);
+    chatRoom.addListener(XMPPEvents.AV_MODERATION_REJECTED, mediaType => {
+        // Enforce the decision on tracks which have been unmuted while approved.
+        conference.getLocalTracks(mediaType)
+            .filter(track => !track.isMuted())
+            .forEach(track => track.mute().catch(error =>
+                logger.warn(`Failed to mute ${track} after AV moderation rejection`, error)));
+
+        conference.eventEmitter.emit(JitsiConferenceEvents.AV_MODERATION_REJECTED, mediaType);
+    });
+
+    [
+        [ XMPPEvents.AV_MODERATION_PARTICIPANT_APPROVED, JitsiConferenceEvents.AV_MODERATION_PARTICIPANT_APPROVED ],
+        [ XMPPEvents.AV_MODERATION_PARTICIPANT_REJECTED, JitsiConferenceEvents.AV_MODERATION_PARTICIPANT_REJECTED ],
+        [ XMPPEvents.AV_MODERATION_UNMUTE_REQUESTED, JitsiConferenceEvents.AV_MODERATION_UNMUTE_REQUESTED ]
+    ].forEach(([ xmppEvent, conferenceEvent ]) => {
+        chatRoom.addListener(xmppEvent, (mediaType, jid) => {
+            const participant = conference.getParticipantById(Strophe.getResourceFromJid(jid));
+
+            if (participant) {
+                conference.eventEmitter.emit(conferenceEvent, {
+                    participant,
+                    mediaType
+                });
+            }
+        });
+    });
+
     chatRoom.setParticipantPropertyListener((node, from) => {
         const participant = conference.getParticipantById(from);
 
@@ -296,6 +412,10 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
         JitsiConferenceEvents.LOBBY_USER_UPDATED);
     this.chatRoomForwarder.forward(XMPPEvents.MUC_LOBBY_MEMBER_LEFT,
         JitsiConferenceEvents.LOBBY_USER_LEFT);
+    this.chatRoomForwarder.forward(XMPPEvents.LOBBY_MESSAGE_RECEIVED,
+        JitsiConferenceEvents.LOBBY_MESSAGE_RECEIVED);
+    this.chatRoomForwarder.forward(XMPPEvents.LOBBY_AUTO_ADMIT_RULES_CHANGED,
+        JitsiConferenceEvents.LOBBY_AUTO_ADMIT_RULES_CHANGED);
     chatRoom.addListener(XMPPEvents.MUC_MEMBER_BOT_TYPE_CHANGED,
         conference._onMemberBotTypeChanged.bind(conference));
     chatRoom.addListener(XMPPEvents.MUC_MEMBER_LEFT,
@@ -343,43 +463,75 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
         XMPPEvents.MESSAGE_RECEIVED,
 
         // eslint-disable-next-line max-params
-        (jid, displayName, txt, myJid, ts) => {
+        (jid, displayName, txt, myJid, ts, messageId, replyToId) => {
             const id = Strophe.getResourceFromJid(jid);
 
             conference.eventEmitter.emit(
                 JitsiConferenceEvents.MESSAGE_RECEIVED,
-                id, txt, ts, displayName);
+                id, txt, ts, displayName, messageId, replyToId);
         });
 
     chatRoom.addListener(
         XMPPEvents.PRIVATE_MESSAGE_RECEIVED,
 
         // eslint-disable-next-line max-params
-        (jid, displayName, txt, myJid, ts) => {
+        (jid, displayName, txt, myJid, ts, messageId, replyToId) => {
             const id = Strophe.getResourceFromJid(jid);
 
             conference.eventEmitter.emit(
                 JitsiConferenceEvents.PRIVATE_MESSAGE_RECEIVED,
-                id, txt, ts);
+                id, txt, ts, messageId, replyToId);
+        });
+
+    chatRoom.addListener(XMPPEvents.CHAT_MESSAGE_CORRECTED,
+
+        // eslint-disable-next-line max-params
+        (jid, messageId, txt, ts, isPrivate) => {
+            conference.eventEmitter.emit(
+                JitsiConferenceEvents.MESSAGE_EDITED,
+                Strophe.getResourceFromJid(jid), messageId, txt, ts, isPrivate);
+        });
+
+    chatRoom.addListener(XMPPEvents.CHAT_MESSAGE_RETRACTED,
+        (jid, messageId, isPrivate) => {
+            conference.eventEmitter.emit(
+                JitsiConferenceEvents.MESSAGE_RETRACTED,
+                Strophe.getResourceFromJid(jid), messageId, isPrivate);
+        });
+
+    chatRoom.addListener(XMPPEvents.CHAT_MARKER_RECEIVED,
+        (jid, marker, messageId, isPrivate) => {
+            const id = Strophe.getResourceFromJid(jid);
+
+            if (marker === CHAT_MARKERS.DISPLAYED) {
+                conference.eventEmitter.emit(
+                    JitsiConferenceEvents.MESSAGE_DISPLAYED, id, messageId, isPrivate);
+            } else if (marker === CHAT_MARKERS.RECEIVED && isPrivate) {
+                conference.eventEmitter.emit(
+                    JitsiConferenceEvents.MESSAGE_DELIVERED, id, messageId);
+            }
         });
 
     chatRoom.addListener(XMPPEvents.PRESENCE_STATUS,
-        (jid, status) => {
+        (jid, status, show) => {
             const id = Strophe.getResourceFromJid(jid);
             const participant = conference.getParticipantById(id);
 
-            if (!participant || participant._status === status) {
+            if (!participant || (participant._status === status && participant._show === show)) {
                 return;
             }
             participant._status = status;
+            participant._show = show;
             conference.eventEmitter.emit(
-                JitsiConferenceEvents.USER_STATUS_CHANGED, id, status);
+                JitsiConferenceEvents.USER_STATUS_CHANGED, id, status, participant.getPresenceStatus());
         });
 
     chatRoom.addListener(XMPPEvents.JSON_MESSAGE_RECEIVED,
         (from, payload) => {
             const id = Strophe.getResourceFromJid(from);
-            const participant = conference.getParticipantById(id);
+            const participant = conference.getParticipantById(id)
+                || (ATTENDEE_MESSAGE_TYPES.includes(payload[JITSI_MEET_MUC_TYPE])
+                    && conference._attendees[id]);
 
             if (participant) {
                 conference.eventEmitter.emit(
@@ -13,6 +13,46 @@ export const AUDIO_INPUT_STATE_CHANGE = 'conference.audio_input_state_changed';
  */
 export const AUTH_STATUS_CHANGED = 'conference.auth_status_changed';
 
+/**
+ * Indicates that the local participant has been approved to unmute while
+ * audio/video moderation is enabled.
+ * @param {MediaType} mediaType - The media type the participant is approved for.
+ */
+export const AV_MODERATION_APPROVED = 'conference.av_moderation.approved';
+
+/**
+ * Indicates that audio/video moderation has been enabled or disabled.
+ * @param {Object} payload - <tt>{ enabled, mediaType, actor }</tt> where <tt>actor</tt> is the
+ * {@link JitsiParticipant} which changed the state, if known.
+ */
+export const AV_MODERATION_CHANGED = 'conference.av_moderation.changed';
+
+/**
+ * Fired on moderators when a participant has been approved to unmute.
+ * @param {Object} payload - <tt>{ participant, mediaType }</tt>.
+ */
+export const AV_MODERATION_PARTICIPANT_APPROVED = 'conference.av_moderation.participant.approved';
+
+/**
+ * Fired on moderators when a participant has been rejected, either its unmute
+ * request or a previous approval.
+ * @param {Object} payload - <tt>{ participant, mediaType }</tt>.
+ */
+export const AV_MODERATION_PARTICIPANT_REJECTED = 'conference.av_moderation.participant.rejected';
+
+/**
+ * Indicates that the local participant is not allowed to unmute anymore. The
+ * library mutes the local tracks of that media type.
+ * @param {MediaType} mediaType - The media type the participant is rejected for.
+ */
+export const AV_MODERATION_REJECTED = 'conference.av_moderation.rejected';
+
+/**
+ * Fired on moderators when a participant asks to be allowed to unmute.
+ * @param {Object} payload - <tt>{ participant, mediaType }</tt>.
+ */
+export const AV_MODERATION_UNMUTE_REQUESTED = 'conference.av_moderation.unmute_requested';
+
 /**
  * Fired just before the statistics module is disposed and it's the last chance
  * to submit some logs to the statistics service (ex. CallStats if enabled),
@@ -20,11 +60,56 @@ export const AUTH_STATUS_CHANGED = 'conference.auth_status_changed';
  */
 export const BEFORE_STATISTICS_DISPOSED = 'conference.beforeStatisticsDisposed';
 
+/**
+ * Event emitted when the local participant is asked to move to another room.
+ * The app is expected to leave the current conference and join the room with
+ * the given JID.
+ * @param {string} roomJid - The JID of the room to join.
+ */
+export const BREAKOUT_ROOMS_MOVE_TO_ROOM = 'conference.breakout-rooms.move-to-room';
+
+/**
+ * Event emitted when a participant has moved from a room (main or breakout) to
+ * another one.
+ * @param {Object} payload - <tt>{ participant, fromRoom, toRoom }</tt> where <tt>participant</tt> is the participant
+ * as in the rooms of {@link BREAKOUT_ROOMS_UPDATED} and <tt>fromRoom</tt> and <tt>toRoom</tt> are the rooms.
+ */
+export const BREAKOUT_ROOMS_PARTICIPANT_MOVED = 'conference.breakout-rooms.participant-moved';
+
+/**
+ * Event emitted when the breakout rooms (or the participants in them) have
+ * changed.
+ * @param {Object} payload - <tt>{ rooms, selfMoveAllowed }</tt> where <tt>rooms</tt> are the breakout rooms keyed
+ * by id and <tt>selfMoveAllowed</tt> tells whether participants are allowed to move themselves.
+ */
+export const BREAKOUT_ROOMS_UPDATED = 'conference.breakout-rooms.updated';
+
+/**
+ * The chat policy of the conference has changed.
+ * @param {Object} policy - The policy, see <tt>JitsiConference.getChatPolicy</tt>.
+ */
+export const CHAT_POLICY_CHANGED = 'conference.chat_policy_changed';
+
 /**
  * Indicates that an error occured.
  */
 export const CONFERENCE_ERROR = 'conference.error';
 
+/**
+ * Indicates that the conference has been ended for everyone by a moderator.
+ * @param {string|undefined} reason - The reason given by the moderator.
+ * @param {string|undefined} alternateVenue - The jid of a room the participants
+ * can join instead.
+ */
+export const CONFERENCE_ENDED = 'conference.ended';
+
+/**
+ * Indicates that the conference ends soon because of its maximum duration, emitted when the remaining time crosses
+ * one of the configured thresholds and with 0 when the time has run out.
+ * @param {number} remaining - The remaining time in seconds.
+ */
+export const CONFERENCE_TIME_REMAINING = 'conference.timeRemaining';
+
 /**
  * Indicates that conference failed.
  */
@@ -66,6 +151,13 @@ export const CONNECTION_RESTORED = 'conference.connectionRestored';
  */
 export const DATA_CHANNEL_OPENED = 'conference.dataChannelOpened';
 
+/**
+ * The local desktop sharing track has been muted because a moderator asked the
+ * focus to do so.
+ * @param {JitsiParticipant|undefined} actor - The participant which requested the mute, if known.
+ */
+export const DESKTOP_MUTED_BY_FOCUS = 'conference.desktopMutedByFocus';
+
 /**
  * A user has changed it display name
  */
@@ -111,6 +203,8 @@ export const JVB121_STATUS = 'conference.jvb121Status';
 /**
  * You are kicked from the conference.
  * @param {JitsiParticipant} the participant that initiated the kick.
+ * @param {string|undefined} the reason of the kick.
+ * @param {boolean} whether you have been banned from the conference.
  */
 export const KICKED = 'conference.kicked';
 
@@ -118,6 +212,8 @@ export const KICKED = 'conference.kicked';
  * Participant was kicked from the conference.
  * @param {JitsiParticipant} the participant that initiated the kick.
  * @param {JitsiParticipant} the participant that was kicked.
+ * @param {string|undefined} the reason of the kick.
+ * @param {boolean} whether the participant has been banned from the conference.
  */
 export const PARTICIPANT_KICKED = 'conference.participant_kicked';
 
@@ -166,10 +262,48 @@ export const _MEDIA_SESSION_ACTIVE_CHANGED = 'conference.media_session.active_ch
 export const MEMBERS_ONLY_CHANGED = 'conference.membersOnlyChanged';
 
 /**
- * New text message was received.
+ * A chat message has been delivered to the participant it has been privately
+ * sent to.
+ * @param {string} participantId - The id of the receiver.
+ * @param {string} messageId - The id of the message.
+ */
+export const MESSAGE_DELIVERED = 'conference.messageDelivered';
+
+/**
+ * A chat message has been displayed to a participant.
+ * @param {string} participantId - The id of the participant.
+ * @param {string} messageId - The id of the message.
+ * @param {boolean} isPrivate - Whether the message has been privately sent to
+ * the participant.
+ */
+export const MESSAGE_DISPLAYED = 'conference.messageDisplayed';
+
+/**
+ * A chat message has been edited by its sender.
+ * @param {string} participantId - The id of the sender.
+ * @param {string} messageId - The id of the edited message.
+ * @param {string} text - The new text of the message.
+ * @param {string} ts - The time of the edit if it has been delayed.
+ * @param {boolean} isPrivate - Whether the message has been privately sent.
+ */
+export const MESSAGE_EDITED = 'conference.messageEdited';
+
+/**
+ * New text message was received. The arguments are the id of the sender, the
+ * text, the timestamp if the message has been delayed, the display name of the
+ * sender, the id of the message and the id of the message it replies to, if
+ * any.
  */
 export const MESSAGE_RECEIVED = 'conference.messageReceived';
 
+/**
+ * A chat message has been deleted by its sender.
+ * @param {string} participantId - The id of the sender.
+ * @param {string} messageId - The id of the deleted message.
+ * @param {boolean} isPrivate - Whether the message has been privately sent.
+ */
+export const MESSAGE_RETRACTED = 'conference.messageRetracted';
+
 /**
  * Event indicates that the current selected input device has no signal
  */
@@ -181,7 +315,9 @@ export const NO_AUDIO_INPUT = 'conference.no_audio_input';
 export const NOISY_MIC = 'conference.noisy_mic';
 
 /**
- * New private text message was received.
+ * New private text message was received. The arguments are the id of the
+ * sender, the text, the timestamp if the message has been delayed, the id of
+ * the message and the id of the message it replies to, if any.
  */
 export const PRIVATE_MESSAGE_RECEIVED = 'conference.privateMessageReceived';
 
@@ -208,6 +344,22 @@ export const PARTICIPANT_CONN_STATUS_CHANGED
 export const PARTICIPANT_FEATURES_CHANGED
     = 'conference.participant_features_changed';
 
+/**
+ * Indicates that the profile of a participant has changed.
+ * @param {JitsiParticipant} participant - The participant.
+ * @param {Object} profile - The new profile, see {@link JitsiParticipant.getProfile}.
+ */
+export const PARTICIPANT_PROFILE_CHANGED
+    = 'conference.participant_profile_changed';
+
+/**
+ * Indicates that the video codec selected for the conference has changed, as
+ * participants supporting other codecs have joined or left.
+ * @param {string} codec - The codec mime type, see {@link CodecMimeType}.
+ * @param {string} previousCodec - The codec selected before.
+ */
+export const VIDEO_CODEC_CHANGED = 'conference.video_codec_changed';
+
 /**
  * Indicates that a the value of a specific property of a specific participant
  * has changed.
@@ -215,6 +367,15 @@ export const PARTICIPANT_FEATURES_CHANGED
 export const PARTICIPANT_PROPERTY_CHANGED
     = 'conference.participant_property_changed';
 
+/**
+ * A participant has started or stopped typing a chat message.
+ * @param {string} participantId - The id of the participant.
+ * @param {boolean} typing - Whether the participant is typing.
+ * @param {boolean} isPrivate - Whether the message is privately typed for the
+ * local participant.
+ */
+export const PARTICIPANT_TYPING_CHANGED = 'conference.participant_typing_changed';
+
 /**
  * Indicates that the conference has switched between JVB and P2P connections.
  * The first argument of this event is a <tt>boolean</tt> which when set to
@@ -233,11 +394,50 @@ export const PHONE_NUMBER_CHANGED = 'conference.phoneNumberChanged';
  */
 export const PROPERTIES_CHANGED = 'conference.propertiesChanged';
 
+/**
+ * A poll has been created, by a participant or received when joining.
+ * @param {Object} poll - The poll, see <tt>Polls.getPoll</tt>.
+ */
+export const POLL_CREATED = 'conference.poll.created';
+
+/**
+ * A poll has been closed and does not accept answers anymore.
+ * @param {Object} poll - The poll, see <tt>Polls.getPoll</tt>.
+ */
+export const POLL_CLOSED = 'conference.poll.closed';
+
+/**
+ * The answers of a poll have changed.
+ * @param {Object} poll - The poll, see <tt>Polls.getPoll</tt>.
+ */
+export const POLL_UPDATED = 'conference.poll.updated';
+
+/**
+ * The queue of raised hands has changed.
+ * @param {Array<{participantId: string, timestamp: number}>} queue - The participants which have raised their hand,
+ * ordered by the time at which they raised it.
+ */
+export const RAISED_HAND_QUEUE_CHANGED = 'conference.raisedHandQueueChanged';
+
+/**
+ * A reaction has been received from a remote participant.
+ * @param {JitsiParticipant} participant - The participant which sent the reaction.
+ * @param {string} reaction - The reaction, e.g. an emoji.
+ */
+export const REACTION_RECEIVED = 'conference.reactionReceived';
+
 /**
  * Indicates that recording state changed.
  */
 export const RECORDER_STATE_CHANGED = 'conference.recorderStateChanged';
 
+/**
+ * The local camera track has been muted because a moderator asked the focus to
+ * do so.
+ * @param {JitsiParticipant|undefined} actor - The participant which requested the mute, if known.
+ */
+export const VIDEO_MUTED_BY_FOCUS = 'conference.videoMutedByFocus';
+
 /**
  * Indicates that video SIP GW state changed.
  * @param {VideoSIPGWConstants} status.
@@ -328,6 +528,39 @@ export const TRANSCRIPTION_STATUS_CHANGED
  */
 export const USER_JOINED = 'conference.userJoined';
 
+/**
+ * An attendee joined the webinar. The attendees are not participants of the conference until they are promoted to
+ * speakers, when USER_JOINED is emitted for them.
+ * @param {string} id - The id of the attendee.
+ * @param {JitsiParticipant} attendee - The attendee.
+ */
+export const ATTENDEE_JOINED = 'conference.attendeeJoined';
+
+/**
+ * An attendee left the webinar or has been promoted to speaker.
+ * @param {string} id - The id of the attendee.
+ * @param {JitsiParticipant} attendee - The attendee.
+ */
+export const ATTENDEE_LEFT = 'conference.attendeeLeft';
+
+/**
+ * The local participant has become a listen-only attendee of the webinar or has been promoted to speaker.
+ * @param {boolean} isAttendee - Whether the local participant is an attendee.
+ */
+export const LOCAL_ATTENDEE_CHANGED = 'conference.localAttendeeChanged';
+
+/**
+ * The maximum duration of the conference set in the room configuration has changed.
+ * @param {number|undefined} maxDuration - The maximum duration in seconds, undefined if the conference is not limited.
+ */
+export const MAX_DURATION_CHANGED = 'conference.maxDurationChanged';
+
+/**
+ * The webinar mode of the conference has been enabled or disabled.
+ * @param {boolean} enabled - Whether the webinar mode is enabled.
+ */
+export const WEBINAR_MODE_CHANGED = 'conference.webinarModeChanged';
+
 /**
  * A user has left the conference.
  */
@@ -339,7 +572,12 @@ export const USER_LEFT = 'conference.userLeft';
 export const USER_ROLE_CHANGED = 'conference.roleChanged';
 
 /**
- * User status changed.
+ * User status changed, the status text or the availability state. Emitted for the local participant too.
+ * @param {string} id - The id of the participant.
+ * @param {string|undefined} status - The status text.
+ * @param {Object} presenceStatus - The availability state: <tt>show</tt>, the <show/> value or undefined when
+ * available, <tt>text</tt>, the status text, and for the local participant <tt>auto</tt>, whether they have been made
+ * away automatically.
  */
 export const USER_STATUS_CHANGED = 'conference.statusChanged';
 
@@ -363,5 +601,22 @@ export const LOBBY_USER_UPDATED = 'conference.lobby.userUpdated';
  */
 export const LOBBY_USER_LEFT = 'conference.lobby.userLeft';
 
+/**
+ * The rules according to which the participants waiting in the lobby are
+ * admitted without asking have changed.
+ * @param {Object|null} rules - The rules, see <tt>JitsiConference.setLobbyAutoAdmitRules</tt>.
+ */
+export const LOBBY_AUTO_ADMIT_RULES_CHANGED = 'conference.lobby.autoAdmitRulesChanged';
+
+/**
+ * A text message has been received in the lobby room.
+ * @param {string} participantId - The id of the sender in the lobby room.
+ * @param {string} message - The text of the message.
+ * @param {boolean} isPrivate - Whether the message has been sent to the local
+ * participant only.
+ * @param {string} displayName - The display name of the sender.
+ */
+export const LOBBY_MESSAGE_RECEIVED = 'conference.lobby.messageReceived';
+
 
 export const FORWARDED_SOURCES_CHANGED = 'conference.forwardedSourcesChanged';
\ No newline at end of file
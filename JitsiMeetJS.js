@@ -22,6 +22,8 @@ import getActiveAudioDevice from './modules/detection/ActiveDeviceDetector';
 import * as DetectionEvents from './modules/detection/DetectionEvents';
 import TrackVADEmitter from './modules/detection/TrackVADEmitter';
 import FeatureFlags from './modules/flags/FeatureFlags';
+import * as PollsConstants from './modules/polls/PollsConstants';
+import { PRESENCE_SHOW } from './modules/presence/PresenceStatus';
 import ProxyConnectionService
     from './modules/proxyconnection/ProxyConnectionService';
 import recordingConstants from './modules/recording/recordingConstants';
@@ -34,6 +36,7 @@ import GlobalOnErrorHandler from './modules/util/GlobalOnErrorHandler';
 import ScriptUtil from './modules/util/ScriptUtil';
 import * as VideoSIPGWConstants from './modules/videosipgw/VideoSIPGWConstants';
 import AudioMixer from './modules/webaudio/AudioMixer';
+import NoiseSuppressionEffect from './modules/webaudio/NoiseSuppressionEffect';
 import * as MediaType from './service/RTC/MediaType';
 import Resolutions from './service/RTC/Resolutions';
 import * as ConnectionQualityEvents
@@ -152,6 +155,8 @@ export default _mergeNamespaceAndModule({
 
     constants: {
         participantConnectionStatus: ParticipantConnectionStatus,
+        polls: PollsConstants,
+        presenceShow: PRESENCE_SHOW,
         recording: recordingConstants,
         sipVideoGW: VideoSIPGWConstants,
         transcriptionStatus: JitsiTranscriptionStatus
@@ -466,22 +471,42 @@ export default _mergeNamespaceAndModule({
      * Create a TrackVADEmitter service that connects an audio track to an VAD (voice activity detection) processor in
      * order to obtain VAD scores for individual PCM audio samples.
      * @param {string} localAudioDeviceId - The target local audio device.
-     * @param {number} sampleRate - Sample rate at which the emitter will operate. Possible values  256, 512, 1024,
-     * 4096, 8192, 16384. Passing other values will default to closes neighbor.
+     * @param {number} sampleRate - The minimum number of PCM samples the emitter will process at a time, they are
+     * sampled in an AudioWorklet and sent from the audio thread by batches of that size, or by a ScriptProcessorNode
+     * with a buffer of that size when the AudioWorklet cannot be loaded.
      * I.e. Providing a value of 4096 means that the emitter will process 4096 PCM samples at a time, higher values mean
      * longer calls, lowers values mean more calls but shorter.
-     * @param {Object} vadProcessor - VAD Processors that does the actual compute on a PCM sample.The processor needs
-     * to implement the following functions:
+     * @param {Object} [vadProcessor] - VAD Processors that does the actual compute on a PCM sample, RNNoise on the
+     * audio thread when it is not given. The processor needs to implement the following functions:
      * - <tt>getSampleLength()</tt> - Returns the sample size accepted by calculateAudioFrameVAD.
      * - <tt>getRequiredPCMFrequency()</tt> - Returns the PCM frequency at which the processor operates.
      * i.e. (16KHz, 44.1 KHz etc.)
      * - <tt>calculateAudioFrameVAD(pcmSample)</tt> - Process a 32 float pcm sample of getSampleLength size.
+     * Processors calculating the score on the audio thread implement <tt>getAudioWorkletProcessor()</tt>, their
+     * <tt>calculateAudioFrameVAD</tt> is optional and only used without AudioWorklet, see
+     * {@link TrackVADEmitter.create}.
      * @returns {Promise<TrackVADEmitter>}
      */
     createTrackVADEmitter(localAudioDeviceId, sampleRate, vadProcessor) {
         return TrackVADEmitter.create(localAudioDeviceId, sampleRate, vadProcessor);
     },
 
+    /**
+     * Creates an effect for audio tracks which suppresses the background noise, in an AudioWorklet with a WASM
+     * denoiser. The effect publishes the probability of voice activity with
+     * {@link DetectionEvents.VAD_SCORE_PUBLISHED}.
+     *
+     * @param {Object} [options] - The options.
+     * @param {string} [options.wasmUrl] - The URL of lib-jitsi-meet.rnnoise.wasm, when it is not served next to the
+     * library.
+     * @param {string} [options.workletsUrl] - The URL of lib-jitsi-meet.audio-worklets.js, when it is not served next
+     * to the library.
+     * @returns {Promise<NoiseSuppressionEffect>}
+     */
+    createNoiseSuppressionEffect(options) {
+        return NoiseSuppressionEffect.create(options);
+    },
+
     /**
      * Create AudioMixer, which is essentially a wrapper over web audio ChannelMergerNode. It essentially allows the
      * user to mix multiple MediaStreams into a single one.
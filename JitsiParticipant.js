@@ -40,12 +40,15 @@ export default class JitsiParticipant {
         this._tracks = [];
         this._role = 'none';
         this._status = status;
+        this._show = undefined;
         this._hidden = hidden;
         this._statsID = statsID;
         this._connectionStatus = ParticipantConnectionStatus.ACTIVE;
         this._properties = {};
         this._identity = identity;
         this._features = new Set();
+        this._profile = {};
+        this._codecList = [];
     }
 
     /* eslint-enable max-params */
@@ -174,6 +177,39 @@ export default class JitsiParticipant {
         return this._status;
     }
 
+    /**
+     * Returns the availability state published by the participant.
+     *
+     * @returns {{show: (string|undefined), text: (string|undefined)}} The <show/> value, one of
+     * {@link PRESENCE_SHOW} or undefined when available, and the status text.
+     */
+    getPresenceStatus() {
+        return {
+            show: this._show,
+            text: this._status
+        };
+    }
+
+    /**
+     * Returns the profile published by the participant.
+     *
+     * @returns {Object} The fields of the profile: <tt>avatarUrl</tt>, <tt>pronouns</tt>, <tt>jobTitle</tt> and
+     * <tt>region</tt>, the fields which are not set are missing.
+     */
+    getProfile() {
+        return { ...this._profile };
+    }
+
+    /**
+     * Returns the video codecs supported by this participant, advertised in its presence.
+     *
+     * @returns {Array<string>} The codec mime types in the order of preference of the participant, empty when the
+     * participant does not advertise them.
+     */
+    getCodecList() {
+        return [ ...this._codecList ];
+    }
+
     /**
      * @returns {Boolean} Whether this participant is a moderator or not.
      */
@@ -190,6 +226,17 @@ export default class JitsiParticipant {
         return this._hidden;
     }
 
+    /**
+     * Sets whether this participant is hidden, like the attendees of a webinar
+     * until they are promoted to speakers.
+     *
+     * @param {Boolean} hidden - Whether this participant is hidden.
+     * @returns {void}
+     */
+    setHidden(hidden) {
+        this._hidden = hidden;
+    }
+
     /**
      * @returns {Boolean} Whether this participant has muted their audio.
      */
@@ -64,6 +64,13 @@ export const TRACK_IS_DISPOSED = 'track.track_is_disposed';
  */
 export const TRACK_NO_STREAM_FOUND = 'track.no_stream_found';
 
+/**
+ * An error which indicates that the track cannot be unmuted because audio/video
+ * moderation is enabled and the local participant has not been approved by a
+ * moderator.
+ */
+export const TRACK_UNMUTE_NOT_ALLOWED = 'track.unmute_not_allowed';
+
 /**
  * An error which indicates that requested video resolution is not supported
  * by a webcam.
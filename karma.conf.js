@@ -16,6 +16,7 @@ module.exports = function(config) {
         files: [
             './doc/example/libs/jquery-2.1.1.js',
             'node_modules/core-js/index.js',
+            './*.spec.js',
             './modules/**/*.spec.js'
         ],
 
@@ -5,7 +5,8 @@ import { getLogger } from 'jitsi-meet-logger';
 import JitsiTrackError from '../../JitsiTrackError';
 import {
     TRACK_IS_DISPOSED,
-    TRACK_NO_STREAM_FOUND
+    TRACK_NO_STREAM_FOUND,
+    TRACK_UNMUTE_NOT_ALLOWED
 } from '../../JitsiTrackErrors';
 import {
     LOCAL_TRACK_STOPPED,
@@ -46,7 +47,8 @@ export default class JitsiLocalTrack extends JitsiTrack {
      * JitsiRemoteTrack
      * @param trackInfo.mediaType the MediaType of the JitsiRemoteTrack
      * @param trackInfo.videoType the VideoType of the JitsiRemoteTrack
-     * @param trackInfo.effects the effects array contains the effect instance to use
+     * @param trackInfo.effects the effects array contains the effect instances to use, the effects which are enabled
+     * for the track are chained in order
      * @param trackInfo.resolution the video resolution if it's a video track
      * @param trackInfo.deviceId the ID of the local device for this track
      * @param trackInfo.facingMode the camera facing mode used in getUserMedia
@@ -76,10 +78,26 @@ export default class JitsiLocalTrack extends JitsiTrack {
             videoType);
 
         this._setEffectInProgress = false;
-        const effect = effects.find(e => e.isEnabled(this));
 
-        if (effect) {
-            this._startStreamEffect(effect);
+        /**
+         * The effect pipeline: the effects applied to the track, in order.
+         *
+         * @private
+         * @type {Array<Object>}
+         */
+        this._streamEffects = effects.filter(e => e.isEnabled(this));
+
+        /**
+         * The effects of the pipeline which are running, with the stream each
+         * one outputs.
+         *
+         * @private
+         * @type {Array<{effect: Object, stream: MediaStream}>}
+         */
+        this._effectStages = [];
+
+        if (this._streamEffects.length) {
+            this._applyStreamEffects();
         }
 
         const displaySurface = videoType === VideoType.DESKTOP
@@ -397,8 +415,10 @@ export default class JitsiLocalTrack extends JitsiTrack {
             // If we have a stream effect that implements its own mute functionality, prioritize it before
             // normal mute e.g. the stream effect that implements system audio sharing has a custom
             // mute state in which if the user mutes, system audio still has to go through.
-            if (this._streamEffect && this._streamEffect.setMuted) {
-                this._streamEffect.setMuted(muted);
+            const mutingEffect = this._streamEffects.find(effect => effect.setMuted);
+
+            if (mutingEffect) {
+                mutingEffect.setMuted(muted);
             } else if (this.track) {
                 this.track.enabled = !muted;
             }
@@ -407,9 +427,7 @@ export default class JitsiLocalTrack extends JitsiTrack {
                 logMuteInfo();
                 this._removeStreamFromConferenceAsMute(
                     () => {
-                        if (this._streamEffect) {
-                            this._stopStreamEffect();
-                        }
+                        this._stopStreamEffects();
 
                         // FIXME: Maybe here we should set the SRC for the
                         // containers to something
@@ -429,7 +447,7 @@ export default class JitsiLocalTrack extends JitsiTrack {
             const streamOptions = {
                 cameraDeviceId: this.getDeviceId(),
                 devices: [ MediaType.VIDEO ],
-                effects: this._streamEffect ? [ this._streamEffect ] : [],
+                effects: this._streamEffects,
                 facingMode: this.getCameraFacingMode()
             };
 
@@ -460,8 +478,8 @@ export default class JitsiLocalTrack extends JitsiTrack {
                     throw new JitsiTrackError(TRACK_NO_STREAM_FOUND);
                 }
 
-                if (this._streamEffect) {
-                    this._startStreamEffect(this._streamEffect);
+                if (this._streamEffects.length) {
+                    this._applyStreamEffects();
                 }
 
                 this.containers.map(cont => RTCUtils.attachMediaStream(cont, this.stream));
@@ -531,28 +549,66 @@ export default class JitsiLocalTrack extends JitsiTrack {
     }
 
     /**
-     * Starts the effect process and returns the modified stream.
+     * Applies the effect pipeline to the stream of the track. The running
+     * effects which are no longer at the same position in the pipeline are
+     * stopped, last first, then the following effects of the pipeline are
+     * started, each one processing the stream output by the previous one.
      *
      * @private
-     * @param {*} effect - Represents effect instance
      * @returns {void}
      */
-    _startStreamEffect(effect) {
-        this._streamEffect = effect;
-        this._originalStream = this.stream;
-        this._setStream(this._streamEffect.startEffect(this._originalStream));
-        this.track = this.stream.getTracks()[0];
+    _applyStreamEffects() {
+        let index = 0;
+
+        while (index < this._effectStages.length && this._effectStages[index].effect === this._streamEffects[index]) {
+            index++;
+        }
+
+        for (let i = this._effectStages.length - 1; i >= index; i--) {
+            this._effectStages[i].effect.stopEffect();
+        }
+        this._effectStages = this._effectStages.slice(0, index);
+
+        if (!this._originalStream) {
+            this._originalStream = this.stream;
+        }
+
+        for (let i = index; i < this._streamEffects.length; i++) {
+            const effect = this._streamEffects[i];
+            const input = i ? this._effectStages[i - 1].stream : this._originalStream;
+
+            this._effectStages.push({
+                effect,
+                stream: effect.startEffect(input)
+            });
+        }
+
+        const stream = this._effectStages.length
+            ? this._effectStages[this._effectStages.length - 1].stream
+            : this._originalStream;
+
+        if (!this._effectStages.length) {
+            this._originalStream = null;
+        }
+
+        this._setStream(stream);
+        this.track = stream ? stream.getTracks()[0] : null;
     }
 
     /**
-     * Stops the effect process and returns the original stream.
+     * Stops the running effects, last first, and restores the original
+     * stream. The effect pipeline is kept so that it can be applied again.
      *
      * @private
      * @returns {void}
      */
-    _stopStreamEffect() {
-        if (this._streamEffect) {
-            this._streamEffect.stopEffect();
+    _stopStreamEffects() {
+        for (let i = this._effectStages.length - 1; i >= 0; i--) {
+            this._effectStages[i].effect.stopEffect();
+        }
+        this._effectStages = [];
+
+        if (this._originalStream) {
             this._setStream(this._originalStream);
             this._originalStream = null;
             this.track = this.stream ? this.stream.getTracks()[0] : null;
@@ -583,21 +639,6 @@ export default class JitsiLocalTrack extends JitsiTrack {
         }
     }
 
-    /**
-     * Stops the currently used effect (if there is one) and starts the passed effect (if there is one).
-     *
-     * @param {Object|undefined} effect - The new effect to be set.
-     */
-    _switchStreamEffect(effect) {
-        if (this._streamEffect) {
-            this._stopStreamEffect();
-            this._streamEffect = undefined;
-        }
-        if (effect) {
-            this._startStreamEffect(effect);
-        }
-    }
-
     /**
      * @inheritdoc
      *
@@ -609,10 +650,10 @@ export default class JitsiLocalTrack extends JitsiTrack {
     dispose() {
         let promise = Promise.resolve();
 
-        // Remove the effect instead of stopping it so that the original stream is restored
+        // Remove the effects instead of stopping them so that the original stream is restored
         // on both the local track and on the peerconnection.
-        if (this._streamEffect) {
-            promise = this.setEffect();
+        if (this._streamEffects.length) {
+            promise = this.setEffects([]);
         }
 
         if (this.conference) {
@@ -744,8 +785,10 @@ export default class JitsiLocalTrack extends JitsiTrack {
         }
 
         // If currently used stream effect has its own muted state, use that.
-        if (this._streamEffect && this._streamEffect.isMuted) {
-            return this._streamEffect.isMuted();
+        const mutingEffect = this._streamEffects.find(effect => effect.isMuted);
+
+        if (mutingEffect) {
+            return mutingEffect.isMuted();
         }
 
         return !this.track || !this.track.enabled;
@@ -792,11 +835,20 @@ export default class JitsiLocalTrack extends JitsiTrack {
     }
 
     /**
-     * Asynchronously unmutes this track.
+     * Asynchronously unmutes this track. The promise is rejected with
+     * {@link TRACK_UNMUTE_NOT_ALLOWED} when audio/video moderation forbids it.
      *
      * @returns {Promise}
      */
      unmute() {
+        const mediaType = this.isAudioTrack() ? MediaType.AUDIO : MediaType.VIDEO;
+
+        if (this.conference && !this.conference.isUnmuteAllowed(mediaType)) {
+            logger.warn(`Unmute ${this} rejected, not allowed by AV moderation`);
+
+            return Promise.reject(new JitsiTrackError(TRACK_UNMUTE_NOT_ALLOWED));
+        }
+
         return this._queueSetMuted(false);
     }
 
@@ -844,6 +896,67 @@ export default class JitsiLocalTrack extends JitsiTrack {
         }
     }
 
+    /**
+     * Returns the effect pipeline of the track.
+     *
+     * @returns {Array<Object>} The effects applied to the track, in order.
+     */
+    getEffects() {
+        return this._streamEffects.slice();
+    }
+
+    /**
+     * Adds an effect to the effect pipeline.
+     *
+     * @param {Object} effect - The effect instance.
+     * @param {number} [index] - The position of the effect in the pipeline, at the end by default.
+     * @returns {Promise}
+     */
+    addEffect(effect, index = this._streamEffects.length) {
+        if (this._streamEffects.includes(effect)) {
+            return Promise.reject(new Error('The effect is already applied!'));
+        }
+
+        const effects = this._streamEffects.slice();
+
+        effects.splice(index, 0, effect);
+
+        return this.setEffects(effects);
+    }
+
+    /**
+     * Removes an effect from the effect pipeline.
+     *
+     * @param {Object} effect - The effect instance.
+     * @returns {Promise}
+     */
+    removeEffect(effect) {
+        if (!this._streamEffects.includes(effect)) {
+            return Promise.reject(new Error('The effect is not applied!'));
+        }
+
+        return this.setEffects(this._streamEffects.filter(e => e !== effect));
+    }
+
+    /**
+     * Moves an effect to another position of the effect pipeline.
+     *
+     * @param {Object} effect - The effect instance.
+     * @param {number} index - The new position of the effect in the pipeline.
+     * @returns {Promise}
+     */
+    moveEffect(effect, index) {
+        if (!this._streamEffects.includes(effect)) {
+            return Promise.reject(new Error('The effect is not applied!'));
+        }
+
+        const effects = this._streamEffects.filter(e => e !== effect);
+
+        effects.splice(index, 0, effect);
+
+        return this.setEffects(effects);
+    }
+
     /**
      * Sets the effect and switches between the modified stream and original one.
      *
@@ -851,11 +964,23 @@ export default class JitsiLocalTrack extends JitsiTrack {
      * @returns {Promise}
      */
     setEffect(effect) {
-        if (typeof this._streamEffect === 'undefined' && typeof effect === 'undefined') {
-            return Promise.resolve();
+        return this.setEffects(typeof effect === 'undefined' ? [] : [ effect ]);
+    }
+
+    /**
+     * Replaces the effect pipeline. Each effect processes the stream output by the previous one, the effects which
+     * keep their position in the pipeline are not restarted. When the track is in a conference the new stream is sent
+     * with replaceTrack, without renegotiation.
+     *
+     * @param {Array<Object>} effects - The effect instances, in order. An empty array restores the original stream.
+     * @returns {Promise}
+     */
+    setEffects(effects) {
+        if (!Array.isArray(effects) || new Set(effects).size !== effects.length) {
+            return Promise.reject(new Error('Invalid effect pipeline!'));
         }
 
-        if (typeof effect !== 'undefined' && !effect.isEnabled(this)) {
+        if (effects.some(effect => !effect || !effect.isEnabled(this))) {
             return Promise.reject(new Error('Incompatible effect instance!'));
         }
 
@@ -863,50 +988,94 @@ export default class JitsiLocalTrack extends JitsiTrack {
             return Promise.reject(new Error('setEffect already in progress!'));
         }
 
+        if (effects.length === this._streamEffects.length && effects.every((e, i) => e === this._streamEffects[i])) {
+            return Promise.resolve();
+        }
+
         // In case we have an audio track that is being enhanced with an effect, we still want it to be applied,
         // even if the track is muted. Where as for video the actual track doesn't exists if it's muted.
         if (this.isMuted() && !this.isAudioTrack()) {
-            this._streamEffect = effect;
+            this._streamEffects = effects.slice();
 
             return Promise.resolve();
         }
 
         const conference = this.conference;
-
-        if (!conference) {
-            this._switchStreamEffect(effect);
+        const previousTrack = this.track;
+        const switchStreamEffects = () => {
+            this._streamEffects = effects.slice();
+            this._applyStreamEffects();
             if (this.isVideoTrack()) {
                 this.containers.forEach(cont => RTCUtils.attachMediaStream(cont, this.stream));
             }
+        };
+
+        if (!conference) {
+            switchStreamEffects();
 
             return Promise.resolve();
         }
 
         this._setEffectInProgress = true;
 
-        // TODO: Create new JingleSessionPC method for replacing a stream in JitsiLocalTrack without offer answer.
-        return conference.removeTrack(this)
-            .then(() => {
-                this._switchStreamEffect(effect);
-                if (this.isVideoTrack()) {
-                    this.containers.forEach(cont => RTCUtils.attachMediaStream(cont, this.stream));
-                }
+        let promise;
+        let effectTrack;
 
-                return conference.addTrack(this);
-            })
+        if (browser.usesPlanB()) {
+            promise = conference.removeTrack(this)
+                .then(() => {
+                    switchStreamEffects();
+
+                    return conference.addTrack(this);
+                });
+        } else {
+            switchStreamEffects();
+            effectTrack = this.track;
+            promise = conference._replaceTrackSource(this, previousTrack);
+        }
+
+        return promise
             .then(() => {
                 this._setEffectInProgress = false;
             })
             .catch(error => {
                 // Any error will be not recovarable and will trigger CONFERENCE_FAILED event. But let's try to cleanup
                 // everyhting related to the effect functionality.
-                this._setEffectInProgress = false;
-                this._switchStreamEffect();
+                this._streamEffects = [];
+                this._stopStreamEffects();
                 logger.error('Failed to switch to the new stream!', error);
-                throw error;
+
+                // With Plan B the track has been removed from the conference, there is no sender to restore.
+                const restore = effectTrack ? this._restoreTrackSource(effectTrack, previousTrack) : Promise.resolve();
+
+                return restore
+                    .then(() => {
+                        this._setEffectInProgress = false;
+                        throw error;
+                    });
             });
     }
 
+    /**
+     * Points the senders of the conference back at the original track after
+     * the switch to a new effect pipeline failed. Some of the media sessions
+     * may send the track of the new pipeline and the others the track of the
+     * previous one, both stopped by now.
+     *
+     * @param {MediaStreamTrack} effectTrack - The track of the new pipeline.
+     * @param {MediaStreamTrack} previousTrack - The track sent before the
+     * switch.
+     * @private
+     * @returns {Promise} Resolved when the senders have been restored, never
+     * rejected.
+     */
+    _restoreTrackSource(effectTrack, previousTrack) {
+        const tracks = [ effectTrack, previousTrack ].filter(track => track !== this.track);
+
+        return Promise.all(tracks.map(track => this.conference._replaceTrackSource(this, track)
+            .catch(error => logger.warn(`Failed to restore the source of ${this}`, error))));
+    }
+
     /**
      * Sets the source name to be used for signaling the jitsi track.
      *
@@ -0,0 +1,144 @@
+import * as MediaType from '../../service/RTC/MediaType';
+import VideoType from '../../service/RTC/VideoType';
+
+import JitsiLocalTrack from './JitsiLocalTrack';
+
+/**
+ * Creates an effect which clones the track of the stream it processes.
+ *
+ * @param {string} name - The name of the effect.
+ * @param {Array<string>} log - The log of the effects started and stopped.
+ * @returns {Object}
+ */
+function createEffect(name, log) {
+    return {
+        isEnabled: () => true,
+        startEffect: stream => {
+            log.push(`start ${name}`);
+
+            return new MediaStream([ stream.getVideoTracks()[0].clone() ]);
+        },
+        stopEffect: () => log.push(`stop ${name}`)
+    };
+}
+
+describe('JitsiLocalTrack', () => {
+    describe('effect pipeline', () => {
+        let log;
+        let stream;
+        let track;
+
+        beforeEach(() => {
+            log = [];
+            stream = document.createElement('canvas').captureStream();
+            track = new JitsiLocalTrack({
+                deviceId: 'camera',
+                mediaType: MediaType.VIDEO,
+                rtcId: 1,
+                stream,
+                track: stream.getVideoTracks()[0],
+                videoType: VideoType.CAMERA
+            });
+        });
+
+        afterEach(() => {
+            stream.getTracks().forEach(t => t.stop());
+        });
+
+        it('chains the effects and restarts only the changed part', done => {
+            const blur = createEffect('blur', log);
+            const watermark = createEffect('watermark', log);
+
+            track.setEffects([ blur, watermark ])
+                .then(() => {
+                    expect(log).toEqual([ 'start blur', 'start watermark' ]);
+                    expect(track.getOriginalStream()).not.toBe(stream);
+
+                    log.length = 0;
+
+                    return track.removeEffect(watermark);
+                })
+                .then(() => {
+                    expect(log).toEqual([ 'stop watermark' ]);
+
+                    log.length = 0;
+
+                    return track.addEffect(watermark, 0);
+                })
+                .then(() => {
+                    expect(log).toEqual([ 'stop blur', 'start watermark', 'start blur' ]);
+                    expect(track.getEffects()).toEqual([ watermark, blur ]);
+
+                    log.length = 0;
+
+                    return track.setEffect();
+                })
+                .then(() => {
+                    expect(log).toEqual([ 'stop blur', 'stop watermark' ]);
+                    expect(track.getOriginalStream()).toBe(stream);
+                    expect(track.getTrack()).toBe(stream.getVideoTracks()[0]);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it('rejects an effect applied twice', done => {
+            const blur = createEffect('blur', log);
+
+            track.addEffect(blur)
+                .then(() => track.addEffect(blur))
+                .then(() => done.fail('The effect should not be applied twice'))
+                .catch(() => {
+                    expect(track.getEffects()).toEqual([ blur ]);
+                    done();
+                });
+        });
+
+        it('replaces the track in the conference without renegotiation', done => {
+            const previousTrack = track.getTrack();
+
+            track.conference = {
+                removeTrack: jasmine.createSpy('removeTrack'),
+                _replaceTrackSource: jasmine.createSpy('_replaceTrackSource').and.returnValue(Promise.resolve())
+            };
+
+            track.addEffect(createEffect('blur', log))
+                .then(() => {
+                    expect(track.conference._replaceTrackSource).toHaveBeenCalledWith(track, previousTrack);
+                    expect(track.conference.removeTrack).not.toHaveBeenCalled();
+                    expect(track.getTrack()).not.toBe(previousTrack);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it('sends the original track again when the switch fails', done => {
+            const originalTrack = track.getTrack();
+            const error = new Error('replace track source failed');
+            let effectTrack;
+
+            track.conference = {
+                _replaceTrackSource: jasmine.createSpy('_replaceTrackSource').and.callFake(() => {
+                    effectTrack = effectTrack || track.getTrack();
+
+                    return track.conference._replaceTrackSource.calls.count() === 1
+                        ? Promise.reject(error) : Promise.resolve();
+                })
+            };
+
+            track.addEffect(createEffect('blur', log))
+                .then(() => done.fail('The switch should fail'))
+                .catch(e => {
+                    expect(e).toBe(error);
+                    expect(log).toEqual([ 'start blur', 'stop blur' ]);
+                    expect(track.getTrack()).toBe(originalTrack);
+                    expect(track.getEffects()).toEqual([]);
+                    expect(track.conference._replaceTrackSource.calls.allArgs()).toEqual([
+                        [ track, originalTrack ],
+                        [ track, effectTrack ]
+                    ]);
+                    done();
+                });
+        });
+    });
+});
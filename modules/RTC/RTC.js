@@ -982,6 +982,15 @@ export default class RTC extends Listenable {
         return RTCUtils.isDesktopSharingEnabled();
     }
 
+    /**
+     * Checks whether the bridge channel is currently open.
+     *
+     * @returns {boolean}
+     */
+    isBridgeChannelOpen() {
+        return Boolean(this._channel && this._channel.isOpen());
+    }
+
     /**
      * Closes the currently opened bridge channel.
      */
@@ -1,8 +1,10 @@
 import { getLogger } from 'jitsi-meet-logger';
 import transform from 'sdp-transform';
 
+import CodecMimeType from '../../service/RTC/CodecMimeType';
 import * as MediaType from '../../service/RTC/MediaType';
 import RTCEvents from '../../service/RTC/RTCEvents';
+import VideoEncoderScalabilityMode from '../../service/RTC/VideoEncoderScalabilityMode';
 import { VideoType } from '../../service/RTC/VideoType';
 import browser from '../browser';
 import FeatureFlags from '../flags/FeatureFlags';
@@ -21,6 +23,140 @@ export const LD_SCALE_FACTOR = 4;
 export const SD_SCALE_FACTOR = 2;
 export const SIM_LAYER_RIDS = [ SIM_LAYER_1_RID, SIM_LAYER_2_RID, SIM_LAYER_3_RID ];
 
+/**
+ * The default max bitrates of the VP9 and AV1 layers by resolution, lower than the VP8 ones as the codecs are more
+ * efficient. They are configured with the <tt>VP9</tt> and <tt>AV1</tt> keys of <tt>videoQuality.maxBitratesVideo</tt>
+ * in config.js.
+ */
+export const SVC_CODEC_BITRATES = {
+    [CodecMimeType.AV1]: {
+        low: 100000,
+        standard: 300000,
+        high: 1000000
+    },
+    [CodecMimeType.VP9]: {
+        low: 100000,
+        standard: 300000,
+        high: 1200000
+    }
+};
+
+/**
+ * The layers of the scalability modes supported for VP9 and AV1.
+ */
+export const SCALABILITY_MODES = {
+    [VideoEncoderScalabilityMode.L1T3]: {
+        keyFrameDependency: false,
+        spatialLayers: 1,
+        temporalLayers: 3
+    },
+    [VideoEncoderScalabilityMode.L2T3]: {
+        keyFrameDependency: false,
+        spatialLayers: 2,
+        temporalLayers: 3
+    },
+    [VideoEncoderScalabilityMode.L2T3_KEY]: {
+        keyFrameDependency: true,
+        spatialLayers: 2,
+        temporalLayers: 3
+    },
+    [VideoEncoderScalabilityMode.L3T3]: {
+        keyFrameDependency: false,
+        spatialLayers: 3,
+        temporalLayers: 3
+    },
+    [VideoEncoderScalabilityMode.L3T3_KEY]: {
+        keyFrameDependency: true,
+        spatialLayers: 3,
+        temporalLayers: 3
+    }
+};
+
+/**
+ * The spatial layers of a SVC stream from the lowest resolution, they match the resolutions of the simulcast streams.
+ */
+const SVC_SPATIAL_LAYERS = [
+    {
+        bitrate: 'low',
+        scaleResolutionDownBy: LD_SCALE_FACTOR
+    },
+    {
+        bitrate: 'standard',
+        scaleResolutionDownBy: SD_SCALE_FACTOR
+    },
+    {
+        bitrate: 'high',
+        scaleResolutionDownBy: HD_SCALE_FACTOR
+    }
+];
+
+/**
+ * Returns the max bitrates of a SVC stream by the highest resolution it includes: the bitrates of the spatial layers
+ * included in the stream add up.
+ *
+ * @param {Object} codecBitrates - The bitrates of the layers of the codec, by resolution: low, standard and high.
+ * @param {string} scalabilityMode - The scalability mode of the stream, see {@link SCALABILITY_MODES}.
+ * @returns {Object} The max bitrates of the stream when its highest resolution is low, standard or high.
+ */
+export function getSVCBitrates(codecBitrates, scalabilityMode) {
+    const { spatialLayers } = SCALABILITY_MODES[scalabilityMode];
+    const bitrates = {};
+
+    SVC_SPATIAL_LAYERS.forEach((layer, idx) => {
+        bitrates[layer.bitrate] = SVC_SPATIAL_LAYERS.slice(Math.max(0, idx + 1 - spatialLayers), idx + 1)
+            .reduce((sum, { bitrate }) => sum + codecBitrates[bitrate], 0);
+    });
+
+    return bitrates;
+}
+
+/**
+ * Returns the scalability mode sending less spatial layers than the given mode, the other properties of the mode
+ * being kept.
+ *
+ * @param {string} scalabilityMode - The scalability mode, see {@link SCALABILITY_MODES}.
+ * @param {number} spatialLayers - The number of spatial layers to be sent.
+ * @returns {string}
+ */
+export function reduceScalabilityMode(scalabilityMode, spatialLayers) {
+    const mode = SCALABILITY_MODES[scalabilityMode];
+
+    if (spatialLayers >= mode.spatialLayers) {
+        return scalabilityMode;
+    }
+
+    return Object.keys(SCALABILITY_MODES).find(name => {
+        const { keyFrameDependency, temporalLayers } = SCALABILITY_MODES[name];
+
+        return SCALABILITY_MODES[name].spatialLayers === spatialLayers
+            && temporalLayers === mode.temporalLayers
+
+            // The key frame dependency is meaningless for a single spatial layer.
+            && (spatialLayers === 1 || keyFrameDependency === mode.keyFrameDependency);
+    });
+}
+
+/**
+ * Checks whether the browser can encode a codec with a scalability mode. The browsers which support the scalability
+ * mode API without listing the supported modes in the capabilities are assumed to support them all.
+ *
+ * @param {string} codec - The codec mime type.
+ * @param {string} scalabilityMode - The scalability mode.
+ * @returns {boolean}
+ */
+function isScalabilityModeSupported(codec, scalabilityMode) {
+    if (!browser.supportsScalabilityModeAPI()) {
+        return false;
+    }
+
+    const capabilities = RTCRtpSender.getCapabilities?.(MediaType.VIDEO)?.codecs || [];
+    const codecCapabilities = capabilities.filter(
+        caps => caps.mimeType.toLowerCase() === `${MediaType.VIDEO}/${codec}`);
+
+    return codecCapabilities.length > 0
+        && codecCapabilities.some(caps => !caps.scalabilityModes || caps.scalabilityModes.includes(scalabilityMode));
+}
+
 /**
  * Handles track related operations on TraceablePeerConnection when browser is
  * running in unified plan mode.
@@ -79,6 +215,12 @@ export class TPCUtils {
      */
     _getStreamEncodings(localTrack) {
         if (this.pc.isSimulcastOn() && localTrack.isVideoTrack()) {
+            const scalabilityMode = this.getScalabilityMode();
+
+            if (scalabilityMode) {
+                return this._getSVCStreamEncodings(scalabilityMode);
+            }
+
             return this.localStreamEncodingsConfig;
         }
 
@@ -90,6 +232,102 @@ export class TPCUtils {
             : [ { active: true } ];
     }
 
+    /**
+     * Obtains the stream encodings for sending all the layers in a single SVC stream: only the first encoding is
+     * active, at the highest resolution, the others are kept for switching back to simulcast as the number of
+     * encodings of a sender cannot change.
+     *
+     * @param {string} scalabilityMode - The scalability mode of the stream.
+     * @returns {Array<Object>}
+     * @private
+     */
+    _getSVCStreamEncodings(scalabilityMode) {
+        const bitrates = getSVCBitrates(this.getCodecBitrates(), scalabilityMode);
+
+        return this.localStreamEncodingsConfig.map((encoding, idx) => {
+            if (idx) {
+                return {
+                    ...encoding,
+                    active: false
+                };
+            }
+
+            return {
+                active: true,
+                maxBitrate: bitrates.high,
+                rid: encoding.rid,
+                scalabilityMode,
+                scaleResolutionDownBy: HD_SCALE_FACTOR
+            };
+        });
+    }
+
+    /**
+     * Returns the max bitrates of the layers of a codec, configured with the codec name as key of
+     * <tt>videoQuality.maxBitratesVideo</tt> in config.js, e.g. <tt>VP9</tt>.
+     *
+     * @param {CodecMimeType} [codec] - The codec, the codec in use by default.
+     * @returns {Object} The bitrates by resolution: low, standard and high.
+     */
+    getCodecBitrates(codec = this.pc.getConfiguredVideoCodec()) {
+        return this.videoBitrates[codec?.toUpperCase()] || SVC_CODEC_BITRATES[codec] || this.videoBitrates;
+    }
+
+    /**
+     * Returns the scalability mode used for sending video with a codec, configured with the codec name as key of
+     * <tt>videoQuality.scalabilityModes</tt> in config.js, e.g. <tt>{ VP9: 'L3T3_KEY' }</tt>. SVC is used for VP9 and
+     * AV1 on the connection to the bridge, which forwards the layers of the single stream, and when the browser
+     * supports the mode. The simulcast streams are sent otherwise.
+     *
+     * @param {CodecMimeType} [codec] - The codec, the codec in use by default.
+     * @returns {string|undefined} The scalability mode, undefined for simulcast.
+     */
+    getScalabilityMode(codec = this.pc.getConfiguredVideoCodec()) {
+        const scalabilityMode = this.pc.options?.videoQuality?.scalabilityModes?.[codec?.toUpperCase()];
+
+        if (!scalabilityMode
+            || !SCALABILITY_MODES[scalabilityMode]
+            || (codec !== CodecMimeType.VP9 && codec !== CodecMimeType.AV1)
+            || !this.pc.isSimulcastOn()) {
+            return undefined;
+        }
+
+        if (!isScalabilityModeSupported(codec, scalabilityMode)) {
+            logger.debug(`${this.pc} ${scalabilityMode} is not supported for ${codec}, using simulcast`);
+
+            return undefined;
+        }
+
+        return scalabilityMode;
+    }
+
+    /**
+     * Returns the index in {@link SVC_SPATIAL_LAYERS} of the highest spatial layer of the SVC stream for the frame
+     * height requested for the send stream. The desktop tracks are sent at their full resolution.
+     *
+     * @param {JitsiLocalTrack} localVideoTrack - The local video track.
+     * @param {number} [newHeight] - The resolution requested for the video track, all the layers when not set.
+     * @returns {number}
+     * @private
+     */
+    _getSVCHighestSpatialLayer(localVideoTrack, newHeight) {
+        const highestLayer = SVC_SPATIAL_LAYERS.length - 1;
+
+        if (typeof newHeight !== 'number' || localVideoTrack.getVideoType() === VideoType.DESKTOP) {
+            return highestLayer;
+        }
+
+        const { height } = localVideoTrack.getTrack().getSettings();
+        let layer = highestLayer;
+
+        // Keep the lowest layer, as the LD simulcast stream, when its resolution is higher than the requested one.
+        while (layer > 0 && height / SVC_SPATIAL_LAYERS[layer].scaleResolutionDownBy > newHeight) {
+            layer--;
+        }
+
+        return layer;
+    }
+
     /**
      * Ensures that the ssrcs associated with a FID ssrc-group appear in the correct order, i.e.,
      * the primary ssrc first and the secondary rtx ssrc later. This is important for unified
@@ -349,6 +587,11 @@ export class TPCUtils {
      * @returns {Array<boolean>}
      */
      calculateEncodingsActiveState(localVideoTrack, newHeight) {
+        if (this.getScalabilityMode()) {
+            // The SVC stream is sent on the first encoding.
+            return this.localStreamEncodingsConfig.map((encoding, idx) => !idx && newHeight > 0);
+        }
+
         const localTrack = localVideoTrack.getTrack();
         const { height } = localTrack.getSettings();
         const encodingsState = this.localStreamEncodingsConfig
@@ -391,9 +634,11 @@ export class TPCUtils {
      * type and other considerations associated with screenshare.
      *
      * @param {JitsiLocalTrack} localVideoTrack The local video track.
+     * @param {number} [newHeight] The resolution requested for the video track, it determines the layers included in
+     * the SVC stream.
      * @returns {Array<number>}
      */
-    calculateEncodingsBitrates(localVideoTrack) {
+    calculateEncodingsBitrates(localVideoTrack, newHeight) {
         const videoType = localVideoTrack.getVideoType();
         const desktopShareBitrate = this.pc.options?.videoQuality?.desktopBitrate || DESKTOP_SHARE_RATE;
         const presenterEnabled = localVideoTrack._originalStream
@@ -416,10 +661,66 @@ export class TPCUtils {
 
             return bitrate;
         });
+        const scalabilityMode = this.getScalabilityMode();
+
+        // The SVC stream carries all the layers, its bitrate depends on the layers included.
+        if (scalabilityMode && !(this.pc.isSharingLowFpsScreen() && !browser.isWebKitBased())) {
+            const layer = SVC_SPATIAL_LAYERS[this._getSVCHighestSpatialLayer(localVideoTrack, newHeight)];
+
+            encodingsBitrates[0] = getSVCBitrates(this.getCodecBitrates(), scalabilityMode)[layer.bitrate];
+        }
 
         return encodingsBitrates;
     }
 
+    /**
+     * Returns the scalability modes that need to be configured on the encodings for the frame height requested for
+     * the send stream, the spatial layers above the requested resolution are not sent.
+     *
+     * @param {JitsiLocalTrack} localVideoTrack The local video track.
+     * @param {number} [newHeight] The resolution requested for the video track.
+     * @returns {Array<string|undefined>|undefined} The scalability modes, undefined when simulcast is used.
+     */
+    calculateEncodingsScalabilityMode(localVideoTrack, newHeight) {
+        const scalabilityMode = this.getScalabilityMode();
+
+        if (!scalabilityMode) {
+            return undefined;
+        }
+
+        const spatialLayers = this._getSVCHighestSpatialLayer(localVideoTrack, newHeight) + 1;
+
+        return this.localStreamEncodingsConfig
+            .map((encoding, idx) => {
+                if (idx) {
+                    return undefined;
+                }
+
+                return reduceScalabilityMode(scalabilityMode, spatialLayers);
+            });
+    }
+
+    /**
+     * Returns the factors by which the resolution of the encodings need to be scaled down for the frame height
+     * requested for the send stream. The SVC stream is scaled down to the resolution of its highest spatial layer,
+     * the simulcast streams keep the initial configuration.
+     *
+     * @param {JitsiLocalTrack} localVideoTrack The local video track.
+     * @param {number} [newHeight] The resolution requested for the video track.
+     * @returns {Array<number>}
+     */
+    calculateEncodingsScaleFactor(localVideoTrack, newHeight) {
+        const scaleFactors = this.localStreamEncodingsConfig.map(encoding => encoding.scaleResolutionDownBy);
+
+        if (this.getScalabilityMode()) {
+            const layer = SVC_SPATIAL_LAYERS[this._getSVCHighestSpatialLayer(localVideoTrack, newHeight)];
+
+            scaleFactors[0] = layer.scaleResolutionDownBy;
+        }
+
+        return scaleFactors;
+    }
+
     /**
      * Replaces the existing track on a RTCRtpSender with the given track.
      * @param {JitsiLocalTrack} oldTrack - existing track on the sender that needs to be removed.
@@ -475,6 +776,24 @@ export class TPCUtils {
             .then(() => Promise.resolve(transceiver));
     }
 
+    /**
+     * Replaces the MediaStreamTrack sent for a local track on its RTCRtpSender after the track has switched to
+     * another MediaStreamTrack, e.g. because its effects have changed.
+     * @param {JitsiLocalTrack} localTrack - the local track.
+     * @param {MediaStreamTrack} previousTrack - the MediaStreamTrack the local track was using until now.
+     * @returns {Promise<void>} - resolved when done.
+     */
+    replaceTrackSource(localTrack, previousTrack) {
+        const transceiver = this.pc.peerconnection.getTransceivers().find(t => t.sender.track === previousTrack);
+
+        if (!transceiver) {
+            return Promise.reject(new Error('replace track source failed'));
+        }
+        logger.debug(`${this.pc} Replacing the source of ${localTrack}`);
+
+        return transceiver.sender.replaceTrack(localTrack.getTrack());
+    }
+
     /**
     * Enables/disables audio transmission on the peer connection. When
     * disabled the audio transceiver direction will be set to 'inactive'
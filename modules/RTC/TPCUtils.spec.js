@@ -0,0 +1,49 @@
+import VideoEncoderScalabilityMode from '../../service/RTC/VideoEncoderScalabilityMode';
+
+import { getSVCBitrates, reduceScalabilityMode } from './TPCUtils';
+
+describe('TPCUtils', () => {
+    describe('getSVCBitrates', () => {
+        const codecBitrates = {
+            low: 100000,
+            standard: 300000,
+            high: 1200000
+        };
+
+        it('adds up the bitrates of the spatial layers', () => {
+            expect(getSVCBitrates(codecBitrates, VideoEncoderScalabilityMode.L3T3_KEY)).toEqual({
+                low: 100000,
+                standard: 400000,
+                high: 1600000
+            });
+        });
+
+        it('includes the spatial layers of the mode only', () => {
+            expect(getSVCBitrates(codecBitrates, VideoEncoderScalabilityMode.L2T3)).toEqual({
+                low: 100000,
+                standard: 400000,
+                high: 1500000
+            });
+            expect(getSVCBitrates(codecBitrates, VideoEncoderScalabilityMode.L1T3)).toEqual(codecBitrates);
+        });
+    });
+
+    describe('reduceScalabilityMode', () => {
+        it('keeps the key frame dependency', () => {
+            expect(reduceScalabilityMode(VideoEncoderScalabilityMode.L3T3_KEY, 2))
+                .toBe(VideoEncoderScalabilityMode.L2T3_KEY);
+            expect(reduceScalabilityMode(VideoEncoderScalabilityMode.L3T3, 2))
+                .toBe(VideoEncoderScalabilityMode.L2T3);
+        });
+
+        it('reduces to a single spatial layer', () => {
+            expect(reduceScalabilityMode(VideoEncoderScalabilityMode.L3T3_KEY, 1))
+                .toBe(VideoEncoderScalabilityMode.L1T3);
+        });
+
+        it('keeps the mode when it has less spatial layers', () => {
+            expect(reduceScalabilityMode(VideoEncoderScalabilityMode.L1T3, 3))
+                .toBe(VideoEncoderScalabilityMode.L1T3);
+        });
+    });
+});
@@ -351,6 +351,12 @@ export default function TraceablePeerConnection(
         disabledCodec = null;
     }
 
+    /**
+     * The codec disabled through config.js, it is not negotiated even when another codec is preferred with
+     * {@link setVideoCodecs}.
+     */
+    this._disabledCodec = disabledCodec;
+
     if (preferredCodec || disabledCodec) {
         // If both enable and disable are set for the same codec, disable setting will prevail.
         this.codecPreference = {
@@ -1669,10 +1675,14 @@ TraceablePeerConnection.prototype._mungeCodecOrder = function(description) {
             SDPUtil.stripCodec(mLine, this.codecPreference.mimeType, true /* high profile */);
         }
 
+        this._disabledCodec && SDPUtil.stripCodec(mLine, this._disabledCodec);
+
         // Set the max bitrate here on the SDP so that the configured max. bitrate is effective
         // as soon as the browser switches to VP9.
+        // With SVC the bitrate of the stream depends on the layers included, it is configured on the encodings.
         if (this.codecPreference.mimeType === CodecMimeType.VP9
-            && this.getConfiguredVideoCodec() === CodecMimeType.VP9) {
+            && this.getConfiguredVideoCodec() === CodecMimeType.VP9
+            && !this.tpcUtils.getScalabilityMode(CodecMimeType.VP9)) {
             const bitrates = this.tpcUtils.videoBitrates.VP9 || this.tpcUtils.videoBitrates;
             const hdBitrate = bitrates.high ? bitrates.high : HD_BITRATE;
             const limit = Math.floor((this._isSharingScreen() ? HD_BITRATE : hdBitrate) / 1000);
@@ -1700,6 +1710,28 @@ TraceablePeerConnection.prototype._mungeCodecOrder = function(description) {
     });
 };
 
+/**
+ * Sets the video codec to be preferred on the connection, the codec disabled
+ * through config.js keeps being stripped. The preference is applied by the
+ * next offer/answer.
+ *
+ * @param {CodecMimeType} preferredCodec - The codec to be preferred.
+ * @returns {void}
+ */
+TraceablePeerConnection.prototype.setVideoCodecs = function(preferredCodec) {
+    if (preferredCodec === this._disabledCodec) {
+        logger.warn(`${this} Cannot prefer the disabled codec ${preferredCodec}`);
+
+        return;
+    }
+
+    this.codecPreference = {
+        enable: true,
+        mediaType: MediaType.VIDEO,
+        mimeType: preferredCodec
+    };
+};
+
 /**
  * Checks if given track belongs to this peerconnection instance.
  *
@@ -2055,6 +2087,30 @@ TraceablePeerConnection.prototype.replaceTrack = function(oldTrack, newTrack) {
     return promiseChain.then(() => true);
 };
 
+/**
+ * Replaces the MediaStreamTrack sent for a local track after the track has switched to another MediaStreamTrack, e.g.
+ * because its effects have changed. The sources of the track do not change, so no renegotiation is needed. Supported
+ * with unified plan only.
+ * @param {JitsiLocalTrack} localTrack - The local track.
+ * @param {MediaStreamTrack} previousTrack - The MediaStreamTrack the local track was using until now.
+ * @returns {Promise} - Resolved when done.
+ */
+TraceablePeerConnection.prototype.replaceTrackSource = function(localTrack, previousTrack) {
+    if (!browser.usesUnifiedPlan()) {
+        return Promise.reject(new Error('Replacing the source of a track is supported with unified plan only'));
+    }
+
+    if (!this.localTracks.has(localTrack.rtcId)) {
+        logger.debug(`${this} replaceTrackSource: ${localTrack} is not sent on this peerconnection`);
+
+        return Promise.resolve();
+    }
+
+    this.trace('replaceTrackSource', localTrack.rtcId, previousTrack?.id);
+
+    return this.tpcUtils.replaceTrackSource(localTrack, previousTrack);
+};
+
 /**
  * Removes local track as part of the mute operation.
  * @param {JitsiLocalTrack} localTrack the local track to be remove as part of
@@ -2433,7 +2489,11 @@ TraceablePeerConnection.prototype.setMaxBitRate = function() {
         return Promise.resolve();
     }
 
-    if (this.isSimulcastOn()) {
+    if (this.isSimulcastOn() && this.tpcUtils.getScalabilityMode()) {
+        // The SVC stream is sent on the first encoding, its bitrate depends on the layers included.
+        parameters.encodings[0].maxBitrate
+            = this.tpcUtils.calculateEncodingsBitrates(localVideoTrack, this.senderVideoMaxHeight)[0];
+    } else if (this.isSimulcastOn()) {
         for (const encoding in parameters.encodings) {
             if (parameters.encodings.hasOwnProperty(encoding)) {
                 // On chromium, set a max bitrate of 500 Kbps for screenshare when
@@ -2595,7 +2655,9 @@ TraceablePeerConnection.prototype.setRemoteDescription = function(description) {
 
     // Calculate the encodings active state based on the resolution requested by the bridge.
     this.encodingsEnabledState = this.tpcUtils.calculateEncodingsActiveState(localVideoTrack, frameHeight);
-    const maxBitrates = this.tpcUtils.calculateEncodingsBitrates(localVideoTrack);
+    const maxBitrates = this.tpcUtils.calculateEncodingsBitrates(localVideoTrack, frameHeight);
+    const scalabilityModes = this.tpcUtils.calculateEncodingsScalabilityMode(localVideoTrack, frameHeight);
+    const scaleFactors = this.tpcUtils.calculateEncodingsScaleFactor(localVideoTrack, frameHeight);
     const videoType = localVideoTrack.getVideoType();
 
     if (this.isSimulcastOn()) {
@@ -2607,6 +2669,21 @@ TraceablePeerConnection.prototype.setRemoteDescription = function(description) {
                 // encodings.
                 browser.isFirefox() && (parameters.encodings[encoding].degradationPreference = preference);
 
+                // The layers of the SVC stream are sent on the first encoding, the resolution and the bitrate
+                // depend on the layers included.
+                if (scalabilityModes) {
+                    parameters.encodings[encoding].scalabilityMode = scalabilityModes[encoding];
+                    parameters.encodings[encoding].scaleResolutionDownBy = scaleFactors[encoding];
+                    parameters.encodings[encoding].maxBitrate = maxBitrates[encoding];
+                    continue; // eslint-disable-line no-continue
+                }
+
+                // Restore the simulcast encodings when switching back from SVC.
+                if (parameters.encodings[encoding].scalabilityMode) {
+                    parameters.encodings[encoding].scalabilityMode = undefined;
+                    parameters.encodings[encoding].scaleResolutionDownBy = scaleFactors[encoding];
+                }
+
                 // Max bitrates are configured on the encodings only for VP8.
                 if (this.getConfiguredVideoCodec() === CodecMimeType.VP8
                     && (this.options?.videoQuality?.maxBitratesVideo
@@ -3019,6 +3096,11 @@ TraceablePeerConnection.prototype._createOfferOrAnswer = function(
                 capabilities.sort(caps => {
                     return caps.mimeType.toLowerCase() === `${MediaType.VIDEO}/${mimeType}` ? -1 : 1;
                 });
+
+                if (this._disabledCodec) {
+                    capabilities = capabilities
+                        .filter(caps => caps.mimeType.toLowerCase() !== `${MediaType.VIDEO}/${this._disabledCodec}`);
+                }
             } else if (capabilities && mimeType) {
                 capabilities = capabilities
                     .filter(caps => caps.mimeType.toLowerCase() !== `${MediaType.VIDEO}/${mimeType}`);
@@ -129,6 +129,15 @@ export default class BrowserCapabilities extends BrowserDetection {
             && !this.isSafari();
     }
 
+    /**
+     * Checks if the current browser supports the scalability mode of the video encodings, which is used for sending
+     * the spatial and temporal layers of a VP9 or AV1 stream (SVC).
+     * @returns {boolean}
+     */
+    supportsScalabilityModeAPI() {
+        return this.usesUnifiedPlan() && this.isChromiumBased() && this._getChromiumBasedVersion() >= 111;
+    }
+
     /**
      * Checks if the current browser support the device change event.
      * @return {boolean}
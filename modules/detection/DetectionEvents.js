@@ -47,6 +47,7 @@ export const VAD_REPORT_PUBLISHED = 'vad-report-published';
  * @property {Date}   timestamp - Exact time at which processed PCM sample was generated.
  * @property {number} score - VAD score on a scale from 0 to 1 (i.e. 0.7)
  * @property {Float32Array} pcmData - Raw PCM data with which the VAD score was calculated.
+ * @property {number} audioLevel - Average level of the positive PCM samples, calculated on the audio thread.
  * @property {string} deviceId - Device id of the associated track.
  */
 export const VAD_SCORE_PUBLISHED = 'detection.vad_score_published';
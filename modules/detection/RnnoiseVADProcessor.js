@@ -0,0 +1,70 @@
+import { compileWasm, getRnnoiseWasmUrl } from '../webaudio/AudioWorkletUtils';
+import { RNNOISE_FRAME_LENGTH, RNNOISE_SAMPLE_RATE } from '../webaudio/worklets/NoiseSuppressor';
+import { VAD_SAMPLER_PROCESSOR } from '../webaudio/worklets/ProcessorNames';
+
+/**
+ * VAD processor for {@link TrackVADEmitter} which calculates the VAD scores
+ * with the RNNoise WASM module of @jitsi/rnnoise-wasm on the audio thread, in
+ * the VAD sampler of the library. It is the VAD processor used by default.
+ */
+export default class RnnoiseVADProcessor {
+    /**
+     * Constructor, use {@link RnnoiseVADProcessor.create} which compiles the
+     * WASM module.
+     *
+     * @param {WebAssembly.Module} wasmModule - The compiled RNNoise module.
+     * @param {string} [workletsUrl] - The URL of lib-jitsi-meet.audio-worklets.js.
+     */
+    constructor(wasmModule, workletsUrl) {
+        this._wasmModule = wasmModule;
+        this._workletsUrl = workletsUrl;
+    }
+
+    /**
+     * Factory method that compiles the RNNoise WASM module.
+     *
+     * @param {Object} [options] - The options.
+     * @param {string} [options.wasmUrl] - The URL of lib-jitsi-meet.rnnoise.wasm, when it is not served next to the
+     * library.
+     * @param {string} [options.workletsUrl] - The URL of lib-jitsi-meet.audio-worklets.js, when it is not served next
+     * to the library.
+     * @returns {Promise<RnnoiseVADProcessor>}
+     */
+    static create({ wasmUrl, workletsUrl } = {}) {
+        return compileWasm(wasmUrl || getRnnoiseWasmUrl())
+            .then(wasmModule => new RnnoiseVADProcessor(wasmModule, workletsUrl));
+    }
+
+    /**
+     * Returns the number of samples of the frames scored by RNNoise.
+     *
+     * @returns {number}
+     */
+    getSampleLength() {
+        return RNNOISE_FRAME_LENGTH;
+    }
+
+    /**
+     * Returns the sample rate at which RNNoise operates.
+     *
+     * @returns {number}
+     */
+    getRequiredPCMFrequency() {
+        return RNNOISE_SAMPLE_RATE;
+    }
+
+    /**
+     * Returns the VAD sampler of the library, which scores the frames with the
+     * RNNoise module given in its options.
+     *
+     * @returns {Object} The <tt>name</tt> of the processor, its <tt>processorOptions</tt> and the
+     * <tt>workletsUrl</tt> of the script registering it.
+     */
+    getAudioWorkletProcessor() {
+        return {
+            name: VAD_SAMPLER_PROCESSOR,
+            processorOptions: { wasmModule: this._wasmModule },
+            workletsUrl: this._workletsUrl
+        };
+    }
+}
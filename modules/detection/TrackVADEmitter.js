@@ -1,15 +1,26 @@
 import EventEmitter from 'events';
+import { getLogger } from 'jitsi-meet-logger';
 
 import RTC from '../RTC/RTC';
+import { calculateAverage, filterPositiveValues } from '../util/MathUtil';
+import { loadAudioWorklets } from '../webaudio/AudioWorkletUtils';
 import { createAudioContext } from '../webaudio/WebAudioUtils';
+import PcmFramer from '../webaudio/worklets/PcmFramer';
+import { VAD_SAMPLER_PROCESSOR } from '../webaudio/worklets/ProcessorNames';
 
 import { VAD_SCORE_PUBLISHED } from './DetectionEvents';
+import RnnoiseVADProcessor from './RnnoiseVADProcessor';
+
+const logger = getLogger(__filename);
 
 /**
- * Connects an audio JitsiLocalTrack to a vadProcessor using WebAudio ScriptProcessorNode.
- * Once an object is created audio from the local track flows through the ScriptProcessorNode as raw PCM.
- * The PCM is processed by the injected vad module and a voice activity detection score is obtained, the
- * score is published to consumers via an EventEmitter.
+ * Connects an audio JitsiLocalTrack to a vadProcessor using a WebAudio AudioWorklet.
+ * Once an object is created audio from the local track flows through an AudioWorkletNode which splits it, on the audio
+ * thread, in PCM frames of the size expected by the vadProcessor. The frames are processed by the injected vad module
+ * and a voice activity detection score is obtained, the score is published to consumers via an EventEmitter.
+ * When the audio processors of the library cannot be loaded, i.e. AudioWorklet is not supported, the audio is sampled
+ * on the main thread with a ScriptProcessorNode, provided that the vadProcessor implements
+ * <tt>calculateAudioFrameVAD</tt>.
  * After work is done with this service the destroy method needs to be called for a proper cleanup.
  *
  * @fires VAD_SCORE_PUBLISHED
@@ -18,18 +29,18 @@ export default class TrackVADEmitter extends EventEmitter {
     /**
      * Constructor.
      *
-     * @param {number} procNodeSampleRate - Sample rate of the ScriptProcessorNode. Possible values  256, 512, 1024,
-     *  2048, 4096, 8192, 16384. Passing other values will default to closes neighbor.
+     * @param {number} batchLength - The minimum number of PCM samples sent at a time from the audio thread, i.e.
+     * higher values mean less calls with longer processing times.
      * @param {Object} vadProcessor - VAD processor that allows us to calculate VAD score for PCM samples.
      * @param {JitsiLocalTrack} jitsiLocalTrack - JitsiLocalTrack corresponding to micDeviceId.
      */
-    constructor(procNodeSampleRate, vadProcessor, jitsiLocalTrack) {
+    constructor(batchLength, vadProcessor, jitsiLocalTrack) {
         super();
 
         /**
-         * Sample rate of the ScriptProcessorNode.
+         * The minimum number of PCM samples sent at a time from the audio thread.
          */
-        this._procNodeSampleRate = procNodeSampleRate;
+        this._batchLength = batchLength;
 
         /**
          * VAD Processor that allows us to calculate VAD score for PCM samples
@@ -41,111 +52,203 @@ export default class TrackVADEmitter extends EventEmitter {
          */
         this._localTrack = jitsiLocalTrack;
 
-        /**
-         * Buffer to hold residue PCM resulting after a ScriptProcessorNode callback
-         */
-        this._bufferResidue = new Float32Array([]);
-
         /**
          * The AudioContext instance with the preferred sample frequency.
          */
         this._audioContext = createAudioContext({ sampleRate: vadProcessor.getRequiredPCMFrequency() });
 
         /**
-         * PCM Sample size expected by the VAD Processor instance. We cache it here as this value is used extensively,
-         * saves a couple of function calls.
+         * PCM Sample size expected by the VAD Processor instance.
          */
         this._vadSampleSize = vadProcessor.getSampleLength();
 
         /**
-         * Event listener function that will be called by the ScriptProcessNode with raw PCM data, depending on the set
-         * sample rate.
+         * Event listener function that will be called by the AudioWorkletNode with batches of PCM frames.
          */
-        this._onAudioProcess = this._onAudioProcess.bind(this);
+        this._onProcessorMessage = this._onProcessorMessage.bind(this);
 
-        this._initializeAudioContext();
+        /**
+         * Event listener function that will be called by the ScriptProcessorNode, when the AudioWorklet could not be
+         * used, with raw PCM data.
+         */
+        this._onAudioProcess = this._onAudioProcess.bind(this);
     }
 
     /**
      * Factory method that sets up all the necessary components for the creation of the TrackVADEmitter.
      *
      * @param {string} micDeviceId - Target microphone device id.
-     * @param {number} procNodeSampleRate - Sample rate of the proc node.
-     * @param {Object} vadProcessor -Module that calculates the voice activity score for a certain audio PCM sample.
-     * The processor needs to implement the following functions:
+     * @param {number} batchLength - The minimum number of PCM samples sent at a time from the audio thread.
+     * @param {Object} [vadProcessor] -Module that calculates the voice activity score for a certain audio PCM sample,
+     * a {@link RnnoiseVADProcessor} when it is not given. The processor needs to implement the following functions:
      * - <tt>getSampleLength()</tt> - Returns the sample size accepted by getSampleLength.
      * - <tt>getRequiredPCMFrequency()</tt> - Returns the PCM frequency at which the processor operates.
      * - <tt>calculateAudioFrameVAD(pcmSample)</tt> - Process a 32 float pcm sample of getSampleLength size.
+     * Processors which calculate the score on the audio thread implement instead of <tt>calculateAudioFrameVAD</tt>:
+     * - <tt>getAudioWorkletProcessor()</tt> - Returns the <tt>name</tt> of their AudioWorkletProcessor, its
+     * <tt>processorOptions</tt> and the <tt>workletsUrl</tt> of the script registering it. The processor receives the
+     * <tt>frameLength</tt> and <tt>batchLength</tt> in its options and follows the protocol of the VAD sampler of the
+     * library, adding the <tt>score</tt> of each frame. They can also implement <tt>calculateAudioFrameVAD</tt>, which
+     * is used when the AudioWorklet is not available.
      * @returns {Promise<TrackVADEmitter>} - Promise resolving in a new instance of TrackVADEmitter.
      */
-    static create(micDeviceId, procNodeSampleRate, vadProcessor) {
-        return RTC.obtainAudioAndVideoPermissions({
-            devices: [ 'audio' ],
-            micDeviceId
-        }).then(localTrack => {
+    static create(micDeviceId, batchLength, vadProcessor) {
+        const vadProcessorPromise = vadProcessor ? Promise.resolve(vadProcessor) : RnnoiseVADProcessor.create();
+
+        return Promise.all([
+            vadProcessorPromise,
+            RTC.obtainAudioAndVideoPermissions({
+                devices: [ 'audio' ],
+                micDeviceId
+            })
+        ]).then(([ processor, localTrack ]) => {
             // We only expect one audio track when specifying a device id.
             if (!localTrack[0]) {
                 throw new Error(`Failed to create jitsi local track for device id: ${micDeviceId}`);
             }
 
-            return new TrackVADEmitter(procNodeSampleRate, vadProcessor, localTrack[0]);
+            const emitter = new TrackVADEmitter(batchLength, processor, localTrack[0]);
 
-            // We have no exception handling at this point as there is nothing to clean up, the vadProcessor
-            // life cycle is handled by whoever created this instance.
+            // The vadProcessor life cycle is handled by whoever created this instance, only the track and the
+            // AudioContext need to be cleaned up.
+            return emitter._initializeAudioContext()
+                .then(() => emitter)
+                .catch(error => {
+                    emitter.destroy();
+                    throw error;
+                });
         });
     }
 
     /**
-     * Sets up the audio graph in the AudioContext.
+     * Loads the audio processor and sets up the audio graph in the AudioContext.
      *
-     * @returns {void}
+     * @returns {Promise} Resolved when the audio graph is ready.
      */
     _initializeAudioContext() {
+        const { name, processorOptions, workletsUrl } = this._getAudioWorkletProcessor();
+
         this._audioSource = this._audioContext.createMediaStreamSource(this._localTrack.stream);
 
-        // TODO AudioProcessingNode is deprecated in the web audio specifications and the recommended replacement
-        // is audio worklet, however at the point of implementation AudioProcessingNode was still de de facto way
-        // of achieving this functionality and supported in all major browsers as opposed to audio worklet which
-        // was only available in Chrome. This todo is just a reminder that we should replace AudioProcessingNode
-        // with audio worklet when it's mature enough and has more browser support.
-        // We don't need stereo for determining the VAD score so we create a single channel processing node.
-        this._audioProcessingNode = this._audioContext.createScriptProcessor(this._procNodeSampleRate, 1, 1);
+        return loadAudioWorklets(this._audioContext, workletsUrl).then(() => {
+            // We don't need stereo for determining the VAD score so we create a single channel processing node.
+            this._audioProcessingNode = new AudioWorkletNode(this._audioContext, name, {
+                channelCount: 1,
+                channelCountMode: 'explicit',
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                outputChannelCount: [ 1 ],
+                processorOptions: {
+                    ...processorOptions,
+                    batchLength: this._batchLength,
+                    frameLength: this._vadSampleSize
+                }
+            });
+        })
+            .catch(error => {
+                if (typeof this._vadProcessor.calculateAudioFrameVAD !== 'function') {
+                    throw error;
+                }
+
+                logger.warn('Failed to load the VAD sampler, falling back to a ScriptProcessorNode', error);
+                this._initializeScriptProcessor();
+            });
     }
 
     /**
-     * ScriptProcessorNode callback, the input parameters contains the PCM audio that is then sent to rnnoise.
-     * Rnnoise only accepts PCM samples of 480 bytes whereas the webaudio processor node can't sample at a multiple
-     * of 480 thus after each _onAudioProcess callback there will remain and PCM buffer residue equal
-     * to _procNodeSampleRate / 480 which will be added to the next sample buffer and so on.\
+     * Sets up the deprecated ScriptProcessorNode which samples the audio on the main thread, for the browsers without
+     * AudioWorklet.
      *
+     * @returns {void}
+     */
+    _initializeScriptProcessor() {
+        /**
+         * Splits the audio of the ScriptProcessorNode in frames of the size expected by the vadProcessor.
+         */
+        this._framer = new PcmFramer(this._vadSampleSize, pcmData => this._framerFrames.push({
+            audioLevel: calculateAverage(filterPositiveValues(pcmData)),
+            pcmData
+        }));
+        this._framerFrames = [];
+
+        // The buffer size of a ScriptProcessorNode is a power of 2 between 256 and 16384.
+        this._audioProcessingNode = this._audioContext.createScriptProcessor(this._batchLength, 1, 1);
+    }
+
+    /**
+     * Returns the AudioWorkletProcessor sampling the audio for the VAD processor.
+     *
+     * @returns {Object} The <tt>name</tt> of the processor, its <tt>processorOptions</tt> and the
+     * <tt>workletsUrl</tt> of the script registering it.
+     */
+    _getAudioWorkletProcessor() {
+        if (typeof this._vadProcessor.getAudioWorkletProcessor === 'function') {
+            return this._vadProcessor.getAudioWorkletProcessor();
+        }
+
+        return { name: VAD_SAMPLER_PROCESSOR };
+    }
+
+    /**
+     * AudioWorkletNode message handler, the messages contain batches of PCM frames of the size expected by the
+     * vadProcessor, along with their audio level and, when it is calculated on the audio thread, their VAD score.
+     *
+     * @param {MessageEvent} event - The message.
+     * @returns {void}
+     * @fires VAD_SCORE_PUBLISHED
+     */
+    _onProcessorMessage({ data }) {
+        switch (data.type) {
+        case 'error':
+            logger.error(`The VAD sampler failed: ${data.message}`);
+            break;
+        case 'frames':
+            this._publishScores(data.frames);
+            break;
+        }
+    }
+
+    /**
+     * ScriptProcessorNode callback, the input parameters contains the PCM audio which is split in frames of the size
+     * expected by the vadProcessor. The remaining samples are added to the frame of the next callback.
      *
      * @param {AudioProcessingEvent} audioEvent - Audio event.
      * @returns {void}
      * @fires VAD_SCORE_PUBLISHED
      */
     _onAudioProcess(audioEvent) {
-        // Prepend the residue PCM buffer from the previous process callback.
-        const inData = audioEvent.inputBuffer.getChannelData(0);
-        const completeInData = [ ...this._bufferResidue, ...inData ];
-        const sampleTimestamp = Date.now();
+        this._framer.push(audioEvent.inputBuffer.getChannelData(0));
 
-        let i = 0;
+        const frames = this._framerFrames;
 
-        for (; i + this._vadSampleSize < completeInData.length; i += this._vadSampleSize) {
-            const pcmSample = completeInData.slice(i, i + this._vadSampleSize);
+        this._framerFrames = [];
+        this._publishScores(frames);
+    }
 
-            // The VAD processor might change the values inside the array so we make a copy.
-            const vadScore = this._vadProcessor.calculateAudioFrameVAD(pcmSample.slice());
+    /**
+     * Publishes the VAD scores of PCM frames, calculated by the vadProcessor when they were not calculated on the
+     * audio thread.
+     *
+     * @param {Array<Object>} frames - The <tt>pcmData</tt> of the frames, with their <tt>audioLevel</tt> and their
+     * <tt>score</tt> if it is known.
+     * @returns {void}
+     * @fires VAD_SCORE_PUBLISHED
+     */
+    _publishScores(frames) {
+        const timestamp = Date.now();
+        const deviceId = this._localTrack.getDeviceId();
 
+        for (const { audioLevel, pcmData, score } of frames) {
             this.emit(VAD_SCORE_PUBLISHED, {
-                timestamp: sampleTimestamp,
-                score: vadScore,
-                pcmData: pcmSample,
-                deviceId: this._localTrack.getDeviceId()
+                audioLevel,
+                deviceId,
+                pcmData,
+
+                // The VAD processor might change the values inside the array so we make a copy.
+                score: typeof score === 'number' ? score : this._vadProcessor.calculateAudioFrameVAD(pcmData.slice()),
+                timestamp
             });
         }
-
-        this._bufferResidue = completeInData.slice(i, completeInData.length);
     }
 
     /**
@@ -154,7 +257,11 @@ export default class TrackVADEmitter extends EventEmitter {
      * @returns {void}
      */
     _connectAudioGraph() {
-        this._audioProcessingNode.onaudioprocess = this._onAudioProcess;
+        if (this._framer) {
+            this._audioProcessingNode.onaudioprocess = this._onAudioProcess;
+        } else {
+            this._audioProcessingNode.port.onmessage = this._onProcessorMessage;
+        }
         this._audioSource.connect(this._audioProcessingNode);
         this._audioProcessingNode.connect(this._audioContext.destination);
     }
@@ -165,10 +272,21 @@ export default class TrackVADEmitter extends EventEmitter {
      * @returns {void}
      */
     _disconnectAudioGraph() {
-        // Even thought we disconnect the processing node it seems that some callbacks remain queued,
-        // resulting in calls with and uninitialized context.
-        // eslint-disable-next-line no-empty-function
-        this._audioProcessingNode.onaudioprocess = () => {};
+        if (!this._audioProcessingNode) {
+            return;
+        }
+
+        if (this._framer) {
+            // Even thought we disconnect the processing node it seems that some callbacks remain queued,
+            // resulting in calls with and uninitialized context.
+            // eslint-disable-next-line no-empty-function
+            this._audioProcessingNode.onaudioprocess = () => {};
+            this._framer.reset();
+        } else {
+            // Batches posted before the node was disconnected may still be queued.
+            this._audioProcessingNode.port.onmessage = null;
+            this._audioProcessingNode.port.postMessage({ type: 'reset' });
+        }
         this._audioProcessingNode.disconnect();
         this._audioSource.disconnect();
     }
@@ -180,6 +298,8 @@ export default class TrackVADEmitter extends EventEmitter {
      */
     _cleanupResources() {
         this._disconnectAudioGraph();
+        this._audioProcessingNode && !this._framer && this._audioProcessingNode.port.postMessage({ type: 'destroy' });
+        this._audioContext && this._audioContext.close();
         this._localTrack.stopStream();
     }
 
@@ -218,7 +338,6 @@ export default class TrackVADEmitter extends EventEmitter {
      */
     stop() {
         this._disconnectAudioGraph();
-        this._bufferResidue = [];
     }
 
     /**
@@ -0,0 +1,116 @@
+import { VAD_SCORE_PUBLISHED } from './DetectionEvents';
+import TrackVADEmitter from './TrackVADEmitter';
+
+/**
+ * Mock AudioContext without AudioWorklet.
+ *
+ * @constructor
+ */
+function MockAudioContext() {
+    this.destination = {};
+    this.close = jasmine.createSpy('close');
+    this.createMediaStreamSource = () => {
+        return {
+            connect: jasmine.createSpy('connect'),
+            disconnect: jasmine.createSpy('disconnect')
+        };
+    };
+    this.createScriptProcessor = jasmine.createSpy('createScriptProcessor').and.callFake(() => {
+        return {
+            connect: jasmine.createSpy('connect'),
+            disconnect: jasmine.createSpy('disconnect')
+        };
+    });
+}
+
+describe('TrackVADEmitter', () => {
+    let audioContext;
+    let localTrack;
+    let originalAudioContext;
+
+    beforeEach(() => {
+        originalAudioContext = window.AudioContext;
+        window.AudioContext = function() {
+            audioContext = new MockAudioContext();
+
+            return audioContext;
+        };
+        localTrack = {
+            getDeviceId: () => 'mic',
+            stopStream: jasmine.createSpy('stopStream'),
+            stream: {}
+        };
+    });
+
+    afterEach(() => {
+        window.AudioContext = originalAudioContext;
+    });
+
+    describe('without AudioWorklet', () => {
+        it('samples the audio with a ScriptProcessorNode', done => {
+            const vadProcessor = {
+                calculateAudioFrameVAD: pcmData => pcmData[0],
+                getRequiredPCMFrequency: () => 48000,
+                getSampleLength: () => 480
+            };
+            const emitter = new TrackVADEmitter(1024, vadProcessor, localTrack);
+            const scores = [];
+
+            emitter.on(VAD_SCORE_PUBLISHED, ({ audioLevel, deviceId, score }) =>
+                scores.push({
+                    audioLevel,
+                    deviceId,
+                    score
+                }));
+
+            emitter._initializeAudioContext().then(() => {
+                const samples = new Float32Array(1024).fill(-0.25);
+                const node = audioContext.createScriptProcessor.calls.mostRecent().returnValue;
+
+                samples.fill(0.5, 0, 480);
+
+                expect(audioContext.createScriptProcessor).toHaveBeenCalledWith(1024, 1, 1);
+
+                emitter.start();
+                node.onaudioprocess({ inputBuffer: { getChannelData: () => samples } });
+
+                expect(scores).toEqual([
+                    {
+                        audioLevel: 0.5,
+                        deviceId: 'mic',
+                        score: 0.5
+                    },
+                    {
+                        audioLevel: 0,
+                        deviceId: 'mic',
+                        score: -0.25
+                    }
+                ]);
+
+                emitter.destroy();
+                expect(node.disconnect).toHaveBeenCalled();
+                expect(localTrack.stopStream).toHaveBeenCalled();
+                done();
+            })
+                .catch(done.fail);
+        });
+
+        it('fails for the processors calculating the score on the audio thread', done => {
+            const vadProcessor = {
+                getAudioWorkletProcessor: () => {
+                    return { name: 'custom-vad' };
+                },
+                getRequiredPCMFrequency: () => 48000,
+                getSampleLength: () => 480
+            };
+            const emitter = new TrackVADEmitter(1024, vadProcessor, localTrack);
+
+            emitter._initializeAudioContext().then(() => done.fail('The emitter was initialized'))
+                .catch(error => {
+                    expect(error.message).toBe('AudioWorklet is not supported');
+                    expect(audioContext.createScriptProcessor).not.toHaveBeenCalled();
+                    done();
+                });
+        });
+    });
+});
@@ -9,10 +9,10 @@ import TrackVADEmitter from './TrackVADEmitter';
 const logger = getLogger(__filename);
 
 /**
- * Sample rate of TrackVADEmitter, it defines how many audio samples are processed at a time.
+ * Batch length of TrackVADEmitter, it defines how many audio samples are processed at a time.
  * @type {number}
  */
-const VAD_EMITTER_SAMPLE_RATE = 4096;
+const VAD_EMITTER_BATCH_LENGTH = 4096;
 
 /**
  * Connects a TrackVADEmitter to the target conference local audio track and manages various services that use
@@ -22,11 +22,13 @@ export default class VADAudioAnalyser extends EventEmitter {
     /**
      * Creates <tt>VADAudioAnalyser</tt>
      * @param {JitsiConference} conference - JitsiConference instance that created us.
-     * @param {Object} createVADProcessor - Function that creates a Voice activity detection processor. The processor
-     * needs to implement the following functions:
+     * @param {Object} createVADProcessor - Function that creates a Voice activity detection processor, i.e. a
+     * {@link RnnoiseVADProcessor}. The processor needs to implement the following functions:
      * - <tt>getSampleLength()</tt> - Returns the sample size accepted by getSampleLength.
      * - <tt>getRequiredPCMFrequency()</tt> - Returns the PCM frequency at which the processor operates.
      * - <tt>calculateAudioFrameVAD(pcmSample)</tt> - Process a 32 float pcm sample of getSampleLength size.
+     * Processors calculating the score on the audio thread implement <tt>getAudioWorkletProcessor()</tt> instead, see
+     * {@link TrackVADEmitter.create}.
      * @constructor
      */
     constructor(conference, createVADProcessor) {
@@ -89,7 +91,7 @@ export default class VADAudioAnalyser extends EventEmitter {
             // that needs it.
             if (!activeDetector.length && this._isVADEmitterRunning) {
                 this._stopVADEmitter();
-            } else if (!this._isVADEmitterRunning) {
+            } else if (!this._isVADEmitterRunning && this._vadEmitter) {
                 this._startVADEmitter();
             }
         });
@@ -121,7 +123,8 @@ export default class VADAudioAnalyser extends EventEmitter {
      * @param {Object} vadScore -VAD score emitted by {@link TrackVADEmitter}
      * @param {Date}   vadScore.timestamp - Exact time at which processed PCM sample was generated.
      * @param {number} vadScore.score - VAD score on a scale from 0 to 1 (i.e. 0.7)
-     * @param {Float32Array} pcmData - Raw PCM data with which the VAD score was calculated.
+     * @param {Float32Array} vadScore.pcmData - Raw PCM data with which the VAD score was calculated.
+     * @param {number} vadScore.audioLevel - Average level of the positive PCM samples, calculated on the audio thread.
      * @param {string} vadScore.deviceId - Device id of the associated track.
      * @listens VAD_SCORE_PUBLISHED
      */
@@ -155,7 +158,7 @@ export default class VADAudioAnalyser extends EventEmitter {
             // destroy/create the processing context in the proper order.
             this._vadInitTracker = this._vadInitTracker.then(() => this._createVADProcessor())
                 .then(vadProcessor =>
-                    TrackVADEmitter.create(track.getDeviceId(), VAD_EMITTER_SAMPLE_RATE, vadProcessor)
+                    TrackVADEmitter.create(track.getDeviceId(), VAD_EMITTER_BATCH_LENGTH, vadProcessor)
                 )
                 .then(vadEmitter => {
                     logger.debug('Created VAD emitter for track: ', track.getTrackLabel());
@@ -165,6 +168,10 @@ export default class VADAudioAnalyser extends EventEmitter {
                     // Iterate through the detection services and set their appropriate mute state, depending on
                     // service this will trigger a DETECTOR_STATE_CHANGE which in turn might start the _vadEmitter.
                     this._changeDetectorsMuteState(track.isMuted());
+                })
+                .catch(error => {
+                    // Keep the chain usable, i.e. when AudioWorklet is not supported the detection is not available.
+                    logger.error('Failed to create VAD emitter for track: ', track.getTrackLabel(), error);
                 });
         }
     }
@@ -34,6 +34,18 @@ const AUDIO_LEVEL_SCORE_TRIGGER = 0.020;
  */
 const PROCESS_TIME_FRAME_SPAN_MS = 1500;
 
+/**
+ * Returns the average level of the positive PCM samples associated with a VAD score. It is calculated on the audio
+ * thread by {@link TrackVADEmitter}, other emitters may only provide the samples.
+ *
+ * @param {Object} vadScore - VAD score emitted by {@link TrackVADEmitter}.
+ * @returns {number}
+ */
+function getAudioLevel({ audioLevel, pcmData }) {
+    // Filter and calculate sample average so we don't have to process one large array at a time.
+    return typeof audioLevel === 'number' ? audioLevel : calculateAverage(filterPositiveValues(pcmData));
+}
+
 /**
  * Detect if provided VAD score and PCM data is considered noise.
  */
@@ -151,6 +163,7 @@ export default class VADNoiseDetection extends EventEmitter {
      * @param {Date}   vadScore.timestamp - Exact time at which processed PCM sample was generated.
      * @param {number} vadScore.score - VAD score on a scale from 0 to 1 (i.e. 0.7)
      * @param {Float32Array} vadScore.pcmData - Raw PCM Data associated with the VAD score.
+     * @param {number} vadScore.audioLevel - Average level of the positive PCM samples, calculated on the audio thread.
      * @param {string} vadScore.deviceId - Device id of the associated track.
      * @listens VAD_SCORE_PUBLISHED
      */
@@ -161,10 +174,7 @@ export default class VADNoiseDetection extends EventEmitter {
 
         // There is a processing phase on going, add score to buffer array.
         if (this._processing) {
-            // Filter and calculate sample average so we don't have to process one large array at a time.
-            const posAudioLevels = filterPositiveValues(vadScore.pcmData);
-
-            this._recordValues(vadScore.score, calculateAverage(posAudioLevels));
+            this._recordValues(vadScore.score, getAudioLevel(vadScore));
 
             return;
         }
@@ -172,8 +182,7 @@ export default class VADNoiseDetection extends EventEmitter {
         // If the VAD score for the sample is low and audio level has a high enough level we can start listening for
         // noise
         if (vadScore.score < VAD_SCORE_TRIGGER) {
-            const posAudioLevels = filterPositiveValues(vadScore.pcmData);
-            const avgAudioLvl = calculateAverage(posAudioLevels);
+            const avgAudioLvl = getAudioLevel(vadScore);
 
             if (avgAudioLvl > AUDIO_LEVEL_SCORE_TRIGGER) {
                 this._processing = true;
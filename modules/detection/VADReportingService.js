@@ -7,14 +7,13 @@ import TrackVADEmitter from './TrackVADEmitter';
 const logger = getLogger(__filename);
 
 /**
- * Sample rate used by TrackVADEmitter, this value determines how often the ScriptProcessorNode is going to call the
- * process audio function and with what sample size.
+ * Batch length used by TrackVADEmitter, this value determines how often the audio thread is going to send PCM samples
+ * to be processed and how many of them.
  * Basically lower values mean more callbacks with lower processing times bigger values less callbacks with longer
  * processing times. This value is somewhere in the middle, so we strike a balance between flooding with callbacks
- * and processing time. Possible values  256, 512, 1024, 2048, 4096, 8192, 16384. Passing other values will default
- * to closes neighbor.
+ * and processing time.
  */
-const SCRIPT_NODE_SAMPLE_RATE = 4096;
+const VAD_EMITTER_BATCH_LENGTH = 4096;
 
 /**
  * Voice activity detection reporting service. The service create TrackVADEmitters for the provided devices and
@@ -84,7 +83,7 @@ export default class VADReportingService extends EventEmitter {
 
             const emitterPromise = createVADProcessor()
             .then(rnnoiseProcessor =>
-                TrackVADEmitter.create(micDevice.deviceId, SCRIPT_NODE_SAMPLE_RATE, rnnoiseProcessor))
+                TrackVADEmitter.create(micDevice.deviceId, VAD_EMITTER_BATCH_LENGTH, rnnoiseProcessor))
             .then(emitter => {
                 emitter.on(
                     DetectionEvents.VAD_SCORE_PUBLISHED,
@@ -18,11 +18,6 @@ const VAD_AVG_THRESHOLD = 0.6;
  */
 const VAD_VOICE_LEVEL = 0.9;
 
-/**
- * Sample rate of TrackVADEmitter, it defines how many audio samples are processed at a time.
- * @type {number}
- */
-
 /**
  * Time span over which we calculate an average score used to determine if we trigger the event.
  * @type {number}
@@ -0,0 +1,242 @@
+import { getLogger } from 'jitsi-meet-logger';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The remaining times at which the participants are warned by default, in
+ * seconds.
+ *
+ * @type {Array<number>}
+ */
+const DEFAULT_THRESHOLDS = [ 600, 300, 60 ];
+
+/**
+ * The longest delay setTimeout accepts, in ms, longer ones fire immediately.
+ *
+ * @type {number}
+ */
+const MAX_TIMEOUT = 0x7fffffff;
+
+/**
+ * The reason given to the participants when the conference is ended because
+ * it has reached its maximum duration.
+ *
+ * @type {string}
+ */
+export const DURATION_LIMIT_REACHED_REASON = 'The conference has reached its maximum duration.';
+
+/**
+ * Enforces the maximum duration of the conference. The maximum duration is set
+ * in the room configuration, or by the server through the 'max-duration'
+ * conference property, and counts from the creation of the conference. The
+ * participants are warned when the remaining time crosses the configured
+ * thresholds and the clients of the moderators end the conference when the
+ * time runs out, unless the server does it first. Nothing is enforced until
+ * the server has given the creation time of the conference, the clients do
+ * not agree on any other start time.
+ */
+export default class DurationLimit {
+    /**
+     * Creates new instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Object} options - The conference config.
+     * @param {Object} [options.durationLimit] - The duration limit config.
+     * @param {Array<number>} [options.durationLimit.thresholds] - The remaining times at which the participants are
+     * warned, in seconds.
+     */
+    constructor(conference, options) {
+        const config = (options && options.durationLimit) || {};
+
+        this._conference = conference;
+        this._thresholds = (Array.isArray(config.thresholds) ? config.thresholds : DEFAULT_THRESHOLDS)
+            .filter(threshold => threshold > 0)
+            .sort((a, b) => b - a);
+
+        /**
+         * The maximum duration set in the room configuration, in seconds.
+         *
+         * @type {number|undefined}
+         */
+        this._roomMaxDuration = undefined;
+
+        /**
+         * The time at which the conference has been created, in ms since the
+         * epoch.
+         *
+         * @type {number|undefined}
+         */
+        this._createdTimestamp = undefined;
+
+        /**
+         * The thresholds for which the participants have been warned.
+         *
+         * @type {Set<number>}
+         */
+        this._warned = new Set();
+        this._expired = false;
+        this._timeout = undefined;
+
+        this._onCreatedTimestamp = this._onCreatedTimestamp.bind(this);
+        this._onMaxDurationChanged = this._onMaxDurationChanged.bind(this);
+        this._schedule = this._schedule.bind(this);
+
+        conference.on(JitsiConferenceEvents.CONFERENCE_CREATED_TIMESTAMP, this._onCreatedTimestamp);
+        conference.on(JitsiConferenceEvents.MAX_DURATION_CHANGED, this._onMaxDurationChanged);
+        conference.on(JitsiConferenceEvents.PROPERTIES_CHANGED, this._schedule);
+    }
+
+    /**
+     * Stops the timer and the listeners.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        clearTimeout(this._timeout);
+        this._timeout = undefined;
+
+        this._conference.off(JitsiConferenceEvents.CONFERENCE_CREATED_TIMESTAMP, this._onCreatedTimestamp);
+        this._conference.off(JitsiConferenceEvents.MAX_DURATION_CHANGED, this._onMaxDurationChanged);
+        this._conference.off(JitsiConferenceEvents.PROPERTIES_CHANGED, this._schedule);
+    }
+
+    /**
+     * Returns the maximum duration of the conference.
+     *
+     * @returns {number|undefined} The maximum duration in seconds, undefined if the conference is not limited.
+     */
+    getMaxDuration() {
+        if (this._roomMaxDuration) {
+            return this._roomMaxDuration;
+        }
+
+        const maxDuration = Number(this._conference.getProperty('max-duration'));
+
+        return maxDuration > 0 ? maxDuration : undefined;
+    }
+
+    /**
+     * Returns the time remaining before the conference ends.
+     *
+     * @returns {number|undefined} The remaining time in seconds, undefined if the conference is not limited.
+     */
+    getTimeRemaining() {
+        const endTime = this._getEndTime();
+
+        return endTime === undefined ? undefined : Math.max(0, Math.ceil((endTime - Date.now()) / 1000));
+    }
+
+    /**
+     * Returns the time at which the conference ends.
+     *
+     * @returns {number|undefined} The time in ms since the epoch, undefined if the conference is not limited or the
+     * server has not given its creation time yet.
+     * @private
+     */
+    _getEndTime() {
+        const maxDuration = this.getMaxDuration();
+        const createdMs = Number(this._conference.getProperty('created-ms'));
+        const start = this._createdTimestamp || (createdMs > 0 ? createdMs : undefined);
+
+        if (!maxDuration || !start) {
+            return undefined;
+        }
+
+        return start + (maxDuration * 1000);
+    }
+
+    /**
+     * Handles the creation time of the conference received from the server.
+     *
+     * @param {number} timestamp - The time in ms since the epoch.
+     * @returns {void}
+     * @private
+     */
+    _onCreatedTimestamp(timestamp) {
+        this._createdTimestamp = timestamp;
+        this._schedule();
+    }
+
+    /**
+     * Handles a change of the maximum duration in the room configuration.
+     *
+     * @param {number|undefined} maxDuration - The maximum duration in seconds.
+     * @returns {void}
+     * @private
+     */
+    _onMaxDurationChanged(maxDuration) {
+        this._roomMaxDuration = maxDuration;
+        this._expired = false;
+        this._schedule();
+    }
+
+    /**
+     * Warns the participants about the thresholds which have been crossed and
+     * schedules the next check.
+     *
+     * @returns {void}
+     * @private
+     */
+    _schedule() {
+        clearTimeout(this._timeout);
+        this._timeout = undefined;
+
+        const endTime = this._getEndTime();
+
+        if (endTime === undefined || this._expired) {
+            return;
+        }
+
+        const remaining = endTime - Date.now();
+
+        if (remaining <= 0) {
+            this._onTimeUp();
+
+            return;
+        }
+
+        // the thresholds which are ahead again when the duration is extended
+        this._warned.forEach(threshold => {
+            if (threshold * 1000 < remaining) {
+                this._warned.delete(threshold);
+            }
+        });
+
+        const crossed = this._thresholds.filter(threshold => threshold * 1000 >= remaining
+            && !this._warned.has(threshold));
+
+        if (crossed.length) {
+            crossed.forEach(threshold => this._warned.add(threshold));
+            this._conference.eventEmitter.emit(
+                JitsiConferenceEvents.CONFERENCE_TIME_REMAINING, Math.ceil(remaining / 1000));
+        }
+
+        const next = this._thresholds.find(threshold => threshold * 1000 < remaining);
+
+        const delay = next === undefined ? remaining : remaining - (next * 1000);
+
+        this._timeout = setTimeout(this._schedule, Math.min(delay, MAX_TIMEOUT));
+    }
+
+    /**
+     * Ends the conference when the time has run out. The conference is ended
+     * by the clients of the moderators, the other clients wait for it.
+     *
+     * @returns {void}
+     * @private
+     */
+    _onTimeUp() {
+        this._expired = true;
+        this._conference.eventEmitter.emit(JitsiConferenceEvents.CONFERENCE_TIME_REMAINING, 0);
+
+        if (!this._conference.isModerator()) {
+            return;
+        }
+
+        logger.info('The conference has reached its maximum duration, ending it');
+        this._conference.end(DURATION_LIMIT_REACHED_REASON)
+            .catch(error => logger.warn('Failed to end the conference', error));
+    }
+}
@@ -0,0 +1,123 @@
+import EventEmitter from 'events';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+
+import DurationLimit, { DURATION_LIMIT_REACHED_REASON } from './DurationLimit';
+
+describe('DurationLimit', () => {
+    let conference;
+    let durationLimit;
+    let isModerator;
+    let properties;
+    let remaining;
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(1000000));
+
+        isModerator = false;
+        properties = {};
+
+        conference = new EventEmitter();
+        conference.eventEmitter = conference;
+        conference.getProperty = key => properties[key];
+        conference.isModerator = () => isModerator;
+        conference.end = jasmine.createSpy('end').and.returnValue(Promise.resolve());
+
+        durationLimit = new DurationLimit(conference, { durationLimit: { thresholds: [ 60, 300 ] } });
+
+        remaining = [];
+        conference.on(JitsiConferenceEvents.CONFERENCE_TIME_REMAINING, time => remaining.push(time));
+    });
+
+    afterEach(() => {
+        durationLimit.dispose();
+        jasmine.clock().uninstall();
+    });
+
+    it('warns at the thresholds and ends the conference', () => {
+        isModerator = true;
+        conference.emit(JitsiConferenceEvents.CONFERENCE_CREATED_TIMESTAMP, 1000000);
+        conference.emit(JitsiConferenceEvents.MAX_DURATION_CHANGED, 600);
+
+        expect(durationLimit.getTimeRemaining()).toBe(600);
+
+        jasmine.clock().tick(299000);
+        expect(remaining).toEqual([]);
+
+        jasmine.clock().tick(1000);
+        expect(remaining).toEqual([ 300 ]);
+
+        jasmine.clock().tick(240000);
+        expect(remaining).toEqual([ 300, 60 ]);
+        expect(conference.end).not.toHaveBeenCalled();
+
+        jasmine.clock().tick(60000);
+        expect(remaining).toEqual([ 300, 60, 0 ]);
+        expect(conference.end).toHaveBeenCalledWith(DURATION_LIMIT_REACHED_REASON);
+    });
+
+    it('warns once when the limit is learnt late', () => {
+        properties['created-ms'] = '1000000';
+        properties['max-duration'] = '100';
+        conference.emit(JitsiConferenceEvents.PROPERTIES_CHANGED, properties);
+
+        expect(remaining).toEqual([ 100 ]);
+
+        jasmine.clock().tick(100000);
+        expect(remaining).toEqual([ 100, 60, 0 ]);
+        expect(conference.end).not.toHaveBeenCalled();
+    });
+
+    it('warns again when the duration is extended', () => {
+        conference.emit(JitsiConferenceEvents.CONFERENCE_CREATED_TIMESTAMP, 1000000);
+        conference.emit(JitsiConferenceEvents.MAX_DURATION_CHANGED, 60);
+
+        expect(remaining).toEqual([ 60 ]);
+
+        conference.emit(JitsiConferenceEvents.MAX_DURATION_CHANGED, 120);
+        jasmine.clock().tick(60000);
+
+        expect(remaining).toEqual([ 60, 60 ]);
+    });
+
+    it('does not overflow the timer for the conferences limited to more than 24 days', () => {
+        // the mock clock is restored when uninstalled, spy on it for this spec only
+        const mockSetTimeout = window.setTimeout;
+        const delays = [];
+
+        window.setTimeout = (handler, delay) => {
+            delays.push(delay);
+
+            return mockSetTimeout(handler, delay);
+        };
+        conference.emit(JitsiConferenceEvents.CONFERENCE_CREATED_TIMESTAMP, 1000000);
+        conference.emit(JitsiConferenceEvents.MAX_DURATION_CHANGED, 30 * 24 * 3600);
+        window.setTimeout = mockSetTimeout;
+
+        expect(delays).toEqual([ 0x7fffffff ]);
+        expect(remaining).toEqual([]);
+    });
+
+    it('waits for the creation time of the conference', () => {
+        isModerator = true;
+        conference.emit(JitsiConferenceEvents.CONFERENCE_JOINED);
+        conference.emit(JitsiConferenceEvents.MAX_DURATION_CHANGED, 60);
+        jasmine.clock().tick(120000);
+
+        expect(durationLimit.getTimeRemaining()).toBeUndefined();
+        expect(remaining).toEqual([]);
+        expect(conference.end).not.toHaveBeenCalled();
+
+        conference.emit(JitsiConferenceEvents.CONFERENCE_CREATED_TIMESTAMP, 1100000);
+        expect(remaining).toEqual([ 40 ]);
+    });
+
+    it('does nothing when the conference is not limited', () => {
+        conference.emit(JitsiConferenceEvents.CONFERENCE_CREATED_TIMESTAMP, 1000000);
+        jasmine.clock().tick(3600000);
+
+        expect(durationLimit.getMaxDuration()).toBeUndefined();
+        expect(remaining).toEqual([]);
+    });
+});
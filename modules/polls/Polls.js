@@ -0,0 +1,770 @@
+import { getLogger } from 'jitsi-meet-logger';
+import { Strophe } from 'strophe.js';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+import RandomUtil from '../util/RandomUtil';
+import { JITSI_MEET_MUC_TYPE } from '../xmpp/xmpp';
+
+import {
+    MESSAGE_POLL_ANSWER,
+    MESSAGE_POLL_CLOSED,
+    MESSAGE_POLL_CREATED,
+    MESSAGE_POLL_RESULTS,
+    MESSAGE_POLLS_STATE,
+    POLLS_MESSAGE_TYPE,
+    RESULTS_VISIBLE_TO_ALL,
+    RESULTS_VISIBLE_TO_MODERATORS
+} from './PollsConstants';
+
+const logger = getLogger(__filename);
+
+/**
+ * How long the state of the polls is accepted after joining the conference or becoming a moderator, in ms.
+ *
+ * @type {number}
+ */
+const STATE_TIMEOUT = 10000;
+
+/**
+ * Checks whether the given value describes a valid poll.
+ *
+ * @param {Object} poll - The poll received from another participant.
+ * @returns {boolean}
+ */
+function isValidPoll(poll) {
+    return Boolean(poll)
+        && typeof poll.id === 'string'
+        && typeof poll.question === 'string'
+        && Array.isArray(poll.answers)
+        && poll.answers.length > 0
+        && poll.answers.every(answer => typeof answer === 'string')
+        && [ RESULTS_VISIBLE_TO_ALL, RESULTS_VISIBLE_TO_MODERATORS ].includes(poll.resultsVisibility);
+}
+
+/**
+ * Live polls for the participants of a conference. Polls are exchanged as JSON
+ * messages in the MUC: answers are broadcast, or sent to the moderators only
+ * when the results are reserved to them, and the state of the polls is sent to
+ * the participants which join later.
+ *
+ * The answers of anonymous polls are sent privately to a single participant
+ * which counts them, the creator of the poll or, when it has left, the
+ * moderator with the lowest id. It only keeps who has voted, not what, and
+ * publishes the vote counts, to the moderators only when the results are
+ * reserved to them. The answers of anonymous polls cannot be changed.
+ */
+export default class Polls {
+    /**
+     * Creates new instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     */
+    constructor(conference) {
+        this._conference = conference;
+        this._room = conference.room;
+
+        /**
+         * The known polls keyed by id. Each poll keeps the answers it knows about, keyed by voter id.
+         *
+         * @type {Map<string, Object>}
+         */
+        this._polls = new Map();
+
+        /**
+         * Whether the state of the polls is expected, which is the case until shortly after joining the conference
+         * or becoming a moderator.
+         *
+         * @type {boolean}
+         */
+        this._stateExpected = true;
+        this._stateTimeout = null;
+
+        this._onConferenceJoined = this._onConferenceJoined.bind(this);
+        this._onJsonMessage = this._onJsonMessage.bind(this);
+        this._onUserJoined = this._onUserJoined.bind(this);
+        this._onUserRoleChanged = this._onUserRoleChanged.bind(this);
+
+        this._room.addListener(XMPPEvents.JSON_MESSAGE_RECEIVED, this._onJsonMessage);
+        conference.on(JitsiConferenceEvents.CONFERENCE_JOINED, this._onConferenceJoined);
+        conference.on(JitsiConferenceEvents.USER_JOINED, this._onUserJoined);
+        conference.on(JitsiConferenceEvents.USER_ROLE_CHANGED, this._onUserRoleChanged);
+    }
+
+    /**
+     * Stops listening for events.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        this._room.removeListener(XMPPEvents.JSON_MESSAGE_RECEIVED, this._onJsonMessage);
+        this._conference.off(JitsiConferenceEvents.CONFERENCE_JOINED, this._onConferenceJoined);
+        this._conference.off(JitsiConferenceEvents.USER_JOINED, this._onUserJoined);
+        this._conference.off(JitsiConferenceEvents.USER_ROLE_CHANGED, this._onUserRoleChanged);
+        clearTimeout(this._stateTimeout);
+    }
+
+    /**
+     * Creates a poll and shares it with the other participants.
+     *
+     * @param {Object} options - The poll.
+     * @param {string} options.question - The question.
+     * @param {Array<string>} options.answers - The possible answers.
+     * @param {boolean} [options.multipleChoice] - Whether more than one answer can be picked.
+     * @param {boolean} [options.anonymous] - Whether the voters are hidden. The answers are only sent to the
+     * participant counting them, the creator of the poll, and only the vote counts are shared.
+     * @param {string} [options.resultsVisibility] - Who can see the results, {@link RESULTS_VISIBLE_TO_ALL} by
+     * default.
+     * @returns {string} The id of the new poll.
+     */
+    createPoll({
+        question,
+        answers,
+        multipleChoice = false,
+        anonymous = false,
+        resultsVisibility = RESULTS_VISIBLE_TO_ALL
+    }) {
+        const poll = {
+            id: RandomUtil.randomHexString(16),
+            creatorId: this._conference.myUserId(),
+            question,
+            answers,
+            multipleChoice: Boolean(multipleChoice),
+            anonymous: Boolean(anonymous),
+            resultsVisibility,
+            closed: false
+        };
+
+        if (!isValidPoll(poll)) {
+            throw new Error('Invalid poll: a question and at least one answer are required');
+        }
+
+        this._addPoll(poll, {});
+        this._sendMessage({
+            action: MESSAGE_POLL_CREATED,
+            poll
+        });
+
+        return poll.id;
+    }
+
+    /**
+     * Answers a poll, replacing a previous answer of the local participant if any.
+     *
+     * @param {string} pollId - The id of the poll.
+     * @param {Array<number>} answerIndices - The indices of the picked answers.
+     * @returns {void}
+     */
+    answerPoll(pollId, answerIndices) {
+        const poll = this._polls.get(pollId);
+
+        if (!poll || poll.closed) {
+            logger.error(`Cannot answer poll ${pollId} - unknown or closed`);
+
+            return;
+        }
+
+        if (!this._isValidAnswer(poll, answerIndices)) {
+            logger.error(`Invalid answer for poll ${pollId}`, answerIndices);
+
+            return;
+        }
+
+        const message = {
+            action: MESSAGE_POLL_ANSWER,
+            pollId,
+            answers: answerIndices
+        };
+
+        if (poll.anonymous) {
+            this._answerAnonymousPoll(poll, message);
+
+            return;
+        }
+
+        this._setVote(poll, this._conference.myUserId(), answerIndices);
+
+        if (poll.resultsVisibility === RESULTS_VISIBLE_TO_MODERATORS) {
+            this._sendToModerators(message);
+        } else {
+            this._sendMessage(message);
+        }
+    }
+
+    /**
+     * Answers an anonymous poll: the answer is sent to the participant counting the answers only.
+     *
+     * @param {Object} poll - The poll.
+     * @param {Object} message - The answer message.
+     * @private
+     * @returns {void}
+     */
+    _answerAnonymousPoll(poll, message) {
+        if (poll.myAnswer) {
+            logger.error(`Cannot change the answer of the anonymous poll ${poll.id}`);
+
+            return;
+        }
+
+        const myId = this._conference.myUserId();
+        const counterId = this._getCounterId(poll);
+
+        poll.myAnswer = message.answers.slice();
+
+        if (counterId === myId) {
+            this._countAnonymousVote(poll, myId, message.answers);
+        } else if (counterId) {
+            this._sendMessage(message, counterId);
+        } else {
+            logger.warn(`Nobody counts the answers of poll ${poll.id}`);
+        }
+
+        this._conference.eventEmitter.emit(JitsiConferenceEvents.POLL_UPDATED, this._toPublicPoll(poll));
+    }
+
+    /**
+     * Closes a poll. Only its creator and the moderators can do that.
+     *
+     * @param {string} pollId - The id of the poll.
+     * @returns {void}
+     */
+    closePoll(pollId) {
+        const poll = this._polls.get(pollId);
+
+        if (!poll || poll.closed) {
+            return;
+        }
+
+        if (poll.creatorId !== this._conference.myUserId() && !this._conference.isModerator()) {
+            logger.error(`Cannot close poll ${pollId} - not its creator nor a moderator`);
+
+            return;
+        }
+
+        this._close(poll);
+        this._sendMessage({
+            action: MESSAGE_POLL_CLOSED,
+            pollId
+        });
+    }
+
+    /**
+     * Returns a poll.
+     *
+     * @param {string} pollId - The id of the poll.
+     * @returns {Object|undefined} The poll as seen by the local participant, see {@link _toPublicPoll}.
+     */
+    getPoll(pollId) {
+        const poll = this._polls.get(pollId);
+
+        return poll && this._toPublicPoll(poll);
+    }
+
+    /**
+     * Returns all the known polls, in creation order.
+     *
+     * @returns {Array<Object>}
+     */
+    getPolls() {
+        return Array.from(this._polls.values()).map(poll => this._toPublicPoll(poll));
+    }
+
+    /**
+     * Converts a poll to the structure handed to the application. The vote counts and the voters are only present
+     * if the local participant is allowed to see the results, and the voters are never disclosed for anonymous
+     * polls.
+     *
+     * @param {Object} poll - The internal poll.
+     * @private
+     * @returns {Object}
+     */
+    _toPublicPoll(poll) {
+        const resultsVisible = poll.resultsVisibility === RESULTS_VISIBLE_TO_ALL || this._conference.isModerator();
+        const votes = Array.from(poll.votes.entries());
+        const myId = this._conference.myUserId();
+
+        return {
+            id: poll.id,
+            creatorId: poll.creatorId,
+            question: poll.question,
+            multipleChoice: poll.multipleChoice,
+            anonymous: poll.anonymous,
+            resultsVisibility: poll.resultsVisibility,
+            resultsVisible,
+            closed: poll.closed,
+            myAnswer: poll.anonymous ? poll.myAnswer : poll.votes.get(myId),
+            answers: poll.answers.map((name, index) => {
+                const voters = votes.filter(([ , picked ]) => picked.includes(index)).map(([ voterId ]) => voterId);
+                const voteCount = poll.anonymous ? poll.voteCounts[index] : voters.length;
+
+                return {
+                    name,
+                    voteCount: resultsVisible ? voteCount : undefined,
+                    voters: resultsVisible && !poll.anonymous ? voters : undefined
+                };
+            })
+        };
+    }
+
+    /**
+     * Checks an answer against the poll.
+     *
+     * @param {Object} poll - The poll.
+     * @param {Array<number>} answerIndices - The picked answers.
+     * @private
+     * @returns {boolean}
+     */
+    _isValidAnswer(poll, answerIndices) {
+        return Array.isArray(answerIndices)
+            && answerIndices.length > 0
+            && (poll.multipleChoice || answerIndices.length === 1)
+            && new Set(answerIndices).size === answerIndices.length
+            && answerIndices.every(i => Number.isInteger(i) && i >= 0 && i < poll.answers.length);
+    }
+
+    /**
+     * Checks the vote counts of an anonymous poll against the poll.
+     *
+     * @param {Object} poll - The poll.
+     * @param {Array<number>} voteCounts - The number of votes of each answer.
+     * @private
+     * @returns {boolean}
+     */
+    _isValidVoteCounts(poll, voteCounts) {
+        return Array.isArray(voteCounts)
+            && voteCounts.length === poll.answers.length
+            && voteCounts.every(count => Number.isInteger(count) && count >= 0);
+    }
+
+    /**
+     * Stores a new poll and notifies the application.
+     *
+     * @param {Object} definition - The poll as exchanged in the messages.
+     * @param {Object} votes - The known answers keyed by voter id, ignored for anonymous polls.
+     * @private
+     * @returns {void}
+     */
+    _addPoll(definition, votes) {
+        const poll = {
+            id: definition.id,
+            creatorId: definition.creatorId,
+            question: definition.question,
+            answers: definition.answers.slice(),
+            multipleChoice: Boolean(definition.multipleChoice),
+            anonymous: Boolean(definition.anonymous),
+            resultsVisibility: definition.resultsVisibility,
+            closed: Boolean(definition.closed),
+            votes: new Map()
+        };
+
+        if (poll.anonymous) {
+            // The ids of the voters, known by the participant counting the answers only.
+            poll.voters = new Set();
+            poll.voteCounts = this._isValidVoteCounts(poll, definition.voteCounts)
+                ? definition.voteCounts.slice() : poll.answers.map(() => 0);
+        } else {
+            Object.keys(votes || {})
+                .filter(voterId => this._isValidAnswer(poll, votes[voterId]))
+                .forEach(voterId => poll.votes.set(voterId, votes[voterId]));
+        }
+
+        this._polls.set(poll.id, poll);
+        this._conference.eventEmitter.emit(JitsiConferenceEvents.POLL_CREATED, this._toPublicPoll(poll));
+    }
+
+    /**
+     * Records an answer and notifies the application.
+     *
+     * @param {Object} poll - The poll.
+     * @param {string} voterId - The id of the voter.
+     * @param {Array<number>} answerIndices - The picked answers.
+     * @private
+     * @returns {void}
+     */
+    _setVote(poll, voterId, answerIndices) {
+        poll.votes.set(voterId, answerIndices.slice());
+        this._conference.eventEmitter.emit(JitsiConferenceEvents.POLL_UPDATED, this._toPublicPoll(poll));
+    }
+
+    /**
+     * Counts an answer of an anonymous poll, once per voter, and publishes the vote counts.
+     *
+     * @param {Object} poll - The poll.
+     * @param {string} voterId - The id of the voter.
+     * @param {Array<number>} answerIndices - The picked answers.
+     * @private
+     * @returns {void}
+     */
+    _countAnonymousVote(poll, voterId, answerIndices) {
+        if (poll.voters.has(voterId)) {
+            logger.warn(`Ignoring another answer of ${voterId} to the anonymous poll ${poll.id}`);
+
+            return;
+        }
+
+        poll.voters.add(voterId);
+        answerIndices.forEach(index => {
+            poll.voteCounts[index] += 1;
+        });
+
+        const message = {
+            action: MESSAGE_POLL_RESULTS,
+            pollId: poll.id,
+            voteCounts: poll.voteCounts
+        };
+
+        if (poll.resultsVisibility === RESULTS_VISIBLE_TO_MODERATORS) {
+            this._sendToModerators(message);
+        } else {
+            this._sendMessage(message);
+        }
+        this._conference.eventEmitter.emit(JitsiConferenceEvents.POLL_UPDATED, this._toPublicPoll(poll));
+    }
+
+    /**
+     * Closes a poll and notifies the application.
+     *
+     * @param {Object} poll - The poll.
+     * @private
+     * @returns {void}
+     */
+    _close(poll) {
+        poll.closed = true;
+        this._conference.eventEmitter.emit(JitsiConferenceEvents.POLL_CLOSED, this._toPublicPoll(poll));
+    }
+
+    /**
+     * Sends a polls message.
+     *
+     * @param {Object} message - The message.
+     * @param {string} [to] - The id of the recipient, everyone if omitted.
+     * @private
+     * @returns {void}
+     */
+    _sendMessage(message, to) {
+        this._conference.sendMessage({
+            [JITSI_MEET_MUC_TYPE]: POLLS_MESSAGE_TYPE,
+            ...message
+        }, to);
+    }
+
+    /**
+     * Sends a polls message privately to each moderator.
+     *
+     * @param {Object} message - The message.
+     * @private
+     * @returns {void}
+     */
+    _sendToModerators(message) {
+        this._conference.getParticipants()
+            .filter(participant => participant.isModerator())
+            .forEach(participant => this._sendMessage(message, participant.getId()));
+    }
+
+    /**
+     * Returns the id of the participant counting the answers of an anonymous poll: its creator or, when the creator
+     * has left, the moderator with the lowest id.
+     *
+     * @param {Object} poll - The poll.
+     * @private
+     * @returns {string|undefined}
+     */
+    _getCounterId(poll) {
+        const myId = this._conference.myUserId();
+
+        if (poll.creatorId === myId || this._conference.getParticipantById(poll.creatorId)) {
+            return poll.creatorId;
+        }
+
+        const moderators = this._conference.getParticipants()
+            .filter(participant => participant.isModerator())
+            .map(participant => participant.getId());
+
+        this._conference.isModerator() && moderators.push(myId);
+
+        return moderators.sort()[0];
+    }
+
+    /**
+     * Handles the JSON messages received in the MUC.
+     *
+     * @param {string} from - The occupant jid of the sender.
+     * @param {Object} payload - The message.
+     * @private
+     * @returns {void}
+     */
+    _onJsonMessage(from, payload) {
+        // Our own messages are reflected by the MUC, they have been applied already.
+        if (payload[JITSI_MEET_MUC_TYPE] !== POLLS_MESSAGE_TYPE || from === this._room.myroomjid) {
+            return;
+        }
+
+        const senderId = Strophe.getResourceFromJid(from);
+
+        switch (payload.action) {
+        case MESSAGE_POLL_CREATED:
+            if (isValidPoll(payload.poll) && !this._polls.has(payload.poll.id)) {
+                this._addPoll({
+                    ...payload.poll,
+                    creatorId: senderId,
+                    closed: false
+                }, {});
+            }
+            break;
+        case MESSAGE_POLL_ANSWER: {
+            const poll = this._polls.get(payload.pollId);
+
+            if (!poll || poll.closed || !this._isValidAnswer(poll, payload.answers)) {
+                break;
+            }
+
+            if (!poll.anonymous) {
+                this._setVote(poll, senderId, payload.answers);
+            } else if (this._getCounterId(poll) === this._conference.myUserId()) {
+                this._countAnonymousVote(poll, senderId, payload.answers);
+            }
+            break;
+        }
+        case MESSAGE_POLL_RESULTS: {
+            const poll = this._polls.get(payload.pollId);
+            const sender = this._conference.getParticipantById(senderId);
+
+            if (poll && poll.anonymous && (poll.creatorId === senderId || sender?.isModerator())
+                    && this._isValidVoteCounts(poll, payload.voteCounts)) {
+                poll.voteCounts = payload.voteCounts.slice();
+                this._conference.eventEmitter.emit(JitsiConferenceEvents.POLL_UPDATED, this._toPublicPoll(poll));
+            }
+            break;
+        }
+        case MESSAGE_POLL_CLOSED: {
+            const poll = this._polls.get(payload.pollId);
+            const sender = this._conference.getParticipantById(senderId);
+
+            if (poll && !poll.closed && (poll.creatorId === senderId || sender?.isModerator())) {
+                this._close(poll);
+            }
+            break;
+        }
+        case MESSAGE_POLLS_STATE:
+            if (!this._isValidStateSender(senderId)) {
+                logger.warn(`Ignoring the polls state sent by ${senderId}`);
+                break;
+            }
+            this._stateExpected = false;
+            Array.isArray(payload.polls) && payload.polls.forEach(state => this._mergePollState(state));
+            break;
+        default:
+            logger.warn(`Unknown polls message ${payload.action}`);
+        }
+    }
+
+    /**
+     * Whether the state of the polls sent by a participant is to be merged: we must be expecting it and the sender
+     * must be a moderator or the participant designated to send it, see {@link _getStateSenderId}. The state carries
+     * the polls and the answers of the other participants, which cannot be checked.
+     *
+     * @param {string} senderId - The id of the sender.
+     * @private
+     * @returns {boolean}
+     */
+    _isValidStateSender(senderId) {
+        const sender = this._conference.getParticipantById(senderId);
+
+        return this._stateExpected
+            && Boolean(sender)
+            && (sender.isModerator() || senderId === this._getStateSenderId(this._conference.myUserId()));
+    }
+
+    /**
+     * Merges the state of a poll sent to us when we joined.
+     *
+     * @param {Object} state - The poll and its answers.
+     * @private
+     * @returns {void}
+     */
+    _mergePollState(state) {
+        if (!isValidPoll(state)) {
+            return;
+        }
+
+        const poll = this._polls.get(state.id);
+
+        if (!poll) {
+            this._addPoll(state, state.votes);
+
+            return;
+        }
+
+        if (poll.anonymous) {
+            if (this._isValidVoteCounts(poll, state.voteCounts)) {
+                poll.voteCounts = state.voteCounts.slice();
+                this._conference.eventEmitter.emit(JitsiConferenceEvents.POLL_UPDATED, this._toPublicPoll(poll));
+            }
+            state.closed && !poll.closed && this._close(poll);
+
+            return;
+        }
+
+        const votes = state.votes || {};
+        const newVoters = Object.keys(votes)
+            .filter(voterId => !poll.votes.has(voterId) && this._isValidAnswer(poll, votes[voterId]));
+
+        newVoters.forEach(voterId => poll.votes.set(voterId, votes[voterId]));
+        if (newVoters.length) {
+            this._conference.eventEmitter.emit(JitsiConferenceEvents.POLL_UPDATED, this._toPublicPoll(poll));
+        }
+
+        if (state.closed && !poll.closed) {
+            this._close(poll);
+        }
+    }
+
+    /**
+     * Returns the id of the participant which sends the state of the polls to a participant which joins. That's the
+     * moderator with the lowest id or, without moderators, the participant with the lowest id, so that everyone
+     * agrees without any coordination.
+     *
+     * @param {string} excludedId - The id of the participant to send the state to.
+     * @private
+     * @returns {string|undefined}
+     */
+    _getStateSenderId(excludedId) {
+        const myId = this._conference.myUserId();
+        const candidates = this._conference.getParticipants()
+            .filter(participant => participant.getId() !== excludedId)
+            .map(participant => {
+                return {
+                    id: participant.getId(),
+                    moderator: participant.isModerator()
+                };
+            });
+
+        if (myId !== excludedId) {
+            candidates.push({
+                id: myId,
+                moderator: this._conference.isModerator()
+            });
+        }
+
+        const moderators = candidates.filter(candidate => candidate.moderator);
+
+        return (moderators.length ? moderators : candidates).map(candidate => candidate.id).sort()[0];
+    }
+
+    /**
+     * Whether the local participant is the one which sends the state of the polls to a participant which joins.
+     *
+     * @param {string} excludedId - The id of the participant to send the state to.
+     * @private
+     * @returns {boolean}
+     */
+    _isStateSender(excludedId) {
+        return this._getStateSenderId(excludedId) === this._conference.myUserId();
+    }
+
+    /**
+     * Accepts the state of the polls for a while, it is sent to us when we join and when we become a moderator.
+     *
+     * @private
+     * @returns {void}
+     */
+    _expectState() {
+        this._stateExpected = true;
+        clearTimeout(this._stateTimeout);
+        this._stateTimeout = setTimeout(() => {
+            this._stateExpected = false;
+        }, STATE_TIMEOUT);
+    }
+
+    /**
+     * Stops accepting the state of the polls shortly after joining.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onConferenceJoined() {
+        this._expectState();
+    }
+
+    /**
+     * Sends the state of the polls to a participant.
+     *
+     * @param {JitsiParticipant} participant - The recipient.
+     * @private
+     * @returns {void}
+     */
+    _sendState(participant) {
+        if (!this._polls.size || !this._isStateSender(participant.getId())) {
+            return;
+        }
+
+        const polls = Array.from(this._polls.values()).map(poll => {
+            const state = {
+                id: poll.id,
+                creatorId: poll.creatorId,
+                question: poll.question,
+                answers: poll.answers,
+                multipleChoice: poll.multipleChoice,
+                anonymous: poll.anonymous,
+                resultsVisibility: poll.resultsVisibility,
+                closed: poll.closed,
+                votes: {}
+            };
+
+            // The voters of anonymous polls are never shared, only the vote counts.
+            if (poll.resultsVisibility === RESULTS_VISIBLE_TO_ALL || participant.isModerator()) {
+                if (poll.anonymous) {
+                    state.voteCounts = poll.voteCounts;
+                } else {
+                    poll.votes.forEach((answers, voterId) => {
+                        state.votes[voterId] = answers;
+                    });
+                }
+            }
+
+            return state;
+        });
+
+        this._sendMessage({
+            action: MESSAGE_POLLS_STATE,
+            polls
+        }, participant.getId());
+    }
+
+    /**
+     * Sends the state of the polls to the participants which join.
+     *
+     * @param {string} id - The participant id.
+     * @param {JitsiParticipant} participant - The participant.
+     * @private
+     * @returns {void}
+     */
+    _onUserJoined(id, participant) {
+        this._sendState(participant);
+    }
+
+    /**
+     * Sends the results reserved to moderators to the participants which become moderators, and expects them when
+     * the local participant becomes a moderator.
+     *
+     * @param {string} id - The participant id.
+     * @param {string} role - The new role.
+     * @private
+     * @returns {void}
+     */
+    _onUserRoleChanged(id, role) {
+        if (role !== 'moderator') {
+            return;
+        }
+
+        if (id === this._conference.myUserId()) {
+            this._expectState();
+
+            return;
+        }
+
+        const participant = this._conference.getParticipantById(id);
+
+        participant && this._sendState(participant);
+    }
+}
@@ -0,0 +1,386 @@
+import EventEmitter from 'events';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+import { JITSI_MEET_MUC_TYPE } from '../xmpp/xmpp';
+
+import Polls from './Polls';
+import {
+    MESSAGE_POLL_ANSWER,
+    MESSAGE_POLL_CLOSED,
+    MESSAGE_POLL_CREATED,
+    MESSAGE_POLL_RESULTS,
+    MESSAGE_POLLS_STATE,
+    POLLS_MESSAGE_TYPE,
+    RESULTS_VISIBLE_TO_ALL,
+    RESULTS_VISIBLE_TO_MODERATORS
+} from './PollsConstants';
+
+const ROOM_JID = 'room@conference.example.com';
+
+/**
+ * Creates a mock participant.
+ *
+ * @param {string} id - The participant id.
+ * @param {boolean} moderator - Whether the participant is a moderator.
+ * @returns {Object}
+ */
+function createParticipant(id, moderator = false) {
+    return {
+        getId: () => id,
+        isModerator: () => moderator
+    };
+}
+
+describe('Polls', () => {
+    let conference;
+    let room;
+    let polls;
+    let participants;
+
+    beforeEach(() => {
+        room = new EventEmitter();
+        room.myroomjid = `${ROOM_JID}/local`;
+
+        participants = [ createParticipant('aaa', true), createParticipant('bbb') ];
+
+        conference = new EventEmitter();
+        conference.eventEmitter = conference;
+        conference.room = room;
+        conference.myUserId = () => 'local';
+        conference.isModerator = () => false;
+        conference.getParticipants = () => participants;
+        conference.getParticipantById = id => participants.find(p => p.getId() === id);
+        conference.sendMessage = jasmine.createSpy('sendMessage');
+
+        polls = new Polls(conference);
+    });
+
+    afterEach(() => {
+        polls.dispose();
+    });
+
+    /**
+     * Emulates a polls message received in the MUC.
+     *
+     * @param {string} from - The sender id.
+     * @param {Object} message - The message.
+     * @returns {void}
+     */
+    function receive(from, message) {
+        room.emit(XMPPEvents.JSON_MESSAGE_RECEIVED, `${ROOM_JID}/${from}`, {
+            [JITSI_MEET_MUC_TYPE]: POLLS_MESSAGE_TYPE,
+            ...message
+        });
+    }
+
+    /**
+     * Emulates the creation of a poll by a remote participant.
+     *
+     * @param {Object} options - Overrides of the poll.
+     * @returns {void}
+     */
+    function receivePoll(options = {}) {
+        receive('bbb', {
+            action: MESSAGE_POLL_CREATED,
+            poll: {
+                id: 'poll1',
+                question: 'Lunch?',
+                answers: [ 'Pizza', 'Sushi', 'Salad' ],
+                multipleChoice: false,
+                anonymous: false,
+                resultsVisibility: RESULTS_VISIBLE_TO_ALL,
+                ...options
+            }
+        });
+    }
+
+    it('creates and broadcasts polls', () => {
+        const created = jasmine.createSpy('created');
+
+        conference.on(JitsiConferenceEvents.POLL_CREATED, created);
+
+        const id = polls.createPoll({
+            question: 'Lunch?',
+            answers: [ 'Pizza', 'Sushi' ]
+        });
+
+        expect(created).toHaveBeenCalled();
+        expect(polls.getPoll(id).creatorId).toBe('local');
+        expect(conference.sendMessage.calls.argsFor(0)[0].action).toBe(MESSAGE_POLL_CREATED);
+        expect(() => polls.createPoll({
+            question: 'Empty',
+            answers: []
+        })).toThrow();
+    });
+
+    it('counts the answers and names the voters', () => {
+        receivePoll();
+        receive('aaa', {
+            action: MESSAGE_POLL_ANSWER,
+            pollId: 'poll1',
+            answers: [ 1 ]
+        });
+        polls.answerPoll('poll1', [ 1 ]);
+
+        const poll = polls.getPoll('poll1');
+
+        expect(poll.answers[1].voteCount).toBe(2);
+        expect(poll.answers[1].voters).toEqual([ 'aaa', 'local' ]);
+        expect(poll.myAnswer).toEqual([ 1 ]);
+    });
+
+    it('rejects invalid answers', () => {
+        receivePoll();
+        polls.answerPoll('poll1', [ 0, 1 ]);
+        receive('aaa', {
+            action: MESSAGE_POLL_ANSWER,
+            pollId: 'poll1',
+            answers: [ 7 ]
+        });
+
+        expect(polls.getPoll('poll1').answers.every(a => a.voteCount === 0)).toBe(true);
+        expect(conference.sendMessage).not.toHaveBeenCalled();
+    });
+
+    describe('anonymous', () => {
+        it('sends the answers to the creator only', () => {
+            receivePoll({ anonymous: true });
+            polls.answerPoll('poll1', [ 0 ]);
+            polls.answerPoll('poll1', [ 1 ]);
+
+            expect(conference.sendMessage).toHaveBeenCalledTimes(1);
+            expect(conference.sendMessage.calls.argsFor(0)[1]).toBe('bbb');
+            expect(polls.getPoll('poll1').myAnswer).toEqual([ 0 ]);
+
+            // Answers sent to us by mistake are not counted, the results are only accepted from the creator.
+            receive('aaa', {
+                action: MESSAGE_POLL_ANSWER,
+                pollId: 'poll1',
+                answers: [ 2 ]
+            });
+            participants.push(createParticipant('ccc'));
+            receive('ccc', {
+                action: MESSAGE_POLL_RESULTS,
+                pollId: 'poll1',
+                voteCounts: [ 9, 9, 9 ]
+            });
+            expect(polls.getPoll('poll1').answers.map(answer => answer.voteCount)).toEqual([ 0, 0, 0 ]);
+
+            receive('bbb', {
+                action: MESSAGE_POLL_RESULTS,
+                pollId: 'poll1',
+                voteCounts: [ 1, 0, 1 ]
+            });
+            expect(polls.getPoll('poll1').answers.map(answer => answer.voteCount)).toEqual([ 1, 0, 1 ]);
+            expect(polls.getPoll('poll1').answers[0].voters).toBeUndefined();
+        });
+
+        it('are counted by the creator which publishes the vote counts only', () => {
+            const id = polls.createPoll({
+                question: 'Lunch?',
+                answers: [ 'Pizza', 'Sushi' ],
+                anonymous: true
+            });
+
+            [ 'aaa', 'bbb', 'bbb' ].forEach(voterId => receive(voterId, {
+                action: MESSAGE_POLL_ANSWER,
+                pollId: id,
+                answers: [ 1 ]
+            }));
+
+            const results = conference.sendMessage.calls.allArgs().slice(1);
+
+            expect(results.length).toBe(2);
+            expect(results[1]).toEqual([ {
+                [JITSI_MEET_MUC_TYPE]: POLLS_MESSAGE_TYPE,
+                action: MESSAGE_POLL_RESULTS,
+                pollId: id,
+                voteCounts: [ 0, 2 ]
+            }, undefined ]);
+            expect(polls.getPoll(id).answers[1].voters).toBeUndefined();
+        });
+
+        it('are counted by a moderator once the creator has left', () => {
+            receivePoll({
+                anonymous: true,
+                resultsVisibility: RESULTS_VISIBLE_TO_MODERATORS
+            });
+            participants = [ createParticipant('aaa', true) ];
+            polls.answerPoll('poll1', [ 2 ]);
+
+            expect(conference.sendMessage.calls.argsFor(0)[1]).toBe('aaa');
+        });
+
+        it('share the vote counts of the results reserved to moderators with the moderators only', () => {
+            conference.isModerator = () => true;
+            participants = [ createParticipant('bbb'), createParticipant('zzz', true) ];
+
+            const id = polls.createPoll({
+                question: 'Lunch?',
+                answers: [ 'Pizza', 'Sushi' ],
+                anonymous: true,
+                resultsVisibility: RESULTS_VISIBLE_TO_MODERATORS
+            });
+
+            receive('bbb', {
+                action: MESSAGE_POLL_ANSWER,
+                pollId: id,
+                answers: [ 0 ]
+            });
+            conference.emit(JitsiConferenceEvents.USER_JOINED, 'ccc', createParticipant('ccc'));
+
+            const [ results, resultsTo ] = conference.sendMessage.calls.argsFor(1);
+            const [ state, stateTo ] = conference.sendMessage.calls.argsFor(2);
+
+            expect(results.voteCounts).toEqual([ 1, 0 ]);
+            expect(resultsTo).toBe('zzz');
+            expect(stateTo).toBe('ccc');
+            expect(state.polls[0].votes).toEqual({});
+            expect(state.polls[0].voteCounts).toBeUndefined();
+        });
+    });
+
+    it('reserves the results to moderators', () => {
+        receivePoll({ resultsVisibility: RESULTS_VISIBLE_TO_MODERATORS });
+        polls.answerPoll('poll1', [ 2 ]);
+
+        expect(polls.getPoll('poll1').resultsVisible).toBe(false);
+        expect(polls.getPoll('poll1').answers[2].voteCount).toBeUndefined();
+
+        // The answer only goes to the moderators.
+        expect(conference.sendMessage).toHaveBeenCalledTimes(1);
+        expect(conference.sendMessage.calls.argsFor(0)[1]).toBe('aaa');
+
+        conference.isModerator = () => true;
+        expect(polls.getPoll('poll1').answers[2].voteCount).toBe(1);
+    });
+
+    it('accepts closing from the creator or moderators only', () => {
+        receivePoll();
+        participants.push(createParticipant('ccc'));
+        receive('ccc', {
+            action: MESSAGE_POLL_CLOSED,
+            pollId: 'poll1'
+        });
+        expect(polls.getPoll('poll1').closed).toBe(false);
+
+        receive('aaa', {
+            action: MESSAGE_POLL_CLOSED,
+            pollId: 'poll1'
+        });
+        expect(polls.getPoll('poll1').closed).toBe(true);
+
+        receive('aaa', {
+            action: MESSAGE_POLL_ANSWER,
+            pollId: 'poll1',
+            answers: [ 0 ]
+        });
+        expect(polls.getPoll('poll1').answers[0].voteCount).toBe(0);
+    });
+
+    it('merges the state sent when joining', () => {
+        receive('aaa', {
+            action: MESSAGE_POLLS_STATE,
+            polls: [ {
+                id: 'poll2',
+                creatorId: 'zzz',
+                question: 'Again?',
+                answers: [ 'Yes', 'No' ],
+                resultsVisibility: RESULTS_VISIBLE_TO_ALL,
+                closed: true,
+                votes: {
+                    aaa: [ 0 ],
+                    zzz: [ 5 ]
+                }
+            } ]
+        });
+
+        const poll = polls.getPoll('poll2');
+
+        expect(poll.closed).toBe(true);
+        expect(poll.answers[0].voteCount).toBe(1);
+        expect(poll.answers[1].voteCount).toBe(0);
+    });
+
+    describe('state', () => {
+        /**
+         * Emulates the state of the polls sent by a remote participant.
+         *
+         * @param {string} from - The sender id.
+         * @param {string} id - The id of the poll in the state.
+         * @returns {void}
+         */
+        function receiveState(from, id) {
+            receive(from, {
+                action: MESSAGE_POLLS_STATE,
+                polls: [ {
+                    id,
+                    creatorId: 'zzz',
+                    question: 'Again?',
+                    answers: [ 'Yes', 'No' ],
+                    resultsVisibility: RESULTS_VISIBLE_TO_ALL,
+                    votes: { zzz: [ 0 ] }
+                } ]
+            });
+        }
+
+        beforeEach(() => {
+            jasmine.clock().install();
+        });
+
+        afterEach(() => {
+            jasmine.clock().uninstall();
+        });
+
+        it('is accepted from the moderators or the designated participant only', () => {
+            receiveState('bbb', 'poll2');
+            expect(polls.getPoll('poll2')).toBeUndefined();
+
+            participants = [ createParticipant('bbb'), createParticipant('ccc') ];
+            receiveState('ccc', 'poll2');
+            expect(polls.getPoll('poll2')).toBeUndefined();
+
+            receiveState('bbb', 'poll2');
+            expect(polls.getPoll('poll2').answers[0].voteCount).toBe(1);
+        });
+
+        it('is accepted once after joining', () => {
+            conference.emit(JitsiConferenceEvents.CONFERENCE_JOINED);
+            receiveState('aaa', 'poll2');
+            receiveState('aaa', 'poll3');
+
+            expect(polls.getPoll('poll2')).toBeDefined();
+            expect(polls.getPoll('poll3')).toBeUndefined();
+        });
+
+        it('is accepted shortly after joining or becoming a moderator only', () => {
+            conference.emit(JitsiConferenceEvents.CONFERENCE_JOINED);
+            jasmine.clock().tick(10001);
+            receiveState('aaa', 'poll2');
+            expect(polls.getPoll('poll2')).toBeUndefined();
+
+            conference.emit(JitsiConferenceEvents.USER_ROLE_CHANGED, 'local', 'moderator');
+            receiveState('aaa', 'poll2');
+            expect(polls.getPoll('poll2')).toBeDefined();
+        });
+    });
+
+    it('lets a single participant send the state to the ones which join', () => {
+        receivePoll();
+
+        // 'aaa' is a moderator, it is the one sending the state.
+        conference.emit(JitsiConferenceEvents.USER_JOINED, 'ddd', createParticipant('ddd'));
+        expect(conference.sendMessage).not.toHaveBeenCalled();
+
+        participants = [ createParticipant('zzz') ];
+        conference.emit(JitsiConferenceEvents.USER_JOINED, 'ddd', createParticipant('ddd'));
+        expect(conference.sendMessage).toHaveBeenCalledTimes(1);
+
+        const [ message, to ] = conference.sendMessage.calls.argsFor(0);
+
+        expect(to).toBe('ddd');
+        expect(message.action).toBe(MESSAGE_POLLS_STATE);
+        expect(message.polls[0].id).toBe('poll1');
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * The results of the poll are visible to every participant.
+ * @type {string}
+ */
+export const RESULTS_VISIBLE_TO_ALL = 'all';
+
+/**
+ * The results of the poll are visible to the moderators only. The other
+ * participants only know their own answer.
+ * @type {string}
+ */
+export const RESULTS_VISIBLE_TO_MODERATORS = 'moderators';
+
+/**
+ * The type of the JSON messages exchanged by the polls module.
+ * @type {string}
+ */
+export const POLLS_MESSAGE_TYPE = 'polls';
+
+/**
+ * A poll has been created.
+ * @type {string}
+ */
+export const MESSAGE_POLL_CREATED = 'poll-created';
+
+/**
+ * A participant has answered a poll.
+ * @type {string}
+ */
+export const MESSAGE_POLL_ANSWER = 'poll-answer';
+
+/**
+ * A poll has been closed and does not accept answers anymore.
+ * @type {string}
+ */
+export const MESSAGE_POLL_CLOSED = 'poll-closed';
+
+/**
+ * The vote counts of an anonymous poll, published by the participant which
+ * counts its answers.
+ * @type {string}
+ */
+export const MESSAGE_POLL_RESULTS = 'poll-results';
+
+/**
+ * The state of the polls, sent to participants which joined after the polls
+ * were created.
+ * @type {string}
+ */
+export const MESSAGE_POLLS_STATE = 'polls-state';
@@ -0,0 +1,244 @@
+import { getLogger } from 'jitsi-meet-logger';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The availability states a participant can publish, the <show/> values of
+ * RFC 6121. A participant which publishes none of them is available.
+ */
+export const PRESENCE_SHOW = {
+    AWAY: 'away',
+    CHAT: 'chat',
+    DND: 'dnd',
+    XA: 'xa'
+};
+
+/**
+ * The maximum length of the status text.
+ *
+ * @type {number}
+ */
+const MAX_STATUS_TEXT_LENGTH = 140;
+
+/**
+ * How long the local participant has to be inactive before being made away
+ * automatically by default, in ms.
+ *
+ * @type {number}
+ */
+const DEFAULT_IDLE_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * The events through which the local participant shows activity.
+ *
+ * @type {Array<string>}
+ */
+const ACTIVITY_EVENTS = [ 'keydown', 'mousedown', 'mousemove', 'touchstart', 'wheel' ];
+
+/**
+ * Publishes the availability state of the local participant in the presence:
+ * a <show/> value and a status text. When automatic away is enabled, the local
+ * participant is made away after a period without activity, which includes the
+ * time the tab is hidden, and available again on the next activity, unless an
+ * availability state has been set explicitly.
+ */
+export default class PresenceStatus {
+    /**
+     * Creates new instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Object} options - The conference config.
+     * @param {Object} [options.presenceStatus] - The presence status config.
+     * @param {boolean} [options.presenceStatus.autoAway] - Whether to make the local participant away automatically.
+     * @param {number} [options.presenceStatus.idleTimeout] - How long the local participant has to be inactive before
+     * being made away, in ms.
+     */
+    constructor(conference, options) {
+        const config = (options && options.presenceStatus) || {};
+
+        this._conference = conference;
+        this._autoAwayEnabled = Boolean(config.autoAway);
+        this._idleTimeout = config.idleTimeout > 0 ? config.idleTimeout : DEFAULT_IDLE_TIMEOUT;
+
+        /**
+         * The availability state set explicitly.
+         *
+         * @type {string|undefined}
+         */
+        this._show = undefined;
+
+        /**
+         * The status text.
+         *
+         * @type {string|undefined}
+         */
+        this._text = undefined;
+
+        /**
+         * Whether the local participant has been made away automatically.
+         *
+         * @type {boolean}
+         */
+        this._autoAway = false;
+        this._lastActivity = Date.now();
+        this._timeout = undefined;
+
+        this._onActivity = this._onActivity.bind(this);
+        this._onVisibilityChange = this._onVisibilityChange.bind(this);
+        this._checkIdle = this._checkIdle.bind(this);
+
+        if (this._autoAwayEnabled) {
+            ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, this._onActivity, { passive: true }));
+            document.addEventListener('visibilitychange', this._onVisibilityChange);
+            this._timeout = setTimeout(this._checkIdle, this._idleTimeout);
+        }
+    }
+
+    /**
+     * Stops the automatic away.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        clearTimeout(this._timeout);
+        this._timeout = undefined;
+
+        if (this._autoAwayEnabled) {
+            ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, this._onActivity));
+            document.removeEventListener('visibilitychange', this._onVisibilityChange);
+            this._autoAwayEnabled = false;
+        }
+    }
+
+    /**
+     * Returns the availability state of the local participant.
+     *
+     * @returns {{show: (string|undefined), text: (string|undefined), auto: boolean}} The published <show/> value,
+     * undefined when available, the status text and whether the participant has been made away automatically.
+     */
+    getStatus() {
+        return {
+            auto: this._autoAway,
+            show: this._autoAway ? PRESENCE_SHOW.AWAY : this._show,
+            text: this._text
+        };
+    }
+
+    /**
+     * Sets the availability state of the local participant.
+     *
+     * @param {string|undefined} show - One of {@link PRESENCE_SHOW}, undefined to be available.
+     * @param {string|undefined} text - The status text, undefined to clear it.
+     * @returns {void}
+     */
+    setStatus(show, text) {
+        if (show !== undefined && !Object.values(PRESENCE_SHOW).includes(show)) {
+            logger.error(`Invalid presence show: ${show}`);
+
+            return;
+        }
+
+        if (text !== undefined && (typeof text !== 'string' || text.length > MAX_STATUS_TEXT_LENGTH)) {
+            logger.error(`Invalid presence status text: ${text}`);
+
+            return;
+        }
+
+        this._show = show;
+        this._text = text;
+        this._autoAway = false;
+        this._publish();
+    }
+
+    /**
+     * Records an activity of the local participant and makes them available
+     * again when they have been made away automatically.
+     *
+     * @returns {void}
+     * @private
+     */
+    _onActivity() {
+        this._lastActivity = Date.now();
+
+        if (this._autoAway) {
+            logger.info('Activity detected, no longer away');
+            this._autoAway = false;
+            this._publish();
+        }
+
+        if (!this._timeout) {
+            this._timeout = setTimeout(this._checkIdle, this._idleTimeout);
+        }
+    }
+
+    /**
+     * Counts the tab becoming visible again as an activity.
+     *
+     * @returns {void}
+     * @private
+     */
+    _onVisibilityChange() {
+        if (!document.hidden) {
+            this._onActivity();
+        }
+    }
+
+    /**
+     * Makes the local participant away when they have been inactive long
+     * enough, otherwise checks again when they could be.
+     *
+     * @returns {void}
+     * @private
+     */
+    _checkIdle() {
+        this._timeout = undefined;
+
+        const idle = Date.now() - this._lastActivity;
+
+        if (idle < this._idleTimeout) {
+            this._timeout = setTimeout(this._checkIdle, this._idleTimeout - idle);
+
+            return;
+        }
+
+        // an explicit state, e.g. do not disturb, is not overridden
+        if (this._show === undefined || this._show === PRESENCE_SHOW.CHAT) {
+            logger.info('No activity detected, away');
+            this._autoAway = true;
+            this._publish();
+        }
+    }
+
+    /**
+     * Publishes the availability state in the presence and notifies the
+     * application.
+     *
+     * @returns {void}
+     * @private
+     */
+    _publish() {
+        const { room } = this._conference;
+        const status = this.getStatus();
+
+        if (room) {
+            if (status.show) {
+                room.addOrReplaceInPresence('show', { value: status.show });
+            } else {
+                room.removeFromPresence('show');
+            }
+
+            if (status.text) {
+                room.addOrReplaceInPresence('status', { value: status.text });
+            } else {
+                room.removeFromPresence('status');
+            }
+
+            room.sendPresence();
+        }
+
+        this._conference.eventEmitter.emit(
+            JitsiConferenceEvents.USER_STATUS_CHANGED, this._conference.myUserId(), status.text, status);
+    }
+}
@@ -0,0 +1,102 @@
+import EventEmitter from 'events';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+
+import PresenceStatus, { PRESENCE_SHOW } from './PresenceStatus';
+
+describe('PresenceStatus', () => {
+    let changes;
+    let conference;
+    let presence;
+    let presenceStatus;
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(1000000));
+
+        presence = {};
+        conference = new EventEmitter();
+        conference.eventEmitter = conference;
+        conference.myUserId = () => 'local';
+        conference.room = {
+            addOrReplaceInPresence: (key, values) => {
+                presence[key] = values.value;
+            },
+            removeFromPresence: key => {
+                delete presence[key];
+            },
+            sendPresence: jasmine.createSpy('sendPresence')
+        };
+
+        changes = [];
+        conference.on(JitsiConferenceEvents.USER_STATUS_CHANGED, (id, status, state) => changes.push(state));
+
+        presenceStatus = new PresenceStatus(conference, {
+            presenceStatus: {
+                autoAway: true,
+                idleTimeout: 60000
+            }
+        });
+    });
+
+    afterEach(() => {
+        presenceStatus.dispose();
+        jasmine.clock().uninstall();
+    });
+
+    it('publishes the availability state and the status text', () => {
+        presenceStatus.setStatus(PRESENCE_SHOW.DND, 'In a meeting');
+
+        expect(presence).toEqual({
+            show: 'dnd',
+            status: 'In a meeting'
+        });
+        expect(conference.room.sendPresence).toHaveBeenCalled();
+        expect(changes).toEqual([ {
+            auto: false,
+            show: 'dnd',
+            text: 'In a meeting'
+        } ]);
+
+        presenceStatus.setStatus();
+
+        expect(presence).toEqual({});
+    });
+
+    it('ignores invalid states', () => {
+        presenceStatus.setStatus('sleeping');
+        presenceStatus.setStatus(PRESENCE_SHOW.AWAY, 'x'.repeat(141));
+
+        expect(presence).toEqual({});
+        expect(changes).toEqual([]);
+    });
+
+    it('becomes away when idle and available again on activity', () => {
+        jasmine.clock().tick(30000);
+        window.dispatchEvent(new Event('keydown'));
+        jasmine.clock().tick(59000);
+
+        expect(changes).toEqual([]);
+
+        jasmine.clock().tick(1000);
+
+        expect(presence.show).toBe('away');
+        expect(presenceStatus.getStatus().auto).toBe(true);
+
+        window.dispatchEvent(new Event('mousedown'));
+
+        expect(presence.show).toBeUndefined();
+        expect(changes.map(change => change.show)).toEqual([ 'away', undefined ]);
+    });
+
+    it('does not override an explicit state', () => {
+        presenceStatus.setStatus(PRESENCE_SHOW.DND);
+        jasmine.clock().tick(120000);
+
+        expect(presenceStatus.getStatus()).toEqual({
+            auto: false,
+            show: 'dnd',
+            text: undefined
+        });
+    });
+});
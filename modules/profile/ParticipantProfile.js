@@ -0,0 +1,234 @@
+import { getLogger } from 'jitsi-meet-logger';
+import isEqual from 'lodash.isequal';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The presence extension carrying the profile of a participant.
+ *
+ * @type {string}
+ */
+export const PROFILE_PRESENCE_TAG = 'profile';
+
+/**
+ * The namespace of the presence extension.
+ *
+ * @type {string}
+ */
+const PROFILE_NS = 'http://jitsi.org/jitmeet/profile';
+
+/**
+ * The fields of a profile, by name: the attribute of the presence extension
+ * and the maximum length of the value.
+ */
+export const PROFILE_FIELDS = {
+    avatarUrl: {
+        attribute: 'avatar-url',
+        maxLength: 512
+    },
+    jobTitle: {
+        attribute: 'job-title',
+        maxLength: 64
+    },
+    pronouns: {
+        attribute: 'pronouns',
+        maxLength: 32
+    },
+    region: {
+        attribute: 'region',
+        maxLength: 64
+    }
+};
+
+/**
+ * Checks whether a string contains control characters.
+ *
+ * @param {string} value - The string.
+ * @returns {boolean}
+ */
+function hasControlCharacters(value) {
+    for (let i = 0; i < value.length; i++) {
+        const code = value.charCodeAt(i);
+
+        if (code < 0x20 || code === 0x7f) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Checks the value of a profile field.
+ *
+ * @param {string} name - The name of the field.
+ * @param {*} value - The value.
+ * @returns {boolean}
+ */
+function isValidField(name, value) {
+    if (typeof value !== 'string' || !value.length || value.length > PROFILE_FIELDS[name].maxLength
+            || hasControlCharacters(value)) {
+        return false;
+    }
+
+    if (name !== 'avatarUrl') {
+        return true;
+    }
+
+    try {
+        const { protocol } = new URL(value);
+
+        return protocol === 'https:' || protocol === 'http:';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Sends the profile of the local participant in the presence and keeps the
+ * profiles received from the other participants. The profiles are limited to
+ * the fields of {@link PROFILE_FIELDS}, the invalid values received are
+ * dropped.
+ */
+export default class ParticipantProfile {
+    /**
+     * Creates new instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     */
+    constructor(conference) {
+        this._conference = conference;
+
+        /**
+         * The profile of the local participant.
+         *
+         * @type {Object<string, string>}
+         */
+        this._localProfile = {};
+
+        conference.addCommandListener(PROFILE_PRESENCE_TAG, this._onProfilePresence.bind(this));
+    }
+
+    /**
+     * Returns the profile of the local participant.
+     *
+     * @returns {Object<string, string>}
+     */
+    getLocalProfile() {
+        return { ...this._localProfile };
+    }
+
+    /**
+     * Replaces the profile of the local participant.
+     *
+     * @param {Object<string, string>} profile - The fields of the profile, see {@link PROFILE_FIELDS}.
+     * @returns {boolean} Whether the profile was valid and has been set.
+     */
+    setLocalProfile(profile) {
+        if (!profile || typeof profile !== 'object') {
+            logger.error(`Invalid profile: ${profile}`);
+
+            return false;
+        }
+
+        const invalid = Object.keys(profile).filter(name => !PROFILE_FIELDS[name]
+            || (profile[name] !== undefined && !isValidField(name, profile[name])));
+
+        if (invalid.length) {
+            logger.error(`Invalid profile fields: ${invalid.join(', ')}`);
+
+            return false;
+        }
+
+        const localProfile = {};
+
+        Object.keys(profile).forEach(name => {
+            if (profile[name] !== undefined) {
+                localProfile[name] = profile[name];
+            }
+        });
+
+        if (isEqual(localProfile, this._localProfile)) {
+            return true;
+        }
+
+        this._localProfile = localProfile;
+        this._publish();
+
+        return true;
+    }
+
+    /**
+     * Sets a field of the profile of the local participant.
+     *
+     * @param {string} name - The name of the field, see {@link PROFILE_FIELDS}.
+     * @param {string|undefined} value - The value, undefined to remove the field.
+     * @returns {boolean} Whether the value was valid and has been set.
+     */
+    setLocalProfileField(name, value) {
+        return this.setLocalProfile({
+            ...this._localProfile,
+            [name]: value
+        });
+    }
+
+    /**
+     * Sends the profile of the local participant in the presence.
+     *
+     * @returns {void}
+     * @private
+     */
+    _publish() {
+        const attributes = { xmlns: PROFILE_NS };
+
+        Object.keys(this._localProfile).forEach(name => {
+            attributes[PROFILE_FIELDS[name].attribute] = this._localProfile[name];
+        });
+
+        // an empty extension is kept, so that the other participants clear the profile
+        this._conference.sendCommand(PROFILE_PRESENCE_TAG, { attributes });
+    }
+
+    /**
+     * Handles the profile received in the presence of a participant.
+     *
+     * @param {Object} node - The presence extension.
+     * @param {string} id - The id of the participant.
+     * @returns {void}
+     * @private
+     */
+    _onProfilePresence(node, id) {
+        const participant = this._conference.getParticipantById(id);
+
+        if (!participant) {
+            return;
+        }
+
+        const attributes = node.attributes || {};
+        const profile = {};
+
+        Object.keys(PROFILE_FIELDS).forEach(name => {
+            const value = attributes[PROFILE_FIELDS[name].attribute];
+
+            if (value === undefined) {
+                return;
+            }
+
+            if (isValidField(name, value)) {
+                profile[name] = value;
+            } else {
+                logger.warn(`Ignoring the invalid profile field ${name} of ${id}`);
+            }
+        });
+
+        if (isEqual(profile, participant._profile)) {
+            return;
+        }
+
+        participant._profile = profile;
+        this._conference.eventEmitter.emit(
+            JitsiConferenceEvents.PARTICIPANT_PROFILE_CHANGED, participant, participant.getProfile());
+    }
+}
@@ -0,0 +1,95 @@
+import EventEmitter from 'events';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import JitsiParticipant from '../../JitsiParticipant';
+
+import ParticipantProfile, { PROFILE_PRESENCE_TAG } from './ParticipantProfile';
+
+describe('ParticipantProfile', () => {
+    let changes;
+    let conference;
+    let participant;
+    let presenceListener;
+    let profile;
+    let sent;
+
+    beforeEach(() => {
+        sent = [];
+        conference = new EventEmitter();
+        conference.eventEmitter = conference;
+        conference.addCommandListener = (tag, listener) => {
+            expect(tag).toBe(PROFILE_PRESENCE_TAG);
+            presenceListener = listener;
+        };
+        conference.sendCommand = (tag, values) => sent.push(values.attributes);
+        conference.getParticipantById = id => {
+            if (id === 'alice') {
+                return participant;
+            }
+        };
+
+        participant = new JitsiParticipant('room@conference.example.com/alice', conference, 'Alice');
+
+        changes = [];
+        conference.on(JitsiConferenceEvents.PARTICIPANT_PROFILE_CHANGED, (p, newProfile) => changes.push(newProfile));
+
+        profile = new ParticipantProfile(conference);
+    });
+
+    it('sends the local profile in the presence', () => {
+        expect(profile.setLocalProfile({
+            avatarUrl: 'https://example.com/avatar.png',
+            pronouns: 'they/them'
+        })).toBe(true);
+        expect(profile.setLocalProfileField('region', 'Europe')).toBe(true);
+        expect(profile.setLocalProfileField('pronouns', undefined)).toBe(true);
+
+        expect(sent.length).toBe(3);
+        expect(sent[2]).toEqual({
+            xmlns: 'http://jitsi.org/jitmeet/profile',
+            'avatar-url': 'https://example.com/avatar.png',
+            region: 'Europe'
+        });
+        expect(profile.getLocalProfile()).toEqual({
+            avatarUrl: 'https://example.com/avatar.png',
+            region: 'Europe'
+        });
+    });
+
+    it('rejects invalid local profiles', () => {
+        const scriptScheme = 'javascript';
+
+        expect(profile.setLocalProfile({ avatarUrl: `${scriptScheme}:alert(1)` })).toBe(false);
+        expect(profile.setLocalProfile({ jobTitle: 'x'.repeat(65) })).toBe(false);
+        expect(profile.setLocalProfile({ nickname: 'Al' })).toBe(false);
+        expect(profile.setLocalProfileField('region', 42)).toBe(false);
+
+        expect(sent).toEqual([]);
+        expect(profile.getLocalProfile()).toEqual({});
+    });
+
+    it('keeps the valid fields received from the participants', () => {
+        const node = {
+            attributes: {
+                'avatar-url': 'ftp://example.com/avatar.png',
+                'job-title': 'Engineer',
+                pronouns: 'she/her'
+            }
+        };
+
+        presenceListener(node, 'alice');
+        presenceListener(node, 'alice');
+        presenceListener(node, 'bob');
+
+        expect(participant.getProfile()).toEqual({
+            jobTitle: 'Engineer',
+            pronouns: 'she/her'
+        });
+        expect(changes.length).toBe(1);
+
+        presenceListener({ attributes: {} }, 'alice');
+
+        expect(participant.getProfile()).toEqual({});
+        expect(changes.length).toBe(2);
+    });
+});
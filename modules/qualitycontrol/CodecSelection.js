@@ -0,0 +1,214 @@
+import { getLogger } from 'jitsi-meet-logger';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import CodecMimeType from '../../service/RTC/CodecMimeType';
+import * as MediaType from '../../service/RTC/MediaType';
+import browser from '../browser';
+
+const logger = getLogger(__filename);
+
+/**
+ * The name of the presence extension in which the participants advertise the
+ * video codecs they support, in their order of preference, e.g.
+ * <tt>vp9,vp8,h264</tt>.
+ *
+ * @type {string}
+ */
+export const CODEC_LIST_PRESENCE_TAG = 'jitsi_participant_codecList';
+
+/**
+ * The order of preference of the video codecs when it is not configured, VP8
+ * first as it is the codec the bridge forwards best. AV1 is used only when it
+ * is configured, its encoder being more demanding.
+ *
+ * @type {Array<string>}
+ */
+const DEFAULT_CODEC_ORDER = [ CodecMimeType.VP8, CodecMimeType.VP9, CodecMimeType.H264 ];
+
+/**
+ * Returns the codec mime type matching a configured value.
+ *
+ * @param {*} codec - The configured value, e.g. 'VP9'.
+ * @returns {string|undefined}
+ */
+function getCodecMimeType(codec) {
+    if (typeof codec === 'string') {
+        return Object.values(CodecMimeType).find(value => value === codec.toLowerCase());
+    }
+
+    return undefined;
+}
+
+/**
+ * Checks whether the browser can send and receive a video codec.
+ *
+ * @param {string} codec - The codec mime type.
+ * @returns {boolean}
+ */
+function isCodecSupported(codec) {
+    // VP8 is the mandatory codec.
+    if (codec === CodecMimeType.VP8) {
+        return true;
+    }
+
+    // Do not use VP9 on Firefox because of the following bug.
+    // https://bugzilla.mozilla.org/show_bug.cgi?id=1633876
+    if (browser.isFirefox() && codec === CodecMimeType.VP9) {
+        return false;
+    }
+
+    if (typeof RTCRtpReceiver === 'undefined' || typeof RTCRtpReceiver.getCapabilities !== 'function') {
+        // The codecs which predate the capabilities API.
+        return codec !== CodecMimeType.AV1;
+    }
+
+    const capabilities = RTCRtpReceiver.getCapabilities(MediaType.VIDEO);
+
+    return Boolean(capabilities && capabilities.codecs.find(
+        caps => caps.mimeType.toLowerCase() === `${MediaType.VIDEO}/${codec}`));
+}
+
+/**
+ * Selects the video codec of the conference: each participant advertises the
+ * codecs it supports in the presence and the first codec of the local order of
+ * preference which is supported by all the participants is preferred on the
+ * media sessions. The selection changes as the participants join and leave,
+ * VP8 is the fallback supported by everyone. The participants which do not
+ * advertise their codecs are assumed to support the codecs used before the
+ * selection, VP8, VP9 and H.264, but not AV1.
+ */
+export class CodecSelection {
+    /**
+     * Creates new instance for a given conference.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Object} options - The <tt>videoQuality</tt> settings of config.js.
+     * @param {Array<string>} [options.codecPreferenceOrder] - The video codecs in the order of preference.
+     * @param {string} [options.preferredCodec] - The video codec to be preferred over the default order.
+     * @param {string} [options.disabledCodec] - The video codec not to be used, VP8 cannot be disabled.
+     */
+    constructor(conference, options = {}) {
+        this._conference = conference;
+
+        const disabledCodec = getCodecMimeType(options.disabledCodec);
+        const preferredCodec = getCodecMimeType(options.preferredCodec);
+        const order = Array.isArray(options.codecPreferenceOrder)
+            ? options.codecPreferenceOrder.map(getCodecMimeType)
+            : [ preferredCodec, ...DEFAULT_CODEC_ORDER ];
+
+        /**
+         * The video codecs supported by the local participant, in its order of
+         * preference.
+         *
+         * @type {Array<string>}
+         */
+        this._codecList = order.filter((codec, index) => codec
+            && order.indexOf(codec) === index
+            && (codec === CodecMimeType.VP8 || codec !== disabledCodec)
+            && isCodecSupported(codec));
+
+        // VP8 is the mandatory codec.
+        if (!this._codecList.includes(CodecMimeType.VP8)) {
+            this._codecList.push(CodecMimeType.VP8);
+        }
+
+        /**
+         * The video codec selected for the conference.
+         *
+         * @type {string}
+         */
+        this._codec = this._codecList[0];
+
+        logger.info(`Supported video codecs: ${this._codecList}`);
+
+        conference.room.addOrReplaceInPresence(CODEC_LIST_PRESENCE_TAG, { value: this._codecList.join(',') });
+        conference.addCommandListener(CODEC_LIST_PRESENCE_TAG, this._onCodecListPresence.bind(this));
+        conference.on(JitsiConferenceEvents.USER_LEFT, () => this._selectCodec());
+
+        // The codecs are advertised in the presence which is handled after USER_JOINED, select the codec once it has
+        // been handled for the participants which do not advertise them.
+        conference.on(JitsiConferenceEvents.USER_JOINED, () => setTimeout(() => this._selectCodec()));
+        conference.on(
+            JitsiConferenceEvents._MEDIA_SESSION_STARTED,
+            session => session.setVideoCodecs(this._codec));
+    }
+
+    /**
+     * Returns the video codec selected for the conference.
+     *
+     * @returns {string}
+     */
+    getCodec() {
+        return this._codec;
+    }
+
+    /**
+     * Returns the video codecs supported by the local participant.
+     *
+     * @returns {Array<string>} The codec mime types, in the order of preference.
+     */
+    getCodecList() {
+        return [ ...this._codecList ];
+    }
+
+    /**
+     * Handles the codecs advertised in the presence of a participant.
+     *
+     * @param {Object} node - The presence extension.
+     * @param {string} id - The id of the participant.
+     * @returns {void}
+     * @private
+     */
+    _onCodecListPresence(node, id) {
+        const participant = this._conference.getParticipantById(id);
+
+        if (!participant) {
+            return;
+        }
+
+        const codecList = (node.value || '').split(',')
+            .map(getCodecMimeType)
+            .filter(Boolean);
+
+        if (codecList.join(',') === participant._codecList.join(',')) {
+            return;
+        }
+
+        participant._codecList = codecList;
+        this._selectCodec();
+    }
+
+    /**
+     * Selects the first local codec supported by all the participants and
+     * prefers it on the media sessions when it has changed.
+     *
+     * @returns {void}
+     * @fires JitsiConferenceEvents.VIDEO_CODEC_CHANGED
+     * @private
+     */
+    _selectCodec() {
+        const codecLists = this._conference.getParticipants()
+            .map(participant => {
+                const codecList = participant.getCodecList();
+
+                return codecList.length ? codecList : DEFAULT_CODEC_ORDER;
+            });
+        const codec = this._codecList.find(
+            localCodec => codecLists.every(codecList => codecList.includes(localCodec))) || CodecMimeType.VP8;
+
+        if (codec === this._codec) {
+            return;
+        }
+
+        const previousCodec = this._codec;
+
+        logger.info(`Switching the video codec from ${previousCodec} to ${codec}`);
+        this._codec = codec;
+
+        for (const session of this._conference._getMediaSessions()) {
+            session.setVideoCodecs(codec);
+        }
+
+        this._conference.eventEmitter.emit(JitsiConferenceEvents.VIDEO_CODEC_CHANGED, codec, previousCodec);
+    }
+}
@@ -0,0 +1,148 @@
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import Listenable from '../util/Listenable';
+
+import { CODEC_LIST_PRESENCE_TAG, CodecSelection } from './CodecSelection';
+
+// JSDocs disabled for Mock classes to avoid duplication - check on the original classes for info.
+/* eslint-disable require-jsdoc */
+class MockParticipant {
+    constructor(id) {
+        this._id = id;
+        this._codecList = [];
+    }
+
+    getCodecList() {
+        return [ ...this._codecList ];
+    }
+}
+
+class MockConference extends Listenable {
+    constructor() {
+        super();
+        this.commandListeners = {};
+        this.mediaSessions = [];
+        this.participants = {};
+        this.presence = {};
+        this.room = {
+            addOrReplaceInPresence: (tag, values) => {
+                this.presence[tag] = values;
+            }
+        };
+    }
+
+    addCommandListener(tag, handler) {
+        this.commandListeners[tag] = handler;
+    }
+
+    addMediaSession(mediaSession) {
+        this.mediaSessions.push(mediaSession);
+        this.eventEmitter.emit(JitsiConferenceEvents._MEDIA_SESSION_STARTED, mediaSession);
+    }
+
+    getParticipantById(id) {
+        return this.participants[id];
+    }
+
+    getParticipants() {
+        return Object.values(this.participants);
+    }
+
+    join(id, codecList) {
+        this.participants[id] = new MockParticipant(id);
+        this.eventEmitter.emit(JitsiConferenceEvents.USER_JOINED, id, this.participants[id]);
+        codecList && this.commandListeners[CODEC_LIST_PRESENCE_TAG]({ value: codecList }, id);
+    }
+
+    leave(id) {
+        const participant = this.participants[id];
+
+        delete this.participants[id];
+        this.eventEmitter.emit(JitsiConferenceEvents.USER_LEFT, id, participant);
+    }
+
+    _getMediaSessions() {
+        return this.mediaSessions;
+    }
+}
+/* eslint-enable require-jsdoc */
+
+describe('CodecSelection', () => {
+    let conference;
+    let codecSelection;
+    let session;
+    let changes;
+
+    beforeEach(() => {
+        conference = new MockConference();
+        codecSelection = new CodecSelection(conference, { codecPreferenceOrder: [ 'VP9', 'vp8', 'unknown' ] });
+        session = jasmine.createSpyObj('JingleSessionPC', [ 'setVideoCodecs' ]);
+        changes = [];
+        conference.on(
+            JitsiConferenceEvents.VIDEO_CODEC_CHANGED,
+            (codec, previousCodec) => changes.push([ codec, previousCodec ]));
+        conference.addMediaSession(session);
+    });
+
+    it('advertises the supported codecs', () => {
+        expect(codecSelection.getCodecList()).toEqual([ 'vp9', 'vp8' ]);
+        expect(conference.presence[CODEC_LIST_PRESENCE_TAG]).toEqual({ value: 'vp9,vp8' });
+    });
+
+    it('prefers the codec on the started sessions', () => {
+        expect(codecSelection.getCodec()).toBe('vp9');
+        expect(session.setVideoCodecs).toHaveBeenCalledWith('vp9');
+    });
+
+    it('switches when an incompatible participant joins and leaves', () => {
+        conference.join('a', 'vp9,vp8,h264');
+        expect(codecSelection.getCodec()).toBe('vp9');
+
+        conference.join('b', 'h264,vp8');
+        expect(codecSelection.getCodec()).toBe('vp8');
+        expect(session.setVideoCodecs).toHaveBeenCalledWith('vp8');
+
+        conference.leave('b');
+        expect(codecSelection.getCodec()).toBe('vp9');
+        expect(changes).toEqual([ [ 'vp8', 'vp9' ], [ 'vp9', 'vp8' ] ]);
+    });
+
+    it('assumes the default codecs for the participants which do not advertise their codecs', () => {
+        spyOn(RTCRtpReceiver, 'getCapabilities').and.returnValue({
+            codecs: [ { mimeType: 'video/AV1' }, { mimeType: 'video/VP9' } ]
+        });
+        jasmine.clock().install();
+
+        const av1Conference = new MockConference();
+        const selection = new CodecSelection(av1Conference, { codecPreferenceOrder: [ 'av1', 'vp9', 'vp8' ] });
+
+        av1Conference.join('a', 'av1,vp8');
+        jasmine.clock().tick(0);
+        expect(selection.getCodec()).toBe('av1');
+
+        av1Conference.join('b');
+        expect(selection.getCodec()).toBe('av1');
+
+        jasmine.clock().tick(0);
+        expect(selection.getCodec()).toBe('vp8');
+
+        av1Conference.leave('a');
+        expect(selection.getCodec()).toBe('vp9');
+        jasmine.clock().uninstall();
+    });
+
+    it('falls back to VP8', () => {
+        conference.join('a', 'h264');
+
+        expect(codecSelection.getCodec()).toBe('vp8');
+    });
+
+    it('does not use the disabled codec', () => {
+        const selection = new CodecSelection(new MockConference(), {
+            disabledCodec: 'vp9',
+            preferredCodec: 'vp9'
+        });
+
+        expect(selection.getCodecList()).not.toContain('vp9');
+        expect(selection.getCodec()).toBe('vp8');
+    });
+});
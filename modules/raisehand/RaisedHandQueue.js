@@ -0,0 +1,261 @@
+import { getLogger } from 'jitsi-meet-logger';
+import { Strophe } from 'strophe.js';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+import { JITSI_MEET_MUC_TYPE } from '../xmpp/xmpp';
+
+const logger = getLogger(__filename);
+
+/**
+ * The name of the presence extension which carries the time at which the
+ * participant raised their hand.
+ *
+ * @type {string}
+ */
+export const RAISED_HAND_PRESENCE_TAG = 'raisedHand';
+
+/**
+ * The type of the endpoint messages used by moderators to lower the hands of
+ * other participants.
+ *
+ * @type {string}
+ */
+export const RAISED_HAND_MESSAGE_TYPE = 'raised-hand';
+
+/**
+ * The actions carried by the raised hand endpoint messages.
+ */
+const RAISED_HAND_ACTIONS = {
+    LOWER: 'lower',
+    LOWER_ALL: 'lower-all'
+};
+
+/**
+ * Keeps the queue of the participants which have raised their hand. Every
+ * participant advertises the time at which they raised their hand in presence,
+ * so the queue is the same for everyone, including participants which join
+ * later. Moderators can lower the hand of anyone by asking them to do so.
+ */
+export default class RaisedHandQueue {
+    /**
+     * Creates new instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     */
+    constructor(conference) {
+        this._conference = conference;
+        this._room = conference.room;
+
+        /**
+         * The raise timestamps keyed by participant id.
+         *
+         * @type {Map<string, number>}
+         */
+        this._raisedHands = new Map();
+
+        this._onPresence = this._onPresence.bind(this);
+        this._onMemberLeft = this._onMemberLeft.bind(this);
+        this._onEndpointMessage = this._onEndpointMessage.bind(this);
+
+        this._room.addListener(XMPPEvents.PRESENCE_RECEIVED, this._onPresence);
+        this._room.addListener(XMPPEvents.MUC_MEMBER_LEFT, this._onMemberLeft);
+        conference.on(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, this._onEndpointMessage);
+    }
+
+    /**
+     * Stops listening for events.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        this._room.removeListener(XMPPEvents.PRESENCE_RECEIVED, this._onPresence);
+        this._room.removeListener(XMPPEvents.MUC_MEMBER_LEFT, this._onMemberLeft);
+        this._conference.off(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, this._onEndpointMessage);
+    }
+
+    /**
+     * Returns the queue of raised hands, the participant which raised their hand first being the first one.
+     *
+     * @returns {Array<{participantId: string, timestamp: number}>}
+     */
+    getQueue() {
+        return Array.from(this._raisedHands.entries())
+            .map(([ participantId, timestamp ]) => {
+                return {
+                    participantId,
+                    timestamp
+                };
+            })
+            .sort((a, b) => a.timestamp - b.timestamp || a.participantId.localeCompare(b.participantId));
+    }
+
+    /**
+     * Checks whether the given participant has raised their hand.
+     *
+     * @param {string} participantId - The participant id.
+     * @returns {boolean}
+     */
+    isHandRaised(participantId) {
+        return this._raisedHands.has(participantId);
+    }
+
+    /**
+     * Raises or lowers the hand of the local participant. Raising an already raised hand keeps its place in the
+     * queue.
+     *
+     * @param {boolean} raised - Whether the hand should be raised.
+     * @returns {void}
+     */
+    setLocalRaisedHand(raised) {
+        const localId = this._conference.myUserId();
+
+        if (raised === this.isHandRaised(localId)) {
+            return;
+        }
+
+        if (raised) {
+            const timestamp = Date.now();
+
+            this._room.addOrReplaceInPresence(RAISED_HAND_PRESENCE_TAG, { value: String(timestamp) });
+            this._update(localId, timestamp);
+        } else {
+            this._room.removeFromPresence(RAISED_HAND_PRESENCE_TAG);
+            this._update(localId, undefined);
+        }
+
+        this._room.sendPresence();
+    }
+
+    /**
+     * Asks a participant to lower their hand. Only moderators can do that.
+     *
+     * @param {string} participantId - The participant id.
+     * @returns {void}
+     */
+    lowerHand(participantId) {
+        if (participantId === this._conference.myUserId()) {
+            this.setLocalRaisedHand(false);
+
+            return;
+        }
+
+        if (!this._conference.isModerator()) {
+            logger.error('Cannot lower the hand of another participant, not a moderator');
+
+            return;
+        }
+
+        this._sendMessage(RAISED_HAND_ACTIONS.LOWER, participantId);
+    }
+
+    /**
+     * Asks all the participants to lower their hands. Only moderators can do that.
+     *
+     * @returns {void}
+     */
+    lowerAllHands() {
+        if (!this._conference.isModerator()) {
+            logger.error('Cannot lower all hands, not a moderator');
+
+            return;
+        }
+
+        this.setLocalRaisedHand(false);
+        this._sendMessage(RAISED_HAND_ACTIONS.LOWER_ALL);
+    }
+
+    /**
+     * Sends a raised hand message to a participant or to everyone.
+     *
+     * @param {string} action - The action.
+     * @param {string} [to] - The id of the participant, everyone if omitted.
+     * @private
+     * @returns {void}
+     */
+    _sendMessage(action, to) {
+        this._conference.sendMessage({
+            [JITSI_MEET_MUC_TYPE]: RAISED_HAND_MESSAGE_TYPE,
+            action
+        }, to);
+    }
+
+    /**
+     * Handles the messages sent by moderators.
+     *
+     * @param {JitsiParticipant} participant - The sender.
+     * @param {Object} payload - The message.
+     * @private
+     * @returns {void}
+     */
+    _onEndpointMessage(participant, payload) {
+        if (payload[JITSI_MEET_MUC_TYPE] !== RAISED_HAND_MESSAGE_TYPE) {
+            return;
+        }
+
+        if (!participant.isModerator()) {
+            logger.warn(`Ignoring raised hand message from non moderator ${participant.getId()}`);
+
+            return;
+        }
+
+        if (payload.action === RAISED_HAND_ACTIONS.LOWER || payload.action === RAISED_HAND_ACTIONS.LOWER_ALL) {
+            this.setLocalRaisedHand(false);
+        }
+    }
+
+    /**
+     * Reads the raised hand state from a participant's presence.
+     *
+     * @param {Object} event - The presence event.
+     * @param {Element} event.presence - The presence stanza.
+     * @private
+     * @returns {void}
+     */
+    _onPresence({ presence }) {
+        const from = presence.getAttribute('from');
+
+        // Our own presence is applied locally right away.
+        if (!from || from === this._room.myroomjid || this._room.isFocus(from)) {
+            return;
+        }
+
+        const node = Array.from(presence.children).find(c => c.tagName === RAISED_HAND_PRESENCE_TAG);
+        const timestamp = node ? Number(node.textContent) : undefined;
+
+        this._update(Strophe.getResourceFromJid(from), Number.isFinite(timestamp) ? timestamp : undefined);
+    }
+
+    /**
+     * Removes participants which left from the queue.
+     *
+     * @param {string} jid - The occupant jid of the participant.
+     * @private
+     * @returns {void}
+     */
+    _onMemberLeft(jid) {
+        this._update(Strophe.getResourceFromJid(jid), undefined);
+    }
+
+    /**
+     * Updates the queue and notifies about the change, if any.
+     *
+     * @param {string} participantId - The participant id.
+     * @param {number|undefined} timestamp - When the hand was raised, undefined if it is lowered.
+     * @private
+     * @returns {void}
+     */
+    _update(participantId, timestamp) {
+        if (this._raisedHands.get(participantId) === timestamp) {
+            return;
+        }
+
+        if (typeof timestamp === 'undefined') {
+            this._raisedHands.delete(participantId);
+        } else {
+            this._raisedHands.set(participantId, timestamp);
+        }
+
+        this._conference.eventEmitter.emit(JitsiConferenceEvents.RAISED_HAND_QUEUE_CHANGED, this.getQueue());
+    }
+}
@@ -0,0 +1,126 @@
+import EventEmitter from 'events';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+import { JITSI_MEET_MUC_TYPE } from '../xmpp/xmpp';
+
+import RaisedHandQueue, { RAISED_HAND_MESSAGE_TYPE, RAISED_HAND_PRESENCE_TAG } from './RaisedHandQueue';
+
+const ROOM_JID = 'room@conference.example.com';
+
+/**
+ * Creates a presence stanza.
+ *
+ * @param {string} nick - The nickname of the sender.
+ * @param {number} [raisedHand] - The raised hand timestamp, if any.
+ * @returns {Element}
+ */
+function createPresence(nick, raisedHand) {
+    const extension = typeof raisedHand === 'undefined'
+        ? ''
+        : `<${RAISED_HAND_PRESENCE_TAG}>${raisedHand}</${RAISED_HAND_PRESENCE_TAG}>`;
+
+    return new DOMParser().parseFromString(
+        `<presence from="${ROOM_JID}/${nick}">${extension}</presence>`, 'text/xml').documentElement;
+}
+
+describe('RaisedHandQueue', () => {
+    let conference;
+    let room;
+    let queue;
+    let changes;
+
+    beforeEach(() => {
+        room = new EventEmitter();
+        room.myroomjid = `${ROOM_JID}/local`;
+        room.isFocus = () => false;
+        room.addOrReplaceInPresence = jasmine.createSpy('addOrReplaceInPresence');
+        room.removeFromPresence = jasmine.createSpy('removeFromPresence');
+        room.sendPresence = jasmine.createSpy('sendPresence');
+
+        conference = new EventEmitter();
+        conference.eventEmitter = conference;
+        conference.room = room;
+        conference.myUserId = () => 'local';
+        conference.isModerator = () => false;
+        conference.sendMessage = jasmine.createSpy('sendMessage');
+
+        queue = new RaisedHandQueue(conference);
+
+        changes = [];
+        conference.on(JitsiConferenceEvents.RAISED_HAND_QUEUE_CHANGED, q => changes.push(q));
+    });
+
+    afterEach(() => {
+        queue.dispose();
+    });
+
+    it('orders the hands by the time they were raised', () => {
+        room.emit(XMPPEvents.PRESENCE_RECEIVED, { presence: createPresence('b', 2000) });
+        room.emit(XMPPEvents.PRESENCE_RECEIVED, { presence: createPresence('a', 1000) });
+
+        expect(queue.getQueue().map(h => h.participantId)).toEqual([ 'a', 'b' ]);
+        expect(changes.length).toBe(2);
+    });
+
+    it('does not notify when the presence does not change the queue', () => {
+        room.emit(XMPPEvents.PRESENCE_RECEIVED, { presence: createPresence('a', 1000) });
+        room.emit(XMPPEvents.PRESENCE_RECEIVED, { presence: createPresence('a', 1000) });
+        room.emit(XMPPEvents.PRESENCE_RECEIVED, { presence: createPresence('c') });
+
+        expect(changes.length).toBe(1);
+    });
+
+    it('removes lowered hands and participants which left', () => {
+        room.emit(XMPPEvents.PRESENCE_RECEIVED, { presence: createPresence('a', 1000) });
+        room.emit(XMPPEvents.PRESENCE_RECEIVED, { presence: createPresence('b', 2000) });
+        room.emit(XMPPEvents.PRESENCE_RECEIVED, { presence: createPresence('a') });
+        room.emit(XMPPEvents.MUC_MEMBER_LEFT, `${ROOM_JID}/b`);
+
+        expect(queue.getQueue()).toEqual([]);
+    });
+
+    it('advertises the local raised hand in presence', () => {
+        queue.setLocalRaisedHand(true);
+
+        expect(room.addOrReplaceInPresence).toHaveBeenCalledWith(RAISED_HAND_PRESENCE_TAG, jasmine.any(Object));
+        expect(room.sendPresence).toHaveBeenCalled();
+        expect(queue.isHandRaised('local')).toBe(true);
+
+        queue.setLocalRaisedHand(false);
+
+        expect(room.removeFromPresence).toHaveBeenCalledWith(RAISED_HAND_PRESENCE_TAG);
+        expect(queue.isHandRaised('local')).toBe(false);
+    });
+
+    it('lets only moderators lower the hands of others', () => {
+        queue.lowerHand('a');
+        expect(conference.sendMessage).not.toHaveBeenCalled();
+
+        conference.isModerator = () => true;
+        queue.lowerHand('a');
+        expect(conference.sendMessage).toHaveBeenCalledWith({
+            [JITSI_MEET_MUC_TYPE]: RAISED_HAND_MESSAGE_TYPE,
+            action: 'lower'
+        }, 'a');
+    });
+
+    it('lowers the local hand when a moderator asks to', () => {
+        const moderator = { getId: () => 'mod',
+            isModerator: () => true };
+        const participant = { getId: () => 'p',
+            isModerator: () => false };
+        const message = {
+            [JITSI_MEET_MUC_TYPE]: RAISED_HAND_MESSAGE_TYPE,
+            action: 'lower'
+        };
+
+        queue.setLocalRaisedHand(true);
+
+        conference.emit(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, participant, message);
+        expect(queue.isHandRaised('local')).toBe(true);
+
+        conference.emit(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, moderator, message);
+        expect(queue.isHandRaised('local')).toBe(false);
+    });
+});
@@ -0,0 +1,200 @@
+import { getLogger } from 'jitsi-meet-logger';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import { JITSI_MEET_MUC_TYPE } from '../xmpp/xmpp';
+
+const logger = getLogger(__filename);
+
+/**
+ * The type of the messages carrying reactions.
+ *
+ * @type {string}
+ */
+export const REACTIONS_MESSAGE_TYPE = 'reactions';
+
+/**
+ * The maximum length of a single reaction, reactions are meant to be emojis or
+ * short identifiers of them.
+ *
+ * @type {number}
+ */
+const MAX_REACTION_LENGTH = 32;
+
+/**
+ * Sends and receives lightweight reactions. The reactions sent by the local
+ * participant are batched and the reactions received from every participant are
+ * rate limited, so that a burst of clicks does not flood the meeting.
+ * Reactions go through the bridge channel when it is open and through the MUC
+ * otherwise.
+ */
+export default class Reactions {
+    /**
+     * Creates new instance.
+     *
+     * @param {JitsiConference} conference - The conference.
+     * @param {Object} options - The conference config.
+     * @param {Object} [options.reactions] - The reactions config.
+     * @param {number} [options.reactions.batchInterval] - How long reactions are collected before being sent, in ms.
+     * @param {number} [options.reactions.maxBatchSize] - The maximum number of reactions sent at once.
+     * @param {number} [options.reactions.receiveLimit] - The maximum number of reactions accepted from a participant
+     * in a receive interval.
+     * @param {number} [options.reactions.receiveInterval] - The duration of the receive interval, in ms.
+     */
+    constructor(conference, options) {
+        const config = (options && options.reactions) || {};
+
+        this._conference = conference;
+
+        this._batchInterval = typeof config.batchInterval === 'number' ? config.batchInterval : 500;
+        this._maxBatchSize = typeof config.maxBatchSize === 'number' ? config.maxBatchSize : 10;
+        this._receiveLimit = typeof config.receiveLimit === 'number' ? config.receiveLimit : 10;
+        this._receiveInterval = typeof config.receiveInterval === 'number' ? config.receiveInterval : 1000;
+
+        /**
+         * The reactions waiting to be sent.
+         *
+         * @type {Array<string>}
+         */
+        this._pending = [];
+        this._batchTimeout = undefined;
+
+        /**
+         * The number of reactions received from every participant in the current receive interval.
+         *
+         * @type {Map<string, {count: number, windowStart: number}>}
+         */
+        this._received = new Map();
+
+        this._onEndpointMessage = this._onEndpointMessage.bind(this);
+        this._onUserLeft = this._onUserLeft.bind(this);
+
+        conference.on(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, this._onEndpointMessage);
+        conference.on(JitsiConferenceEvents.USER_LEFT, this._onUserLeft);
+    }
+
+    /**
+     * Stops listening for events and drops the reactions which have not been sent yet.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        clearTimeout(this._batchTimeout);
+        this._batchTimeout = undefined;
+        this._pending = [];
+        this._received.clear();
+
+        this._conference.off(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, this._onEndpointMessage);
+        this._conference.off(JitsiConferenceEvents.USER_LEFT, this._onUserLeft);
+    }
+
+    /**
+     * Queues a reaction to be sent to everyone with the next batch.
+     *
+     * @param {string} reaction - The reaction, e.g. an emoji.
+     * @returns {void}
+     */
+    sendReaction(reaction) {
+        if (typeof reaction !== 'string' || !reaction.length || reaction.length > MAX_REACTION_LENGTH) {
+            logger.error(`Invalid reaction: ${reaction}`);
+
+            return;
+        }
+
+        if (this._pending.length >= this._maxBatchSize) {
+            logger.debug('Dropping reaction, too many reactions in the current batch');
+
+            return;
+        }
+
+        this._pending.push(reaction);
+
+        if (!this._batchTimeout) {
+            this._batchTimeout = setTimeout(() => this._flush(), this._batchInterval);
+        }
+    }
+
+    /**
+     * Sends the queued reactions.
+     *
+     * @private
+     * @returns {void}
+     */
+    _flush() {
+        this._batchTimeout = undefined;
+
+        if (!this._pending.length) {
+            return;
+        }
+
+        const payload = {
+            [JITSI_MEET_MUC_TYPE]: REACTIONS_MESSAGE_TYPE,
+            reactions: this._pending
+        };
+
+        this._pending = [];
+
+        if (this._conference.rtc && this._conference.rtc.isBridgeChannelOpen()) {
+            try {
+                this._conference.sendEndpointMessage('', payload);
+
+                return;
+            } catch (error) {
+                logger.warn('Failed to send reactions through the bridge channel, falling back to the MUC', error);
+            }
+        }
+
+        this._conference.sendMessage(payload);
+    }
+
+    /**
+     * Handles the reactions sent by the other participants.
+     *
+     * @param {JitsiParticipant} participant - The sender.
+     * @param {Object} payload - The message.
+     * @private
+     * @returns {void}
+     */
+    _onEndpointMessage(participant, payload) {
+        if (payload[JITSI_MEET_MUC_TYPE] !== REACTIONS_MESSAGE_TYPE || !Array.isArray(payload.reactions)) {
+            return;
+        }
+
+        const id = participant.getId();
+        const now = Date.now();
+        let state = this._received.get(id);
+
+        if (!state || now - state.windowStart >= this._receiveInterval) {
+            state = {
+                count: 0,
+                windowStart: now
+            };
+            this._received.set(id, state);
+        }
+
+        const reactions = payload.reactions
+            .filter(reaction => typeof reaction === 'string'
+                && reaction.length
+                && reaction.length <= MAX_REACTION_LENGTH);
+        const accepted = reactions.slice(0, Math.max(0, this._receiveLimit - state.count));
+
+        state.count += accepted.length;
+
+        if (accepted.length < reactions.length) {
+            logger.debug(`Dropped ${reactions.length - accepted.length} reactions from ${id}, rate limit reached`);
+        }
+
+        accepted.forEach(reaction =>
+            this._conference.eventEmitter.emit(JitsiConferenceEvents.REACTION_RECEIVED, participant, reaction));
+    }
+
+    /**
+     * Forgets the participants which left.
+     *
+     * @param {string} id - The participant id.
+     * @private
+     * @returns {void}
+     */
+    _onUserLeft(id) {
+        this._received.delete(id);
+    }
+}
@@ -0,0 +1,139 @@
+import EventEmitter from 'events';
+
+import * as JitsiConferenceEvents from '../../JitsiConferenceEvents';
+import { JITSI_MEET_MUC_TYPE } from '../xmpp/xmpp';
+
+import Reactions, { REACTIONS_MESSAGE_TYPE } from './Reactions';
+
+/**
+ * Creates a mock participant.
+ *
+ * @param {string} id - The participant id.
+ * @returns {Object}
+ */
+function createParticipant(id) {
+    return {
+        getId: () => id
+    };
+}
+
+describe('Reactions', () => {
+    let conference;
+    let bridgeChannelOpen;
+    let reactions;
+    let received;
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(1000000));
+
+        bridgeChannelOpen = true;
+
+        conference = new EventEmitter();
+        conference.eventEmitter = conference;
+        conference.rtc = {
+            isBridgeChannelOpen: () => bridgeChannelOpen
+        };
+        conference.sendEndpointMessage = jasmine.createSpy('sendEndpointMessage');
+        conference.sendMessage = jasmine.createSpy('sendMessage');
+
+        reactions = new Reactions(conference, {
+            reactions: {
+                batchInterval: 100,
+                maxBatchSize: 3,
+                receiveLimit: 2,
+                receiveInterval: 1000
+            }
+        });
+
+        received = [];
+        conference.on(JitsiConferenceEvents.REACTION_RECEIVED, (participant, reaction) =>
+            received.push([ participant.getId(), reaction ]));
+    });
+
+    afterEach(() => {
+        reactions.dispose();
+        jasmine.clock().uninstall();
+    });
+
+    /**
+     * Emulates reactions received from a remote participant.
+     *
+     * @param {string} from - The sender id.
+     * @param {Array<string>} list - The reactions.
+     * @returns {void}
+     */
+    function receive(from, list) {
+        conference.emit(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, createParticipant(from), {
+            [JITSI_MEET_MUC_TYPE]: REACTIONS_MESSAGE_TYPE,
+            reactions: list
+        });
+    }
+
+    it('batches the reactions sent through the bridge channel', () => {
+        reactions.sendReaction('👍');
+        reactions.sendReaction('🎉');
+        reactions.sendReaction('👏');
+        reactions.sendReaction('❤️');
+        expect(conference.sendEndpointMessage).not.toHaveBeenCalled();
+
+        jasmine.clock().tick(100);
+
+        expect(conference.sendEndpointMessage).toHaveBeenCalledTimes(1);
+        expect(conference.sendEndpointMessage).toHaveBeenCalledWith('', {
+            [JITSI_MEET_MUC_TYPE]: REACTIONS_MESSAGE_TYPE,
+            reactions: [ '👍', '🎉', '👏' ]
+        });
+        expect(conference.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('falls back to the MUC when the bridge channel is not open', () => {
+        bridgeChannelOpen = false;
+        reactions.sendReaction('👍');
+        jasmine.clock().tick(100);
+
+        expect(conference.sendEndpointMessage).not.toHaveBeenCalled();
+        expect(conference.sendMessage).toHaveBeenCalledWith({
+            [JITSI_MEET_MUC_TYPE]: REACTIONS_MESSAGE_TYPE,
+            reactions: [ '👍' ]
+        });
+    });
+
+    it('falls back to the MUC when the bridge channel fails', () => {
+        conference.sendEndpointMessage.and.throwError('closed');
+        reactions.sendReaction('👍');
+        jasmine.clock().tick(100);
+
+        expect(conference.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores invalid reactions', () => {
+        reactions.sendReaction('');
+        reactions.sendReaction(42);
+        jasmine.clock().tick(100);
+
+        expect(conference.sendEndpointMessage).not.toHaveBeenCalled();
+    });
+
+    it('rate limits the reactions of every sender', () => {
+        receive('a', [ '👍', '🎉', '👏' ]);
+        receive('b', [ '👍' ]);
+        receive('a', [ '❤️' ]);
+
+        expect(received).toEqual([ [ 'a', '👍' ], [ 'a', '🎉' ], [ 'b', '👍' ] ]);
+
+        jasmine.clock().tick(1000);
+        receive('a', [ '❤️' ]);
+
+        expect(received.length).toBe(4);
+    });
+
+    it('ignores other messages', () => {
+        conference.emit(JitsiConferenceEvents.ENDPOINT_MESSAGE_RECEIVED, createParticipant('a'), {
+            [JITSI_MEET_MUC_TYPE]: 'polls',
+            reactions: [ '👍' ]
+        });
+
+        expect(received).toEqual([]);
+    });
+});
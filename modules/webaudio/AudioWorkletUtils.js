@@ -0,0 +1,84 @@
+/**
+ * Returns the URL of a file served next to the library.
+ *
+ * @param {string} fileName - The name of the file.
+ * @returns {string}
+ */
+function getLibraryFileUrl(fileName) {
+    let baseUrl = '';
+    const ljm = document.querySelector('script[src*="lib-jitsi-meet"]');
+
+    if (ljm) {
+        const idx = ljm.src.lastIndexOf('/');
+
+        baseUrl = `${ljm.src.substring(0, idx)}/`;
+    }
+
+    return `${baseUrl}${fileName}`;
+}
+
+/**
+ * Returns the URL of the script registering the audio processors of the
+ * library, lib-jitsi-meet.audio-worklets.js, which is served next to the
+ * library.
+ *
+ * @returns {string}
+ */
+export function getAudioWorkletsUrl() {
+    return getLibraryFileUrl('lib-jitsi-meet.audio-worklets.js');
+}
+
+/**
+ * Returns the URL of the RNNoise WASM module of @jitsi/rnnoise-wasm,
+ * lib-jitsi-meet.rnnoise.wasm, which is served next to the library.
+ *
+ * @returns {string}
+ */
+export function getRnnoiseWasmUrl() {
+    return getLibraryFileUrl('lib-jitsi-meet.rnnoise.wasm');
+}
+
+/**
+ * Checks whether the AudioWorklets are supported.
+ *
+ * @param {AudioContext} audioContext - The AudioContext in which the processors would run.
+ * @returns {boolean}
+ */
+export function isAudioWorkletSupported(audioContext) {
+    return Boolean(audioContext && audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined');
+}
+
+/**
+ * Loads the audio processors of the library in an AudioContext.
+ *
+ * @param {AudioContext} audioContext - The AudioContext.
+ * @param {string} [workletsUrl] - The URL of lib-jitsi-meet.audio-worklets.js, when it is not served next to the
+ * library.
+ * @returns {Promise} Resolved when the processors can be used.
+ */
+export function loadAudioWorklets(audioContext, workletsUrl) {
+    if (!isAudioWorkletSupported(audioContext)) {
+        return Promise.reject(new Error('AudioWorklet is not supported'));
+    }
+
+    return audioContext.audioWorklet.addModule(workletsUrl || getAudioWorkletsUrl());
+}
+
+/**
+ * Fetches and compiles a WASM module, so that it can be given to the audio
+ * processors which instantiate it in the AudioWorkletGlobalScope.
+ *
+ * @param {string} url - The URL of the WASM binary.
+ * @returns {Promise<WebAssembly.Module>}
+ */
+export function compileWasm(url) {
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${url}: ${response.status}`);
+            }
+
+            return response.arrayBuffer();
+        })
+        .then(buffer => WebAssembly.compile(buffer));
+}
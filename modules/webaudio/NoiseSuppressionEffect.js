@@ -0,0 +1,171 @@
+import EventEmitter from 'events';
+import { getLogger } from 'jitsi-meet-logger';
+
+import { VAD_SCORE_PUBLISHED } from '../detection/DetectionEvents';
+
+import { compileWasm, getRnnoiseWasmUrl, loadAudioWorklets } from './AudioWorkletUtils';
+import { createAudioContext } from './WebAudioUtils';
+import { RNNOISE_SAMPLE_RATE } from './worklets/NoiseSuppressor';
+import { NOISE_SUPPRESSOR_PROCESSOR } from './worklets/ProcessorNames';
+
+const logger = getLogger(__filename);
+
+/**
+ * An effect for audio {@link JitsiLocalTrack}s which suppresses the background
+ * noise. The audio is denoised in an AudioWorklet by the RNNoise WASM module
+ * of @jitsi/rnnoise-wasm, on the CPU, which also gives the probability of voice activity:
+ * it is published with {@link VAD_SCORE_PUBLISHED} and the effect can be used
+ * as a voice activity detector.
+ *
+ * The effect can be chained with other effects in the effect pipeline of the
+ * track. After work is done with the effect the dispose method needs to be
+ * called for a proper cleanup.
+ *
+ * @fires VAD_SCORE_PUBLISHED
+ */
+export default class NoiseSuppressionEffect extends EventEmitter {
+    /**
+     * Constructor, use {@link NoiseSuppressionEffect.create} which loads the denoiser.
+     *
+     * @param {AudioContext} audioContext - The AudioContext in which the noise suppression processor is loaded.
+     * @param {WebAssembly.Module} wasmModule - The compiled denoiser.
+     */
+    constructor(audioContext, wasmModule) {
+        super();
+
+        this._audioContext = audioContext;
+        this._wasmModule = wasmModule;
+        this._vadScore = 0;
+        this._disposed = false;
+        this._onProcessorMessage = this._onProcessorMessage.bind(this);
+    }
+
+    /**
+     * Factory method that loads the noise suppression processor and the denoiser.
+     *
+     * @param {Object} [options] - The options.
+     * @param {string} [options.wasmUrl] - The URL of lib-jitsi-meet.rnnoise.wasm, built with the library from
+     * the <tt>@jitsi/rnnoise-wasm</tt> dependency, when it is not served next to the library.
+     * @param {string} [options.workletsUrl] - The URL of lib-jitsi-meet.audio-worklets.js, when it is not served next
+     * to the library.
+     * @returns {Promise<NoiseSuppressionEffect>}
+     */
+    static create({ wasmUrl, workletsUrl } = {}) {
+        const audioContext = createAudioContext({ sampleRate: RNNOISE_SAMPLE_RATE });
+
+        return Promise.all([
+            loadAudioWorklets(audioContext, workletsUrl),
+            compileWasm(wasmUrl || getRnnoiseWasmUrl())
+        ])
+            .then(([ , wasmModule ]) => new NoiseSuppressionEffect(audioContext, wasmModule))
+            .catch(error => {
+                audioContext && audioContext.close();
+                throw error;
+            });
+    }
+
+    /**
+     * Checks if the local track supports the effect.
+     *
+     * @param {JitsiLocalTrack} localTrack - The track.
+     * @returns {boolean}
+     */
+    isEnabled(localTrack) {
+        return !this._disposed && localTrack.isAudioTrack();
+    }
+
+    /**
+     * Starts the noise suppression on a stream.
+     *
+     * @param {MediaStream} stream - The audio stream to denoise.
+     * @returns {MediaStream} The denoised stream.
+     */
+    startEffect(stream) {
+        this._audioSource = this._audioContext.createMediaStreamSource(stream);
+        this._processorNode = new AudioWorkletNode(this._audioContext, NOISE_SUPPRESSOR_PROCESSOR, {
+            channelCount: 1,
+            channelCountMode: 'explicit',
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [ 1 ],
+            processorOptions: { wasmModule: this._wasmModule }
+        });
+        this._processorNode.port.onmessage = this._onProcessorMessage;
+        this._audioDestination = this._audioContext.createMediaStreamDestination();
+
+        this._audioSource.connect(this._processorNode);
+        this._processorNode.connect(this._audioDestination);
+
+        // the context may have been created without a user gesture
+        if (this._audioContext.state === 'suspended') {
+            this._audioContext.resume().catch(error => logger.warn('Failed to resume the AudioContext', error));
+        }
+
+        return this._audioDestination.stream;
+    }
+
+    /**
+     * Stops the noise suppression.
+     *
+     * @returns {void}
+     */
+    stopEffect() {
+        if (!this._processorNode) {
+            return;
+        }
+
+        this._processorNode.port.postMessage({ type: 'destroy' });
+        this._processorNode.port.onmessage = null;
+        this._audioSource.disconnect();
+        this._processorNode.disconnect();
+        this._audioDestination.stream.getTracks().forEach(track => track.stop());
+
+        this._audioSource = undefined;
+        this._processorNode = undefined;
+        this._audioDestination = undefined;
+    }
+
+    /**
+     * Returns the probability of voice activity in the last processed frame.
+     *
+     * @returns {number} The probability, between 0 and 1.
+     */
+    getVADScore() {
+        return this._vadScore;
+    }
+
+    /**
+     * Stops the effect and releases the AudioContext. The effect cannot be used
+     * anymore.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        if (this._disposed) {
+            return;
+        }
+
+        this.stopEffect();
+        this._audioContext.close();
+        this._disposed = true;
+    }
+
+    /**
+     * Handles the messages of the noise suppression processor.
+     *
+     * @param {MessageEvent} event - The message.
+     * @returns {void}
+     * @private
+     */
+    _onProcessorMessage({ data }) {
+        if (data.type === 'error') {
+            logger.error(`Failed to instantiate the denoiser: ${data.message}`);
+        } else if (data.type === 'vad') {
+            this._vadScore = data.score;
+            this.emit(VAD_SCORE_PUBLISHED, {
+                timestamp: new Date(),
+                score: data.score
+            });
+        }
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * The number of samples RNNoise processes at once: 10 ms at 48 kHz.
+ *
+ * @type {number}
+ */
+export const RNNOISE_FRAME_LENGTH = 480;
+
+/**
+ * The sample rate RNNoise operates at.
+ *
+ * @type {number}
+ */
+export const RNNOISE_SAMPLE_RATE = 48000;
+
+/**
+ * RNNoise works on samples in the range of 16 bit PCM whereas WebAudio uses
+ * floats between -1 and 1.
+ *
+ * @type {number}
+ */
+const RNNOISE_SAMPLE_SCALE = 32768;
+
+/**
+ * The length of the buffer of denoised samples waiting to be output, a
+ * multiple of both the RNNoise frame and the WebAudio render quantum (128
+ * samples).
+ *
+ * @type {number}
+ */
+const OUTPUT_BUFFER_LENGTH = 1920;
+
+/**
+ * Returns a function of the RNNoise module.
+ *
+ * @param {Object} rnnoiseModule - The Emscripten module of the denoiser.
+ * @param {string} name - The C name of the function.
+ * @returns {Function}
+ */
+function getFunction(rnnoiseModule, name) {
+    const fn = rnnoiseModule[`_${name}`];
+
+    if (typeof fn !== 'function') {
+        throw new Error(`The denoiser does not export ${name}`);
+    }
+
+    return fn;
+}
+
+/**
+ * Denoises a stream of samples with the RNNoise WASM module of the
+ * <tt>@jitsi/rnnoise-wasm</tt> dependency. The Emscripten module exposes its
+ * heap as <tt>HEAPF32</tt> and the <tt>malloc</tt>, <tt>free</tt>,
+ * <tt>rnnoise_create</tt>, <tt>rnnoise_destroy</tt> and
+ * <tt>rnnoise_process_frame</tt> functions, the latter denoising a frame in
+ * place and returning the probability of voice activity in it.
+ *
+ * The samples are processed by frames of {@link RNNOISE_FRAME_LENGTH} whereas
+ * they are received by blocks of another size, so the output is delayed by one
+ * frame: 10 ms.
+ */
+export default class NoiseSuppressor {
+    /**
+     * Creates the denoiser state.
+     *
+     * @param {Object} rnnoiseModule - The Emscripten module of the denoiser.
+     */
+    constructor(rnnoiseModule) {
+        this._module = rnnoiseModule;
+        this._free = getFunction(rnnoiseModule, 'free');
+        this._processFrame = getFunction(rnnoiseModule, 'rnnoise_process_frame');
+        this._destroy = getFunction(rnnoiseModule, 'rnnoise_destroy');
+
+        const malloc = getFunction(rnnoiseModule, 'malloc');
+
+        // a null model selects the model built in the denoiser
+        this._state = getFunction(rnnoiseModule, 'rnnoise_create')(0);
+        this._framePtr = malloc(RNNOISE_FRAME_LENGTH * Float32Array.BYTES_PER_ELEMENT);
+
+        /**
+         * The samples of the frame being collected.
+         *
+         * @type {Float32Array}
+         */
+        this._frame = new Float32Array(RNNOISE_FRAME_LENGTH);
+        this._frameLength = 0;
+
+        /**
+         * The denoised samples waiting to be output, starting with a frame of
+         * silence so that the output never runs dry.
+         *
+         * @type {Float32Array}
+         */
+        this._output = new Float32Array(OUTPUT_BUFFER_LENGTH);
+        this._outputRead = 0;
+        this._outputLength = RNNOISE_FRAME_LENGTH;
+
+        /**
+         * The probability of voice activity in the last processed frame.
+         *
+         * @type {number}
+         */
+        this.vadScore = 0;
+    }
+
+    /**
+     * Denoises a block of samples.
+     *
+     * @param {Float32Array} input - The samples to denoise.
+     * @param {Float32Array} output - Receives as many denoised samples.
+     * @param {Function} [onVADScore] - Called with the probability of voice activity of each processed frame.
+     * @returns {void}
+     */
+    process(input, output, onVADScore) {
+        for (let i = 0; i < input.length; i++) {
+            this._frame[this._frameLength++] = input[i] * RNNOISE_SAMPLE_SCALE;
+
+            if (this._frameLength === RNNOISE_FRAME_LENGTH) {
+                this._denoiseFrame();
+                onVADScore && onVADScore(this.vadScore);
+            }
+        }
+
+        for (let i = 0; i < output.length; i++) {
+            if (this._outputLength) {
+                output[i] = this._output[this._outputRead];
+                this._outputRead = (this._outputRead + 1) % OUTPUT_BUFFER_LENGTH;
+                this._outputLength--;
+            } else {
+                output[i] = 0;
+            }
+        }
+    }
+
+    /**
+     * Calculates the probability of voice activity in a frame, which is not
+     * denoised.
+     *
+     * @param {Float32Array} pcmData - The {@link RNNOISE_FRAME_LENGTH} samples of the frame.
+     * @returns {number} The probability, between 0 and 1.
+     */
+    calculateFrameVAD(pcmData) {
+        const offset = this._framePtr / Float32Array.BYTES_PER_ELEMENT;
+        const heap = this._module.HEAPF32;
+
+        for (let i = 0; i < RNNOISE_FRAME_LENGTH; i++) {
+            heap[offset + i] = pcmData[i] * RNNOISE_SAMPLE_SCALE;
+        }
+
+        return this._processFrame(this._state, this._framePtr, this._framePtr);
+    }
+
+    /**
+     * Releases the denoiser state.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        this._destroy(this._state);
+        this._free(this._framePtr);
+    }
+
+    /**
+     * Denoises the collected frame and queues it for output.
+     *
+     * @returns {void}
+     * @private
+     */
+    _denoiseFrame() {
+        const offset = this._framePtr / Float32Array.BYTES_PER_ELEMENT;
+
+        // the view is read for every frame as it is replaced when the memory grows
+        this._module.HEAPF32.set(this._frame, offset);
+        this.vadScore = this._processFrame(this._state, this._framePtr, this._framePtr);
+
+        const heap = this._module.HEAPF32;
+
+        let write = (this._outputRead + this._outputLength) % OUTPUT_BUFFER_LENGTH;
+
+        for (let i = 0; i < RNNOISE_FRAME_LENGTH; i++) {
+            this._output[write] = heap[offset + i] / RNNOISE_SAMPLE_SCALE;
+            write = (write + 1) % OUTPUT_BUFFER_LENGTH;
+        }
+
+        this._outputLength = Math.min(this._outputLength + RNNOISE_FRAME_LENGTH, OUTPUT_BUFFER_LENGTH);
+        this._frameLength = 0;
+    }
+}
@@ -0,0 +1,78 @@
+import NoiseSuppressor, { RNNOISE_FRAME_LENGTH } from './NoiseSuppressor';
+
+describe('NoiseSuppressor', () => {
+    let rnnoiseModule;
+    let heapTop;
+
+    beforeEach(() => {
+        heapTop = 1024;
+
+        const heap = new Float32Array(16384);
+
+        // a fake denoiser which halves the samples
+        rnnoiseModule = {
+            HEAPF32: heap,
+            '_malloc': size => {
+                const ptr = heapTop;
+
+                heapTop += size;
+
+                return ptr;
+            },
+            '_free': jasmine.createSpy('free'),
+            '_rnnoise_create': () => 1,
+            '_rnnoise_destroy': jasmine.createSpy('rnnoise_destroy'),
+            '_rnnoise_process_frame': (state, outPtr, inPtr) => {
+                for (let i = 0; i < RNNOISE_FRAME_LENGTH; i++) {
+                    heap[(outPtr / 4) + i] = heap[(inPtr / 4) + i] / 2;
+                }
+
+                return 0.75;
+            }
+        };
+    });
+
+    it('denoises blocks of any size with one frame of latency', () => {
+        const suppressor = new NoiseSuppressor(rnnoiseModule);
+        const scores = [];
+        const output = [];
+        const input = new Float32Array(128).fill(0.5);
+
+        for (let i = 0; i < 15; i++) {
+            const block = new Float32Array(128);
+
+            suppressor.process(input, block, score => scores.push(score));
+            output.push(...block);
+        }
+
+        expect(output.slice(0, RNNOISE_FRAME_LENGTH).every(sample => sample === 0)).toBe(true);
+        expect(output.slice(RNNOISE_FRAME_LENGTH).every(sample => sample === 0.25)).toBe(true);
+        expect(scores).toEqual([ 0.75, 0.75, 0.75, 0.75 ]);
+        expect(suppressor.vadScore).toBe(0.75);
+    });
+
+    it('scores frames without denoising them', () => {
+        const suppressor = new NoiseSuppressor(rnnoiseModule);
+        const block = new Float32Array(128);
+
+        expect(suppressor.calculateFrameVAD(new Float32Array(RNNOISE_FRAME_LENGTH).fill(0.5))).toBe(0.75);
+
+        suppressor.process(new Float32Array(128).fill(0.5), block, () => undefined);
+        expect(block.every(sample => sample === 0)).toBe(true);
+    });
+
+    it('releases the denoiser state', () => {
+        const suppressor = new NoiseSuppressor(rnnoiseModule);
+
+        suppressor.destroy();
+
+        expect(rnnoiseModule._rnnoise_destroy).toHaveBeenCalledWith(1);
+        expect(rnnoiseModule._free).toHaveBeenCalledWith(1024);
+    });
+
+    it('requires the denoiser functions', () => {
+        delete rnnoiseModule._rnnoise_process_frame;
+
+        expect(() => new NoiseSuppressor(rnnoiseModule)).toThrowError(/rnnoise_process_frame/);
+    });
+});
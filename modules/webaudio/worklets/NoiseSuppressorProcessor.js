@@ -0,0 +1,85 @@
+/* global AudioWorkletProcessor, registerProcessor */
+
+import NoiseSuppressor from './NoiseSuppressor';
+import { NOISE_SUPPRESSOR_PROCESSOR } from './ProcessorNames';
+import { createRnnoiseModule } from './RnnoiseModule';
+
+/**
+ * Denoises its mono input with the RNNoise WASM module given in the processor
+ * options as a compiled <tt>wasmModule</tt> and posts the probability of voice
+ * activity of each processed frame on its port as <tt>{ type: 'vad', score }</tt>.
+ * The output is silent until the module is instantiated, an error to
+ * instantiate it is posted as <tt>{ type: 'error', message }</tt>.
+ * The processor stops when it receives <tt>{ type: 'destroy' }</tt>.
+ */
+class NoiseSuppressorProcessor extends AudioWorkletProcessor {
+    /**
+     * Instantiates the denoiser.
+     *
+     * @param {Object} options - The options of the AudioWorkletNode.
+     */
+    constructor(options) {
+        super();
+
+        this._destroyed = false;
+        this._onVADScore = this._onVADScore.bind(this);
+
+        createRnnoiseModule(options.processorOptions.wasmModule)
+            .then(rnnoiseModule => {
+                this._suppressor = new NoiseSuppressor(rnnoiseModule);
+                this._destroyed && this._suppressor.destroy();
+            })
+            .catch(error => {
+                this.port.postMessage({
+                    type: 'error',
+                    message: error.message
+                });
+            });
+
+        this.port.onmessage = ({ data }) => {
+            if (data.type === 'destroy' && !this._destroyed) {
+                this._destroyed = true;
+                this._suppressor && this._suppressor.destroy();
+            }
+        };
+    }
+
+    /**
+     * Denoises a render quantum.
+     *
+     * @param {Array<Array<Float32Array>>} inputs - The input of the node.
+     * @param {Array<Array<Float32Array>>} outputs - The output of the node.
+     * @returns {boolean} Whether the processor is still needed.
+     */
+    process(inputs, outputs) {
+        if (this._destroyed) {
+            return false;
+        }
+
+        const input = inputs[0];
+        const output = outputs[0];
+
+        // the outputs are silent when the source is not connected or the denoiser not instantiated yet
+        if (input.length && this._suppressor) {
+            this._suppressor.process(input[0], output[0], this._onVADScore);
+        }
+
+        return true;
+    }
+
+    /**
+     * Posts the probability of voice activity of a frame.
+     *
+     * @param {number} score - The probability.
+     * @returns {void}
+     * @private
+     */
+    _onVADScore(score) {
+        this.port.postMessage({
+            type: 'vad',
+            score
+        });
+    }
+}
+
+registerProcessor(NOISE_SUPPRESSOR_PROCESSOR, NoiseSuppressorProcessor);
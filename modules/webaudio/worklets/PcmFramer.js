@@ -0,0 +1,53 @@
+/**
+ * Splits a stream of PCM samples, received by blocks of any size, in frames of
+ * a fixed length.
+ */
+export default class PcmFramer {
+    /**
+     * Creates a framer.
+     *
+     * @param {number} frameLength - The number of samples in a frame.
+     * @param {Function} onFrame - Called with each complete frame, as a new Float32Array.
+     */
+    constructor(frameLength, onFrame) {
+        this._frameLength = frameLength;
+        this._onFrame = onFrame;
+        this._frame = new Float32Array(frameLength);
+        this._frameOffset = 0;
+    }
+
+    /**
+     * Appends a block of samples.
+     *
+     * @param {Float32Array} samples - The samples.
+     * @returns {void}
+     */
+    push(samples) {
+        let read = 0;
+
+        while (read < samples.length) {
+            const count = Math.min(samples.length - read, this._frameLength - this._frameOffset);
+
+            this._frame.set(samples.subarray(read, read + count), this._frameOffset);
+            this._frameOffset += count;
+            read += count;
+
+            if (this._frameOffset === this._frameLength) {
+                const frame = this._frame;
+
+                this._frame = new Float32Array(this._frameLength);
+                this._frameOffset = 0;
+                this._onFrame(frame);
+            }
+        }
+    }
+
+    /**
+     * Drops the samples of the incomplete frame.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this._frameOffset = 0;
+    }
+}
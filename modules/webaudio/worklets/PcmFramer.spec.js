@@ -0,0 +1,40 @@
+import PcmFramer from './PcmFramer';
+
+describe('PcmFramer', () => {
+    let frames;
+    let framer;
+
+    beforeEach(() => {
+        frames = [];
+        framer = new PcmFramer(480, frame => frames.push(frame));
+    });
+
+    it('splits blocks of any size in frames', () => {
+        const samples = Float32Array.from({ length: 1280 }, (value, i) => i);
+
+        for (let i = 0; i < samples.length; i += 128) {
+            framer.push(samples.subarray(i, i + 128));
+        }
+
+        expect(frames.length).toBe(2);
+        expect(frames[0]).toEqual(samples.slice(0, 480));
+        expect(frames[1]).toEqual(samples.slice(480, 960));
+    });
+
+    it('handles blocks longer than a frame', () => {
+        framer.push(new Float32Array(1000).fill(0.5));
+
+        expect(frames.length).toBe(2);
+        expect(frames[0]).not.toBe(frames[1]);
+        expect(frames.every(frame => frame.every(sample => sample === 0.5))).toBe(true);
+    });
+
+    it('drops the incomplete frame on reset', () => {
+        framer.push(new Float32Array(400).fill(1));
+        framer.reset();
+        framer.push(new Float32Array(480).fill(0.25));
+
+        expect(frames.length).toBe(1);
+        expect(frames[0].every(sample => sample === 0.25)).toBe(true);
+    });
+});
@@ -0,0 +1,15 @@
+/**
+ * The name under which the noise suppression processor is registered in the
+ * AudioWorkletGlobalScope.
+ *
+ * @type {string}
+ */
+export const NOISE_SUPPRESSOR_PROCESSOR = 'jitsi-noise-suppressor';
+
+/**
+ * The name under which the processor sampling audio for voice activity
+ * detection is registered in the AudioWorkletGlobalScope.
+ *
+ * @type {string}
+ */
+export const VAD_SAMPLER_PROCESSOR = 'jitsi-vad-sampler';
@@ -0,0 +1,42 @@
+// Only imported by the audio processors: the Emscripten glue is bundled in
+// lib-jitsi-meet.audio-worklets.js and not in the library.
+import createRNNWasmModule from '@jitsi/rnnoise-wasm/dist/rnnoise.js';
+
+/**
+ * Instantiates the RNNoise WASM module of @jitsi/rnnoise-wasm through its
+ * Emscripten glue, which provides the imports of the module. The module cannot
+ * be fetched from the AudioWorkletGlobalScope, it is compiled beforehand.
+ *
+ * @param {WebAssembly.Module} wasmModule - The compiled rnnoise.wasm.
+ * @returns {Promise<Object>} The Emscripten module, rejected when the WASM
+ * module imports functions the glue does not provide.
+ */
+export function createRnnoiseModule(wasmModule) {
+    let error;
+    const rnnoiseModule = createRNNWasmModule({
+        instantiateWasm(imports, receiveInstance) {
+            const missing = WebAssembly.Module.imports(wasmModule)
+                .filter(({ module, name }) => !imports[module] || !(name in imports[module]))
+                .map(({ module, name }) => `${module}.${name}`);
+
+            try {
+                if (missing.length) {
+                    throw new Error(`The denoiser imports unknown functions: ${missing.join(', ')}`);
+                }
+
+                const instance = new WebAssembly.Instance(wasmModule, imports);
+
+                receiveInstance(instance);
+
+                return instance.exports;
+            } catch (e) {
+                error = e;
+
+                // the glue only logs the error
+                throw e;
+            }
+        }
+    });
+
+    return error ? Promise.reject(error) : rnnoiseModule;
+}
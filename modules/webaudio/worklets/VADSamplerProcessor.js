@@ -0,0 +1,143 @@
+/* global AudioWorkletProcessor, registerProcessor */
+
+import { calculateAverage, filterPositiveValues } from '../../util/MathUtil';
+
+import NoiseSuppressor from './NoiseSuppressor';
+import PcmFramer from './PcmFramer';
+import { VAD_SAMPLER_PROCESSOR } from './ProcessorNames';
+import { createRnnoiseModule } from './RnnoiseModule';
+
+/**
+ * Samples its mono input for voice activity detection: the samples are split in
+ * frames of <tt>processorOptions.frameLength</tt>, whose audio level is
+ * calculated on the audio thread, and posted on the port by batches of at least
+ * <tt>processorOptions.batchLength</tt> samples as
+ * <tt>{ type: 'frames', frames: Array<{ audioLevel, pcmData }> }</tt>.
+ *
+ * When <tt>processorOptions.wasmModule</tt> is the compiled RNNoise WASM
+ * module, the VAD score of each frame is calculated on the audio thread and
+ * added as <tt>score</tt>. The frames are dropped until the module is
+ * instantiated, an error to instantiate it is posted as
+ * <tt>{ type: 'error', message }</tt>.
+ *
+ * The processor drops its incomplete frame and batch when it receives
+ * <tt>{ type: 'reset' }</tt> and stops when it receives <tt>{ type: 'destroy' }</tt>.
+ * Processors calculating the VAD score on the audio thread have to follow the
+ * same protocol and add the <tt>score</tt> of each frame.
+ */
+class VADSamplerProcessor extends AudioWorkletProcessor {
+    /**
+     * Creates the processor.
+     *
+     * @param {Object} options - The options of the AudioWorkletNode.
+     */
+    constructor(options) {
+        super();
+
+        const { batchLength, frameLength, wasmModule } = options.processorOptions;
+
+        this._batchLength = batchLength;
+        this._destroyed = false;
+        this._framer = new PcmFramer(frameLength, this._onFrame.bind(this));
+        this._resetBatch();
+
+        if (wasmModule) {
+            this._scoring = true;
+            createRnnoiseModule(wasmModule)
+                .then(rnnoiseModule => {
+                    this._vadCalculator = new NoiseSuppressor(rnnoiseModule);
+                    this._destroyed && this._vadCalculator.destroy();
+                })
+                .catch(error => {
+                    this.port.postMessage({
+                        type: 'error',
+                        message: error.message
+                    });
+                });
+        }
+
+        this.port.onmessage = ({ data }) => {
+            switch (data.type) {
+            case 'destroy':
+                if (!this._destroyed) {
+                    this._destroyed = true;
+                    this._vadCalculator && this._vadCalculator.destroy();
+                }
+                break;
+            case 'reset':
+                this._framer.reset();
+                this._resetBatch();
+                break;
+            }
+        };
+    }
+
+    /**
+     * Samples a render quantum.
+     *
+     * @param {Array<Array<Float32Array>>} inputs - The input of the node.
+     * @returns {boolean} Whether the processor is still needed.
+     */
+    process(inputs) {
+        if (this._destroyed) {
+            return false;
+        }
+
+        const input = inputs[0];
+
+        // there are no channels while the source is not connected
+        if (input.length) {
+            this._framer.push(input[0]);
+        }
+
+        return true;
+    }
+
+    /**
+     * Adds a frame to the batch and posts the batch once it is complete.
+     *
+     * @param {Float32Array} pcmData - The samples of the frame.
+     * @returns {void}
+     * @private
+     */
+    _onFrame(pcmData) {
+        const frame = {
+            audioLevel: calculateAverage(filterPositiveValues(pcmData)),
+            pcmData
+        };
+
+        if (this._scoring) {
+            if (!this._vadCalculator) {
+                return;
+            }
+
+            frame.score = this._vadCalculator.calculateFrameVAD(pcmData);
+        }
+
+        this._frames.push(frame);
+        this._batchSamples += pcmData.length;
+
+        if (this._batchSamples >= this._batchLength) {
+            const frames = this._frames;
+
+            this._resetBatch();
+            this.port.postMessage({
+                type: 'frames',
+                frames
+            }, frames.map(({ pcmData: { buffer } }) => buffer));
+        }
+    }
+
+    /**
+     * Starts a new batch.
+     *
+     * @returns {void}
+     * @private
+     */
+    _resetBatch() {
+        this._frames = [];
+        this._batchSamples = 0;
+    }
+}
+
+registerProcessor(VAD_SAMPLER_PROCESSOR, VADSamplerProcessor);
@@ -0,0 +1,4 @@
+// The entry point of lib-jitsi-meet.audio-worklets.js, loaded in the
+// AudioWorkletGlobalScope: it registers the audio processors of the library.
+import './NoiseSuppressorProcessor';
+import './VADSamplerProcessor';
@@ -0,0 +1,357 @@
+import { getLogger } from 'jitsi-meet-logger';
+import { $msg } from 'strophe.js';
+
+import * as MediaType from '../../service/RTC/MediaType';
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The media types which can be moderated.
+ *
+ * @type {Array<string>}
+ */
+const MODERATED_MEDIA_TYPES = [ MediaType.AUDIO, MediaType.VIDEO ];
+
+/**
+ * Helper class for handling audio/video moderation. The state is kept by a
+ * server side component, moderators enable or disable the moderation per media
+ * type and approve or reject participants, while participants ask to be allowed
+ * to unmute.
+ */
+export default class AVModeration {
+
+    /**
+     * Constructs AV moderation room.
+     *
+     * @param {ChatRoom} room the main room.
+     */
+    constructor(room) {
+        this._xmpp = room.xmpp;
+        this._mainRoom = room;
+
+        this._moderationEnabledByType = {
+            [MediaType.AUDIO]: false,
+            [MediaType.VIDEO]: false
+        };
+
+        // Whether the local participant has been approved to unmute.
+        this._approvedByType = {
+            [MediaType.AUDIO]: false,
+            [MediaType.VIDEO]: false
+        };
+
+        // The occupant jids of the participants allowed to unmute, only known by moderators.
+        this._whitelist = {
+            [MediaType.AUDIO]: [],
+            [MediaType.VIDEO]: []
+        };
+
+        // The occupant jids of the participants waiting for an answer to their unmute request.
+        this._unmuteRequests = {
+            [MediaType.AUDIO]: [],
+            [MediaType.VIDEO]: []
+        };
+
+        this._onMessage = this._onMessage.bind(this);
+        this._onMemberLeft = this._onMemberLeft.bind(this);
+        this._xmpp.addListener(XMPPEvents.AV_MODERATION_RECEIVED, this._onMessage);
+        this._mainRoom.addListener(XMPPEvents.MUC_MEMBER_LEFT, this._onMemberLeft);
+    }
+
+    /**
+     * Stops listening for events.
+     */
+    dispose() {
+        this._xmpp.removeListener(XMPPEvents.AV_MODERATION_RECEIVED, this._onMessage);
+        this._mainRoom.removeListener(XMPPEvents.MUC_MEMBER_LEFT, this._onMemberLeft);
+    }
+
+    /**
+     * Whether AV moderation is supported on backend.
+     *
+     * @returns {boolean} whether AV moderation is supported on backend.
+     */
+    isSupported() {
+        return Boolean(this._xmpp.avModerationComponentAddress);
+    }
+
+    /**
+     * Whether moderation is enabled for the given media type.
+     *
+     * @param {MediaType} mediaType - The media type.
+     * @returns {boolean}
+     */
+    isEnabled(mediaType) {
+        return Boolean(this._moderationEnabledByType[mediaType]);
+    }
+
+    /**
+     * Whether the local participant may unmute the given media type. Moderators are never restricted.
+     *
+     * @param {MediaType} mediaType - The media type.
+     * @returns {boolean}
+     */
+    isUnmuteAllowed(mediaType) {
+        return !this.isEnabled(mediaType)
+            || this._mainRoom.isModerator()
+            || Boolean(this._approvedByType[mediaType]);
+    }
+
+    /**
+     * Returns the occupant jids of the participants approved to unmute. Known by moderators only.
+     *
+     * @param {MediaType} mediaType - The media type.
+     * @returns {Array<string>}
+     */
+    getApprovedParticipants(mediaType) {
+        return (this._whitelist[mediaType] || []).slice();
+    }
+
+    /**
+     * Returns the occupant jids of the participants which have asked to unmute and are waiting for an answer. Known
+     * by moderators only.
+     *
+     * @param {MediaType} mediaType - The media type.
+     * @returns {Array<string>}
+     */
+    getUnmuteRequests(mediaType) {
+        return (this._unmuteRequests[mediaType] || []).slice();
+    }
+
+    /**
+     * Enables or disables AV Moderation by sending a msg with command to the component.
+     *
+     * @param {boolean} state - Whether to enable or disable the moderation.
+     * @param {MediaType} mediaType - The media type to moderate.
+     */
+    enable(state, mediaType) {
+        if (!this._checkMediaType(mediaType) || !this._checkModeratorAction('enable/disable AV moderation')) {
+            return;
+        }
+
+        if (state === this.isEnabled(mediaType)) {
+            logger.warn(`Moderation already in state:${state} for mediaType:${mediaType}`);
+
+            return;
+        }
+
+        this._sendMessage({
+            enable: state,
+            mediaType
+        });
+    }
+
+    /**
+     * Approves that a participant can unmute by sending a msg with its jid to the component.
+     *
+     * @param {MediaType} mediaType - The media type the participant is approved for.
+     * @param {string} jid - The occupant jid of the participant.
+     */
+    approve(mediaType, jid) {
+        if (!this._checkMediaType(mediaType) || !this._checkModeratorAction('approve participant')) {
+            return;
+        }
+
+        this._sendMessage({
+            mediaType,
+            jidToWhitelist: jid
+        });
+    }
+
+    /**
+     * Rejects that a participant can unmute by sending a msg with its jid to the component. Rejects both pending
+     * unmute requests and previous approvals.
+     *
+     * @param {MediaType} mediaType - The media type the participant is rejected for.
+     * @param {string} jid - The occupant jid of the participant.
+     */
+    reject(mediaType, jid) {
+        if (!this._checkMediaType(mediaType) || !this._checkModeratorAction('reject participant')) {
+            return;
+        }
+
+        this._removeUnmuteRequest(mediaType, jid);
+        this._sendMessage({
+            mediaType,
+            jidToBlacklist: jid
+        });
+    }
+
+    /**
+     * Asks the moderators to allow the local participant to unmute the given media type.
+     *
+     * @param {MediaType} mediaType - The media type to unmute.
+     */
+    requestUnmute(mediaType) {
+        if (!this._checkMediaType(mediaType)) {
+            return;
+        }
+
+        if (!this.isSupported() || !this.isEnabled(mediaType)) {
+            logger.warn(`Cannot request unmute - moderation not enabled for mediaType:${mediaType}`);
+
+            return;
+        }
+
+        this._sendMessage({
+            mediaType,
+            requestUnmute: true
+        });
+    }
+
+    /**
+     * Drops all the state related to a participant which has left the room.
+     *
+     * @param {string} jid - The occupant jid of the participant.
+     * @private
+     */
+    _onMemberLeft(jid) {
+        MODERATED_MEDIA_TYPES.forEach(mediaType => {
+            this._removeUnmuteRequest(mediaType, jid);
+            this._whitelist[mediaType] = this._whitelist[mediaType].filter(j => j !== jid);
+        });
+    }
+
+    /**
+     * Validates the media type.
+     *
+     * @param {MediaType} mediaType - The media type.
+     * @returns {boolean}
+     * @private
+     */
+    _checkMediaType(mediaType) {
+        if (!MODERATED_MEDIA_TYPES.includes(mediaType)) {
+            logger.error(`Invalid media type ${mediaType}`);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Checks whether the local participant can perform a moderator action.
+     *
+     * @param {string} action - Description of the action, used for logging.
+     * @returns {boolean}
+     * @private
+     */
+    _checkModeratorAction(action) {
+        if (!this.isSupported() || !this._mainRoom.isModerator()) {
+            logger.error(`Cannot ${action} - supported:${this.isSupported()}, `
+                + `moderator:${this._mainRoom.isModerator()}`);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Removes a pending unmute request.
+     *
+     * @param {MediaType} mediaType - The media type.
+     * @param {string} jid - The occupant jid of the participant.
+     * @private
+     */
+    _removeUnmuteRequest(mediaType, jid) {
+        this._unmuteRequests[mediaType] = this._unmuteRequests[mediaType].filter(j => j !== jid);
+    }
+
+    /**
+     * Helper to send a message to the AV moderation component.
+     *
+     * @param {Object} message - The attributes of the message.
+     * @private
+     */
+    _sendMessage(message) {
+        const msg = $msg({ to: this._xmpp.avModerationComponentAddress });
+
+        msg.c('av_moderation', message).up();
+
+        this._xmpp.connection.send(msg);
+    }
+
+    /**
+     * Receives av_moderation parsed messages as json.
+     *
+     * @param {Object} obj - The parsed json content of the message to process.
+     * @private
+     */
+    _onMessage(obj) {
+        const {
+            actor,
+            approved,
+            enabled,
+            mediaType,
+            removed,
+            room,
+            unmuteRequest,
+            whitelists
+        } = obj;
+
+        if (room && room !== this._mainRoom.roomjid) {
+            return;
+        }
+
+        if (!MODERATED_MEDIA_TYPES.includes(mediaType)) {
+            logger.warn(`Ignoring AV moderation message for mediaType:${mediaType}`);
+
+            return;
+        }
+
+        const emitter = this._mainRoom.eventEmitter;
+
+        if (whitelists) {
+            // Moderators receive the whole list of approved participants on every change.
+            const oldList = this._whitelist[mediaType];
+            const newList = Array.isArray(whitelists[mediaType]) ? whitelists[mediaType] : [];
+
+            this._whitelist[mediaType] = newList;
+
+            newList.filter(jid => !oldList.includes(jid))
+                .forEach(jid => {
+                    this._removeUnmuteRequest(mediaType, jid);
+                    emitter.emit(XMPPEvents.AV_MODERATION_PARTICIPANT_APPROVED, mediaType, jid);
+                });
+            oldList.filter(jid => !newList.includes(jid))
+                .forEach(jid => {
+                    this._removeUnmuteRequest(mediaType, jid);
+                    emitter.emit(XMPPEvents.AV_MODERATION_PARTICIPANT_REJECTED, mediaType, jid);
+                });
+
+            // A rejected unmute request does not change the list, but the other moderators still need to know.
+            if (removed && obj.jid && this._unmuteRequests[mediaType].includes(obj.jid)) {
+                this._removeUnmuteRequest(mediaType, obj.jid);
+                emitter.emit(XMPPEvents.AV_MODERATION_PARTICIPANT_REJECTED, mediaType, obj.jid);
+            }
+        } else if (unmuteRequest) {
+            const { jid } = unmuteRequest;
+
+            if (jid && !this._unmuteRequests[mediaType].includes(jid)) {
+                this._unmuteRequests[mediaType].push(jid);
+                emitter.emit(XMPPEvents.AV_MODERATION_UNMUTE_REQUESTED, mediaType, jid);
+            }
+        } else if (typeof enabled !== 'undefined') {
+            if (this._moderationEnabledByType[mediaType] === enabled) {
+                return;
+            }
+
+            this._moderationEnabledByType[mediaType] = enabled;
+
+            // Every change of the moderation state starts from scratch.
+            this._approvedByType[mediaType] = false;
+            this._whitelist[mediaType] = [];
+            this._unmuteRequests[mediaType] = [];
+
+            emitter.emit(XMPPEvents.AV_MODERATION_CHANGED, enabled, mediaType, actor);
+        } else if (removed) {
+            this._approvedByType[mediaType] = false;
+            emitter.emit(XMPPEvents.AV_MODERATION_REJECTED, mediaType);
+        } else if (approved) {
+            this._approvedByType[mediaType] = true;
+            emitter.emit(XMPPEvents.AV_MODERATION_APPROVED, mediaType);
+        }
+    }
+}
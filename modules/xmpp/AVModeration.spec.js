@@ -0,0 +1,165 @@
+import EventEmitter from 'events';
+
+import * as MediaType from '../../service/RTC/MediaType';
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+import AVModeration from './AVModeration';
+
+describe('AVModeration', () => {
+    let xmpp;
+    let room;
+    let avModeration;
+    let emitterSpy;
+
+    beforeEach(() => {
+        xmpp = new EventEmitter();
+        xmpp.avModerationComponentAddress = 'avmoderation.example.com';
+        xmpp.connection = { send: jasmine.createSpy('send') };
+
+        room = new EventEmitter();
+        room.xmpp = xmpp;
+        room.roomjid = 'room@conference.example.com';
+        room.eventEmitter = room;
+        room.isModerator = () => false;
+
+        avModeration = new AVModeration(room);
+        emitterSpy = spyOn(room, 'emit').and.callThrough();
+    });
+
+    afterEach(() => {
+        avModeration.dispose();
+    });
+
+    /**
+     * Emulates a message from the component.
+     *
+     * @param {Object} payload - The json payload.
+     * @returns {void}
+     */
+    function receive(payload) {
+        xmpp.emit(XMPPEvents.AV_MODERATION_RECEIVED, {
+            type: 'av_moderation',
+            room: room.roomjid,
+            ...payload
+        });
+    }
+
+    describe('unmute enforcement', () => {
+        it('allows unmute while moderation is disabled', () => {
+            expect(avModeration.isUnmuteAllowed(MediaType.AUDIO)).toBe(true);
+        });
+
+        it('forbids unmute until approved', () => {
+            receive({
+                actor: 'room@conference.example.com/mod',
+                enabled: true,
+                mediaType: MediaType.AUDIO
+            });
+
+            expect(emitterSpy).toHaveBeenCalledWith(
+                XMPPEvents.AV_MODERATION_CHANGED, true, MediaType.AUDIO, 'room@conference.example.com/mod');
+            expect(avModeration.isUnmuteAllowed(MediaType.AUDIO)).toBe(false);
+            expect(avModeration.isUnmuteAllowed(MediaType.VIDEO)).toBe(true);
+
+            receive({
+                approved: true,
+                mediaType: MediaType.AUDIO
+            });
+            expect(emitterSpy).toHaveBeenCalledWith(XMPPEvents.AV_MODERATION_APPROVED, MediaType.AUDIO);
+            expect(avModeration.isUnmuteAllowed(MediaType.AUDIO)).toBe(true);
+
+            receive({
+                mediaType: MediaType.AUDIO,
+                removed: true
+            });
+            expect(emitterSpy).toHaveBeenCalledWith(XMPPEvents.AV_MODERATION_REJECTED, MediaType.AUDIO);
+            expect(avModeration.isUnmuteAllowed(MediaType.AUDIO)).toBe(false);
+        });
+
+        it('never restricts moderators', () => {
+            room.isModerator = () => true;
+            receive({
+                enabled: true,
+                mediaType: MediaType.VIDEO
+            });
+
+            expect(avModeration.isUnmuteAllowed(MediaType.VIDEO)).toBe(true);
+        });
+
+        it('ignores messages for other rooms', () => {
+            xmpp.emit(XMPPEvents.AV_MODERATION_RECEIVED, {
+                enabled: true,
+                mediaType: MediaType.AUDIO,
+                room: 'other@conference.example.com'
+            });
+
+            expect(avModeration.isEnabled(MediaType.AUDIO)).toBe(false);
+        });
+    });
+
+    describe('moderator side', () => {
+        const jid = 'room@conference.example.com/abcd';
+
+        beforeEach(() => {
+            room.isModerator = () => true;
+            receive({
+                enabled: true,
+                mediaType: MediaType.AUDIO
+            });
+        });
+
+        it('tracks unmute requests until they are answered', () => {
+            receive({
+                mediaType: MediaType.AUDIO,
+                unmuteRequest: { jid }
+            });
+
+            expect(emitterSpy).toHaveBeenCalledWith(XMPPEvents.AV_MODERATION_UNMUTE_REQUESTED, MediaType.AUDIO, jid);
+            expect(avModeration.getUnmuteRequests(MediaType.AUDIO)).toEqual([ jid ]);
+
+            receive({
+                mediaType: MediaType.AUDIO,
+                whitelists: { [MediaType.AUDIO]: [ jid ] }
+            });
+
+            expect(emitterSpy).toHaveBeenCalledWith(
+                XMPPEvents.AV_MODERATION_PARTICIPANT_APPROVED, MediaType.AUDIO, jid);
+            expect(avModeration.getUnmuteRequests(MediaType.AUDIO)).toEqual([]);
+            expect(avModeration.getApprovedParticipants(MediaType.AUDIO)).toEqual([ jid ]);
+
+            receive({
+                mediaType: MediaType.AUDIO,
+                removed: true,
+                whitelists: { [MediaType.AUDIO]: [] }
+            });
+
+            expect(emitterSpy).toHaveBeenCalledWith(
+                XMPPEvents.AV_MODERATION_PARTICIPANT_REJECTED, MediaType.AUDIO, jid);
+            expect(avModeration.getApprovedParticipants(MediaType.AUDIO)).toEqual([]);
+        });
+
+        it('sends approvals and rejections to the component', () => {
+            avModeration.approve(MediaType.AUDIO, jid);
+            avModeration.reject(MediaType.AUDIO, jid);
+
+            expect(xmpp.connection.send).toHaveBeenCalledTimes(2);
+
+            const [ approval ] = xmpp.connection.send.calls.argsFor(0);
+            const [ rejection ] = xmpp.connection.send.calls.argsFor(1);
+
+            expect(approval.tree().getAttribute('to')).toBe('avmoderation.example.com');
+            expect(approval.tree().firstChild.getAttribute('jidToWhitelist')).toBe(jid);
+            expect(rejection.tree().firstChild.getAttribute('jidToBlacklist')).toBe(jid);
+        });
+
+        it('drops the state of participants which left', () => {
+            receive({
+                mediaType: MediaType.AUDIO,
+                unmuteRequest: { jid }
+            });
+            room.emit(XMPPEvents.MUC_MEMBER_LEFT, jid);
+
+            expect(avModeration.getUnmuteRequests(MediaType.AUDIO)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,360 @@
+import { getLogger } from 'jitsi-meet-logger';
+import { $msg } from 'strophe.js';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The prefix of all the breakout rooms messages exchanged with the component.
+ *
+ * @type {string}
+ */
+const FEATURE_KEY = 'features/breakout-rooms';
+
+/**
+ * The actions a client can request from the breakout rooms component.
+ */
+const BREAKOUT_ROOM_ACTIONS = {
+    ADD: `${FEATURE_KEY}/add`,
+    MOVE_TO_ROOM: `${FEATURE_KEY}/move-to-room`,
+    REMOVE: `${FEATURE_KEY}/remove`,
+    RENAME: `${FEATURE_KEY}/rename`,
+    SET_SELF_MOVE: `${FEATURE_KEY}/set-self-move`
+};
+
+/**
+ * The events the breakout rooms component sends to the clients.
+ */
+const BREAKOUT_ROOM_EVENTS = {
+    MOVE_TO_ROOM: `${FEATURE_KEY}/move-to-room`,
+    UPDATE: `${FEATURE_KEY}/update`
+};
+
+/**
+ * Maps the participants of the rooms broadcast by the component to the room they are in.
+ *
+ * @param {Object} rooms - The rooms keyed by id, their participants keyed by occupant JID.
+ * @returns {Map<string, Object>} The <tt>{ participant, room }</tt> keyed by the real JID of the participants.
+ */
+function getRoomsByParticipant(rooms) {
+    const roomsByParticipant = new Map();
+
+    for (const room of Object.values(rooms)) {
+        for (const participant of Object.values(room.participants || {})) {
+            participant.jid && roomsByParticipant.set(participant.jid, {
+                participant,
+                room
+            });
+        }
+    }
+
+    return roomsByParticipant;
+}
+
+/**
+ * Helper class for handling breakout rooms. The rooms themselves are managed by
+ * a server side component, this class only sends requests to it and keeps track
+ * of the state it broadcasts.
+ */
+export default class BreakoutRooms {
+
+    /**
+     * Constructs breakout room.
+     *
+     * @param {ChatRoom} room the room we are in.
+     */
+    constructor(room) {
+        this.room = room;
+
+        this._handleMessages = this._handleMessages.bind(this);
+        this.room.xmpp.addListener(XMPPEvents.BREAKOUT_ROOMS_EVENT, this._handleMessages);
+
+        this._rooms = {};
+        this._selfMoveAllowed = false;
+    }
+
+    /**
+     * Stops listening for events.
+     */
+    dispose() {
+        this.room.xmpp.removeListener(XMPPEvents.BREAKOUT_ROOMS_EVENT, this._handleMessages);
+    }
+
+    /**
+     * Creates a breakout room with the given subject.
+     *
+     * @param {string} subject - A subject for the breakout room.
+     */
+    createBreakoutRoom(subject) {
+        if (!this._checkModeratorAction('create breakout room')) {
+            return;
+        }
+
+        this._sendMessage({
+            type: BREAKOUT_ROOM_ACTIONS.ADD,
+            subject
+        });
+    }
+
+    /**
+     * Renames a breakout room.
+     *
+     * @param {string} breakoutRoomJid - JID of the room to be renamed.
+     * @param {string} subject - The new subject for the breakout room.
+     */
+    renameBreakoutRoom(breakoutRoomJid, subject) {
+        if (!this._checkModeratorAction('rename breakout room')) {
+            return;
+        }
+
+        this._sendMessage({
+            type: BREAKOUT_ROOM_ACTIONS.RENAME,
+            breakoutRoomJid,
+            subject
+        });
+    }
+
+    /**
+     * Closes a breakout room. The participants in it are moved back to the
+     * main room by the component.
+     *
+     * @param {string} breakoutRoomJid - JID of the room to be removed.
+     */
+    removeBreakoutRoom(breakoutRoomJid) {
+        if (!this._checkModeratorAction('remove breakout room')) {
+            return;
+        }
+
+        this._sendMessage({
+            type: BREAKOUT_ROOM_ACTIONS.REMOVE,
+            breakoutRoomJid
+        });
+    }
+
+    /**
+     * Sends the given participant to the given room.
+     *
+     * @param {string} participantJid - JID of the participant (the occupant JID in the MUC they are in).
+     * @param {string} roomJid - JID of the room the participant will be moved to.
+     */
+    sendParticipantToRoom(participantJid, roomJid) {
+        if (!this._checkModeratorAction('send participant to room')) {
+            return;
+        }
+
+        this._sendMessage({
+            type: BREAKOUT_ROOM_ACTIONS.MOVE_TO_ROOM,
+            participantJid,
+            roomJid
+        });
+    }
+
+    /**
+     * Moves the local participant to the given room. Moderators can always do
+     * that, other participants only when self-moving has been allowed.
+     *
+     * @param {string} roomJid - JID of the room to move to.
+     */
+    moveToRoom(roomJid) {
+        if (!this.isSupported()) {
+            logger.error('Cannot move to room - breakout rooms are not supported');
+
+            return;
+        }
+
+        if (!this.room.isModerator() && !this._selfMoveAllowed) {
+            logger.error('Cannot move to room - participants are not allowed to move themselves');
+
+            return;
+        }
+
+        this._sendMessage({
+            type: BREAKOUT_ROOM_ACTIONS.MOVE_TO_ROOM,
+            participantJid: this.room.myroomjid,
+            roomJid
+        });
+    }
+
+    /**
+     * Allows or forbids participants to move themselves between the rooms.
+     *
+     * @param {boolean} allowed - Whether participants may move themselves.
+     */
+    setSelfMoveAllowed(allowed) {
+        if (!this._checkModeratorAction('change self move policy')) {
+            return;
+        }
+
+        this._sendMessage({
+            type: BREAKOUT_ROOM_ACTIONS.SET_SELF_MOVE,
+            allowed: Boolean(allowed)
+        });
+    }
+
+    /**
+     * Retrieves whether participants are allowed to move themselves.
+     *
+     * @returns {boolean}
+     */
+    isSelfMoveAllowed() {
+        return this._selfMoveAllowed;
+    }
+
+    /**
+     * Retrieves the address of the breakout rooms component.
+     *
+     * @returns {string|undefined} The address of the component.
+     */
+    getComponentAddress() {
+        return this.room.xmpp.breakoutRoomsComponentAddress;
+    }
+
+    /**
+     * Stores the JID of the main room.
+     *
+     * @param {string} jid - The main room JID.
+     */
+    _setMainRoomJid(jid) {
+        this._mainRoomJid = jid;
+    }
+
+    /**
+     * Retrieves the JID of the main room.
+     *
+     * @returns {string|undefined} The main room JID, when we are in a breakout room.
+     */
+    getMainRoomJid() {
+        return this._mainRoomJid;
+    }
+
+    /**
+     * Retrieves the currently known breakout rooms, keyed by id.
+     *
+     * @returns {Object} The breakout rooms.
+     */
+    getRooms() {
+        return this._rooms;
+    }
+
+    /**
+     * Whether the room we are in is a breakout room.
+     *
+     * @returns {boolean}
+     */
+    isBreakoutRoom() {
+        return Boolean(this._mainRoomJid);
+    }
+
+    /**
+     * Whether breakout rooms are supported by the backend.
+     *
+     * @returns {boolean}
+     */
+    isSupported() {
+        return Boolean(this.getComponentAddress());
+    }
+
+    /**
+     * Retrieves the JID of the main room, which is the room we are in unless
+     * we are in a breakout room.
+     *
+     * @returns {string}
+     * @private
+     */
+    _getMainRoomJidOrSelf() {
+        return this._mainRoomJid || this.room.roomjid;
+    }
+
+    /**
+     * Checks whether the local participant can perform a moderator action.
+     *
+     * @param {string} action - Description of the action, used for logging.
+     * @returns {boolean}
+     * @private
+     */
+    _checkModeratorAction(action) {
+        if (!this.isSupported() || !this.room.isModerator()) {
+            logger.error(`Cannot ${action} - supported:${this.isSupported()}, moderator:${this.room.isModerator()}`);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Handles a message from the breakout rooms component.
+     *
+     * @param {Object} payload - Arbitrary data.
+     * @private
+     */
+    _handleMessages(payload) {
+        switch (payload.event) {
+        case BREAKOUT_ROOM_EVENTS.MOVE_TO_ROOM:
+            this.room.eventEmitter.emit(XMPPEvents.BREAKOUT_ROOMS_MOVE_TO_ROOM, payload.roomJid);
+            break;
+        case BREAKOUT_ROOM_EVENTS.UPDATE: {
+            // The component broadcasts the state of all the rooms it manages, keep only
+            // the ones related to our main room.
+            if (payload.mainRoomJid && payload.mainRoomJid !== this._getMainRoomJidOrSelf()) {
+                break;
+            }
+
+            const previousRooms = this._rooms;
+
+            this._rooms = payload.rooms || {};
+            this._selfMoveAllowed = Boolean(payload.selfMoveAllowed);
+            this.room.eventEmitter.emit(XMPPEvents.BREAKOUT_ROOMS_UPDATED, {
+                rooms: this._rooms,
+                selfMoveAllowed: this._selfMoveAllowed
+            });
+            this._emitParticipantsMoved(previousRooms, this._rooms);
+            break;
+        }
+        }
+    }
+
+    /**
+     * Emits {@link XMPPEvents.BREAKOUT_ROOMS_PARTICIPANT_MOVED} for every participant which is in a different room
+     * after an update. The participants are identified by their real JID, their occupant JID changing with the room.
+     * The participants joining or leaving the conference are not moves.
+     *
+     * @param {Object} previousRooms - The rooms before the update, keyed by id.
+     * @param {Object} rooms - The rooms after the update, keyed by id.
+     * @returns {void}
+     * @private
+     */
+    _emitParticipantsMoved(previousRooms, rooms) {
+        const previousRoomsByParticipant = getRoomsByParticipant(previousRooms);
+
+        for (const [ jid, { participant, room } ] of getRoomsByParticipant(rooms)) {
+            const previous = previousRoomsByParticipant.get(jid);
+
+            if (previous && previous.room.id !== room.id) {
+                this.room.eventEmitter.emit(XMPPEvents.BREAKOUT_ROOMS_PARTICIPANT_MOVED, {
+                    participant,
+                    fromRoom: previous.room,
+                    toRoom: room
+                });
+            }
+        }
+    }
+
+    /**
+     * Helper to send a breakout rooms message to the component.
+     *
+     * @param {Object} message - Command that needs to be sent.
+     * @private
+     */
+    _sendMessage(message) {
+        const msg = $msg({ to: this.getComponentAddress() });
+
+        msg.c('breakout_rooms', {
+            ...message,
+            mainRoomJid: this._getMainRoomJidOrSelf()
+        }).up();
+
+        this.room.xmpp.connection.send(msg);
+    }
+}
@@ -0,0 +1,224 @@
+import EventEmitter from 'events';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+import BreakoutRooms from './BreakoutRooms';
+
+describe('BreakoutRooms', () => {
+    let xmpp;
+    let room;
+    let breakoutRooms;
+    let emitterSpy;
+
+    beforeEach(() => {
+        xmpp = new EventEmitter();
+        xmpp.breakoutRoomsComponentAddress = 'breakout.example.com';
+        xmpp.connection = { send: jasmine.createSpy('send') };
+
+        room = new EventEmitter();
+        room.xmpp = xmpp;
+        room.roomjid = 'room@conference.example.com';
+        room.myroomjid = 'room@conference.example.com/local';
+        room.eventEmitter = room;
+        room.isModerator = () => false;
+
+        breakoutRooms = new BreakoutRooms(room);
+        emitterSpy = spyOn(room, 'emit').and.callThrough();
+    });
+
+    afterEach(() => {
+        breakoutRooms.dispose();
+    });
+
+    /**
+     * Returns the attributes of the breakout rooms requests sent to the component.
+     *
+     * @returns {Array<Object>}
+     */
+    function getSentRequests() {
+        return xmpp.connection.send.calls.allArgs().map(([ msg ]) => {
+            const { attributes } = msg.tree().getElementsByTagName('breakout_rooms')[0];
+            const request = {};
+
+            for (const { name, value } of attributes) {
+                request[name] = value;
+            }
+
+            return request;
+        });
+    }
+
+    /**
+     * Emulates a state update broadcast by the component.
+     *
+     * @param {Object} rooms - The rooms keyed by id.
+     * @param {Object} [options] - The other fields of the update.
+     * @returns {void}
+     */
+    function update(rooms, options = {}) {
+        xmpp.emit(XMPPEvents.BREAKOUT_ROOMS_EVENT, {
+            event: 'features/breakout-rooms/update',
+            mainRoomJid: room.roomjid,
+            rooms,
+            ...options
+        });
+    }
+
+    /**
+     * Creates the rooms of an update, the main room and one breakout room.
+     *
+     * @param {Array<string>} mainRoomNicks - The nicknames of the participants in the main room.
+     * @param {Array<string>} breakoutRoomNicks - The nicknames of the participants in the breakout room.
+     * @returns {Object}
+     */
+    function createRooms(mainRoomNicks, breakoutRoomNicks) {
+        const createParticipants = (roomJid, nicks) => {
+            const participants = {};
+
+            for (const nick of nicks) {
+                participants[`${roomJid}/${nick}`] = {
+                    displayName: nick,
+                    jid: `${nick}@example.com/res`,
+                    role: 'participant'
+                };
+            }
+
+            return participants;
+        };
+
+        return {
+            main: {
+                id: 'main',
+                isMainRoom: true,
+                jid: room.roomjid,
+                participants: createParticipants(room.roomjid, mainRoomNicks)
+            },
+            breakout: {
+                id: 'breakout',
+                jid: 'breakout@breakout.example.com',
+                participants: createParticipants('breakout@breakout.example.com', breakoutRoomNicks)
+            }
+        };
+    }
+
+    describe('moderator actions', () => {
+        it('are not sent by participants', () => {
+            breakoutRooms.createBreakoutRoom('subject');
+            breakoutRooms.renameBreakoutRoom('breakout@breakout.example.com', 'subject');
+            breakoutRooms.removeBreakoutRoom('breakout@breakout.example.com');
+            breakoutRooms.sendParticipantToRoom(
+                'room@conference.example.com/alice', 'breakout@breakout.example.com');
+            breakoutRooms.setSelfMoveAllowed(true);
+
+            expect(xmpp.connection.send).not.toHaveBeenCalled();
+        });
+
+        it('are not sent without the component', () => {
+            room.isModerator = () => true;
+            xmpp.breakoutRoomsComponentAddress = undefined;
+            breakoutRooms.createBreakoutRoom('subject');
+
+            expect(breakoutRooms.isSupported()).toBe(false);
+            expect(xmpp.connection.send).not.toHaveBeenCalled();
+        });
+
+        it('are sent by moderators to the component', () => {
+            room.isModerator = () => true;
+            breakoutRooms.createBreakoutRoom('subject');
+            breakoutRooms.sendParticipantToRoom(
+                'room@conference.example.com/alice', 'breakout@breakout.example.com');
+
+            expect(xmpp.connection.send.calls.first().args[0].tree().getAttribute('to')).toBe('breakout.example.com');
+            expect(getSentRequests()).toEqual([
+                {
+                    mainRoomJid: 'room@conference.example.com',
+                    subject: 'subject',
+                    type: 'features/breakout-rooms/add'
+                },
+                {
+                    mainRoomJid: 'room@conference.example.com',
+                    participantJid: 'room@conference.example.com/alice',
+                    roomJid: 'breakout@breakout.example.com',
+                    type: 'features/breakout-rooms/move-to-room'
+                }
+            ]);
+        });
+    });
+
+    describe('self move', () => {
+        it('is forbidden to participants until allowed', () => {
+            breakoutRooms.moveToRoom('breakout@breakout.example.com');
+            expect(xmpp.connection.send).not.toHaveBeenCalled();
+
+            update(createRooms([ 'local' ], []), { selfMoveAllowed: true });
+            breakoutRooms.moveToRoom('breakout@breakout.example.com');
+
+            expect(breakoutRooms.isSelfMoveAllowed()).toBe(true);
+            expect(getSentRequests()).toEqual([ {
+                mainRoomJid: 'room@conference.example.com',
+                participantJid: 'room@conference.example.com/local',
+                roomJid: 'breakout@breakout.example.com',
+                type: 'features/breakout-rooms/move-to-room'
+            } ]);
+        });
+
+        it('is always allowed to moderators', () => {
+            room.isModerator = () => true;
+            breakoutRooms.moveToRoom('breakout@breakout.example.com');
+
+            expect(xmpp.connection.send).toHaveBeenCalledTimes(1);
+        });
+
+        it('is requested by the component', () => {
+            xmpp.emit(XMPPEvents.BREAKOUT_ROOMS_EVENT, {
+                event: 'features/breakout-rooms/move-to-room',
+                roomJid: 'breakout@breakout.example.com'
+            });
+
+            expect(emitterSpy).toHaveBeenCalledWith(
+                XMPPEvents.BREAKOUT_ROOMS_MOVE_TO_ROOM, 'breakout@breakout.example.com');
+        });
+    });
+
+    describe('updates', () => {
+        it('are kept for our main room only', () => {
+            const rooms = createRooms([ 'local' ], []);
+
+            update(createRooms([], [ 'local' ]), { mainRoomJid: 'other@conference.example.com' });
+            expect(breakoutRooms.getRooms()).toEqual({});
+            expect(emitterSpy).not.toHaveBeenCalled();
+
+            update(rooms);
+            expect(breakoutRooms.getRooms()).toBe(rooms);
+            expect(emitterSpy).toHaveBeenCalledWith(XMPPEvents.BREAKOUT_ROOMS_UPDATED, {
+                rooms,
+                selfMoveAllowed: false
+            });
+        });
+
+        it('are filtered by the main room when in a breakout room', () => {
+            breakoutRooms._setMainRoomJid('main@conference.example.com');
+
+            update(createRooms([ 'local' ], []));
+            expect(breakoutRooms.getRooms()).toEqual({});
+
+            update(createRooms([ 'local' ], []), { mainRoomJid: 'main@conference.example.com' });
+            expect(Object.keys(breakoutRooms.getRooms())).toEqual([ 'main', 'breakout' ]);
+        });
+
+        it('emit the participants which moved', () => {
+            update(createRooms([ 'alice', 'bob' ], []));
+            update(createRooms([ 'bob', 'carol' ], [ 'alice' ]));
+            update(createRooms([ 'alice', 'carol' ], []));
+
+            const moves = emitterSpy.calls.allArgs()
+                .filter(([ event ]) => event === XMPPEvents.BREAKOUT_ROOMS_PARTICIPANT_MOVED)
+                .map(([ , { participant, fromRoom, toRoom } ]) => [ participant.displayName, fromRoom.id, toRoom.id ]);
+
+            expect(moves).toEqual([
+                [ 'alice', 'main', 'breakout' ],
+                [ 'alice', 'breakout', 'main' ]
+            ]);
+        });
+    });
+});
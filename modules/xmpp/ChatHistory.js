@@ -0,0 +1,355 @@
+/* global $ */
+
+import { getLogger } from 'jitsi-meet-logger';
+import { $iq, Strophe } from 'strophe.js';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+import RandomUtil from '../util/RandomUtil';
+
+import { CHAT_MESSAGE_NS } from './ChatRoom';
+
+const logger = getLogger(__filename);
+
+/**
+ * The namespace of the message archive management (XEP-0313).
+ *
+ * @type {string}
+ */
+export const MAM_NS = 'urn:xmpp:mam:2';
+
+/**
+ * The namespace of the result set management (XEP-0059), used to page through
+ * the archive.
+ *
+ * @type {string}
+ */
+const RSM_NS = 'http://jabber.org/protocol/rsm';
+
+/**
+ * The number of messages loaded at once by default.
+ *
+ * @type {number}
+ */
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * The time to wait for the archive to answer, in ms.
+ *
+ * @type {number}
+ */
+const QUERY_TIMEOUT = 10000;
+
+/**
+ * Identifies a message by its id and its sender, only the sender of a message
+ * can correct or retract it.
+ *
+ * @param {string} id - The id of the message.
+ * @param {string} from - The MUC jid of the sender.
+ * @returns {string}
+ */
+function getMessageKey(id, from) {
+    return `${from} ${id}`;
+}
+
+/**
+ * A message loaded from the archive of the room.
+ *
+ * @typedef {Object} ChatHistoryMessage
+ * @property {string} id - The id of the message, the same as the one of the
+ * live messages.
+ * @property {string} archiveId - The id of the message in the archive.
+ * @property {string} participantId - The id of the sender.
+ * @property {string} displayName - The display name of the sender.
+ * @property {string} text - The text of the message, the last correction if
+ * it has been edited.
+ * @property {boolean} edited - Whether the message has been edited.
+ * @property {number|undefined} timestamp - The time at which the message has
+ * been sent.
+ * @property {string|undefined} replyToId - The id of the message it replies to.
+ */
+
+/**
+ * Loads the chat history of a room from its archive (XEP-0313), from the most
+ * recent messages to the oldest ones. The messages which have already been
+ * received live are left out.
+ */
+export default class ChatHistory {
+    /**
+     * Constructs the chat history.
+     *
+     * @param {ChatRoom} room the main room.
+     */
+    constructor(room) {
+        this._room = room;
+
+        /**
+         * The id in the archive of the oldest loaded message, from which the
+         * next page is loaded.
+         *
+         * @type {string|undefined}
+         */
+        this._oldestArchiveId = undefined;
+        this._complete = false;
+
+        /**
+         * The ids of the messages received live or already loaded.
+         *
+         * @type {Set<string>}
+         */
+        this._seenIds = new Set();
+
+        /**
+         * The text of the last correction of every message, by message id and
+         * sender, see {@link getMessageKey}.
+         *
+         * @type {Map<string, string>}
+         */
+        this._corrections = new Map();
+
+        /**
+         * The retracted messages, by message id and sender.
+         *
+         * @type {Set<string>}
+         */
+        this._retractions = new Set();
+
+        /**
+         * The archived messages received for the queries in progress, by
+         * query id.
+         *
+         * @type {Map<string, Array<Object>>}
+         */
+        this._queries = new Map();
+
+        this._lastLoad = Promise.resolve();
+
+        this._onLiveMessage = this._onLiveMessage.bind(this);
+        this._room.addListener(XMPPEvents.MESSAGE_RECEIVED, this._onLiveMessage);
+    }
+
+    /**
+     * Stops listening for the live messages.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        this._room.removeListener(XMPPEvents.MESSAGE_RECEIVED, this._onLiveMessage);
+        this._queries.clear();
+    }
+
+    /**
+     * Whether the oldest message of the archive has been loaded.
+     *
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this._complete;
+    }
+
+    /**
+     * Loads the page of messages older than the ones loaded so far, the most
+     * recent ones on the first call.
+     *
+     * @param {number} [max] - The maximum number of messages to load.
+     * @returns {Promise<{messages: Array<ChatHistoryMessage>, complete: boolean}>} The messages, from the oldest to
+     * the most recent, and whether the oldest message of the archive has been loaded.
+     */
+    loadOlder(max = DEFAULT_PAGE_SIZE) {
+        // The pages are loaded one after the other, each one starts where the
+        // previous one ended.
+        const load = this._lastLoad.then(() => this._loadPage(max));
+
+        this._lastLoad = load.catch(() => undefined);
+
+        return load;
+    }
+
+    /**
+     * Handles a message forwarded by the archive for a query.
+     *
+     * @param {Element} msg - The message stanza.
+     * @returns {void}
+     */
+    onArchivedMessage(msg) {
+        const result = $(msg).find(`>result[xmlns="${MAM_NS}"]`);
+        const archived = this._queries.get(result.attr('queryid'));
+
+        if (!archived) {
+            logger.warn(`Ignoring an archived message for an unknown query: ${result.attr('queryid')}`);
+
+            return;
+        }
+
+        const forwarded = result.find('>forwarded[xmlns="urn:xmpp:forward:0"]');
+        const message = forwarded.find('>message')[0];
+
+        if (message) {
+            archived.push({
+                archiveId: result.attr('id'),
+                message,
+                stamp: forwarded.find('>delay[xmlns="urn:xmpp:delay"]').attr('stamp')
+            });
+        }
+    }
+
+    /**
+     * Queries the archive for a page of messages.
+     *
+     * @param {number} max - The maximum number of messages to load.
+     * @returns {Promise<{messages: Array<ChatHistoryMessage>, complete: boolean}>}
+     * @private
+     */
+    _loadPage(max) {
+        if (this._complete) {
+            return Promise.resolve({
+                messages: [],
+                complete: true
+            });
+        }
+
+        const queryId = RandomUtil.randomHexString(8);
+        const iq = $iq({
+            to: this._room.roomjid,
+            type: 'set'
+        })
+            .c('query', {
+                queryid: queryId,
+                xmlns: MAM_NS
+            })
+            .c('x', {
+                type: 'submit',
+                xmlns: 'jabber:x:data'
+            })
+            .c('field', {
+                type: 'hidden',
+                var: 'FORM_TYPE'
+            })
+            .c('value')
+            .t(MAM_NS)
+            .up()
+            .up()
+            .up()
+            .c('set', { xmlns: RSM_NS })
+            .c('max')
+            .t(String(max))
+            .up();
+
+        // An empty 'before' asks for the last page.
+        iq.c('before').t(this._oldestArchiveId || '');
+
+        this._queries.set(queryId, []);
+
+        return new Promise((resolve, reject) => {
+            this._room.connection.sendIQ(iq, result => {
+                const archived = this._queries.get(queryId) || [];
+                const fin = $(result).find(`>fin[xmlns="${MAM_NS}"]`);
+                const first = fin.find(`>set[xmlns="${RSM_NS}"]>first`).text();
+
+                this._queries.delete(queryId);
+                this._complete = fin.attr('complete') === 'true' || !archived.length;
+
+                if (first) {
+                    this._oldestArchiveId = first;
+                }
+
+                resolve({
+                    messages: this._processPage(archived),
+                    complete: this._complete
+                });
+            }, error => {
+                this._queries.delete(queryId);
+                logger.error('Failed to load the chat history', error);
+                reject(error);
+            }, QUERY_TIMEOUT);
+        });
+    }
+
+    /**
+     * Turns the archived stanzas of a page into chat messages, applying the
+     * corrections and the retractions.
+     *
+     * @param {Array<Object>} archived - The archived stanzas, from the oldest
+     * to the most recent.
+     * @returns {Array<ChatHistoryMessage>}
+     * @private
+     */
+    _processPage(archived) {
+        // The pages are loaded from the most recent, the first correction
+        // seen for a message is its last one.
+        for (let i = archived.length - 1; i >= 0; i--) {
+            const { message } = archived[i];
+            const $message = $(message);
+            const from = message.getAttribute('from');
+            const replacedId = $message.find(`>replace[xmlns="${CHAT_MESSAGE_NS.CORRECTION}"]`).attr('id');
+            const retractedId = $message.find(`>retract[xmlns="${CHAT_MESSAGE_NS.RETRACT}"]`).attr('id');
+
+            if (retractedId) {
+                this._retractions.add(getMessageKey(retractedId, from));
+            } else if (replacedId && !this._corrections.has(getMessageKey(replacedId, from))) {
+                this._corrections.set(getMessageKey(replacedId, from), $message.find('>body').text());
+            }
+        }
+
+        const messages = [];
+
+        for (const { archiveId, message, stamp } of archived) {
+            const $message = $(message);
+            const from = message.getAttribute('from');
+            const text = $message.find('>body').text();
+
+            if (message.getAttribute('type') !== 'groupchat'
+                    || !text
+                    || $message.find(`>replace[xmlns="${CHAT_MESSAGE_NS.CORRECTION}"]`).length
+                    || $message.find(`>retract[xmlns="${CHAT_MESSAGE_NS.RETRACT}"]`).length) {
+                continue; // eslint-disable-line no-continue
+            }
+
+            const id = $message.find(`>origin-id[xmlns="${CHAT_MESSAGE_NS.ORIGIN_ID}"]`).attr('id')
+                || message.getAttribute('id')
+                || archiveId;
+
+            if (this._seenIds.has(id) || this._retractions.has(getMessageKey(id, from))) {
+                continue; // eslint-disable-line no-continue
+            }
+
+            this._seenIds.add(id);
+            this._room._trackChatMessage(id, from);
+
+            const correction = this._corrections.get(getMessageKey(id, from));
+            const edited = typeof correction === 'string';
+            const participantId = Strophe.getResourceFromJid(from);
+
+            messages.push({
+                id,
+                archiveId,
+                participantId,
+                displayName: $message.find('>nick[xmlns="http://jabber.org/protocol/nick"]').text()
+                    || participantId,
+                text: edited ? correction : text,
+                edited,
+                timestamp: stamp ? Date.parse(stamp) : undefined,
+                replyToId: $message.find(`>reply[xmlns="${CHAT_MESSAGE_NS.REPLY}"]`).attr('id')
+            });
+        }
+
+        return messages;
+    }
+
+    /**
+     * Remembers the messages received live, they are left out of the history.
+     *
+     * @param {string} from - The sender.
+     * @param {string} nick - The display name of the sender.
+     * @param {string} txt - The text of the message.
+     * @param {string} myJid - The local MUC jid.
+     * @param {string} stamp - The delay stamp.
+     * @param {string} messageId - The id of the message.
+     * @returns {void}
+     * @private
+     */
+    _onLiveMessage(from, nick, txt, myJid, stamp, messageId) { // eslint-disable-line max-params
+        if (messageId) {
+            this._seenIds.add(messageId);
+        }
+    }
+}
@@ -0,0 +1,177 @@
+/* global $ */
+
+import EventEmitter from 'events';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+import ChatHistory, { MAM_NS } from './ChatHistory';
+
+const ROOM_JID = 'room@conference.example.com';
+
+/**
+ * Parses a stanza.
+ *
+ * @param {string} str - The stanza.
+ * @returns {Element}
+ */
+function parse(str) {
+    return new DOMParser().parseFromString(str, 'text/xml').documentElement;
+}
+
+/**
+ * A fake MUC archive, answering the queries like Prosody does.
+ */
+class FakeArchive {
+    /**
+     * Creates the archive.
+     *
+     * @param {Array<string>} messages - The archived messages, from the oldest
+     * to the most recent.
+     */
+    constructor(messages) {
+        this.messages = messages.map((message, index) => {
+            return {
+                archiveId: `a${index}`,
+                message
+            };
+        });
+        this.history = undefined;
+        this.sendIQ = this.sendIQ.bind(this);
+    }
+
+    /**
+     * Answers a query.
+     *
+     * @param {Strophe.Builder} iq - The query.
+     * @param {Function} callback - The success callback.
+     * @returns {void}
+     */
+    sendIQ(iq, callback) {
+        const query = $(iq.tree()).find(`>query[xmlns="${MAM_NS}"]`);
+        const max = Number(query.find('>set>max').text());
+        const before = query.find('>set>before').text();
+        const end = before ? this.messages.findIndex(m => m.archiveId === before) : this.messages.length;
+        const start = Math.max(0, end - max);
+        const page = this.messages.slice(start, end);
+
+        page.forEach(({ archiveId, message }, index) => {
+            this.history.onArchivedMessage(parse(
+                `<message from="${ROOM_JID}">`
+                    + `<result xmlns="${MAM_NS}" queryid="${query.attr('queryid')}" id="${archiveId}">`
+                    + '<forwarded xmlns="urn:xmpp:forward:0">'
+                    + `<delay xmlns="urn:xmpp:delay" stamp="2021-01-01T10:00:0${start + index}Z"/>`
+                    + `${message}</forwarded></result></message>`));
+        });
+
+        callback(parse(
+            `<iq type="result"><fin xmlns="${MAM_NS}" complete="${start === 0}">`
+                + '<set xmlns="http://jabber.org/protocol/rsm">'
+                + `${page.length ? `<first>${page[0].archiveId}</first>` : ''}`
+                + '</set></fin></iq>'));
+    }
+}
+
+/**
+ * Creates an archived chat message.
+ *
+ * @param {string} from - The nickname of the sender.
+ * @param {string} id - The id of the message.
+ * @param {string} content - The children of the message.
+ * @returns {string}
+ */
+function createMessage(from, id, content) {
+    return `<message xmlns="jabber:client" from="${ROOM_JID}/${from}" type="groupchat" id="${id}">${content}</message>`;
+}
+
+describe('ChatHistory', () => {
+    let archive;
+    let history;
+    let room;
+
+    /**
+     * Creates the history of a room with a given archive.
+     *
+     * @param {Array<string>} messages - The archived messages.
+     * @returns {void}
+     */
+    function createHistory(messages) {
+        archive = new FakeArchive(messages);
+        room = new EventEmitter();
+        room.roomjid = ROOM_JID;
+        room.connection = { sendIQ: archive.sendIQ };
+        room._trackChatMessage = jasmine.createSpy('_trackChatMessage');
+        history = new ChatHistory(room);
+        archive.history = history;
+    }
+
+    afterEach(() => {
+        history.dispose();
+    });
+
+    it('loads the pages from the most recent', done => {
+        createHistory([ 1, 2, 3, 4, 5 ].map(i => createMessage('a', `m${i}`, `<body>${i}</body>`)));
+
+        history.loadOlder(2)
+            .then(({ messages, complete }) => {
+                expect(messages.map(m => m.text)).toEqual([ '4', '5' ]);
+                expect(messages[0].participantId).toBe('a');
+                expect(messages[0].timestamp).toBe(Date.parse('2021-01-01T10:00:03Z'));
+                expect(complete).toBe(false);
+
+                return history.loadOlder(2);
+            })
+            .then(({ messages }) => {
+                expect(messages.map(m => m.text)).toEqual([ '2', '3' ]);
+
+                return history.loadOlder(2);
+            })
+            .then(({ messages, complete }) => {
+                expect(messages.map(m => m.text)).toEqual([ '1' ]);
+                expect(complete).toBe(true);
+                expect(history.isComplete()).toBe(true);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('leaves out the messages received live', done => {
+        createHistory([
+            createMessage('a', 'm1', '<body>1</body>'),
+            createMessage('b', 'm2', '<body>2</body><origin-id xmlns="urn:xmpp:sid:0" id="o2"/>')
+        ]);
+
+        room.emit(XMPPEvents.MESSAGE_RECEIVED, `${ROOM_JID}/b`, 'b', '2', `${ROOM_JID}/local`, undefined, 'o2');
+
+        history.loadOlder()
+            .then(({ messages }) => {
+                expect(messages.map(m => m.id)).toEqual([ 'm1' ]);
+                expect(room._trackChatMessage).toHaveBeenCalledWith('m1', `${ROOM_JID}/a`);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('applies the edits and deletions of the senders', done => {
+        createHistory([
+            createMessage('a', 'm1', '<body>1</body>'),
+            createMessage('a', 'm2', '<body>2</body><nick xmlns="http://jabber.org/protocol/nick">Alice</nick>'),
+            createMessage('a', 'm3', '<body>3</body>'),
+            createMessage('a', 'e2', '<body>two</body><replace xmlns="urn:xmpp:message-correct:0" id="m2"/>'),
+            createMessage('a', 'e3', '<body>TWO</body><replace xmlns="urn:xmpp:message-correct:0" id="m2"/>'),
+            createMessage('b', 'e1', '<body>hacked</body><replace xmlns="urn:xmpp:message-correct:0" id="m2"/>'),
+            createMessage('a', 'r1', '<body>deleted</body><retract xmlns="urn:xmpp:message-retract:1" id="m3"/>')
+        ]);
+
+        history.loadOlder()
+            .then(({ messages }) => {
+                expect(messages.length).toBe(2);
+                expect(messages[0].text).toBe('1');
+                expect(messages[0].edited).toBe(false);
+                expect(messages[1].text).toBe('TWO');
+                expect(messages[1].edited).toBe(true);
+                expect(messages[1].displayName).toBe('Alice');
+                done();
+            })
+            .catch(done.fail);
+    });
+});
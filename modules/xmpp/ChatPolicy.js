@@ -0,0 +1,170 @@
+/* global $ */
+
+import { getLogger } from 'jitsi-meet-logger';
+import isEqual from 'lodash.isequal';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The settings of the room configuration storing the chat policy, by policy
+ * property: the name of the setting, see {@link ROOM_CONFIG_FIELDS}, and the
+ * field of the room info.
+ */
+const POLICY_FIELDS = {
+    disabledParticipants: {
+        config: 'chatDisabledParticipants',
+        info: 'muc#roominfo_chat_disabled_participants'
+    },
+    moderatorsOnly: {
+        config: 'chatModeratorsOnly',
+        info: 'muc#roominfo_chat_moderators_only'
+    },
+    slowModeInterval: {
+        config: 'chatSlowModeInterval',
+        info: 'muc#roominfo_chat_slow_mode'
+    }
+};
+
+/**
+ * The reasons for which a chat message can be blocked. The attendees of a
+ * webinar are visitors of the moderated room, which cannot send group messages.
+ */
+export const CHAT_BLOCKED_REASONS = {
+    ATTENDEE: 'attendee',
+    DISABLED: 'disabled',
+    MODERATORS_ONLY: 'moderators-only',
+    SLOW_MODE: 'slow-mode'
+};
+
+/**
+ * The chat policy of a room, set by the moderators in the room configuration:
+ * the participants which are not allowed to chat, whether only the moderators
+ * can chat and the minimum time between two messages of a participant. The
+ * moderators are not subject to the policy. The participants which are not
+ * allowed to chat are listed by their stats id, which they keep when they
+ * join again, or by their id when they do not have one.
+ */
+export default class ChatPolicy {
+    /**
+     * Constructs the chat policy.
+     *
+     * @param {ChatRoom} room the main room.
+     */
+    constructor(room) {
+        this._room = room;
+        this._policy = {
+            disabledParticipants: [],
+            moderatorsOnly: false,
+            slowModeInterval: 0
+        };
+        this._lastMessageTime = 0;
+    }
+
+    /**
+     * Returns the current policy.
+     *
+     * @returns {{disabledParticipants: Array<string>, moderatorsOnly: boolean, slowModeInterval: number}} The stats
+     * ids, or the ids, of the participants which are not allowed to chat, whether only the moderators can chat and the
+     * minimum time between two messages, in seconds.
+     */
+    getPolicy() {
+        return {
+            ...this._policy,
+            disabledParticipants: [ ...this._policy.disabledParticipants ]
+        };
+    }
+
+    /**
+     * Changes the policy, only the properties which are set are changed.
+     *
+     * @param {Object} policy - The changes, see {@link ChatPolicy#getPolicy}.
+     * @returns {Promise} Resolved when the room configuration has been changed,
+     * rejected without changing anything when the server does not support a
+     * property or a value is invalid.
+     */
+    setPolicy(policy) {
+        const config = {};
+
+        Object.keys(POLICY_FIELDS).forEach(key => {
+            if (typeof policy[key] !== 'undefined') {
+                config[POLICY_FIELDS[key].config] = policy[key];
+            }
+        });
+
+        return this._room.getRoomConfig().set(config);
+    }
+
+    /**
+     * Checks whether the local participant can send a chat message.
+     *
+     * @param {Array<string>} ids - The id and the stats id of the local
+     * participant.
+     * @param {boolean} isModerator - Whether the local participant is a
+     * moderator.
+     * @param {boolean} isCorrection - Whether the message corrects a previous
+     * one, corrections are not subject to the slow mode.
+     * @returns {{reason: string, retryAfter: number}|undefined} The reason
+     * for which the message is blocked, one of {@link CHAT_BLOCKED_REASONS},
+     * and for the slow mode the time after which it can be sent, in ms.
+     */
+    checkMessage(ids, isModerator, isCorrection) {
+        if (isModerator) {
+            return;
+        }
+
+        if (this._policy.moderatorsOnly) {
+            return { reason: CHAT_BLOCKED_REASONS.MODERATORS_ONLY };
+        }
+
+        if (ids.some(id => id && this._policy.disabledParticipants.includes(id))) {
+            return { reason: CHAT_BLOCKED_REASONS.DISABLED };
+        }
+
+        const retryAfter = this._lastMessageTime + (this._policy.slowModeInterval * 1000) - Date.now();
+
+        if (!isCorrection && retryAfter > 0) {
+            return {
+                reason: CHAT_BLOCKED_REASONS.SLOW_MODE,
+                retryAfter
+            };
+        }
+    }
+
+    /**
+     * Notes that the local participant has sent a chat message, the slow mode
+     * starts from it.
+     *
+     * @returns {void}
+     */
+    onMessageSent() {
+        this._lastMessageTime = Date.now();
+    }
+
+    /**
+     * Reads the policy from the room info.
+     *
+     * @param {Element} result - The disco#info result of the room.
+     * @returns {void}
+     */
+    updateFromRoomInfo(result) {
+        const getValues = key => $(result)
+            .find(`>query>x[type="result"]>field[var="${POLICY_FIELDS[key].info}"]>value`)
+            .map((_, value) => $(value).text())
+            .get();
+        const [ moderatorsOnly ] = getValues('moderatorsOnly');
+        const slowModeInterval = Number(getValues('slowModeInterval')[0]);
+        const policy = {
+            disabledParticipants: getValues('disabledParticipants'),
+            moderatorsOnly: moderatorsOnly === 'true' || moderatorsOnly === '1',
+            slowModeInterval: slowModeInterval > 0 ? slowModeInterval : 0
+        };
+
+        if (!isEqual(policy, this._policy)) {
+            logger.info('Chat policy changed', policy);
+            this._policy = policy;
+            this._room.eventEmitter.emit(XMPPEvents.CHAT_POLICY_CHANGED, this.getPolicy());
+        }
+    }
+}
@@ -0,0 +1,161 @@
+/* global $ */
+
+import EventEmitter from 'events';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+import ChatPolicy, { CHAT_BLOCKED_REASONS } from './ChatPolicy';
+import RoomConfig from './RoomConfig';
+
+/**
+ * Parses a stanza.
+ *
+ * @param {string} str - The stanza.
+ * @returns {Element}
+ */
+function parse(str) {
+    return new DOMParser().parseFromString(str, 'text/xml').documentElement;
+}
+
+/**
+ * Creates the disco#info result of a room.
+ *
+ * @param {string} fields - The fields of the room info.
+ * @returns {Element}
+ */
+function createRoomInfo(fields) {
+    return parse(
+        '<iq type="result"><query xmlns="http://jabber.org/protocol/disco#info">'
+            + `<x xmlns="jabber:x:data" type="result">${fields}</x>`
+            + '</query></iq>');
+}
+
+describe('ChatPolicy', () => {
+    let chatPolicy;
+    let room;
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(1000000));
+
+        room = new EventEmitter();
+        room.eventEmitter = room;
+        room.roomjid = 'room@conference.example.com';
+        room.connection = {};
+
+        const roomConfig = new RoomConfig(room);
+
+        room.getRoomConfig = () => roomConfig;
+        chatPolicy = new ChatPolicy(room);
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    it('reads the policy from the room info', () => {
+        const changed = jasmine.createSpy('changed');
+
+        room.on(XMPPEvents.CHAT_POLICY_CHANGED, changed);
+
+        const roomInfo = createRoomInfo(
+            '<field var="muc#roominfo_chat_moderators_only"><value>true</value></field>'
+            + '<field var="muc#roominfo_chat_slow_mode"><value>10</value></field>'
+            + '<field var="muc#roominfo_chat_disabled_participants"><value>a</value><value>b</value></field>');
+
+        chatPolicy.updateFromRoomInfo(roomInfo);
+        chatPolicy.updateFromRoomInfo(roomInfo);
+
+        expect(changed).toHaveBeenCalledTimes(1);
+        expect(chatPolicy.getPolicy()).toEqual({
+            disabledParticipants: [ 'a', 'b' ],
+            moderatorsOnly: true,
+            slowModeInterval: 10
+        });
+    });
+
+    it('blocks the messages of the participants which cannot chat', () => {
+        chatPolicy.updateFromRoomInfo(createRoomInfo(
+            '<field var="muc#roominfo_chat_disabled_participants"><value>a</value></field>'));
+
+        expect(chatPolicy.checkMessage([ 'a' ], false, false)).toEqual({ reason: CHAT_BLOCKED_REASONS.DISABLED });
+        expect(chatPolicy.checkMessage([ 'a' ], true, false)).toBeUndefined();
+        expect(chatPolicy.checkMessage([ 'b' ], false, false)).toBeUndefined();
+    });
+
+    it('blocks the messages of the participants which cannot chat when they join again', () => {
+        chatPolicy.updateFromRoomInfo(createRoomInfo(
+            '<field var="muc#roominfo_chat_disabled_participants"><value>stats-a</value></field>'));
+
+        expect(chatPolicy.checkMessage([ 'a2', 'stats-a' ], false, false))
+            .toEqual({ reason: CHAT_BLOCKED_REASONS.DISABLED });
+        expect(chatPolicy.checkMessage([ 'b', undefined ], false, false)).toBeUndefined();
+    });
+
+    it('blocks the messages of the participants when only the moderators can chat', () => {
+        chatPolicy.updateFromRoomInfo(createRoomInfo(
+            '<field var="muc#roominfo_chat_moderators_only"><value>1</value></field>'));
+
+        expect(chatPolicy.checkMessage([ 'a' ], false, false))
+            .toEqual({ reason: CHAT_BLOCKED_REASONS.MODERATORS_ONLY });
+        expect(chatPolicy.checkMessage([ 'a' ], true, false)).toBeUndefined();
+    });
+
+    it('enforces the slow mode', () => {
+        chatPolicy.updateFromRoomInfo(createRoomInfo(
+            '<field var="muc#roominfo_chat_slow_mode"><value>10</value></field>'));
+
+        expect(chatPolicy.checkMessage([ 'a' ], false, false)).toBeUndefined();
+        chatPolicy.onMessageSent();
+
+        jasmine.clock().tick(4000);
+        expect(chatPolicy.checkMessage([ 'a' ], false, false)).toEqual({
+            reason: CHAT_BLOCKED_REASONS.SLOW_MODE,
+            retryAfter: 6000
+        });
+        expect(chatPolicy.checkMessage([ 'a' ], false, true)).toBeUndefined();
+        expect(chatPolicy.checkMessage([ 'a' ], true, false)).toBeUndefined();
+
+        jasmine.clock().tick(6000);
+        expect(chatPolicy.checkMessage([ 'a' ], false, false)).toBeUndefined();
+    });
+
+    it('submits the changes in the room configuration', done => {
+        const sent = [];
+
+        room.connection.sendIQ = (iq, callback) => {
+            sent.push(iq.tree());
+            callback(parse(
+                '<iq type="result"><query xmlns="http://jabber.org/protocol/muc#owner">'
+                    + '<x xmlns="jabber:x:data" type="form">'
+                    + '<field var="muc#roomconfig_chat_moderators_only"/>'
+                    + '<field var="muc#roomconfig_chat_slow_mode"/>'
+                    + '<field var="muc#roomconfig_chat_disabled_participants"/>'
+                    + '</x></query></iq>'));
+        };
+
+        chatPolicy.setPolicy({
+            disabledParticipants: [ 'a', 'b' ],
+            slowModeInterval: 5
+        })
+            .then(() => {
+                const form = $(sent[1]).find('>query>x');
+
+                expect(form.find('>field[var="muc#roomconfig_chat_slow_mode"]>value').text()).toBe('5');
+                expect(form.find('>field[var="muc#roomconfig_chat_disabled_participants"]>value').length).toBe(2);
+                expect(form.find('>field[var="muc#roomconfig_chat_moderators_only"]').length).toBe(0);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('rejects the changes the room configuration does not support', done => {
+        room.connection.sendIQ = (iq, callback) => callback(parse(
+            '<iq type="result"><query xmlns="http://jabber.org/protocol/muc#owner">'
+                + '<x xmlns="jabber:x:data" type="form"/></query></iq>'));
+
+        chatPolicy.setPolicy({ moderatorsOnly: true })
+            .then(() => done.fail('The policy should not be supported'))
+            .catch(() => done());
+    });
+});
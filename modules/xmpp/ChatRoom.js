@@ -10,13 +10,71 @@ import { VideoType } from '../../service/RTC/VideoType';
 import XMPPEvents from '../../service/xmpp/XMPPEvents';
 import GlobalOnErrorHandler from '../util/GlobalOnErrorHandler';
 import Listenable from '../util/Listenable';
+import RandomUtil from '../util/RandomUtil';
 
+import AVModeration from './AVModeration';
+import BreakoutRooms from './BreakoutRooms';
+import ChatHistory, { MAM_NS } from './ChatHistory';
+import ChatPolicy from './ChatPolicy';
+import ChatStates, { CHAT_STATES, CHAT_STATES_NS } from './ChatStates';
 import Lobby from './Lobby';
+import RoomConfig from './RoomConfig';
+import Webinar, { ATTENDEE_ROLE } from './Webinar';
 import XmppConnection from './XmppConnection';
 import Moderator from './moderator';
 
 const logger = getLogger(__filename);
 
+/**
+ * The namespaces of the extensions of the chat messages: the ids chosen by the
+ * sender (XEP-0359), the corrections (XEP-0308), the retractions (XEP-0424),
+ * the replies (XEP-0461) and the chat markers (XEP-0333).
+ */
+export const CHAT_MESSAGE_NS = {
+    CORRECTION: 'urn:xmpp:message-correct:0',
+    FALLBACK: 'urn:xmpp:fallback:0',
+    MARKERS: 'urn:xmpp:chat-markers:0',
+    ORIGIN_ID: 'urn:xmpp:sid:0',
+    REPLY: 'urn:xmpp:reply:0',
+    RETRACT: 'urn:xmpp:message-retract:1'
+};
+
+/**
+ * The chat markers which are handled, the message has been delivered to the
+ * receiver or it has been displayed to them.
+ */
+export const CHAT_MARKERS = {
+    DISPLAYED: 'displayed',
+    RECEIVED: 'received'
+};
+
+/**
+ * The number of chat messages for which the sender is remembered, so that the
+ * corrections and the retractions coming from anyone else can be ignored.
+ *
+ * @type {number}
+ */
+const MAX_TRACKED_CHAT_MESSAGES = 1000;
+
+/**
+ * The elements used in the mute requests exchanged with the focus, by the kind
+ * of media they apply to. Desktop sharing is muted separately from the camera.
+ */
+export const MUTE_REQUEST_ELEMENTS = {
+    [MediaType.AUDIO]: {
+        name: 'mute',
+        xmlns: 'http://jitsi.org/jitmeet/audio'
+    },
+    [MediaType.VIDEO]: {
+        name: 'mute-video',
+        xmlns: 'http://jitsi.org/jitmeet/video'
+    },
+    [VideoType.DESKTOP]: {
+        name: 'mute-desktop',
+        xmlns: 'http://jitsi.org/jitmeet/desktop'
+    }
+};
+
 export const parser = {
     packet2JSON(xmlElement, nodes) {
         for (const child of Array.from(xmlElement.children)) {
@@ -89,6 +147,13 @@ export function filterNodeFromPresenceJSON(pres, nodeName) {
  */
 const MEMBERS_AFFILIATIONS = [ 'owner', 'admin', 'member' ];
 
+/**
+ * The presence extensions advertising the media of the local participant,
+ * which the attendees of a webinar do not send.
+ * @type {string[]}
+ */
+const MEDIA_PRESENCE_TAGS = [ 'audiomuted', 'videomuted', 'videoType' ];
+
 /**
  *
  */
@@ -134,6 +199,27 @@ export default class ChatRoom extends Listenable {
         if (typeof this.options.enableLobby === 'undefined' || this.options.enableLobby) {
             this.lobby = new Lobby(this);
         }
+        this.avModeration = new AVModeration(this);
+        this.breakoutRooms = new BreakoutRooms(this);
+
+        /**
+         * The senders of the last chat messages, by message id.
+         *
+         * @type {Map<string, string>}
+         */
+        this._chatMessageSenders = new Map();
+        this.chatHistory = new ChatHistory(this);
+        this.chatStates = new ChatStates(this);
+        this.chatPolicy = new ChatPolicy(this);
+        this.webinar = new Webinar(this);
+        this.roomConfig = new RoomConfig(this);
+
+        /**
+         * Whether the local participant is an attendee of a webinar.
+         *
+         * @type {boolean}
+         */
+        this.isAttendee = false;
         this.initPresenceMap(options);
         this.lastPresences = {};
         this.phoneNumber = null;
@@ -251,7 +337,11 @@ export default class ChatRoom extends Listenable {
             pres.up();
         }
 
-        parser.json2packet(this.presMap.nodes, pres);
+        parser.json2packet(
+            this.isAttendee
+                ? this.presMap.nodes.filter(node => !MEDIA_PRESENCE_TAGS.includes(node.tagName))
+                : this.presMap.nodes,
+            pres);
 
         // we store time we last synced presence state
         this.presenceSyncTime = Date.now();
@@ -337,6 +427,26 @@ export default class ChatRoom extends Listenable {
                 this.lobby.setLobbyRoomJid(lobbyRoomField && lobbyRoomField.length ? lobbyRoomField.text() : undefined);
             }
 
+            const breakoutMainRoomField
+                = $(result).find('>query>x[type="result"]>field[var="muc#roominfo_breakout_main_room"]>value');
+
+            if (breakoutMainRoomField.length) {
+                this.breakoutRooms._setMainRoomJid(breakoutMainRoomField.text());
+            }
+
+            this.chatPolicy.updateFromRoomInfo(result);
+            this.webinar.updateFromRoomInfo(result);
+
+            const maxDuration = Number($(result)
+                .find('>query>x[type="result"]>field[var="muc#roominfo_max_duration"]>value')
+                .text());
+            const newMaxDuration = maxDuration > 0 ? maxDuration : undefined;
+
+            if (newMaxDuration !== this.maxDuration) {
+                this.maxDuration = newMaxDuration;
+                this.eventEmitter.emit(XMPPEvents.MAX_DURATION_CHANGED, newMaxDuration);
+            }
+
             if (membersOnly !== this.membersOnlyEnabled) {
                 this.membersOnlyEnabled = membersOnly;
                 this.eventEmitter.emit(XMPPEvents.MUC_MEMBERS_ONLY_CHANGED, membersOnly);
@@ -438,6 +548,12 @@ export default class ChatRoom extends Listenable {
         if (statusEl) {
             member.status = statusEl.textContent || '';
         }
+
+        const showEl = pres.getElementsByTagName('show')[0];
+
+        if (showEl) {
+            member.show = showEl.textContent || undefined;
+        }
         let hasStatusUpdate = false;
         let hasVersionUpdate = false;
         const xElement
@@ -485,7 +601,7 @@ export default class ChatRoom extends Listenable {
 
             if (userInfo) {
                 identity.user = {};
-                for (const tag of [ 'id', 'name', 'avatar' ]) {
+                for (const tag of [ 'id', 'name', 'avatar', 'email' ]) {
                     const child
                         = userInfo.children.find(c => c.tagName === tag);
 
@@ -553,6 +669,7 @@ export default class ChatRoom extends Listenable {
         if (from === this.myroomjid) {
             const newRole
                 = member.affiliation === 'owner' ? member.role : 'none';
+            const isAttendee = member.role === ATTENDEE_ROLE && !member.isHiddenDomain;
 
             if (this.role !== newRole) {
                 this.role = newRole;
@@ -560,6 +677,15 @@ export default class ChatRoom extends Listenable {
                     XMPPEvents.LOCAL_ROLE_CHANGED,
                     this.role);
             }
+            if (this.isAttendee !== isAttendee) {
+                this.isAttendee = isAttendee;
+                this.eventEmitter.emit(XMPPEvents.LOCAL_ATTENDEE_CHANGED, isAttendee);
+
+                // only the speakers advertise their media, the presence is
+                // sent again at once or when joined
+                this.presenceUpdateTime = Date.now();
+                this.joined && this.sendPresence();
+            }
             if (!this.joined) {
                 this.joined = true;
                 const now = this.connectionTimes['muc.joined']
@@ -612,9 +738,10 @@ export default class ChatRoom extends Listenable {
                     member.jid,
                     member.features);
 
-                // we are reporting the status with the join
-                // so we do not want a second event about status update
-                hasStatusUpdate = false;
+                // we are reporting the status with the join so we do not want
+                // a second event about status update, unless for the
+                // availability state which is not part of the join
+                hasStatusUpdate = member.show !== undefined;
             }
         } else {
             // Presence update for existing participant
@@ -662,9 +789,10 @@ export default class ChatRoom extends Listenable {
             }
 
             // update stored status message to be able to detect changes
-            if (memberOfThis.status !== member.status) {
+            if (memberOfThis.status !== member.status || memberOfThis.show !== member.show) {
                 hasStatusUpdate = true;
                 memberOfThis.status = member.status;
+                memberOfThis.show = member.show;
             }
 
             if (memberOfThis.version !== member.version) {
@@ -760,7 +888,8 @@ export default class ChatRoom extends Listenable {
             this.eventEmitter.emit(
                 XMPPEvents.PRESENCE_STATUS,
                 from,
-                member.status);
+                member.status,
+                member.show);
         }
 
         if (hasVersionUpdate) {
@@ -847,28 +976,17 @@ export default class ChatRoom extends Listenable {
      * @param message
      * @param elementName
      * @param nickname
+     * @param {Object} [options] - The extensions of the chat message, see
+     * {@link ChatRoom#_createChatMessage}.
+     * @returns {string} The id of the sent message.
      */
-    sendMessage(message, elementName, nickname) {
-        const msg = $msg({ to: this.roomjid,
-            type: 'groupchat' });
+    sendMessage(message, elementName, nickname, options) {
+        const { id, msg } = this._createChatMessage(this.roomjid, 'groupchat', message, elementName, nickname, options);
 
-        // We are adding the message in a packet extension. If this element
-        // is different from 'body', we add a custom namespace.
-        // e.g. for 'json-message' extension of message stanza.
-        if (elementName === 'body') {
-            msg.c(elementName, message).up();
-        } else {
-            msg.c(elementName, { xmlns: 'http://jitsi.org/jitmeet' }, message)
-                .up();
-        }
-        if (nickname) {
-            msg.c('nick', { xmlns: 'http://jabber.org/protocol/nick' })
-                .t(nickname)
-                .up()
-                .up();
-        }
         this.connection.send(msg);
         this.eventEmitter.emit(XMPPEvents.SENDING_CHAT_MESSAGE, message);
+
+        return id;
     }
 
     /* eslint-disable max-params */
@@ -878,16 +996,81 @@ export default class ChatRoom extends Listenable {
      * @param message
      * @param elementName
      * @param nickname
+     * @param {Object} [options] - The extensions of the chat message, see
+     * {@link ChatRoom#_createChatMessage}.
+     * @returns {string} The id of the sent message.
+     */
+    sendPrivateMessage(id, message, elementName, nickname, options) {
+        const { id: messageId, msg } = this._createChatMessage(
+            `${this.roomjid}/${id}`, 'chat', message, elementName, nickname, options);
+
+        this.connection.send(msg);
+        this.eventEmitter.emit(
+            XMPPEvents.SENDING_PRIVATE_CHAT_MESSAGE, message);
+
+        return messageId;
+    }
+
+    /**
+     * Creates a chat message stanza. Every message is given an id, the text
+     * messages are also marked as markable, so that the receivers send back
+     * chat markers for them.
+     *
+     * @param {string} to - The receiver, the room or a participant.
+     * @param {string} type - The type of the message, groupchat or chat.
+     * @param {string} message - The content of the message.
+     * @param {string} elementName - The element carrying the content.
+     * @param {string} [nickname] - The nickname of the local participant.
+     * @param {Object} [options] - The extensions of the chat message.
+     * @param {string} [options.replace] - The id of the message corrected by
+     * this one.
+     * @param {string} [options.replyTo] - The id of the message this one
+     * replies to.
+     * @returns {{id: string, msg: Strophe.Builder}}
+     * @private
      */
-    sendPrivateMessage(id, message, elementName, nickname) {
-        const msg = $msg({ to: `${this.roomjid}/${id}`,
-            type: 'chat' });
+    _createChatMessage(to, type, message, elementName, nickname, options = {}) {
+        const id = RandomUtil.randomHexString(16);
+        const msg = $msg({
+            id,
+            to,
+            type
+        });
 
-        // We are adding the message in packet. If this element is different
-        // from 'body', we add our custom namespace for the same.
-        // e.g. for 'json-message' message extension.
+        // We are adding the message in a packet extension. If this element
+        // is different from 'body', we add a custom namespace.
+        // e.g. for 'json-message' extension of message stanza.
         if (elementName === 'body') {
             msg.c(elementName, message).up();
+            msg.c('origin-id', {
+                id,
+                xmlns: CHAT_MESSAGE_NS.ORIGIN_ID
+            }).up();
+            msg.c('markable', { xmlns: CHAT_MESSAGE_NS.MARKERS }).up();
+
+            // Sending the message ends the typing.
+            msg.c(CHAT_STATES.ACTIVE, { xmlns: CHAT_STATES_NS }).up();
+            this.chatStates.onMessageSent(type === 'chat' ? Strophe.getResourceFromJid(to) : '');
+
+            // The private messages are not reflected back to us by the MUC.
+            this._trackChatMessage(id, this.myroomjid);
+
+            if (options.replace) {
+                msg.c('replace', {
+                    id: options.replace,
+                    xmlns: CHAT_MESSAGE_NS.CORRECTION
+                }).up();
+            }
+
+            if (options.replyTo) {
+                const replyTo = this._chatMessageSenders.get(options.replyTo);
+
+                msg.c('reply', {
+                    id: options.replyTo,
+                    to: replyTo,
+                    xmlns: CHAT_MESSAGE_NS.REPLY
+                }).up();
+            }
         } else {
             msg.c(elementName, { xmlns: 'http://jitsi.org/jitmeet' }, message)
                 .up();
@@ -899,9 +1082,82 @@ export default class ChatRoom extends Listenable {
                 .up();
         }
 
+        return {
+            id,
+            msg
+        };
+    }
+
+    /**
+     * Retracts a chat message sent by the local participant.
+     *
+     * @param {string} messageId - The id of the message.
+     * @param {string} [to] - The id/muc resource of the receiver of a private
+     * message, if not set the message has been sent to everyone.
+     * @returns {void}
+     */
+    retractMessage(messageId, to) {
+        const msg = $msg({
+            id: RandomUtil.randomHexString(16),
+            to: to ? `${this.roomjid}/${to}` : this.roomjid,
+            type: to ? 'chat' : 'groupchat'
+        });
+
+        msg.c('retract', {
+            id: messageId,
+            xmlns: CHAT_MESSAGE_NS.RETRACT
+        }).up();
+        msg.c('fallback', {
+            for: CHAT_MESSAGE_NS.RETRACT,
+            xmlns: CHAT_MESSAGE_NS.FALLBACK
+        }).up();
+        msg.c('body', 'This message has been deleted.').up();
+
         this.connection.send(msg);
-        this.eventEmitter.emit(
-            XMPPEvents.SENDING_PRIVATE_CHAT_MESSAGE, message);
+    }
+
+    /**
+     * Sends a chat marker for a message.
+     *
+     * @param {string} marker - The marker, one of {@link CHAT_MARKERS}.
+     * @param {string} messageId - The id of the message.
+     * @param {string} [to] - The id/muc resource of the sender of a private
+     * message, if not set the message has been sent to everyone.
+     * @returns {void}
+     */
+    sendChatMarker(marker, messageId, to) {
+        const msg = $msg({
+            to: to ? `${this.roomjid}/${to}` : this.roomjid,
+            type: to ? 'chat' : 'groupchat'
+        });
+
+        msg.c(marker, {
+            id: messageId,
+            xmlns: CHAT_MESSAGE_NS.MARKERS
+        }).up();
+
+        this.connection.send(msg);
+    }
+
+    /**
+     * Remembers the sender of a chat message.
+     *
+     * @param {string} messageId - The id of the message.
+     * @param {string} from - The MUC jid of the sender.
+     * @returns {void}
+     * @private
+     */
+    _trackChatMessage(messageId, from) {
+        if (!messageId || this._chatMessageSenders.has(messageId)) {
+            return;
+        }
+
+        this._chatMessageSenders.set(messageId, from);
+
+        if (this._chatMessageSenders.size > MAX_TRACKED_CHAT_MESSAGES) {
+            // Maps are iterated in insertion order, the oldest message goes first.
+            this._chatMessageSenders.delete(this._chatMessageSenders.keys().next().value);
+        }
     }
     /* eslint-enable max-params */
 
@@ -973,8 +1229,16 @@ export default class ChatRoom extends Listenable {
                     '>x[xmlns="http://jabber.org/protocol/muc#user"]>'
                         + 'status[code="110"]')
                 .length;
-        const isKick
+        const isBan
             = $(pres)
+                .find(
+                    '>x[xmlns="http://jabber.org/protocol/muc#user"]'
+                        + '>status[code="301"]')
+                .length > 0;
+
+        // a ban removes the user like a kick does
+        const isKick
+            = isBan || $(pres)
                 .find(
                     '>x[xmlns="http://jabber.org/protocol/muc#user"]'
                         + '>status[code="307"]')
@@ -985,6 +1249,9 @@ export default class ChatRoom extends Listenable {
             const actorSelect
                 = $(pres)
                 .find('>x[xmlns="http://jabber.org/protocol/muc#user"]>item>actor');
+            const reasonSelect
+                = $(pres)
+                .find('>x[xmlns="http://jabber.org/protocol/muc#user"]>item>reason');
 
             let actorNick;
 
@@ -999,7 +1266,9 @@ export default class ChatRoom extends Listenable {
                 XMPPEvents.KICKED,
                 isSelfPresence,
                 actorNick,
-                Strophe.getResourceFromJid(from));
+                Strophe.getResourceFromJid(from),
+                reasonSelect.length ? reasonSelect.text() : undefined,
+                isBan);
         }
 
         if (isSelfPresence) {
@@ -1046,6 +1315,12 @@ export default class ChatRoom extends Listenable {
             return true;
         }
 
+        if (from === this.roomjid && $(msg).find(`>result[xmlns="${MAM_NS}"]`).length) {
+            this.chatHistory.onArchivedMessage(msg);
+
+            return;
+        }
+
         const txt = $(msg).find('>body').text();
         const subject = $(msg).find('>subject');
 
@@ -1113,17 +1388,97 @@ export default class ChatRoom extends Listenable {
             }
         }
 
-        if (txt) {
-            if (type === 'chat') {
-                this.eventEmitter.emit(XMPPEvents.PRIVATE_MESSAGE_RECEIVED,
-                        from, nick, txt, this.myroomjid, stamp);
-            } else if (type === 'groupchat') {
-                this.eventEmitter.emit(XMPPEvents.MESSAGE_RECEIVED,
-                        from, nick, txt, this.myroomjid, stamp);
+        if (type !== 'chat' && type !== 'groupchat') {
+            return;
+        }
+
+        const isPrivate = type === 'chat';
+        const hasChatState = stamp === undefined && this.chatStates.onMessage(msg, from, isPrivate);
+
+        if (hasChatState && !txt) {
+            return;
+        }
+
+        for (const marker of Object.values(CHAT_MARKERS)) {
+            const markedId = $(msg).find(`>${marker}[xmlns="${CHAT_MESSAGE_NS.MARKERS}"]`).attr('id');
+
+            if (markedId) {
+                if (from !== this.myroomjid) {
+                    this.eventEmitter.emit(XMPPEvents.CHAT_MARKER_RECEIVED, from, marker, markedId, isPrivate);
+                }
+
+                return;
+            }
+        }
+
+        const retractedId = $(msg).find(`>retract[xmlns="${CHAT_MESSAGE_NS.RETRACT}"]`).attr('id');
+
+        if (retractedId) {
+            if (this._isChatMessageSender(retractedId, from)) {
+                this.eventEmitter.emit(XMPPEvents.CHAT_MESSAGE_RETRACTED, from, retractedId, isPrivate);
             }
+
+            return;
+        }
+
+        if (!txt) {
+            return;
+        }
+
+        const messageId = $(msg).find(`>origin-id[xmlns="${CHAT_MESSAGE_NS.ORIGIN_ID}"]`).attr('id')
+            || msg.getAttribute('id')
+            || undefined;
+        const replacedId = $(msg).find(`>replace[xmlns="${CHAT_MESSAGE_NS.CORRECTION}"]`).attr('id');
+
+        if (replacedId) {
+            if (this._isChatMessageSender(replacedId, from)) {
+                this.eventEmitter.emit(XMPPEvents.CHAT_MESSAGE_CORRECTED, from, replacedId, txt, stamp, isPrivate);
+            }
+
+            return;
+        }
+
+        const replyToId = $(msg).find(`>reply[xmlns="${CHAT_MESSAGE_NS.REPLY}"]`).attr('id');
+
+        this._trackChatMessage(messageId, from);
+
+        // The delivery of the messages sent to everyone is confirmed by the MUC
+        // reflecting them, only the private messages are acknowledged.
+        if (isPrivate && messageId && stamp === undefined
+                && $(msg).find(`>markable[xmlns="${CHAT_MESSAGE_NS.MARKERS}"]`).length) {
+            this.sendChatMarker(CHAT_MARKERS.RECEIVED, messageId, Strophe.getResourceFromJid(from));
+        }
+
+        if (isPrivate) {
+            this.eventEmitter.emit(XMPPEvents.PRIVATE_MESSAGE_RECEIVED,
+                    from, nick, txt, this.myroomjid, stamp, messageId, replyToId);
+        } else {
+            this.eventEmitter.emit(XMPPEvents.MESSAGE_RECEIVED,
+                    from, nick, txt, this.myroomjid, stamp, messageId, replyToId);
         }
     }
 
+    /**
+     * Checks whether a chat message has been sent by a participant, only the
+     * sender of a message can correct or retract it.
+     *
+     * @param {string} messageId - The id of the message.
+     * @param {string} from - The MUC jid of the participant.
+     * @returns {boolean}
+     * @private
+     */
+    _isChatMessageSender(messageId, from) {
+        const sender = this._chatMessageSenders.get(messageId);
+
+        if (sender !== from) {
+            logger.warn(`Ignoring a change of message ${messageId} from ${from}, it has been sent by ${sender}`);
+
+            return false;
+        }
+
+        return true;
+    }
+
     /**
      *
      * @param pres
@@ -1194,40 +1549,130 @@ export default class ChatRoom extends Listenable {
     }
 
     /**
+     * Changes the affiliation of a user with the room.
      *
-     * @param jid
-     * @param affiliation
+     * @param {string} jid - The jid of an occupant of the room, or the bare
+     * jid of a user which is not in the room.
+     * @param {string} affiliation - The new affiliation.
+     * @param {string} [reason] - The reason for the change.
+     * @returns {Promise} Resolved when the affiliation has been changed.
      */
-    setAffiliation(jid, affiliation) {
+    setAffiliation(jid, affiliation, reason) {
+        const bareJid = Strophe.getBareJidFromJid(jid);
         const grantIQ = $iq({
             to: this.roomjid,
             type: 'set'
         })
         .c('query', { xmlns: 'http://jabber.org/protocol/muc#admin' })
-        .c('item', {
+        .c('item', bareJid === this.roomjid ? {
             affiliation,
             nick: Strophe.getResourceFromJid(jid)
+        } : {
+            affiliation,
+            jid: bareJid
         })
-        .c('reason').t(`Your affiliation has been changed to '${affiliation}'.`)
+        .c('reason').t(reason || `Your affiliation has been changed to '${affiliation}'.`)
         .up().up().up();
 
-        this.connection.sendIQ(
-            grantIQ,
-            result => logger.log('Set affiliation of participant with jid: ', jid, 'to', affiliation, result),
-            error => logger.log('Set affiliation of participant error: ', error));
+        return new Promise((resolve, reject) => {
+            this.connection.sendIQ(
+                grantIQ,
+                result => {
+                    logger.log('Set affiliation of participant with jid: ', jid, 'to', affiliation, result);
+                    resolve();
+                },
+                error => {
+                    logger.log('Set affiliation of participant error: ', error);
+                    reject(error);
+                });
+        });
     }
 
     /**
+     * Bans a user from the room, the user is removed from the room and cannot
+     * join it anymore.
      *
-     * @param jid
+     * @param {string} jid - The jid of an occupant of the room, or the bare
+     * jid of a user which is not in the room.
+     * @param {string} [reason] - The reason for the ban.
+     * @returns {Promise} Resolved when the user has been banned.
+     */
+    ban(jid, reason) {
+        return this.setAffiliation(jid, 'outcast', reason || 'You have been banned.');
+    }
+
+    /**
+     * Lifts the ban of a user.
+     *
+     * @param {string} jid - The bare jid of the user, as returned by
+     * {@link ChatRoom#getBanList}.
+     * @returns {Promise} Resolved when the ban has been lifted.
      */
-    kick(jid) {
+    unban(jid) {
+        return this.setAffiliation(jid, 'none', 'Your ban has been lifted.');
+    }
+
+    /**
+     * Queries the users banned from the room.
+     *
+     * @returns {Promise<Array<{jid: string, reason: string}>>} The bare jids of
+     * the banned users and the reasons of the bans.
+     */
+    getBanList() {
+        return this.getAffiliationList('outcast');
+    }
+
+    /**
+     * Queries the users with an affiliation with the room
+     * (https://xmpp.org/extensions/xep-0045.html#modifymember).
+     *
+     * @param {string} affiliation - The affiliation: 'owner', 'admin',
+     * 'member' or 'outcast'.
+     * @returns {Promise<Array<{jid: string, reason: string}>>} The bare jids of
+     * the users and the reasons given when the affiliation was set.
+     */
+    getAffiliationList(affiliation) {
+        const listIQ = $iq({
+            to: this.roomjid,
+            type: 'get'
+        })
+            .c('query', { xmlns: 'http://jabber.org/protocol/muc#admin' })
+            .c('item', { affiliation });
+
+        return new Promise((resolve, reject) => {
+            this.connection.sendIQ(
+                listIQ,
+                result => resolve($(result)
+                    .find(`>query>item[affiliation="${affiliation}"]`)
+                    .map((_, item) => {
+                        return {
+                            jid: item.getAttribute('jid'),
+                            reason: $(item).find('>reason')
+                                .text()
+                        };
+                    })
+                    .get()),
+                error => {
+                    logger.error(`Query of the ${affiliation} list failed`, error);
+                    reject(error);
+                });
+        });
+    }
+
+    /**
+     * Removes an occupant from the room.
+     *
+     * @param {string} jid - The jid of the occupant.
+     * @param {string} [reason] - The reason given to the occupant.
+     * @returns {void}
+     */
+    kick(jid, reason) {
         const kickIQ = $iq({ to: this.roomjid,
             type: 'set' })
             .c('query', { xmlns: 'http://jabber.org/protocol/muc#admin' })
             .c('item', { nick: Strophe.getResourceFromJid(jid),
                 role: 'none' })
-            .c('reason').t('You have been kicked.').up().up().up();
+            .c('reason').t(reason || 'You have been kicked.').up().up().up();
 
         this.connection.sendIQ(
             kickIQ,
@@ -1235,6 +1680,53 @@ export default class ChatRoom extends Listenable {
             error => logger.log('Kick participant error: ', error));
     }
 
+    /**
+     * Destroys the room, all the occupants are removed from it
+     * (https://xmpp.org/extensions/xep-0045.html#destroyroom).
+     *
+     * @param {string} [reason] - The reason for which the room is destroyed.
+     * @param {string} [alternateVenue] - The jid of a room the occupants can
+     * join instead.
+     * @returns {Promise} Resolved when the room has been destroyed.
+     */
+    destroy(reason, alternateVenue) {
+        const destroyIQ = $iq({
+            to: this.roomjid,
+            type: 'set'
+        })
+            .c('query', { xmlns: 'http://jabber.org/protocol/muc#owner' })
+            .c('destroy', alternateVenue ? { jid: alternateVenue } : {});
+
+        if (reason) {
+            destroyIQ.c('reason').t(reason)
+                .up();
+        }
+
+        return new Promise((resolve, reject) => {
+            this.connection.sendIQ(
+                destroyIQ,
+                () => {
+                    logger.info('Room destroyed', this.roomjid);
+                    resolve();
+                },
+                error => {
+                    logger.error('Destroying the room failed', error);
+                    reject(error);
+                });
+        });
+    }
+
+    /**
+     * Sets the maximum duration of the conference in the room configuration.
+     *
+     * @param {number} maxDuration - The maximum duration in seconds, 0 to
+     * remove the limit.
+     * @returns {Promise} Resolved when the room configuration has been changed.
+     */
+    setMaxDuration(maxDuration) {
+        return this.roomConfig.set({ maxDuration });
+    }
+
     /* eslint-disable max-params */
 
     /**
@@ -1694,6 +2186,63 @@ export default class ChatRoom extends Listenable {
         return this.lobby;
     }
 
+    /**
+     * @returns {AVModeration}
+     */
+    getAVModeration() {
+        return this.avModeration;
+    }
+
+    /**
+     *
+     * @returns {BreakoutRooms}
+     */
+    getBreakoutRooms() {
+        return this.breakoutRooms;
+    }
+
+    /**
+     *
+     * @returns {ChatHistory}
+     */
+    getChatHistory() {
+        return this.chatHistory;
+    }
+
+    /**
+     *
+     * @returns {ChatStates}
+     */
+    getChatStates() {
+        return this.chatStates;
+    }
+
+    /**
+     *
+     * @returns {ChatPolicy}
+     */
+    getChatPolicy() {
+        return this.chatPolicy;
+    }
+
+    /**
+     * Returns the webinar mode of the room.
+     *
+     * @returns {Webinar}
+     */
+    getWebinar() {
+        return this.webinar;
+    }
+
+    /**
+     * Returns the room configuration.
+     *
+     * @returns {RoomConfig}
+     */
+    getRoomConfig() {
+        return this.roomConfig;
+    }
+
     /**
      * Returns the phone number for joining the conference.
      */
@@ -1721,14 +2270,23 @@ export default class ChatRoom extends Listenable {
      * Mutes remote participant.
      * @param jid of the participant
      * @param mute
+     * @param {MediaType|VideoType.DESKTOP} [mediaType] - The kind of media to mute, audio by default.
      */
-    muteParticipant(jid, mute) {
-        logger.info('set mute', mute);
+    muteParticipant(jid, mute, mediaType = MediaType.AUDIO) {
+        const element = MUTE_REQUEST_ELEMENTS[mediaType];
+
+        if (!element) {
+            logger.error(`Cannot mute unknown media type ${mediaType}`);
+
+            return;
+        }
+
+        logger.info('set mute', mute, mediaType);
         const iqToFocus = $iq(
             { to: this.focusMucJid,
                 type: 'set' })
-            .c('mute', {
-                xmlns: 'http://jitsi.org/jitmeet/audio',
+            .c(element.name, {
+                xmlns: element.xmlns,
                 jid
             })
             .t(mute.toString())
@@ -1741,7 +2299,9 @@ export default class ChatRoom extends Listenable {
     }
 
     /**
-     * TODO: Document
+     * Handles a mute request sent by the focus, for audio, video or desktop
+     * sharing depending on the element it carries.
+     *
      * @param iq
      */
     onMute(iq) {
@@ -1752,10 +2312,21 @@ export default class ChatRoom extends Listenable {
 
             return;
         }
-        const mute = $(iq).find('mute');
 
-        if (mute.length && mute.text() === 'true') {
-            this.eventEmitter.emit(XMPPEvents.AUDIO_MUTED_BY_FOCUS, mute.attr('actor'));
+        const mediaType = Object.keys(MUTE_REQUEST_ELEMENTS)
+            .find(type => $(iq).find(`>${MUTE_REQUEST_ELEMENTS[type].name}`).length);
+        const mute = mediaType && $(iq).find(`>${MUTE_REQUEST_ELEMENTS[mediaType].name}`);
+
+        if (mute && mute.text() === 'true') {
+            let event = XMPPEvents.AUDIO_MUTED_BY_FOCUS;
+
+            if (mediaType === MediaType.VIDEO) {
+                event = XMPPEvents.VIDEO_MUTED_BY_FOCUS;
+            } else if (mediaType === VideoType.DESKTOP) {
+                event = XMPPEvents.DESKTOP_MUTED_BY_FOCUS;
+            }
+
+            this.eventEmitter.emit(event, mute.attr('actor'));
         } else {
             // XXX Why do we support anything but muting? Why do we encode the
             // value in the text of the element? Why do we use a separate XML
@@ -1772,6 +2343,11 @@ export default class ChatRoom extends Listenable {
         this._removeConnListeners.forEach(remove => remove());
         this._removeConnListeners = [];
 
+        this.avModeration.dispose();
+        this.breakoutRooms.dispose();
+        this.chatHistory.dispose();
+        this.chatStates.dispose();
+
         this.joined = false;
     }
 
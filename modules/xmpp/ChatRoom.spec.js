@@ -1,3 +1,5 @@
+/* global $ */
+
 import { $pres } from 'strophe.js';
 
 import XMPPEvents from '../../service/xmpp/XMPPEvents';
@@ -138,6 +140,7 @@ describe('ChatRoom', () => {
 
         beforeEach(() => {
             const xmpp = {
+                addListener: () => {}, // eslint-disable-line no-empty-function
                 options: {}
             };
 
@@ -207,6 +210,26 @@ describe('ChatRoom', () => {
                 'jid=attr');
         });
 
+        it('reports the MUC role of the occupants whatever their affiliation', () => {
+            const createPresence = (affiliation, role) => new DOMParser().parseFromString(
+                '<presence to="tojid" from="fromjid">'
+                    + '<x xmlns="http://jabber.org/protocol/muc#user">'
+                    + `<item jid="fulljid" affiliation="${affiliation}" role="${role}"/>`
+                    + '</x></presence>', 'text/xml').documentElement;
+
+            room.onPresence(createPresence('admin', 'moderator'));
+            room.onPresence(createPresence('owner', 'moderator'));
+            room.onPresence(createPresence('member', 'participant'));
+
+            expect(emitterSpy.calls.allArgs()
+                .filter(([ event ]) => event === XMPPEvents.MUC_MEMBER_JOINED)
+                .map(args => args[3])).toEqual([ 'moderator' ]);
+            expect(emitterSpy.calls.allArgs().filter(args => args[0] === XMPPEvents.MUC_ROLE_CHANGED)).toEqual([
+                [ XMPPEvents.MUC_ROLE_CHANGED, 'fromjid', 'participant' ]
+            ]);
+            expect(room.members.fromjid.affiliation).toBe('member');
+        });
+
         it('parses identity correctly', () => {
             const presStr = '' +
                 '<presence to="tojid" from="fromjid">' +
@@ -287,5 +310,306 @@ describe('ChatRoom', () => {
         });
 
     });
+
+    describe('onMute', () => {
+        let room;
+        let emitterSpy;
+
+        beforeEach(() => {
+            const xmpp = {
+                addListener: () => {}, // eslint-disable-line no-empty-function
+                options: {}
+            };
+
+            room = new ChatRoom(
+                {} /* connection */,
+                'jid',
+                'password',
+                xmpp,
+                {} /* options */);
+            room.focusMucJid = 'room@conference.example.com/focus';
+            emitterSpy = spyOn(room.eventEmitter, 'emit');
+        });
+
+        /**
+         * Parses a mute request sent by the focus.
+         *
+         * @param {string} element - The mute element.
+         * @param {string} xmlns - Its namespace.
+         * @param {string} from - The sender.
+         * @returns {Element}
+         */
+        function createMuteIq(element, xmlns, from = 'room@conference.example.com/focus') {
+            const iqStr = '' +
+                `<iq type="set" to="tojid" from="${from}">` +
+                    `<${element} xmlns="${xmlns}" actor="room@conference.example.com/mod">true</${element}>` +
+                '</iq>';
+
+            return new DOMParser().parseFromString(iqStr, 'text/xml').documentElement;
+        }
+
+        it('emits audio muted by focus', () => {
+            room.onMute(createMuteIq('mute', 'http://jitsi.org/jitmeet/audio'));
+            expect(emitterSpy).toHaveBeenCalledWith(
+                XMPPEvents.AUDIO_MUTED_BY_FOCUS, 'room@conference.example.com/mod');
+        });
+
+        it('emits video muted by focus', () => {
+            room.onMute(createMuteIq('mute-video', 'http://jitsi.org/jitmeet/video'));
+            expect(emitterSpy).toHaveBeenCalledWith(
+                XMPPEvents.VIDEO_MUTED_BY_FOCUS, 'room@conference.example.com/mod');
+        });
+
+        it('emits desktop muted by focus', () => {
+            room.onMute(createMuteIq('mute-desktop', 'http://jitsi.org/jitmeet/desktop'));
+            expect(emitterSpy).toHaveBeenCalledWith(
+                XMPPEvents.DESKTOP_MUTED_BY_FOCUS, 'room@conference.example.com/mod');
+        });
+
+        it('ignores requests not sent by the focus', () => {
+            room.onMute(createMuteIq('mute-video', 'http://jitsi.org/jitmeet/video', 'room@conference.example.com/x'));
+            expect(emitterSpy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('onMessage', () => {
+        let room;
+        let connection;
+        let emitterSpy;
+
+        beforeEach(() => {
+            const xmpp = {
+                addListener: () => {}, // eslint-disable-line no-empty-function
+                options: {}
+            };
+
+            connection = { send: jasmine.createSpy('send') };
+            room = new ChatRoom(
+                connection,
+                'room@conference.example.com/local',
+                'password',
+                xmpp,
+                {} /* options */);
+            emitterSpy = spyOn(room.eventEmitter, 'emit');
+        });
+
+        /**
+         * Parses a message stanza.
+         *
+         * @param {string} from - The nickname of the sender.
+         * @param {string} type - The type of the message.
+         * @param {string} content - The children of the message.
+         * @returns {Element}
+         */
+        function createMessage(from, type, content) {
+            const msgStr = `<message to="room@conference.example.com/local" from="room@conference.example.com/${from}" type="${type}">${content}</message>`;
+
+            return new DOMParser().parseFromString(msgStr, 'text/xml').documentElement;
+        }
+
+        /**
+         * Lets the room handle a message.
+         *
+         * @param {string} from - The nickname of the sender.
+         * @param {string} type - The type of the message.
+         * @param {string} content - The children of the message.
+         * @returns {void}
+         */
+        function receive(from, type, content) {
+            room.onMessage(createMessage(from, type, content), `room@conference.example.com/${from}`);
+        }
+
+        it('gives an id to the sent messages', () => {
+            const id = room.sendMessage('hello', 'body', 'nick');
+            const msg = connection.send.calls.argsFor(0)[0].tree();
+
+            expect(id).toBeTruthy();
+            expect(msg.getAttribute('id')).toBe(id);
+            expect($(msg).find('>origin-id').attr('id')).toBe(id);
+            expect($(msg).find('>markable').length).toBe(1);
+        });
+
+        it('emits the id of the received messages and the message they reply to', () => {
+            receive('a', 'groupchat',
+                '<body>hi</body>' +
+                '<origin-id xmlns="urn:xmpp:sid:0" id="m2"/>' +
+                '<reply xmlns="urn:xmpp:reply:0" id="m1"/>');
+
+            expect(emitterSpy).toHaveBeenCalledWith(XMPPEvents.MESSAGE_RECEIVED,
+                'room@conference.example.com/a', 'a', 'hi', 'room@conference.example.com/local', undefined, 'm2', 'm1');
+        });
+
+        it('accepts corrections and retractions from the sender only', () => {
+            receive('a', 'groupchat', '<body>hi</body><origin-id xmlns="urn:xmpp:sid:0" id="m1"/>');
+            emitterSpy.calls.reset();
+
+            receive('b', 'groupchat', '<body>hacked</body><replace xmlns="urn:xmpp:message-correct:0" id="m1"/>');
+            receive('b', 'groupchat', '<retract xmlns="urn:xmpp:message-retract:1" id="m1"/>');
+            expect(emitterSpy).not.toHaveBeenCalled();
+
+            receive('a', 'groupchat', '<body>hello</body><replace xmlns="urn:xmpp:message-correct:0" id="m1"/>');
+            expect(emitterSpy).toHaveBeenCalledWith(XMPPEvents.CHAT_MESSAGE_CORRECTED,
+                'room@conference.example.com/a', 'm1', 'hello', undefined, false);
+
+            receive('a', 'groupchat',
+                '<retract xmlns="urn:xmpp:message-retract:1" id="m1"/><body>This message has been deleted.</body>');
+            expect(emitterSpy).toHaveBeenCalledWith(XMPPEvents.CHAT_MESSAGE_RETRACTED,
+                'room@conference.example.com/a', 'm1', false);
+            expect(emitterSpy.calls.allArgs().some(args => args[0] === XMPPEvents.MESSAGE_RECEIVED)).toBe(false);
+        });
+
+        it('acknowledges the delivery of private messages', () => {
+            receive('a', 'chat', '<body>psst</body><markable xmlns="urn:xmpp:chat-markers:0"/><origin-id xmlns="urn:xmpp:sid:0" id="m1"/>');
+
+            const marker = connection.send.calls.argsFor(0)[0].tree();
+
+            expect(marker.getAttribute('to')).toBe('room@conference.example.com/a');
+            expect($(marker).find('>received').attr('id')).toBe('m1');
+        });
+
+        it('emits the chat markers', () => {
+            receive('a', 'groupchat', '<displayed xmlns="urn:xmpp:chat-markers:0" id="m1"/>');
+
+            expect(emitterSpy).toHaveBeenCalledWith(XMPPEvents.CHAT_MARKER_RECEIVED,
+                'room@conference.example.com/a', 'displayed', 'm1', false);
+            expect(connection.send).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('destroy', () => {
+        let room;
+        let connection;
+
+        beforeEach(() => {
+            const xmpp = {
+                addListener: () => {}, // eslint-disable-line no-empty-function
+                options: {}
+            };
+
+            connection = {
+                emuc: { doLeave: jasmine.createSpy('doLeave') },
+                sendIQ: jasmine.createSpy('sendIQ').and.callFake((iq, callback) => callback())
+            };
+            room = new ChatRoom(
+                connection,
+                'room@conference.example.com/local',
+                'password',
+                xmpp,
+                {} /* options */);
+        });
+
+        it('destroys the room with a reason and an alternate venue', done => {
+            room.destroy('The meeting is over', 'other@conference.example.com')
+                .then(() => {
+                    const destroy = $(connection.sendIQ.calls.argsFor(0)[0].tree())
+                        .find('>query[xmlns="http://jabber.org/protocol/muc#owner"]>destroy');
+
+                    expect(destroy.attr('jid')).toBe('other@conference.example.com');
+                    expect(destroy.find('>reason').text()).toBe('The meeting is over');
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it('emits the destruction of the room', () => {
+            const emitterSpy = spyOn(room.eventEmitter, 'emit');
+            const presStr = '<presence type="unavailable" from="room@conference.example.com/local">'
+                + '<x xmlns="http://jabber.org/protocol/muc#user">'
+                + '<destroy jid="other@conference.example.com"><reason>The meeting is over</reason></destroy>'
+                + '</x></presence>';
+            const pres = new DOMParser().parseFromString(presStr, 'text/xml').documentElement;
+
+            room.onPresenceUnavailable(pres, 'room@conference.example.com/local');
+
+            expect(emitterSpy).toHaveBeenCalledWith(
+                XMPPEvents.MUC_DESTROYED, 'The meeting is over', 'other@conference.example.com');
+            expect(connection.emuc.doLeave).toHaveBeenCalled();
+        });
+    });
+
+    describe('kick and ban', () => {
+        let room;
+        let connection;
+
+        beforeEach(() => {
+            const xmpp = {
+                addListener: () => {}, // eslint-disable-line no-empty-function
+                options: {}
+            };
+
+            connection = {
+                emuc: { doLeave: jasmine.createSpy('doLeave') },
+                sendIQ: jasmine.createSpy('sendIQ')
+            };
+            room = new ChatRoom(
+                connection,
+                'room@conference.example.com/local',
+                'password',
+                xmpp,
+                {} /* options */);
+        });
+
+        /**
+         * Returns the item of an IQ sent to the room.
+         *
+         * @param {number} index - The index of the IQ.
+         * @returns {jQuery}
+         */
+        function getSentItem(index) {
+            return $(connection.sendIQ.calls.argsFor(index)[0].tree()).find('>query>item');
+        }
+
+        it('emits the reason of the kick', () => {
+            const emitterSpy = spyOn(room.eventEmitter, 'emit');
+            const presStr = '<presence type="unavailable" from="room@conference.example.com/local">'
+                + '<x xmlns="http://jabber.org/protocol/muc#user">'
+                + '<item affiliation="outcast" role="none"><actor nick="mod"/><reason>Spam</reason></item>'
+                + '<status code="301"/><status code="110"/>'
+                + '</x></presence>';
+            const pres = new DOMParser().parseFromString(presStr, 'text/xml').documentElement;
+
+            room.onPresenceUnavailable(pres, 'room@conference.example.com/local');
+
+            expect(emitterSpy).toHaveBeenCalledWith(XMPPEvents.KICKED, 1, 'mod', 'local', 'Spam', true);
+            expect(emitterSpy).not.toHaveBeenCalledWith(XMPPEvents.MUC_LEFT);
+        });
+
+        it('bans the occupants by nickname and unbans the users by jid', () => {
+            room.ban('room@conference.example.com/guest', 'Spam');
+            room.unban('guest@example.com');
+
+            expect(getSentItem(0).attr('affiliation')).toBe('outcast');
+            expect(getSentItem(0).attr('nick')).toBe('guest');
+            expect(getSentItem(0).find('>reason')
+                .text()).toBe('Spam');
+            expect(getSentItem(1).attr('affiliation')).toBe('none');
+            expect(getSentItem(1).attr('jid')).toBe('guest@example.com');
+        });
+
+        it('revokes the owner rights of the occupants', () => {
+            room.setAffiliation('room@conference.example.com/mod', 'member');
+
+            expect(getSentItem(0).attr('affiliation')).toBe('member');
+            expect(getSentItem(0).attr('nick')).toBe('mod');
+        });
+
+        it('queries the ban list', done => {
+            connection.sendIQ.and.callFake((iq, callback) => callback(new DOMParser().parseFromString(
+                '<iq type="result"><query xmlns="http://jabber.org/protocol/muc#admin">'
+                    + '<item affiliation="outcast" jid="guest@example.com"><reason>Spam</reason></item>'
+                    + '</query></iq>', 'text/xml').documentElement));
+
+            room.getBanList()
+                .then(banList => {
+                    expect(getSentItem(0).attr('affiliation')).toBe('outcast');
+                    expect(banList).toEqual([ {
+                        jid: 'guest@example.com',
+                        reason: 'Spam'
+                    } ]);
+                    done();
+                })
+                .catch(done.fail);
+        });
+    });
 });
 
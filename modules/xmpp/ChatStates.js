@@ -0,0 +1,299 @@
+/* global $ */
+
+import { $msg, Strophe } from 'strophe.js';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+/**
+ * The namespace of the chat state notifications (XEP-0085).
+ *
+ * @type {string}
+ */
+export const CHAT_STATES_NS = 'http://jabber.org/protocol/chatstates';
+
+/**
+ * The chat states.
+ */
+export const CHAT_STATES = {
+    ACTIVE: 'active',
+    COMPOSING: 'composing',
+    GONE: 'gone',
+    INACTIVE: 'inactive',
+    PAUSED: 'paused'
+};
+
+/**
+ * The minimum time between two chat states sent to the same target, in ms.
+ * The last state is sent at the end of the interval.
+ *
+ * @type {number}
+ */
+const MIN_SEND_INTERVAL = 2000;
+
+/**
+ * The time after which the local participant is considered to have paused
+ * typing when they are not typing anymore, in ms.
+ *
+ * @type {number}
+ */
+const PAUSED_TIMEOUT = 5000;
+
+/**
+ * The time after which a remote participant which has not sent any chat state
+ * is considered to not be typing anymore, in ms.
+ *
+ * @type {number}
+ */
+const REMOTE_TYPING_TIMEOUT = 30000;
+
+/**
+ * Sends and receives the chat state notifications (XEP-0085) of the group and
+ * private chats of a room. The states sent to a target are throttled, so that
+ * large rooms are not flooded.
+ */
+export default class ChatStates {
+    /**
+     * Constructs the chat states.
+     *
+     * @param {ChatRoom} room the main room.
+     */
+    constructor(room) {
+        this._room = room;
+
+        /**
+         * The state sent to every target, by target. The group chat target is
+         * the empty string, the private chat targets are the MUC resources of
+         * the participants.
+         *
+         * @type {Map<string, Object>}
+         */
+        this._localStates = new Map();
+
+        /**
+         * The timeouts of the remote participants which are typing, by sender
+         * and chat.
+         *
+         * @type {Map<string, number>}
+         */
+        this._remoteTyping = new Map();
+
+        this._onMemberLeft = this._onMemberLeft.bind(this);
+        this._room.addListener(XMPPEvents.MUC_MEMBER_LEFT, this._onMemberLeft);
+    }
+
+    /**
+     * Stops the timers and the listeners.
+     *
+     * @returns {void}
+     */
+    dispose() {
+        this._localStates.forEach(state => {
+            clearTimeout(state.pausedTimeout);
+            clearTimeout(state.sendTimeout);
+        });
+        this._localStates.clear();
+        this._remoteTyping.forEach(timeout => clearTimeout(timeout));
+        this._remoteTyping.clear();
+
+        this._room.removeListener(XMPPEvents.MUC_MEMBER_LEFT, this._onMemberLeft);
+    }
+
+    /**
+     * Sets whether the local participant is typing a message. The paused
+     * state is sent automatically when the local participant stops typing
+     * without sending their message.
+     *
+     * @param {boolean} typing - Whether the local participant is typing.
+     * @param {string} [to] - The MUC resource of the participant the message
+     * is privately typed for, if not set it is typed for everyone.
+     * @returns {void}
+     */
+    setTyping(typing, to = '') {
+        const state = this._getLocalState(to);
+
+        clearTimeout(state.pausedTimeout);
+        state.pausedTimeout = undefined;
+
+        if (typing) {
+            state.pausedTimeout = setTimeout(() => this._setLocalState(to, CHAT_STATES.PAUSED), PAUSED_TIMEOUT);
+            this._setLocalState(to, CHAT_STATES.COMPOSING);
+        } else {
+            this._setLocalState(to, CHAT_STATES.ACTIVE);
+        }
+    }
+
+    /**
+     * Notes that a message has been sent to a target. The message carries the
+     * active state, which ends the typing.
+     *
+     * @param {string} to - The MUC resource of the receiver of a private
+     * message or the empty string for a group message.
+     * @returns {void}
+     */
+    onMessageSent(to) {
+        this._clearLocalState(to);
+    }
+
+    /**
+     * Forgets the state of the local participant for a target.
+     *
+     * @param {string} to - The target.
+     * @returns {void}
+     * @private
+     */
+    _clearLocalState(to) {
+        const state = this._localStates.get(to);
+
+        if (state) {
+            clearTimeout(state.pausedTimeout);
+            clearTimeout(state.sendTimeout);
+            this._localStates.delete(to);
+        }
+    }
+
+    /**
+     * Handles the chat state of a message.
+     *
+     * @param {Element} msg - The message stanza.
+     * @param {string} from - The MUC jid of the sender.
+     * @param {boolean} isPrivate - Whether the message has been privately
+     * sent to the local participant.
+     * @returns {boolean} Whether the message carries a chat state.
+     */
+    onMessage(msg, from, isPrivate) {
+        const chatState = $(msg).children(`[xmlns="${CHAT_STATES_NS}"]`)[0];
+
+        if (!chatState) {
+            return false;
+        }
+
+        if (from !== this._room.myroomjid) {
+            this._setRemoteTyping(from, isPrivate, chatState.tagName === CHAT_STATES.COMPOSING);
+        }
+
+        return true;
+    }
+
+    /**
+     * Returns the local state of a target, creating it if needed.
+     *
+     * @param {string} to - The target.
+     * @returns {Object}
+     * @private
+     */
+    _getLocalState(to) {
+        let state = this._localStates.get(to);
+
+        if (!state) {
+            state = {
+                lastSent: 0,
+                pausedTimeout: undefined,
+                sendTimeout: undefined,
+                sent: CHAT_STATES.ACTIVE,
+                wanted: CHAT_STATES.ACTIVE
+            };
+            this._localStates.set(to, state);
+        }
+
+        return state;
+    }
+
+    /**
+     * Changes the state of the local participant for a target, the state is
+     * sent at once or at the end of the throttling interval.
+     *
+     * @param {string} to - The target.
+     * @param {string} chatState - The new chat state.
+     * @returns {void}
+     * @private
+     */
+    _setLocalState(to, chatState) {
+        const state = this._getLocalState(to);
+
+        state.wanted = chatState;
+
+        if (state.sendTimeout) {
+            return;
+        }
+
+        const wait = state.lastSent + MIN_SEND_INTERVAL - Date.now();
+
+        if (wait > 0) {
+            state.sendTimeout = setTimeout(() => {
+                state.sendTimeout = undefined;
+                this._sendLocalState(to, state);
+            }, wait);
+        } else {
+            this._sendLocalState(to, state);
+        }
+    }
+
+    /**
+     * Sends the state wanted for a target, unless it has already been sent.
+     *
+     * @param {string} to - The target.
+     * @param {Object} state - The local state of the target.
+     * @returns {void}
+     * @private
+     */
+    _sendLocalState(to, state) {
+        if (state.wanted === state.sent) {
+            return;
+        }
+
+        const msg = $msg({
+            to: to ? `${this._room.roomjid}/${to}` : this._room.roomjid,
+            type: to ? 'chat' : 'groupchat'
+        });
+
+        msg.c(state.wanted, { xmlns: CHAT_STATES_NS }).up();
+
+        // The chat states are not worth archiving.
+        msg.c('no-store', { xmlns: 'urn:xmpp:hints' }).up();
+
+        this._room.connection.send(msg);
+
+        state.sent = state.wanted;
+        state.lastSent = Date.now();
+    }
+
+    /**
+     * Updates whether a remote participant is typing.
+     *
+     * @param {string} from - The MUC jid of the participant.
+     * @param {boolean} isPrivate - Whether the participant is typing a private
+     * message to the local participant.
+     * @param {boolean} typing - Whether the participant is typing.
+     * @returns {void}
+     * @private
+     */
+    _setRemoteTyping(from, isPrivate, typing) {
+        const key = `${isPrivate ? 'chat' : 'groupchat'} ${from}`;
+        const wasTyping = this._remoteTyping.has(key);
+
+        clearTimeout(this._remoteTyping.get(key));
+        this._remoteTyping.delete(key);
+
+        if (typing) {
+            this._remoteTyping.set(key, setTimeout(
+                () => this._setRemoteTyping(from, isPrivate, false), REMOTE_TYPING_TIMEOUT));
+        }
+
+        if (wasTyping !== typing) {
+            this._room.eventEmitter.emit(XMPPEvents.PARTICIPANT_TYPING_CHANGED, from, typing, isPrivate);
+        }
+    }
+
+    /**
+     * Stops the typing of the participants which left.
+     *
+     * @param {string} jid - The MUC jid of the participant.
+     * @returns {void}
+     * @private
+     */
+    _onMemberLeft(jid) {
+        this._setRemoteTyping(jid, false, false);
+        this._setRemoteTyping(jid, true, false);
+        this._clearLocalState(Strophe.getResourceFromJid(jid));
+    }
+}
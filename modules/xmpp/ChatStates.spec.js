@@ -0,0 +1,141 @@
+import EventEmitter from 'events';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+import ChatStates from './ChatStates';
+
+const ROOM_JID = 'room@conference.example.com';
+
+/**
+ * Parses a message carrying a chat state.
+ *
+ * @param {string} state - The chat state.
+ * @returns {Element}
+ */
+function createMessage(state) {
+    return new DOMParser().parseFromString(
+        `<message><${state} xmlns="http://jabber.org/protocol/chatstates"/></message>`, 'text/xml').documentElement;
+}
+
+describe('ChatStates', () => {
+    let chatStates;
+    let room;
+    let sent;
+    let typingChanges;
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(1000000));
+
+        sent = [];
+        room = new EventEmitter();
+        room.eventEmitter = room;
+        room.roomjid = ROOM_JID;
+        room.myroomjid = `${ROOM_JID}/local`;
+        room.connection = {
+            send: msg => {
+                const tree = msg.tree();
+
+                sent.push({
+                    state: tree.firstChild.tagName,
+                    to: tree.getAttribute('to'),
+                    type: tree.getAttribute('type')
+                });
+            }
+        };
+
+        chatStates = new ChatStates(room);
+
+        typingChanges = [];
+        room.on(XMPPEvents.PARTICIPANT_TYPING_CHANGED, (...args) => typingChanges.push(args));
+    });
+
+    afterEach(() => {
+        chatStates.dispose();
+        jasmine.clock().uninstall();
+    });
+
+    it('sends the state changes only', () => {
+        chatStates.setTyping(true);
+        chatStates.setTyping(true);
+
+        expect(sent).toEqual([ {
+            state: 'composing',
+            to: ROOM_JID,
+            type: 'groupchat'
+        } ]);
+    });
+
+    it('throttles the states sent to a target', () => {
+        chatStates.setTyping(true);
+        chatStates.setTyping(false);
+        chatStates.setTyping(true);
+        jasmine.clock().tick(1000);
+        chatStates.setTyping(false);
+
+        expect(sent.length).toBe(1);
+
+        jasmine.clock().tick(1000);
+
+        expect(sent.map(s => s.state)).toEqual([ 'composing', 'active' ]);
+    });
+
+    it('throttles every target separately', () => {
+        chatStates.setTyping(true);
+        chatStates.setTyping(true, 'bob');
+
+        expect(sent[1]).toEqual({
+            state: 'composing',
+            to: `${ROOM_JID}/bob`,
+            type: 'chat'
+        });
+    });
+
+    it('pauses the typing after a while', () => {
+        chatStates.setTyping(true);
+        jasmine.clock().tick(5000);
+
+        expect(sent.map(s => s.state)).toEqual([ 'composing', 'paused' ]);
+    });
+
+    it('forgets the typing when the message is sent', () => {
+        chatStates.setTyping(true);
+        chatStates.onMessageSent('');
+        jasmine.clock().tick(5000);
+
+        expect(sent.length).toBe(1);
+    });
+
+    it('emits the typing of the remote participants', () => {
+        const from = `${ROOM_JID}/alice`;
+
+        expect(chatStates.onMessage(createMessage('composing'), from, false)).toBe(true);
+        chatStates.onMessage(createMessage('composing'), from, false);
+        chatStates.onMessage(createMessage('composing'), from, true);
+        chatStates.onMessage(createMessage('paused'), from, false);
+
+        expect(typingChanges).toEqual([
+            [ from, true, false ],
+            [ from, true, true ],
+            [ from, false, false ]
+        ]);
+
+        room.emit(XMPPEvents.MUC_MEMBER_LEFT, from);
+
+        expect(typingChanges[3]).toEqual([ from, false, true ]);
+    });
+
+    it('stops the typing of the silent participants', () => {
+        chatStates.onMessage(createMessage('composing'), `${ROOM_JID}/alice`, false);
+        jasmine.clock().tick(30000);
+
+        expect(typingChanges.length).toBe(2);
+        expect(typingChanges[1][1]).toBe(false);
+    });
+
+    it('ignores the states reflected by the MUC', () => {
+        chatStates.onMessage(createMessage('composing'), `${ROOM_JID}/local`, false);
+
+        expect(typingChanges).toEqual([]);
+    });
+});
@@ -1554,6 +1554,53 @@ export default class JingleSessionPC extends JingleSession {
         return Promise.resolve();
     }
 
+    /**
+     * Sets the video codec to be preferred on the peerconnection. Once the session is established a renegotiation is
+     * started when the codec is not the one negotiated already, before that the preference is applied by the first
+     * offer/answer.
+     *
+     * @param {CodecMimeType} preferredCodec - The codec to be preferred.
+     * @returns {void}
+     */
+    setVideoCodecs(preferredCodec) {
+        if (!this._assertNotEnded()) {
+            return;
+        }
+
+        const currentCodec = this.peerconnection.getConfiguredVideoCodec();
+
+        this.peerconnection.setVideoCodecs(preferredCodec);
+
+        if (this.state !== JingleSessionState.ACTIVE || preferredCodec === currentCodec) {
+            return;
+        }
+
+        const workFunction = finishedCallback => {
+            if (!this._assertNotEnded()) {
+                finishedCallback();
+
+                return;
+            }
+
+            this._renegotiate()
+                .then(() => {
+                    logger.debug(`${this} Applied the video codec preference ${preferredCodec}`);
+
+                    // The encodings depend on the codec, i.e. SVC or simulcast.
+                    return this.peerconnection.configureSenderVideoEncodings();
+                })
+                .then(() => finishedCallback(), finishedCallback /* (error) */);
+        };
+
+        this.modificationQueue.push(
+            workFunction,
+            error => {
+                if (error) {
+                    logger.error(`${this} Failed to apply the video codec preference ${preferredCodec}`, error);
+                }
+            });
+    }
+
     /**
      * @inheritDoc
      */
@@ -2229,6 +2276,36 @@ export default class JingleSessionPC extends JingleSession {
         });
     }
 
+    /**
+     * Replaces the MediaStreamTrack sent for a local track after the track has
+     * switched to another MediaStreamTrack, e.g. because its effects have
+     * changed, without an offer/answer cycle.
+     * @param {JitsiLocalTrack} localTrack the local track
+     * @param {MediaStreamTrack} previousTrack the MediaStreamTrack the local
+     * track was using until now
+     * @returns {Promise} which resolves once the replacement is complete
+     */
+    replaceTrackSource(localTrack, previousTrack) {
+        const workFunction = finishedCallback => {
+            this.peerconnection.replaceTrackSource(localTrack, previousTrack)
+                .then(() => finishedCallback(), error => finishedCallback(error));
+        };
+
+        return new Promise((resolve, reject) => {
+            this.modificationQueue.push(
+                workFunction,
+                error => {
+                    if (error) {
+                        logger.error('Replace track source error:', error);
+                        reject(error);
+                    } else {
+                        logger.info('Replace track source done!');
+                        resolve();
+                    }
+                });
+        });
+    }
+
     /**
      * Parse the information from the xml sourceRemoveElem and translate it
      *  into sdp lines
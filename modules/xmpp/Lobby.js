@@ -3,6 +3,8 @@ import { $msg, Strophe } from 'strophe.js';
 
 import XMPPEvents from '../../service/xmpp/XMPPEvents';
 
+import { JITSI_MEET_MUC_TYPE } from './xmpp';
+
 const logger = getLogger(__filename);
 
 /**
@@ -12,6 +14,43 @@ const logger = getLogger(__filename);
  */
 const EMAIL_COMMAND = 'email';
 
+/**
+ * The type of the private JSON messages through which a moderator tells the
+ * other moderators that the auto-admit rules of the lobby have changed in the
+ * room configuration. The rules are not sent, the moderators read them from
+ * the room configuration.
+ *
+ * @type {string}
+ */
+const AUTO_ADMIT_MESSAGE_TYPE = 'lobby-auto-admit';
+
+/**
+ * Normalizes auto-admit rules, keeping only the lists of strings.
+ *
+ * @param {Object|null} rules - The rules.
+ * @returns {Object|null} The rules, null when they admit nobody.
+ */
+function normalizeAutoAdmitRules(rules) {
+    if (!rules) {
+        return null;
+    }
+
+    const getList = list => {
+        if (!Array.isArray(list)) {
+            return [];
+        }
+
+        return list.filter(entry => typeof entry === 'string');
+    };
+    const normalized = {
+        allowList: getList(rules.allowList),
+        emailDomains: getList(rules.emailDomains),
+        identities: getList(rules.identities)
+    };
+
+    return Object.values(normalized).some(list => list.length) ? normalized : null;
+}
+
 /**
  * The Lobby room implementation. Setting a room to members only, joining the lobby room
  * approving or denying access to participants from the lobby room.
@@ -42,6 +81,20 @@ export default class Lobby {
             jid => {
                 this.lobbyRoomJid = jid;
             });
+
+        /**
+         * The auto-admit rules read from the room configuration.
+         *
+         * @type {Object|null}
+         */
+        this._autoAdmitRules = null;
+
+        // the moderator admitting the participants may have changed
+        const autoAdmitWaiting = this._autoAdmitWaiting.bind(this);
+
+        this.mainRoom.addEventListener(XMPPEvents.JSON_MESSAGE_RECEIVED, this._onAutoAdmitMessage.bind(this));
+        this.mainRoom.addEventListener(XMPPEvents.MUC_MEMBER_LEFT, autoAdmitWaiting);
+        this.mainRoom.addEventListener(XMPPEvents.MUC_ROLE_CHANGED, autoAdmitWaiting);
     }
 
     /**
@@ -160,6 +213,13 @@ export default class Lobby {
             });
         }
 
+        this.lobbyRoom.addEventListener(
+            XMPPEvents.MESSAGE_RECEIVED,
+            (from, nick, txt) => this._onLobbyMessage(from, nick, txt, false));
+        this.lobbyRoom.addEventListener(
+            XMPPEvents.PRIVATE_MESSAGE_RECEIVED,
+            (from, nick, txt) => this._onLobbyMessage(from, nick, txt, true));
+
         if (isModerator) {
             this.lobbyRoom.addPresenceListener(EMAIL_COMMAND, (node, from) => {
                 this.mainRoom.eventEmitter.emit(XMPPEvents.MUC_LOBBY_MEMBER_UPDATED, from, { email: node.value });
@@ -181,6 +241,7 @@ export default class Lobby {
                         nick,
                         identity ? identity.avatar : undefined
                     );
+                    this._maybeAutoAdmit(from);
                 });
             this.lobbyRoom.addEventListener(
                 XMPPEvents.MUC_MEMBER_LEFT, from => {
@@ -259,6 +320,11 @@ export default class Lobby {
             this.lobbyRoom.addEventListener(XMPPEvents.MUC_JOINED, () => {
                 resolve();
 
+                // admit the participants which were already waiting
+                if (isModerator) {
+                    this._loadAutoAdmitRules();
+                }
+
                 // send our email, as we do not handle this on initial presence we need a second one
                 if (email && !isModerator) {
                     this.lobbyRoom.removeFromPresence(EMAIL_COMMAND);
@@ -276,50 +342,352 @@ export default class Lobby {
     }
 
     /**
-     * Should be possible only for moderators.
-     * @param id
+     * Sends a text message in the lobby room. The moderators can send it to a
+     * participant waiting in the lobby or to all of them, the participants
+     * waiting in the lobby can send it to a moderator or to all the moderators
+     * in the lobby room.
+     *
+     * @param {string} message - The text of the message.
+     * @param {string} [id] - The id of the receiver in the lobby room.
+     * @returns {void}
      */
-    denyAccess(id) {
-        if (!this.isSupported() || !this.mainRoom.isModerator()) {
+    sendMessage(message, id) {
+        if (!this.lobbyRoom) {
+            logger.error('Cannot send a lobby message, the lobby room is not joined');
+
             return;
         }
 
-        const jid = Object.keys(this.lobbyRoom.members)
-            .find(j => Strophe.getResourceFromJid(j) === id);
-
-        if (jid) {
-            this.lobbyRoom.kick(jid);
+        if (id) {
+            this.lobbyRoom.sendPrivateMessage(id, message, 'body');
+        } else if (this.mainRoom.joined && this.mainRoom.isModerator()) {
+            this.lobbyRoom.sendMessage(message, 'body');
         } else {
-            logger.error(`Not found member for ${id} in lobby room.`);
+            // The other participants waiting in the lobby do not get the
+            // messages sent to the moderators.
+            Object.keys(this.lobbyRoom.members)
+                .filter(jid => this.lobbyRoom.members[jid].role === 'moderator')
+                .forEach(jid => this.lobbyRoom.sendPrivateMessage(Strophe.getResourceFromJid(jid), message, 'body'));
         }
     }
 
     /**
+     * Propagates the text messages received in the lobby room to the
+     * conference. Only the moderators can send messages to everyone in the
+     * lobby room, the messages of the participants waiting in the lobby are
+     * sent privately to the moderators. The other messages are dropped, so
+     * that a participant waiting in the lobby cannot reach the others.
+     *
+     * @param {string} from - The jid of the sender in the lobby room.
+     * @param {string} nick - The display name of the sender.
+     * @param {string} txt - The text of the message.
+     * @param {boolean} isPrivate - Whether the message has been sent to the
+     * local participant only.
+     * @returns {void}
+     * @private
+     */
+    _onLobbyMessage(from, nick, txt, isPrivate) { // eslint-disable-line max-params
+        if (from === this.lobbyRoom.myroomjid) {
+            return;
+        }
+
+        const isFromModerator = this.lobbyRoom.members[from]?.role === 'moderator';
+
+        if (!isPrivate && !isFromModerator) {
+            logger.warn(`Dropping a lobby message sent to everyone by ${from}, not a moderator`);
+
+            return;
+        }
+
+        if (isPrivate && !isFromModerator && !this.lobbyRoom.isModerator()) {
+            logger.warn(`Dropping a private lobby message sent by ${from}, neither of us is a moderator`);
+
+            return;
+        }
+
+        this.mainRoom.eventEmitter.emit(
+            XMPPEvents.LOBBY_MESSAGE_RECEIVED, Strophe.getResourceFromJid(from), txt, isPrivate, nick);
+    }
+
+    /**
+     * Denies access to the conference to participants waiting in the lobby.
      * Should be possible only for moderators.
-     * @param id
+     *
+     * @param {string|Array<string>} ids - The id or the ids of the participants.
+     * @returns {void}
      */
-    approveAccess(id) {
+    denyAccess(ids) {
         if (!this.isSupported() || !this.mainRoom.isModerator()) {
             return;
         }
 
-        const memberRoomJid = Object.keys(this.lobbyRoom.members)
-            .find(j => Strophe.getResourceFromJid(j) === id);
+        (Array.isArray(ids) ? ids : [ ids ]).forEach(id => {
+            const jid = Object.keys(this.lobbyRoom.members)
+                .find(j => Strophe.getResourceFromJid(j) === id);
 
-        if (memberRoomJid) {
-            const jid = this.lobbyRoom.members[memberRoomJid].jid;
-            const msgToSend
-                = $msg({ to: this.mainRoom.roomjid })
-                    .c('x', { xmlns: 'http://jabber.org/protocol/muc#user' })
-                    .c('invite', { to: jid });
+            if (jid) {
+                this.lobbyRoom.kick(jid);
+            } else {
+                logger.error(`Not found member for ${id} in lobby room.`);
+            }
+        });
+    }
 
-            this.xmpp.connection.sendIQ(msgToSend,
-                () => { }, // eslint-disable-line no-empty-function
-                e => {
-                    logger.error(`Error sending invite for ${jid}`, e);
-                });
-        } else {
-            logger.error(`Not found member for ${memberRoomJid} in lobby room.`);
+    /**
+     * Approves the access to the conference of participants waiting in the
+     * lobby. Should be possible only for moderators.
+     *
+     * @param {string|Array<string>} ids - The id or the ids of the participants.
+     * @returns {void}
+     */
+    approveAccess(ids) {
+        if (!this.isSupported() || !this.mainRoom.isModerator()) {
+            return;
         }
+
+        (Array.isArray(ids) ? ids : [ ids ]).forEach(id => {
+            const memberRoomJid = Object.keys(this.lobbyRoom.members)
+                .find(j => Strophe.getResourceFromJid(j) === id);
+
+            if (memberRoomJid) {
+                this._invite(memberRoomJid);
+            } else {
+                logger.error(`Not found member for ${id} in lobby room.`);
+            }
+        });
+    }
+
+    /**
+     * Invites a participant waiting in the lobby to the main room.
+     *
+     * @param {string} memberRoomJid - The jid of the participant in the lobby
+     * room.
+     * @returns {void}
+     * @private
+     */
+    _invite(memberRoomJid) {
+        const jid = this.lobbyRoom.members[memberRoomJid].jid;
+        const msgToSend
+            = $msg({ to: this.mainRoom.roomjid })
+                .c('x', { xmlns: 'http://jabber.org/protocol/muc#user' })
+                .c('invite', { to: jid });
+
+        this.xmpp.connection.sendIQ(msgToSend,
+            () => { }, // eslint-disable-line no-empty-function
+            e => {
+                logger.error(`Error sending invite for ${jid}`, e);
+            });
+    }
+
+    /**
+     * Returns the auto-admit rules of the lobby.
+     *
+     * @returns {Object|null} The rules, see {@link Lobby#setAutoAdmitRules}.
+     */
+    getAutoAdmitRules() {
+        return this._autoAdmitRules;
+    }
+
+    /**
+     * Sets the rules according to which the moderators admit the participants
+     * waiting in the lobby without asking. The rules are stored in the room
+     * configuration, so that they outlive the moderators who set them, and the
+     * other moderators are told to read them again. Should be possible only for
+     * moderators. The rules only match the identity the server stamps in the
+     * presence from the token of the participants, never what the participants
+     * declare themselves.
+     *
+     * @param {Object|null} rules - The rules, null to remove them.
+     * @param {Array<string>} [rules.emailDomains] - The domains of the e-mail
+     * addresses of the users authenticated with a token.
+     * @param {Array<string>} [rules.identities] - The ids of the users
+     * authenticated with a token, '*' for any authenticated user.
+     * @param {Array<string>} [rules.allowList] - The e-mail addresses or the
+     * ids of the users authenticated with a token which are admitted.
+     * @returns {Promise} Resolved when the rules have been stored in the room
+     * configuration.
+     */
+    setAutoAdmitRules(rules) {
+        if (!this.mainRoom.isModerator()) {
+            return Promise.reject(new Error('Only moderators can set the lobby auto-admit rules'));
+        }
+
+        const normalized = normalizeAutoAdmitRules(rules);
+
+        return this.mainRoom.getRoomConfig().set({
+            lobbyAutoAdmitAllowList: normalized ? normalized.allowList : [],
+            lobbyAutoAdmitEmailDomains: normalized ? normalized.emailDomains : [],
+            lobbyAutoAdmitIdentities: normalized ? normalized.identities : []
+        })
+            .then(() => {
+                this._setAutoAdmitRules(normalized);
+
+                Object.keys(this.mainRoom.members)
+                    .filter(jid => this.mainRoom.members[jid].role === 'moderator')
+                    .forEach(jid => this.mainRoom.sendPrivateMessage(Strophe.getResourceFromJid(jid), JSON.stringify({
+                        [JITSI_MEET_MUC_TYPE]: AUTO_ADMIT_MESSAGE_TYPE
+                    }), 'json-message'));
+            });
+    }
+
+    /**
+     * Reads the auto-admit rules from the room configuration and applies them.
+     *
+     * @returns {Promise}
+     * @private
+     */
+    _loadAutoAdmitRules() {
+        return this.mainRoom.getRoomConfig().get()
+            .then(({ fields }) => {
+                const getList = name => {
+                    const field = fields[name];
+
+                    return field ? field.value : [];
+                };
+
+                this._setAutoAdmitRules(normalizeAutoAdmitRules({
+                    allowList: getList('lobbyAutoAdmitAllowList'),
+                    emailDomains: getList('lobbyAutoAdmitEmailDomains'),
+                    identities: getList('lobbyAutoAdmitIdentities')
+                }));
+            })
+            .catch(error => logger.error('Failed to read the lobby auto-admit rules', error));
+    }
+
+    /**
+     * Adopts auto-admit rules and applies them to the participants waiting in
+     * the lobby.
+     *
+     * @param {Object|null} rules - The rules.
+     * @returns {void}
+     * @private
+     */
+    _setAutoAdmitRules(rules) {
+        if (JSON.stringify(rules) !== JSON.stringify(this._autoAdmitRules)) {
+            this._autoAdmitRules = rules;
+            this.mainRoom.eventEmitter.emit(XMPPEvents.LOBBY_AUTO_ADMIT_RULES_CHANGED, rules);
+        }
+
+        this._autoAdmitWaiting();
+    }
+
+    /**
+     * Handles the notifications of the moderators that the auto-admit rules
+     * have changed in the room configuration.
+     *
+     * @param {string} from - The jid of the sender.
+     * @param {Object} message - The JSON message.
+     * @returns {void}
+     * @private
+     */
+    _onAutoAdmitMessage(from, message) {
+        if (message[JITSI_MEET_MUC_TYPE] !== AUTO_ADMIT_MESSAGE_TYPE) {
+            return;
+        }
+
+        const member = this.mainRoom.members[from];
+
+        if (!member || member.role !== 'moderator') {
+            logger.warn(`Ignoring the lobby auto-admit notification sent by ${from}`);
+
+            return;
+        }
+
+        if (this.mainRoom.isModerator()) {
+            this._loadAutoAdmitRules();
+        }
+    }
+
+    /**
+     * Checks whether the local participant is the moderator which admits the
+     * participants matching the auto-admit rules, so that they are not invited
+     * by every moderator. It is the moderator with the lowest id, the focus and
+     * the hidden participants excepted.
+     *
+     * @returns {boolean}
+     * @private
+     */
+    _isAutoAdmitter() {
+        if (!this.mainRoom.isModerator()) {
+            return false;
+        }
+
+        const localId = Strophe.getResourceFromJid(this.mainRoom.myroomjid);
+
+        return Object.keys(this.mainRoom.members)
+            .filter(jid => {
+                const member = this.mainRoom.members[jid];
+
+                return member.role === 'moderator' && !member.isFocus && !member.isHiddenDomain;
+            })
+            .every(jid => localId < Strophe.getResourceFromJid(jid));
+    }
+
+    /**
+     * Applies the auto-admit rules to all the participants waiting in the
+     * lobby.
+     *
+     * @returns {void}
+     * @private
+     */
+    _autoAdmitWaiting() {
+        if (this.lobbyRoom) {
+            Object.keys(this.lobbyRoom.members).forEach(jid => this._maybeAutoAdmit(jid));
+        }
+    }
+
+    /**
+     * Admits a participant waiting in the lobby if the auto-admit rules allow
+     * it and the local participant is the moderator admitting them.
+     *
+     * @param {string} memberRoomJid - The jid of the participant in the lobby
+     * room.
+     * @returns {void}
+     * @private
+     */
+    _maybeAutoAdmit(memberRoomJid) {
+        const member = this.lobbyRoom && this.lobbyRoom.members[memberRoomJid];
+
+        if (!member || !member.jid || member.role === 'moderator'
+                || !this._isAutoAdmitter() || !this._matchesAutoAdmitRules(memberRoomJid)) {
+            return;
+        }
+
+        logger.info(`Auto-admitting ${memberRoomJid} from the lobby`);
+        this._invite(memberRoomJid);
+    }
+
+    /**
+     * Checks whether a participant waiting in the lobby matches the auto-admit
+     * rules. The user id and the e-mail address come from the identity the
+     * server stamps in the presence from the token of the participant, the
+     * e-mail address the participants may declare when joining the lobby is
+     * never trusted.
+     *
+     * @param {string} memberRoomJid - The jid of the participant in the lobby
+     * room.
+     * @returns {boolean}
+     * @private
+     */
+    _matchesAutoAdmitRules(memberRoomJid) {
+        const rules = this._autoAdmitRules;
+
+        if (!rules) {
+            return false;
+        }
+
+        const { user = {} } = this.lobbyRoom.members[memberRoomJid].identity || {};
+        const userId = user.id;
+        const email = (user.email || '').toLowerCase();
+
+        if (userId && (rules.identities.includes('*') || rules.identities.includes(userId))) {
+            return true;
+        }
+
+        if (email && rules.emailDomains.some(domain => email.endsWith(`@${domain.toLowerCase()}`))) {
+            return true;
+        }
+
+        return rules.allowList.some(entry => (userId && entry === userId) || (email && entry.toLowerCase() === email));
     }
 }
@@ -0,0 +1,336 @@
+import EventEmitter from 'events';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+import Lobby from './Lobby';
+import { JITSI_MEET_MUC_TYPE } from './xmpp';
+
+const ROOM_JID = 'room@conference.example.com';
+const LOBBY_JID = 'room@lobby.example.com';
+
+/**
+ * Creates a fake chat room.
+ *
+ * @param {string} roomjid - The jid of the room.
+ * @returns {EventEmitter}
+ */
+function createRoom(roomjid) {
+    const room = new EventEmitter();
+    const presence = {};
+
+    room.eventEmitter = room;
+    room.roomjid = roomjid;
+    room.members = {};
+    room.presenceListeners = {};
+    room.addEventListener = room.on;
+    room.addPresenceListener = (name, handler) => {
+        room.presenceListeners[name] = handler;
+    };
+    room.addOrReplaceInPresence = (name, values) => {
+        presence[name] = values;
+    };
+    room.getFromPresence = name => presence[name];
+    room.sendPresence = jasmine.createSpy('sendPresence');
+    room.sendPrivateMessage = jasmine.createSpy('sendPrivateMessage');
+    room.kick = jasmine.createSpy('kick');
+
+    return room;
+}
+
+describe('Lobby', () => {
+    let config;
+    let invited;
+    let lobby;
+    let lobbyRoom;
+    let mainRoom;
+
+    /**
+     * Adds a participant waiting in the lobby.
+     *
+     * @param {string} id - The id of the participant in the lobby room.
+     * @param {Object} [identity] - The identity of the participant.
+     * @returns {string} The jid of the participant in the lobby room.
+     */
+    function addKnocker(id, identity) {
+        const jid = `${LOBBY_JID}/${id}`;
+
+        lobbyRoom.members[jid] = {
+            identity,
+            jid: `${id}@example.com/res`,
+            role: 'participant'
+        };
+
+        return jid;
+    }
+
+    /**
+     * Joins the lobby room.
+     *
+     * @returns {void}
+     */
+    function joinLobby() {
+        lobbyRoom.join = jasmine.createSpy('join');
+        lobbyRoom.myroomjid = `${LOBBY_JID}/local`;
+        lobbyRoom.isModerator = mainRoom.isModerator;
+        mainRoom.joined = true;
+        mainRoom.xmpp.createRoom = () => lobbyRoom;
+        lobby.setLobbyRoomJid(LOBBY_JID);
+        lobby.join();
+    }
+
+    beforeEach(() => {
+        config = {};
+        invited = [];
+        mainRoom = createRoom(ROOM_JID);
+        mainRoom.isModerator = () => true;
+        mainRoom.myroomjid = `${ROOM_JID}/local`;
+        mainRoom.getRoomConfig = () => {
+            return {
+                get: () => Promise.resolve({
+                    fields: Object.keys(config).reduce((fields, name) => {
+                        fields[name] = { value: config[name] };
+
+                        return fields;
+                    }, {})
+                }),
+                set: jasmine.createSpy('set').and.callFake(values => {
+                    Object.assign(config, values);
+
+                    return Promise.resolve();
+                })
+            };
+        };
+        mainRoom.xmpp = {
+            connection: {
+                sendIQ: msg => invited.push(msg.tree().firstChild.firstChild.getAttribute('to'))
+            },
+            lobbySupported: true
+        };
+
+        lobby = new Lobby(mainRoom);
+        lobbyRoom = createRoom(LOBBY_JID);
+        lobby.lobbyRoom = lobbyRoom;
+    });
+
+    it('approves and denies several participants at once', () => {
+        addKnocker('a');
+        addKnocker('b');
+        const c = addKnocker('c');
+
+        lobby.approveAccess([ 'a', 'b' ]);
+        lobby.denyAccess('c');
+
+        expect(invited).toEqual([ 'a@example.com/res', 'b@example.com/res' ]);
+        expect(lobbyRoom.kick).toHaveBeenCalledWith(c);
+    });
+
+    it('admits the participants matching the rules', done => {
+        const alice = addKnocker('alice', { user: { id: 'alice-id' } });
+
+        addKnocker('bob', { user: {
+            email: 'Bob@Example.COM',
+            id: 'bob-id'
+        } });
+        addKnocker('carol', { user: {
+            email: 'carol@other.com',
+            id: 'carol-id'
+        } });
+
+        lobby.setAutoAdmitRules({ identities: [ 'alice-id' ] })
+            .then(() => lobby.setAutoAdmitRules({ emailDomains: [ 'example.com' ] }))
+            .then(() => lobby.setAutoAdmitRules({ allowList: [ 'CAROL@other.com' ] }))
+            .then(() => {
+                expect(invited).toEqual([ 'alice@example.com/res', 'bob@example.com/res', 'carol@example.com/res' ]);
+                expect(lobby._matchesAutoAdmitRules(alice)).toBe(false);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('does not trust the e-mail addresses declared in the lobby', done => {
+        const mallory = addKnocker('mallory');
+
+        joinLobby();
+        lobby.setAutoAdmitRules({
+            allowList: [ 'mallory@example.com' ],
+            emailDomains: [ 'example.com' ]
+        })
+            .then(() => {
+                lobbyRoom.presenceListeners.email({ value: 'mallory@example.com' }, 'mallory', mallory);
+
+                expect(lobby._matchesAutoAdmitRules(mallory)).toBe(false);
+                expect(invited).toEqual([]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('does not let the participants set the rules', done => {
+        mainRoom.isModerator = () => false;
+
+        lobby.setAutoAdmitRules({ identities: [ '*' ] })
+            .then(() => done.fail('The rules were set'))
+            .catch(() => {
+                expect(config).toEqual({});
+                done();
+            });
+    });
+
+    it('stores the rules in the room configuration', done => {
+        const changed = jasmine.createSpy('changed');
+
+        mainRoom.on(XMPPEvents.LOBBY_AUTO_ADMIT_RULES_CHANGED, changed);
+        lobby.setAutoAdmitRules({ emailDomains: [ 'example.com' ] })
+            .then(() => {
+                expect(config).toEqual({
+                    lobbyAutoAdmitAllowList: [],
+                    lobbyAutoAdmitEmailDomains: [ 'example.com' ],
+                    lobbyAutoAdmitIdentities: []
+                });
+                expect(changed).toHaveBeenCalledWith(lobby.getAutoAdmitRules());
+
+                return lobby.setAutoAdmitRules(null);
+            })
+            .then(() => {
+                expect(config.lobbyAutoAdmitEmailDomains).toEqual([]);
+                expect(lobby.getAutoAdmitRules()).toBe(null);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('reads the rules from the room configuration when joining the lobby', done => {
+        config.lobbyAutoAdmitIdentities = [ '*' ];
+        addKnocker('alice', { user: { id: 'alice-id' } });
+        joinLobby();
+        lobbyRoom.emit(XMPPEvents.MUC_JOINED);
+
+        setTimeout(() => {
+            expect(lobby.getAutoAdmitRules().identities).toEqual([ '*' ]);
+            expect(invited).toEqual([ 'alice@example.com/res' ]);
+            done();
+        });
+    });
+
+    it('reads the rules again when a moderator changes them', done => {
+        const receive = from => mainRoom.emit(XMPPEvents.JSON_MESSAGE_RECEIVED, from, {
+            [JITSI_MEET_MUC_TYPE]: 'lobby-auto-admit'
+        });
+
+        mainRoom.members[`${ROOM_JID}/mod`] = { role: 'moderator' };
+        mainRoom.members[`${ROOM_JID}/guest`] = { role: 'participant' };
+        config.lobbyAutoAdmitIdentities = [ 'a' ];
+
+        receive(`${ROOM_JID}/guest`);
+        setTimeout(() => {
+            expect(lobby.getAutoAdmitRules()).toBe(null);
+
+            receive(`${ROOM_JID}/mod`);
+            setTimeout(() => {
+                expect(lobby.getAutoAdmitRules()).toEqual({
+                    allowList: [],
+                    emailDomains: [],
+                    identities: [ 'a' ]
+                });
+                done();
+            });
+        });
+    });
+
+    it('tells the moderators only that the rules changed', done => {
+        mainRoom.members[`${ROOM_JID}/mod`] = { role: 'moderator' };
+        mainRoom.members[`${ROOM_JID}/guest`] = { role: 'participant' };
+
+        lobby.setAutoAdmitRules({ allowList: [ 'alice@example.com' ] })
+            .then(() => {
+                expect(mainRoom.sendPrivateMessage.calls.allArgs()).toEqual([
+                    [ 'mod', JSON.stringify({ [JITSI_MEET_MUC_TYPE]: 'lobby-auto-admit' }), 'json-message' ]
+                ]);
+                expect(mainRoom.getFromPresence('lobby-auto-admit')).toBeUndefined();
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('lets the moderator with the lowest id admit the participants', done => {
+        mainRoom.members[`${ROOM_JID}/focus`] = {
+            isFocus: true,
+            role: 'moderator'
+        };
+        mainRoom.members[`${ROOM_JID}/aaa`] = { role: 'moderator' };
+        addKnocker('alice', { user: { id: 'alice-id' } });
+
+        lobby.setAutoAdmitRules({ identities: [ '*' ] })
+            .then(() => {
+                expect(invited).toEqual([]);
+
+                // the other moderator left, the local participant takes over
+                delete mainRoom.members[`${ROOM_JID}/aaa`];
+                mainRoom.emit(XMPPEvents.MUC_MEMBER_LEFT, `${ROOM_JID}/aaa`);
+
+                expect(invited).toEqual([ 'alice@example.com/res' ]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    describe('messages', () => {
+        let received;
+
+        beforeEach(() => {
+            received = jasmine.createSpy('received');
+            mainRoom.on(XMPPEvents.LOBBY_MESSAGE_RECEIVED, received);
+            lobbyRoom.sendMessage = jasmine.createSpy('sendMessage');
+            lobbyRoom.members[`${LOBBY_JID}/mod`] = { role: 'moderator' };
+            addKnocker('alice');
+            addKnocker('bob');
+        });
+
+        it('are sent by the moderators to everyone or to a participant', () => {
+            joinLobby();
+            lobby.sendMessage('hello all');
+            lobby.sendMessage('hello alice', 'alice');
+
+            expect(lobbyRoom.sendMessage).toHaveBeenCalledWith('hello all', 'body');
+            expect(lobbyRoom.sendPrivateMessage.calls.allArgs()).toEqual([ [ 'alice', 'hello alice', 'body' ] ]);
+        });
+
+        it('are sent by the participants waiting in the lobby to the moderators only', () => {
+            mainRoom.isModerator = () => false;
+            joinLobby();
+            lobby.sendMessage('let me in');
+
+            expect(lobbyRoom.sendMessage).not.toHaveBeenCalled();
+            expect(lobbyRoom.sendPrivateMessage.calls.allArgs()).toEqual([ [ 'mod', 'let me in', 'body' ] ]);
+        });
+
+        it('are received from the moderators and privately from the participants', () => {
+            joinLobby();
+            lobbyRoom.emit(XMPPEvents.MESSAGE_RECEIVED, `${LOBBY_JID}/mod`, 'Mod', 'welcome');
+            lobbyRoom.emit(XMPPEvents.PRIVATE_MESSAGE_RECEIVED, `${LOBBY_JID}/alice`, 'Alice', 'let me in');
+            lobbyRoom.emit(XMPPEvents.MESSAGE_RECEIVED, `${LOBBY_JID}/local`, 'Local', 'reflected');
+
+            expect(received.calls.allArgs()).toEqual([
+                [ 'mod', 'welcome', false, 'Mod' ],
+                [ 'alice', 'let me in', true, 'Alice' ]
+            ]);
+        });
+
+        it('are dropped when sent privately between participants waiting in the lobby', () => {
+            mainRoom.isModerator = () => false;
+            joinLobby();
+            lobbyRoom.emit(XMPPEvents.PRIVATE_MESSAGE_RECEIVED, `${LOBBY_JID}/bob`, 'Bob', 'spam');
+            lobbyRoom.emit(XMPPEvents.PRIVATE_MESSAGE_RECEIVED, `${LOBBY_JID}/mod`, 'Mod', 'please wait');
+
+            expect(received.calls.allArgs()).toEqual([ [ 'mod', 'please wait', true, 'Mod' ] ]);
+        });
+
+        it('are dropped when sent to everyone by a participant waiting in the lobby', () => {
+            mainRoom.isModerator = () => false;
+            joinLobby();
+            lobbyRoom.emit(XMPPEvents.MESSAGE_RECEIVED, `${LOBBY_JID}/bob`, 'Bob', 'spam');
+
+            expect(received).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,321 @@
+/* global $ */
+
+import { getLogger } from 'jitsi-meet-logger';
+import { $iq } from 'strophe.js';
+
+const logger = getLogger(__filename);
+
+/**
+ * The settings of the room configuration which can be read and written, by
+ * name: the field of the owner form (XEP-0045) and the type of the value.
+ * The chat policy, the maximum duration, the moderated room and the lobby
+ * auto-admit rules are also changed through the chat policy, the duration
+ * limit, the webinar mode and the lobby.
+ */
+export const ROOM_CONFIG_FIELDS = {
+    chatDisabledParticipants: {
+        type: 'list',
+        var: 'muc#roomconfig_chat_disabled_participants'
+    },
+    chatModeratorsOnly: {
+        type: 'boolean',
+        var: 'muc#roomconfig_chat_moderators_only'
+    },
+    chatSlowModeInterval: {
+        type: 'number',
+        var: 'muc#roomconfig_chat_slow_mode'
+    },
+    description: {
+        type: 'string',
+        var: 'muc#roomconfig_roomdesc'
+    },
+    historyLength: {
+        type: 'number',
+        var: 'muc#roomconfig_historylength'
+    },
+    lobbyAutoAdmitAllowList: {
+        type: 'list',
+        var: 'muc#roomconfig_lobby_auto_admit_allow_list'
+    },
+    lobbyAutoAdmitEmailDomains: {
+        type: 'list',
+        var: 'muc#roomconfig_lobby_auto_admit_email_domains'
+    },
+    lobbyAutoAdmitIdentities: {
+        type: 'list',
+        var: 'muc#roomconfig_lobby_auto_admit_identities'
+    },
+    maxDuration: {
+        type: 'number',
+        var: 'muc#roomconfig_max_duration'
+    },
+    maxOccupants: {
+        type: 'number',
+        var: 'muc#roomconfig_maxusers'
+    },
+    moderated: {
+        type: 'boolean',
+        var: 'muc#roomconfig_moderatedroom'
+    },
+    persistent: {
+        type: 'boolean',
+        var: 'muc#roomconfig_persistentroom'
+    },
+    whois: {
+        type: 'string',
+        var: 'muc#roomconfig_whois'
+    }
+};
+
+/**
+ * A setting of the room configuration.
+ *
+ * @typedef {Object} RoomConfigField
+ * @property {string} name - The name of the setting, one of {@link ROOM_CONFIG_FIELDS}.
+ * @property {string} type - The type of the value: 'boolean', 'list', 'number' or 'string'.
+ * @property {string} label - The label given by the server.
+ * @property {boolean|number|string|Array<string>|null} value - The value, null
+ * for a number which is not limited.
+ * @property {Array<{label: string, value: string}>} [options] - The values the
+ * setting can take, when the server restricts them.
+ */
+
+/**
+ * Reads and writes the persistent settings of a room through the owner form
+ * of the room configuration (XEP-0045). The settings the server does not
+ * support are reported, so that they can be left out of the settings pages.
+ */
+export default class RoomConfig {
+    /**
+     * Constructs the room configuration.
+     *
+     * @param {ChatRoom} room the main room.
+     */
+    constructor(room) {
+        this._room = room;
+    }
+
+    /**
+     * Reads the room configuration.
+     *
+     * @returns {Promise<{fields: Object<string, RoomConfigField>, unsupported: Array<string>}>} The settings by
+     * name and the names of the settings the server does not support.
+     */
+    get() {
+        return this._getForm().then(form => {
+            const fields = {};
+            const unsupported = [];
+
+            Object.keys(ROOM_CONFIG_FIELDS).forEach(name => {
+                const field = this._findField(form, name);
+
+                if (field.length) {
+                    fields[name] = this._parseField(name, field);
+                } else {
+                    unsupported.push(name);
+                }
+            });
+
+            return {
+                fields,
+                unsupported
+            };
+        });
+    }
+
+    /**
+     * Changes settings of the room configuration, the other settings are left
+     * unchanged.
+     *
+     * @param {Object<string, boolean|number|string|Array<string>|null>} config - The new
+     * values by name, see {@link ROOM_CONFIG_FIELDS}.
+     * @returns {Promise} Resolved when the room configuration has been changed,
+     * rejected without changing anything when a setting is unknown, not
+     * supported by the server or given an invalid value.
+     */
+    set(config) {
+        const names = Object.keys(config);
+        const unknown = names.filter(name => !ROOM_CONFIG_FIELDS[name]);
+
+        if (unknown.length) {
+            return Promise.reject(new Error(`Unknown room configuration: ${unknown.join(', ')}`));
+        }
+
+        return this._getForm().then(form => {
+            const unsupported = names.filter(name => !this._findField(form, name).length);
+
+            if (unsupported.length) {
+                throw new Error(`Room configuration not supported: ${unsupported.join(', ')}`);
+            }
+
+            const invalid = names.filter(name => !this._isValid(this._parseField(name, this._findField(form, name)),
+                config[name]));
+
+            if (invalid.length) {
+                throw new Error(`Invalid room configuration: ${invalid.join(', ')}`);
+            }
+
+            const formToSubmit = $iq({
+                to: this._room.roomjid,
+                type: 'set'
+            }).c('query', { xmlns: 'http://jabber.org/protocol/muc#owner' });
+
+            formToSubmit.c('x', {
+                xmlns: 'jabber:x:data',
+                type: 'submit'
+            });
+            formToSubmit
+                .c('field', { 'var': 'FORM_TYPE' })
+                .c('value')
+                .t('http://jabber.org/protocol/muc#roomconfig')
+                .up()
+                .up();
+
+            names.forEach(name => {
+                formToSubmit.c('field', { 'var': ROOM_CONFIG_FIELDS[name].var });
+                this._serializeValues(name, config[name]).forEach(value => {
+                    formToSubmit.c('value').t(value)
+                        .up();
+                });
+                formToSubmit.up();
+            });
+
+            return new Promise((resolve, reject) => {
+                this._room.connection.sendIQ(formToSubmit, () => resolve(), error => {
+                    logger.error('Changing the room configuration failed', error);
+                    reject(error);
+                });
+            });
+        });
+    }
+
+    /**
+     * Queries the owner form of the room configuration.
+     *
+     * @returns {Promise<Element>}
+     * @private
+     */
+    _getForm() {
+        return new Promise((resolve, reject) => {
+            this._room.connection.sendIQ(
+                $iq({
+                    to: this._room.roomjid,
+                    type: 'get'
+                }).c('query', { xmlns: 'http://jabber.org/protocol/muc#owner' }),
+                resolve,
+                error => {
+                    logger.error('Querying the room configuration failed', error);
+                    reject(error);
+                });
+        });
+    }
+
+    /**
+     * Finds the field of a setting in the owner form.
+     *
+     * @param {Element} form - The owner form.
+     * @param {string} name - The name of the setting.
+     * @returns {jQuery}
+     * @private
+     */
+    _findField(form, name) {
+        return $(form).find(`>query>x[xmlns="jabber:x:data"]>field[var="${ROOM_CONFIG_FIELDS[name].var}"]`);
+    }
+
+    /**
+     * Parses the field of a setting.
+     *
+     * @param {string} name - The name of the setting.
+     * @param {jQuery} field - The field of the owner form.
+     * @returns {RoomConfigField}
+     * @private
+     */
+    _parseField(name, field) {
+        const { type } = ROOM_CONFIG_FIELDS[name];
+        const values = field.find('>value')
+            .map((_, value) => $(value).text())
+            .get();
+        const text = values.length ? values[0] : '';
+        const options = field.find('>option')
+            .map((_, option) => {
+                return {
+                    label: option.getAttribute('label') || '',
+                    value: $(option).find('>value')
+                        .text()
+                };
+            })
+            .get();
+        let value = text;
+
+        if (type === 'boolean') {
+            value = text === '1' || text === 'true';
+        } else if (type === 'list') {
+            value = values;
+        } else if (type === 'number') {
+            value = text === '' || isNaN(Number(text)) ? null : Number(text);
+        }
+
+        const parsed = {
+            label: field.attr('label') || '',
+            name,
+            type,
+            value
+        };
+
+        if (options.length) {
+            parsed.options = options;
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Checks whether a value can be given to a setting.
+     *
+     * @param {RoomConfigField} field - The setting.
+     * @param {*} value - The value.
+     * @returns {boolean}
+     * @private
+     */
+    _isValid(field, value) {
+        let isValidType;
+
+        if (field.type === 'number') {
+            isValidType = value === null || (Number.isInteger(value) && value >= 0);
+        } else if (field.type === 'list') {
+            isValidType = Array.isArray(value) && value.every(item => typeof item === 'string');
+        } else {
+            isValidType = typeof value === field.type;
+        }
+
+        if (!isValidType) {
+            return false;
+        }
+
+        return !field.options || this._serializeValues(field.name, value)
+            .every(serialized => field.options.some(option => option.value === serialized));
+    }
+
+    /**
+     * Serializes the value of a setting for the owner form, a list gives a
+     * value per item.
+     *
+     * @param {string} name - The name of the setting.
+     * @param {boolean|number|string|Array<string>|null} value - The value.
+     * @returns {Array<string>}
+     * @private
+     */
+    _serializeValues(name, value) {
+        const { type } = ROOM_CONFIG_FIELDS[name];
+
+        if (type === 'list') {
+            return value;
+        }
+
+        if (value === null) {
+            return [ type === 'number' ? 'none' : '' ];
+        }
+
+        return [ String(value) ];
+    }
+}
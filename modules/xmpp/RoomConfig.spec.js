@@ -0,0 +1,140 @@
+/* global $ */
+
+import RoomConfig from './RoomConfig';
+
+/**
+ * Parses a stanza.
+ *
+ * @param {string} str - The stanza.
+ * @returns {Element}
+ */
+function parse(str) {
+    return new DOMParser().parseFromString(str, 'text/xml').documentElement;
+}
+
+const FORM = '<iq type="result"><query xmlns="http://jabber.org/protocol/muc#owner">'
+    + '<x xmlns="jabber:x:data" type="form">'
+    + '<field var="FORM_TYPE" type="hidden"><value>http://jabber.org/protocol/muc#roomconfig</value></field>'
+    + '<field var="muc#roomconfig_roomdesc" type="text-single" label="Description"><value>Weekly</value></field>'
+    + '<field var="muc#roomconfig_persistentroom" type="boolean" label="Persistent"><value>1</value></field>'
+    + '<field var="muc#roomconfig_moderatedroom" type="boolean"><value>0</value></field>'
+    + '<field var="muc#roomconfig_maxusers" type="list-single"><value>none</value>'
+    + '<option label="10"><value>10</value></option><option label="No limit"><value>none</value></option></field>'
+    + '<field var="muc#roomconfig_whois" type="list-single"><value>moderators</value>'
+    + '<option><value>moderators</value></option><option><value>anyone</value></option></field>'
+    + '<field var="muc#roomconfig_chat_disabled_participants" type="list-multi">'
+    + '<value>alice</value><value>bob</value></field>'
+    + '</x></query></iq>';
+
+describe('RoomConfig', () => {
+    let room;
+    let roomConfig;
+    let sent;
+
+    beforeEach(() => {
+        sent = [];
+        room = {
+            roomjid: 'room@conference.example.com',
+            connection: {
+                sendIQ: (iq, callback) => {
+                    sent.push(iq.tree());
+                    callback(parse(FORM));
+                }
+            }
+        };
+
+        roomConfig = new RoomConfig(room);
+    });
+
+    it('reads typed fields and reports the unsupported ones', done => {
+        roomConfig.get()
+            .then(({ fields, unsupported }) => {
+                expect(fields.description).toEqual({
+                    label: 'Description',
+                    name: 'description',
+                    type: 'string',
+                    value: 'Weekly'
+                });
+                expect(fields.persistent.value).toBe(true);
+                expect(fields.moderated.value).toBe(false);
+                expect(fields.maxOccupants.value).toBeNull();
+                expect(fields.maxOccupants.options).toEqual([
+                    {
+                        label: '10',
+                        value: '10'
+                    }, {
+                        label: 'No limit',
+                        value: 'none'
+                    }
+                ]);
+                expect(fields.whois.value).toBe('moderators');
+                expect(fields.chatDisabledParticipants.value).toEqual([ 'alice', 'bob' ]);
+                expect(unsupported).toEqual([
+                    'chatModeratorsOnly',
+                    'chatSlowModeInterval',
+                    'historyLength',
+                    'lobbyAutoAdmitAllowList',
+                    'lobbyAutoAdmitEmailDomains',
+                    'lobbyAutoAdmitIdentities',
+                    'maxDuration'
+                ]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('submits only the changed fields', done => {
+        roomConfig.set({
+            maxOccupants: 10,
+            persistent: false
+        })
+            .then(() => {
+                const submitted = $(sent[1]).find('>query>x[type="submit"]>field');
+
+                expect(submitted.map((_, field) => field.getAttribute('var')).get()).toEqual([
+                    'FORM_TYPE',
+                    'muc#roomconfig_maxusers',
+                    'muc#roomconfig_persistentroom'
+                ]);
+                expect(submitted.map((_, field) => $(field).text()).get()
+                    .slice(1)).toEqual([ '10', 'false' ]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('submits a value per item of a list', done => {
+        roomConfig.set({ chatDisabledParticipants: [ 'carol' ] })
+            .then(() => {
+                const values = $(sent[1]).find(
+                    '>query>x[type="submit"]>field[var="muc#roomconfig_chat_disabled_participants"]>value');
+
+                expect(values.map((_, value) => $(value).text()).get()).toEqual([ 'carol' ]);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('rejects unsupported fields without changing anything', done => {
+        roomConfig.set({
+            historyLength: 20,
+            persistent: true
+        })
+            .then(() => done.fail('The history length should not be supported'))
+            .catch(error => {
+                expect(error.message).toContain('historyLength');
+                expect(sent.length).toBe(1);
+                done();
+            });
+    });
+
+    it('rejects values the server does not offer', done => {
+        roomConfig.set({ maxOccupants: 20 })
+            .then(() => done.fail('The value should be invalid'))
+            .catch(error => {
+                expect(error.message).toContain('maxOccupants');
+                expect(sent.length).toBe(1);
+                done();
+            });
+    });
+});
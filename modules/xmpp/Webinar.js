@@ -0,0 +1,125 @@
+/* global $ */
+
+import { getLogger } from 'jitsi-meet-logger';
+import { $iq } from 'strophe.js';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+const logger = getLogger(__filename);
+
+/**
+ * The MUC role of the attendees: in a moderated room the occupants which are
+ * not given voice are visitors.
+ *
+ * @type {string}
+ */
+export const ATTENDEE_ROLE = 'visitor';
+
+/**
+ * The MUC role of the speakers.
+ *
+ * @type {string}
+ */
+export const SPEAKER_ROLE = 'participant';
+
+/**
+ * The webinar mode of a room. It relies on the moderated rooms of XEP-0045:
+ * the occupants joining a moderated room are visitors, the attendees, until a
+ * moderator gives them voice and makes them speakers. The occupants which are
+ * already in the room when it becomes moderated keep their role.
+ */
+export default class Webinar {
+    /**
+     * Constructs the webinar mode.
+     *
+     * @param {ChatRoom} room the main room.
+     */
+    constructor(room) {
+        this._room = room;
+        this._enabled = false;
+    }
+
+    /**
+     * Returns whether the webinar mode is enabled.
+     *
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this._enabled;
+    }
+
+    /**
+     * Enables or disables the webinar mode, by making the room moderated or
+     * not.
+     *
+     * @param {boolean} enabled - Whether to enable the webinar mode.
+     * @returns {Promise} Resolved when the room configuration has been changed.
+     */
+    setEnabled(enabled) {
+        return this._room.getRoomConfig().set({ moderated: enabled });
+    }
+
+    /**
+     * Makes an attendee a speaker.
+     *
+     * @param {string} nick - The MUC nickname of the attendee.
+     * @returns {Promise} Resolved when the role has been changed.
+     */
+    promote(nick) {
+        return this._setRole(nick, SPEAKER_ROLE);
+    }
+
+    /**
+     * Makes a speaker an attendee again.
+     *
+     * @param {string} nick - The MUC nickname of the speaker.
+     * @returns {Promise} Resolved when the role has been changed.
+     */
+    demote(nick) {
+        return this._setRole(nick, ATTENDEE_ROLE);
+    }
+
+    /**
+     * Changes the role of an occupant.
+     *
+     * @param {string} nick - The MUC nickname of the occupant.
+     * @param {string} role - The new role.
+     * @returns {Promise} Resolved when the role has been changed.
+     * @private
+     */
+    _setRole(nick, role) {
+        return new Promise((resolve, reject) => {
+            this._room.connection.sendIQ(
+                $iq({
+                    to: this._room.roomjid,
+                    type: 'set'
+                })
+                    .c('query', { xmlns: 'http://jabber.org/protocol/muc#admin' })
+                    .c('item', {
+                        nick,
+                        role
+                    }),
+                () => resolve(),
+                error => {
+                    logger.error(`Changing the role of ${nick} to ${role} failed`, error);
+                    reject(error);
+                });
+        });
+    }
+
+    /**
+     * Reads whether the room is moderated from the room info.
+     *
+     * @param {Element} result - The disco#info result of the room.
+     * @returns {void}
+     */
+    updateFromRoomInfo(result) {
+        const enabled = $(result).find('>query>feature[var="muc_moderated"]').length === 1;
+
+        if (enabled !== this._enabled) {
+            logger.info(`Webinar mode ${enabled ? 'enabled' : 'disabled'}`);
+            this._enabled = enabled;
+            this._room.eventEmitter.emit(XMPPEvents.WEBINAR_MODE_CHANGED, enabled);
+        }
+    }
+}
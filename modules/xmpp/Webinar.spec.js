@@ -0,0 +1,91 @@
+/* global $ */
+
+import EventEmitter from 'events';
+
+import XMPPEvents from '../../service/xmpp/XMPPEvents';
+
+import RoomConfig from './RoomConfig';
+import Webinar from './Webinar';
+
+/**
+ * Parses a stanza.
+ *
+ * @param {string} str - The stanza.
+ * @returns {Element}
+ */
+function parse(str) {
+    return new DOMParser().parseFromString(str, 'text/xml').documentElement;
+}
+
+describe('Webinar', () => {
+    let room;
+    let sent;
+    let webinar;
+
+    beforeEach(() => {
+        sent = [];
+        room = new EventEmitter();
+        room.eventEmitter = room;
+        room.roomjid = 'room@conference.example.com';
+        room.connection = {
+            sendIQ: (iq, callback) => {
+                sent.push(iq.tree());
+                callback(parse(
+                    '<iq type="result"><query xmlns="http://jabber.org/protocol/muc#owner">'
+                        + '<x xmlns="jabber:x:data" type="form"><field var="muc#roomconfig_moderatedroom"/></x>'
+                        + '</query></iq>'));
+            }
+        };
+
+        const roomConfig = new RoomConfig(room);
+
+        room.getRoomConfig = () => roomConfig;
+        webinar = new Webinar(room);
+    });
+
+    it('reads whether the room is moderated from the room info', () => {
+        const changed = jasmine.createSpy('changed');
+        const roomInfo = parse(
+            '<iq type="result"><query xmlns="http://jabber.org/protocol/disco#info">'
+                + '<feature var="muc_moderated"/></query></iq>');
+
+        room.on(XMPPEvents.WEBINAR_MODE_CHANGED, changed);
+        webinar.updateFromRoomInfo(roomInfo);
+        webinar.updateFromRoomInfo(roomInfo);
+
+        expect(webinar.isEnabled()).toBe(true);
+        expect(changed.calls.allArgs()).toEqual([ [ true ] ]);
+    });
+
+    it('makes the room moderated', done => {
+        webinar.setEnabled(true)
+            .then(() => {
+                expect($(sent[1]).find('>query>x>field[var="muc#roomconfig_moderatedroom"]>value')
+                    .text()).toBe('true');
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('rejects the webinar mode when the room cannot be moderated', done => {
+        room.connection.sendIQ = (iq, callback) => callback(parse(
+            '<iq type="result"><query xmlns="http://jabber.org/protocol/muc#owner">'
+                + '<x xmlns="jabber:x:data" type="form"/></query></iq>'));
+
+        webinar.setEnabled(true)
+            .then(() => done.fail('The webinar mode should not be supported'))
+            .catch(() => done());
+    });
+
+    it('promotes and demotes through the MUC roles', done => {
+        Promise.all([ webinar.promote('alice'), webinar.demote('bob') ])
+            .then(() => {
+                const items = sent.map(iq => $(iq).find('>query[xmlns="http://jabber.org/protocol/muc#admin"]>item'));
+
+                expect(items.map(item => item.attr('nick'))).toEqual([ 'alice', 'bob' ]);
+                expect(items.map(item => item.attr('role'))).toEqual([ 'participant', 'visitor' ]);
+                done();
+            })
+            .catch(done.fail);
+    });
+});
@@ -5,7 +5,7 @@ import { Strophe } from 'strophe.js';
 
 import XMPPEvents from '../../service/xmpp/XMPPEvents';
 
-import ChatRoom from './ChatRoom';
+import ChatRoom, { MUTE_REQUEST_ELEMENTS } from './ChatRoom';
 import { ConnectionPluginListenable } from './ConnectionPlugin';
 
 const logger = getLogger(__filename);
@@ -40,8 +40,8 @@ export default class MucConnectionPlugin extends ConnectionPluginListenable {
             'presence', 'error', null);
         this.connection.addHandler(this.onMessage.bind(this), null,
             'message', null, null);
-        this.connection.addHandler(this.onMute.bind(this),
-            'http://jitsi.org/jitmeet/audio', 'iq', 'set', null, null);
+        Object.values(MUTE_REQUEST_ELEMENTS).forEach(({ xmlns }) =>
+            this.connection.addHandler(this.onMute.bind(this), xmlns, 'iq', 'set', null, null));
     }
 
     /**
@@ -159,7 +159,9 @@ export default class MucConnectionPlugin extends ConnectionPluginListenable {
     }
 
     /**
-     * TODO: Document
+     * Routes a mute request (audio, video or desktop) from the focus to the
+     * room it belongs to.
+     *
      * @param iq
      */
     onMute(iq) {
@@ -239,6 +239,14 @@ export default class XMPP extends Listenable {
                             this.conferenceDurationComponentAddress = identity.name;
                         }
 
+                        if (identity.type === 'breakout_rooms') {
+                            this.breakoutRoomsComponentAddress = identity.name;
+                        }
+
+                        if (identity.type === 'av_moderation') {
+                            this.avModerationComponentAddress = identity.name;
+                        }
+
                         if (identity.type === 'lobbyrooms') {
                             this.lobbySupported = true;
                             identity.name && this.caps.getFeaturesAndIdentities(identity.name, identity.type)
@@ -255,7 +263,9 @@ export default class XMPP extends Listenable {
                     });
 
                     if (this.speakerStatsComponentAddress
-                        || this.conferenceDurationComponentAddress) {
+                        || this.conferenceDurationComponentAddress
+                        || this.breakoutRoomsComponentAddress
+                        || this.avModerationComponentAddress) {
                         this.connection.addHandler(
                             this._onPrivateMessage.bind(this), null,
                             'message', null, null);
@@ -759,7 +769,9 @@ export default class XMPP extends Listenable {
         const from = msg.getAttribute('from');
 
         if (!(from === this.speakerStatsComponentAddress
-            || from === this.conferenceDurationComponentAddress)) {
+            || from === this.conferenceDurationComponentAddress
+            || from === this.breakoutRoomsComponentAddress
+            || from === this.avModerationComponentAddress)) {
             return true;
         }
 
@@ -781,6 +793,17 @@ export default class XMPP extends Listenable {
                 XMPPEvents.CONFERENCE_TIMESTAMP_RECEIVED, parsedJson.created_timestamp);
         }
 
+        if (parsedJson
+            && parsedJson[JITSI_MEET_MUC_TYPE] === 'breakout_rooms'
+            && parsedJson.event) {
+            this.eventEmitter.emit(XMPPEvents.BREAKOUT_ROOMS_EVENT, parsedJson);
+        }
+
+        if (parsedJson
+            && parsedJson[JITSI_MEET_MUC_TYPE] === 'av_moderation') {
+            this.eventEmitter.emit(XMPPEvents.AV_MODERATION_RECEIVED, parsedJson);
+        }
+
         return true;
     }
 }
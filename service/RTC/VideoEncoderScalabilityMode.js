@@ -0,0 +1,37 @@
+/**
+ * Enumeration of the scalability modes of the video encoders used for SVC, see
+ * https://www.w3.org/TR/webrtc-svc/#scalabilitymodes*. LxTy stands for x spatial
+ * and y temporal layers, the spatial layers of the _KEY modes depend on each
+ * other on the key frames only (K-SVC).
+ * @type {{L1T3: string, L2T3: string, L2T3_KEY: string, L3T3: string, L3T3_KEY: string}}
+ */
+export const VideoEncoderScalabilityMode = {
+    /**
+     * A single spatial layer with three temporal layers.
+     */
+    L1T3: 'L1T3',
+
+    /**
+     * Two spatial layers with three temporal layers.
+     */
+    L2T3: 'L2T3',
+
+    /**
+     * Two spatial layers with three temporal layers, the spatial layers depend
+     * on each other on the key frames only.
+     */
+    L2T3_KEY: 'L2T3_KEY',
+
+    /**
+     * Three spatial layers with three temporal layers.
+     */
+    L3T3: 'L3T3',
+
+    /**
+     * Three spatial layers with three temporal layers, the spatial layers
+     * depend on each other on the key frames only.
+     */
+    L3T3_KEY: 'L3T3_KEY'
+};
+
+export default VideoEncoderScalabilityMode;
@@ -419,11 +419,16 @@ export const createP2PEvent = function(action, attributes = {}) {
 
 /**
  * Indicates that we received a remote command to mute.
+ *
+ * @param {string} [mediaType] - The kind of media which was muted (audio, video or desktop).
  */
-export const createRemotelyMutedEvent = function() {
+export const createRemotelyMutedEvent = function(mediaType = 'audio') {
     return {
         type: TYPE_OPERATIONAL,
-        action: 'remotely.muted'
+        action: 'remotely.muted',
+        attributes: {
+            'media_type': mediaType
+        }
     };
 };
 
@@ -7,10 +7,77 @@ const XMPPEvents = {
     // Designates an event indicating that the focus has asked us to mute our
     // audio.
     AUDIO_MUTED_BY_FOCUS: 'xmpp.audio_muted_by_focus',
-    VIDEO_MUTED_BY_FOCUS : 'xmpp.video_muted_by_focus',
+
+    // Designates an event indicating that the focus has asked us to mute our
+    // camera.
+    VIDEO_MUTED_BY_FOCUS: 'xmpp.video_muted_by_focus',
+
+    // Designates an event indicating that the focus has asked us to stop
+    // sharing our desktop.
+    DESKTOP_MUTED_BY_FOCUS: 'xmpp.desktop_muted_by_focus',
     AUTHENTICATION_REQUIRED: 'xmpp.authentication_required',
+
+    /**
+     * Event emitted when the local participant has been approved to unmute
+     * while audio/video moderation is enabled.
+     */
+    AV_MODERATION_APPROVED: 'xmpp.av_moderation.approved',
+
+    /**
+     * Event emitted when audio/video moderation has been enabled or disabled.
+     */
+    AV_MODERATION_CHANGED: 'xmpp.av_moderation.changed',
+
+    /**
+     * Event emitted for moderators when a participant has been approved to
+     * unmute.
+     */
+    AV_MODERATION_PARTICIPANT_APPROVED: 'xmpp.av_moderation.participant.approved',
+
+    /**
+     * Event emitted for moderators when a participant has been rejected.
+     */
+    AV_MODERATION_PARTICIPANT_REJECTED: 'xmpp.av_moderation.participant.rejected',
+
+    /**
+     * Event emitted when a message from the audio/video moderation component
+     * is received.
+     */
+    AV_MODERATION_RECEIVED: 'xmpp.av_moderation.received',
+
+    /**
+     * Event emitted when the local participant is no longer allowed to unmute.
+     */
+    AV_MODERATION_REJECTED: 'xmpp.av_moderation.rejected',
+
+    /**
+     * Event emitted for moderators when a participant asks to unmute.
+     */
+    AV_MODERATION_UNMUTE_REQUESTED: 'xmpp.av_moderation.unmute_requested',
     BRIDGE_DOWN: 'xmpp.bridge_down',
 
+    /**
+     * Event emitted when a message from the breakout rooms component is
+     * received.
+     */
+    BREAKOUT_ROOMS_EVENT: 'xmpp.breakout-rooms.event',
+
+    /**
+     * Event emitted when the breakout rooms component asks us to move to
+     * another room.
+     */
+    BREAKOUT_ROOMS_MOVE_TO_ROOM: 'xmpp.breakout-rooms.move-to-room',
+
+    /**
+     * Event emitted when a participant has moved to another room.
+     */
+    BREAKOUT_ROOMS_PARTICIPANT_MOVED: 'xmpp.breakout-rooms.participant-moved',
+
+    /**
+     * Event emitted when the breakout rooms state has been updated.
+     */
+    BREAKOUT_ROOMS_UPDATED: 'xmpp.breakout-rooms.updated',
+
     /**
      * Triggered when 'session-accept' is received from the responder.
      */
@@ -27,6 +94,22 @@ const XMPPEvents = {
     CALL_ENDED: 'xmpp.callended.jingle',
     CHAT_ERROR_RECEIVED: 'xmpp.chat_error_received',
 
+    // Designates an event indicating that a chat marker (XEP-0333) has been
+    // received for a chat message.
+    CHAT_MARKER_RECEIVED: 'xmpp.chat_marker_received',
+
+    // Designates an event indicating that a chat message has been corrected by
+    // its sender (XEP-0308).
+    CHAT_MESSAGE_CORRECTED: 'xmpp.chat_message_corrected',
+
+    // Designates an event indicating that a chat message has been retracted by
+    // its sender (XEP-0424).
+    CHAT_MESSAGE_RETRACTED: 'xmpp.chat_message_retracted',
+
+    // Designates an event indicating that the chat policy of the room has
+    // changed.
+    CHAT_POLICY_CHANGED: 'xmpp.chat_policy_changed',
+
     // The conference properties (as advertised by jicofo) have changed
     CONFERENCE_PROPERTIES_CHANGED: 'xmpp.conference_properties_changed',
 
@@ -100,6 +183,18 @@ const XMPPEvents = {
     // Designates an event indicating that our role in the XMPP MUC has changed.
     LOCAL_ROLE_CHANGED: 'xmpp.localrole_changed',
 
+    // Designates an event indicating that we have become an attendee of the
+    // webinar or have been promoted to speaker.
+    LOCAL_ATTENDEE_CHANGED: 'xmpp.local_attendee_changed',
+
+    // Designates an event indicating that the maximum duration of the
+    // conference set in the room configuration has changed.
+    MAX_DURATION_CHANGED: 'xmpp.max_duration_changed',
+
+    // Designates an event indicating that the webinar mode of the XMPP MUC has
+    // been enabled or disabled.
+    WEBINAR_MODE_CHANGED: 'xmpp.webinar_mode_changed',
+
     /**
      * Event fired when the unique meeting id is set.
      */
@@ -132,6 +227,14 @@ const XMPPEvents = {
     // Designates an event indicating that a participant left the XMPP MUC.
     MUC_MEMBER_LEFT: 'xmpp.muc_member_left',
 
+    // Designates an event indicating that the rules according to which the
+    // participants waiting in the lobby are admitted have changed.
+    LOBBY_AUTO_ADMIT_RULES_CHANGED: 'xmpp.lobby_auto_admit_rules_changed',
+
+    // Designates an event indicating that a text message has been received in
+    // the lobby XMPP MUC.
+    LOBBY_MESSAGE_RECEIVED: 'xmpp.lobby_message_received',
+
     // Designates an event indicating that a participant joined the lobby XMPP MUC.
     MUC_LOBBY_MEMBER_JOINED: 'xmpp.muc_lobby_member_joined',
 
@@ -175,6 +278,12 @@ const XMPPEvents = {
      * Indicates that the features of the participant has been changed.
      */
     PARTICIPANT_FEATURES_CHANGED: 'xmpp.participant_features_changed',
+
+    /**
+     * Indicates that a participant has started or stopped typing a chat
+     * message (XEP-0085).
+     */
+    PARTICIPANT_TYPING_CHANGED: 'xmpp.participant_typing_changed',
     PASSWORD_REQUIRED: 'xmpp.password_required',
 
     /**
@@ -1,3 +1,4 @@
+const fs = require('fs');
 const process = require('process');
 
 const config = require('./webpack-shared-config');
@@ -24,5 +25,31 @@ module.exports = [
         optimization: {
             minimize: false
         }
+    },
+    {
+        entry: {
+            worklets: './modules/webaudio/worklets/index.js'
+        },
+        mode: 'production',
+        output: {
+            filename: 'lib-jitsi-meet.audio-worklets.js',
+            path: process.cwd()
+        },
+        optimization: {
+            minimize: false
+        },
+        plugins: [
+            {
+                // Emit the RNNoise WASM module instantiated by the noise suppressor next to the library.
+                apply: compiler => compiler.hooks.emit.tap('RnnoiseWasm', compilation => {
+                    const wasm = fs.readFileSync(require.resolve('@jitsi/rnnoise-wasm/dist/rnnoise.wasm'));
+
+                    compilation.assets['lib-jitsi-meet.rnnoise.wasm'] = {
+                        size: () => wasm.length,
+                        source: () => wasm
+                    };
+                })
+            }
+        ]
     }
 ];